@@ -0,0 +1,23 @@
+// .eslintrc.js
+module.exports = {
+  root: true,
+  env: {
+    node: true,
+    es2021: true
+  },
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: 'script'
+  },
+  extends: 'eslint:recommended',
+  ignorePatterns: ['node_modules/', 'coverage/', 'src/services/monitor/assets/'],
+  rules: {
+    'no-unused-vars': ['warn', { args: 'none' }]
+  },
+  overrides: [
+    {
+      files: ['tests/**/*.js'],
+      env: { jest: true }
+    }
+  ]
+};
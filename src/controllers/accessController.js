@@ -0,0 +1,21 @@
+// src/controllers/accessController.js
+const access = require('../services/minecraft/access');
+const { send } = require('../utils/response');
+
+async function listEntries(req, res) {
+  send(res, await access.listAccess(req.params.id, req.params.list));
+}
+
+async function addEntry(req, res) {
+  send(res, await access.addAccess(req.params.id, req.params.list, req.body, { source: req.user.username }), 201);
+}
+
+async function removeEntry(req, res) {
+  send(res, await access.removeAccess(req.params.id, req.params.list, req.params.entry));
+}
+
+module.exports = {
+  listEntries,
+  addEntry,
+  removeEntry
+};
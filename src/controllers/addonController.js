@@ -0,0 +1,33 @@
+// src/controllers/addonController.js
+const addons = require('../services/minecraft/addons');
+const { ValidationError } = require('../utils/errors');
+const { send } = require('../utils/response');
+
+async function listAddons(req, res) {
+  send(res, await addons.listAddons(req.params.id, req.params.kind));
+}
+
+async function installAddon(req, res) {
+  if (!req.file) {
+    throw new ValidationError([{ field: 'file', location: 'body', message: 'A jar file is required' }]);
+  }
+  send(res, await addons.installAddon(req.params.id, req.params.kind, req.file, {
+    // Multipart fields arrive as strings
+    enabled: req.body.enabled !== 'false'
+  }), 201);
+}
+
+async function updateAddon(req, res) {
+  send(res, await addons.setAddonEnabled(req.params.id, req.params.kind, req.params.file, req.body.enabled));
+}
+
+async function removeAddon(req, res) {
+  send(res, await addons.removeAddon(req.params.id, req.params.kind, req.params.file));
+}
+
+module.exports = {
+  listAddons,
+  installAddon,
+  updateAddon,
+  removeAddon
+};
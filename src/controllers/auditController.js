@@ -0,0 +1,53 @@
+// src/controllers/auditController.js
+const { once } = require('events');
+const audit = require('../services/audit');
+const { send } = require('../utils/response');
+
+const EXPORT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson'
+};
+
+/**
+ * Read the audit log filters from the query string
+ * @param {Object} query - Validated query
+ * @returns {Object} Filters
+ */
+function filtersFrom(query) {
+  return {
+    user: query.user,
+    server: query.server,
+    actions: query.action,
+    outcome: query.outcome,
+    source: query.source,
+    from: query.from,
+    to: query.to
+  };
+}
+
+async function listActions(req, res) {
+  send(res, await audit.queryActions(filtersFrom(req.query), {
+    limit: req.query.limit,
+    offset: req.query.offset
+  }));
+}
+
+async function exportActions(req, res) {
+  const format = req.query.format || 'ndjson';
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  res.status(200);
+  res.setHeader('Content-Type', EXPORT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.${format}"`);
+
+  for await (const line of audit.exportActions(filtersFrom(req.query), format)) {
+    if (res.destroyed) return;
+    if (!res.write(line)) await once(res, 'drain');
+  }
+  res.end();
+}
+
+module.exports = {
+  listActions,
+  exportActions
+};
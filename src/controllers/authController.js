@@ -0,0 +1,34 @@
+// src/controllers/authController.js
+const auth = require('../services/auth');
+const { send } = require('../utils/response');
+
+async function register(req, res) {
+  const { username, email, password } = req.body;
+  const result = await auth.register({ username, email, password });
+  send(res, result, 201);
+}
+
+async function login(req, res) {
+  send(res, await auth.login(req.user));
+}
+
+async function refresh(req, res) {
+  send(res, await auth.refresh(req.body.refreshToken));
+}
+
+async function logout(req, res) {
+  await auth.logout(req.user);
+  send(res, { message: 'Logged out' });
+}
+
+async function me(req, res) {
+  send(res, req.user);
+}
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  me
+};
@@ -0,0 +1,36 @@
+// src/controllers/backupController.js
+const backups = require('../services/backup/snapshots');
+const { send } = require('../utils/response');
+
+async function listBackups(req, res) {
+  send(res, await backups.listBackups(req.params.id));
+}
+
+async function pruneBackups(req, res) {
+  send(res, await backups.pruneBackups(req.params.id, { dryRun: req.body.dryRun === true }));
+}
+
+async function verifyServerBackups(req, res) {
+  send(res, await backups.verifyServerBackups(req.params.id));
+}
+
+async function verifyBackup(req, res) {
+  send(res, await backups.verifyBackup(req.params.backupId));
+}
+
+async function updateBackup(req, res) {
+  send(res, await backups.setBackupPinned(req.params.backupId, req.body.pinned));
+}
+
+async function deleteBackup(req, res) {
+  send(res, await backups.deleteBackup(req.params.backupId));
+}
+
+module.exports = {
+  listBackups,
+  pruneBackups,
+  verifyServerBackups,
+  verifyBackup,
+  updateBackup,
+  deleteBackup
+};
@@ -0,0 +1,46 @@
+// src/controllers/groupController.js
+const groups = require('../services/minecraft/groups');
+const { send } = require('../utils/response');
+
+async function listGroups(req, res) {
+  send(res, await groups.listGroups());
+}
+
+async function getGroup(req, res) {
+  send(res, await groups.getGroup(req.params.groupId));
+}
+
+async function createGroup(req, res) {
+  send(res, await groups.createGroup(req.body), 201);
+}
+
+async function updateGroup(req, res) {
+  send(res, await groups.updateGroup(req.params.groupId, req.body));
+}
+
+async function deleteGroup(req, res) {
+  send(res, await groups.deleteGroup(req.params.groupId));
+}
+
+async function addEntry(req, res) {
+  send(res, await groups.addGroupEntry(req.params.groupId, req.params.list, req.body, { source: req.user.username }), 201);
+}
+
+async function removeEntry(req, res) {
+  send(res, await groups.removeGroupEntry(req.params.groupId, req.params.list, req.params.entry));
+}
+
+async function syncGroup(req, res) {
+  send(res, await groups.syncGroup(req.params.groupId));
+}
+
+module.exports = {
+  listGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  addEntry,
+  removeEntry,
+  syncGroup
+};
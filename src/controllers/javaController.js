@@ -0,0 +1,16 @@
+// src/controllers/javaController.js
+const java = require('../services/minecraft/java');
+const { send } = require('../utils/response');
+
+async function listRuntimes(req, res) {
+  send(res, await java.detectJavaRuntimes({ refresh: req.query.refresh === true }));
+}
+
+async function getServerJava(req, res) {
+  send(res, await java.getServerJava(req.params.id));
+}
+
+module.exports = {
+  listRuntimes,
+  getServerJava
+};
@@ -0,0 +1,21 @@
+// src/controllers/monitorController.js
+const monitor = require('../services/monitor');
+const { send } = require('../utils/response');
+
+async function getStats(req, res) {
+  send(res, await monitor.getServerStats(req.params.id));
+}
+
+async function getHistory(req, res) {
+  const { from, to, resolution } = req.query;
+  send(res, await monitor.getServerMetrics(req.params.id, {
+    from: from ? from.getTime() : undefined,
+    to: to ? to.getTime() : undefined,
+    resolution
+  }));
+}
+
+module.exports = {
+  getStats,
+  getHistory
+};
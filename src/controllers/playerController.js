@@ -0,0 +1,27 @@
+// src/controllers/playerController.js
+const players = require('../services/minecraft/players');
+const { send } = require('../utils/response');
+
+async function getOnlinePlayers(req, res) {
+  send(res, players.getOnlinePlayers(req.params.id));
+}
+
+async function listPlayers(req, res) {
+  send(res, await players.getTopPlayers({
+    serverId: req.query.server,
+    limit: req.query.limit
+  }));
+}
+
+async function getPlayer(req, res) {
+  send(res, await players.getPlayerHistory(req.params.uuid, {
+    limit: req.query.limit,
+    offset: req.query.offset
+  }));
+}
+
+module.exports = {
+  getOnlinePlayers,
+  listPlayers,
+  getPlayer
+};
@@ -0,0 +1,36 @@
+// src/controllers/scheduleController.js
+const scheduler = require('../services/scheduler');
+const { send } = require('../utils/response');
+
+async function listTasks(req, res) {
+  send(res, await scheduler.listTasks(req.params.id));
+}
+
+async function getTask(req, res) {
+  send(res, await scheduler.getTask(req.params.id, req.params.taskId));
+}
+
+async function createTask(req, res) {
+  send(res, await scheduler.createTask(req.params.id, req.body, req.user), 201);
+}
+
+async function updateTask(req, res) {
+  send(res, await scheduler.updateTask(req.params.id, req.params.taskId, req.body));
+}
+
+async function deleteTask(req, res) {
+  send(res, await scheduler.deleteTask(req.params.id, req.params.taskId));
+}
+
+async function runTask(req, res) {
+  send(res, await scheduler.runTaskNow(req.params.id, req.params.taskId));
+}
+
+module.exports = {
+  listTasks,
+  getTask,
+  createTask,
+  updateTask,
+  deleteTask,
+  runTask
+};
@@ -0,0 +1,182 @@
+// src/controllers/serverController.js
+const minecraft = require('../services/minecraft');
+const templates = require('../services/minecraft/templates');
+const trash = require('../services/minecraft/trash');
+const { hasServerRole } = require('../middleware/auth');
+const { AppError } = require('../utils/errors');
+const { send } = require('../utils/response');
+
+/**
+ * Convert a service result object into response data, throwing on errors
+ * @param {Object} result - Service result with a status field
+ * @returns {Object} Result without the status field
+ */
+function unwrap(result) {
+  const { status, message, statusCode, ...data } = result;
+  if (status === 'error') {
+    throw new AppError(message, statusCode || 500, statusCode === 409 ? 'CONFLICT' : 'OPERATION_FAILED');
+  }
+  return { message, ...data };
+}
+
+async function listServers(req, res) {
+  const servers = await minecraft.listServers();
+  send(res, servers.filter(server => hasServerRole(req.user, server.id, 'viewer')));
+}
+
+async function getServer(req, res) {
+  send(res, await minecraft.getServerStatus(req.params.id));
+}
+
+async function createServer(req, res) {
+  const server = req.body.template
+    ? await templates.createServerFromTemplate(req.body.template, req.body, req.app.get('io'))
+    : await minecraft.createServer(req.body, req.app.get('io'));
+
+  // The creator owns the new server
+  req.user.permissions.servers.set(server._id.toString(), 'owner');
+  await req.user.save();
+
+  send(res, server, 201);
+}
+
+async function cloneServer(req, res) {
+  const server = await minecraft.cloneServer(req.params.id, {
+    name: req.body.name,
+    port: req.body.port,
+    includeWorld: req.body.includeWorld !== false
+  });
+
+  // The user who made the copy owns it
+  req.user.permissions.servers.set(server._id.toString(), 'owner');
+  await req.user.save();
+
+  send(res, server, 201);
+}
+
+async function updateServer(req, res) {
+  send(res, await minecraft.updateServer(req.params.id, req.body));
+}
+
+async function renameServer(req, res) {
+  send(res, await minecraft.renameServer(req.params.id, req.body.name));
+}
+
+async function deleteServer(req, res) {
+  send(res, await trash.deleteServer(req.params.id, {
+    archive: req.body.archive === true,
+    cleanup: req.body.cleanup,
+    deletedBy: req.user._id
+  }));
+}
+
+async function updateProperties(req, res) {
+  send(res, await minecraft.updateServerProperties(req.params.id, req.body.properties));
+}
+
+async function getProperties(req, res) {
+  send(res, await minecraft.getServerProperties(req.params.id));
+}
+
+async function discardPendingProperties(req, res) {
+  send(res, await minecraft.discardPendingProperties(req.params.id));
+}
+
+async function syncProperties(req, res) {
+  send(res, await minecraft.syncServerProperties(req.params.id, req.body.source));
+}
+
+async function startServer(req, res) {
+  const result = await minecraft.startServer(req.params.id, req.app.get('io'));
+  // Queued starts are accepted but run once memory is free
+  send(res, unwrap(result), result.status === 'queued' ? 202 : 200);
+}
+
+async function stopServer(req, res) {
+  send(res, unwrap(await minecraft.stopServer(req.params.id, req.body.force === true)));
+}
+
+async function restartServer(req, res) {
+  const { id } = req.params;
+  unwrap(await minecraft.stopServer(id, req.body.force === true));
+  const result = await minecraft.startServer(id, req.app.get('io'));
+  send(res, unwrap(result), result.status === 'queued' ? 202 : 200);
+}
+
+async function stopAllServers(req, res) {
+  const results = await minecraft.stopAllServers();
+  send(res, { results });
+}
+
+async function getCapacity(req, res) {
+  send(res, await minecraft.getMemoryCapacity());
+}
+
+async function sendCommand(req, res) {
+  send(res, unwrap(await minecraft.sendCommand(req.params.id, req.body.command)));
+}
+
+async function getLogs(req, res) {
+  const { type, level, search, limit } = req.query;
+  send(res, await minecraft.getServerLogs(req.params.id, { type, levels: level, search, limit }));
+}
+
+async function searchLogs(req, res) {
+  const { level, from, to, search, regex, cursor, limit } = req.query;
+  send(res, await minecraft.searchServerLogs(req.params.id, {
+    levels: level,
+    from: from ? from.getTime() : undefined,
+    to: to ? to.getTime() : undefined,
+    search,
+    regex,
+    cursor,
+    limit
+  }));
+}
+
+async function getCrashes(req, res) {
+  send(res, await minecraft.getServerCrashes(req.params.id, { limit: req.query.limit }));
+}
+
+async function createBackup(req, res) {
+  send(res, unwrap(await minecraft.createBackup(req.params.id, req.body.name)), 201);
+}
+
+async function restoreBackup(req, res) {
+  const result = await minecraft.restoreBackup(req.params.backupId, {
+    scopes: req.body.scopes,
+    start: req.body.start === true,
+    io: req.app.get('io')
+  });
+  send(res, unwrap(result));
+}
+
+async function rollbackRestore(req, res) {
+  send(res, unwrap(await minecraft.rollbackRestore(req.params.id)));
+}
+
+module.exports = {
+  listServers,
+  getServer,
+  createServer,
+  cloneServer,
+  updateServer,
+  renameServer,
+  deleteServer,
+  getProperties,
+  updateProperties,
+  discardPendingProperties,
+  syncProperties,
+  startServer,
+  stopServer,
+  restartServer,
+  stopAllServers,
+  getCapacity,
+  sendCommand,
+  getLogs,
+  searchLogs,
+  getCrashes,
+  createBackup,
+  restoreBackup,
+  rollbackRestore
+};
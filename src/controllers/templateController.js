@@ -0,0 +1,45 @@
+// src/controllers/templateController.js
+const templates = require('../services/minecraft/templates');
+const { ValidationError } = require('../utils/errors');
+const { send } = require('../utils/response');
+
+async function listTemplates(req, res) {
+  send(res, await templates.listTemplates());
+}
+
+async function getTemplate(req, res) {
+  send(res, await templates.getTemplate(req.params.templateId));
+}
+
+async function createTemplate(req, res) {
+  send(res, await templates.createTemplate(req.body, req.user), 201);
+}
+
+async function updateTemplate(req, res) {
+  send(res, await templates.updateTemplate(req.params.templateId, req.body));
+}
+
+async function deleteTemplate(req, res) {
+  send(res, await templates.deleteTemplate(req.params.templateId));
+}
+
+async function addFile(req, res) {
+  if (!req.file) {
+    throw new ValidationError([{ field: 'file', location: 'body', message: 'A file is required' }]);
+  }
+  send(res, await templates.addTemplateFile(req.params.templateId, req.body.path, req.file), 201);
+}
+
+async function removeFile(req, res) {
+  send(res, await templates.removeTemplateFile(req.params.templateId, req.query.path));
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  addFile,
+  removeFile
+};
@@ -0,0 +1,21 @@
+// src/controllers/trashController.js
+const trash = require('../services/minecraft/trash');
+const { send } = require('../utils/response');
+
+async function listTrash(req, res) {
+  send(res, await trash.listTrash());
+}
+
+async function undeleteServer(req, res) {
+  send(res, await trash.undeleteServer(req.params.id, { name: req.body.name }));
+}
+
+async function purgeServer(req, res) {
+  send(res, await trash.purgeServer(req.params.id));
+}
+
+module.exports = {
+  listTrash,
+  undeleteServer,
+  purgeServer
+};
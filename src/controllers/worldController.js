@@ -0,0 +1,43 @@
+// src/controllers/worldController.js
+const worlds = require('../services/minecraft/worlds');
+const { ValidationError } = require('../utils/errors');
+const { send } = require('../utils/response');
+
+async function listWorlds(req, res) {
+  send(res, await worlds.listWorlds(req.params.id));
+}
+
+async function downloadWorld(req, res) {
+  const download = await worlds.openWorldArchive(req.params.id, req.params.world);
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${download.filename.replace(/["\\\r\n]/g, '_')}"`);
+  await download.write(res);
+}
+
+async function uploadWorld(req, res) {
+  if (!req.file) {
+    throw new ValidationError([{ field: 'file', location: 'body', message: 'A zip file is required' }]);
+  }
+  send(res, await worlds.importWorld(req.params.id, req.file, {
+    name: req.body.name,
+    // Multipart fields arrive as strings
+    replace: req.body.replace === 'true',
+    activate: req.body.activate === 'true'
+  }), 201);
+}
+
+async function resetWorld(req, res) {
+  send(res, await worlds.resetWorld(req.params.id, req.params.world, {
+    seed: req.body.seed,
+    keepDatapacks: req.body.keepDatapacks !== false
+  }));
+}
+
+module.exports = {
+  listWorlds,
+  downloadWorld,
+  uploadWorld,
+  resetWorld
+};
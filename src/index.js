@@ -6,10 +6,22 @@ const socketIo = require('socket.io');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const routes = require('./routes');
+const { passport } = require('./middleware/auth');
 const { initializeLogger } = require('./utils/logger');
 const { connectDatabase } = require('./database');
-const { setupServerMonitoring } = require('./services/monitor');
+const { setupServerMonitoring, stopServerMonitoring } = require('./services/monitor');
 const { configureEnvironment } = require('./config');
+const {
+  reattachServers,
+  startAutostartServers,
+  stopAllServers,
+  detachAllServers
+} = require('./services/minecraft');
+const { initializePlayerTracking } = require('./services/minecraft/players');
+const { startTrashRetention, stopTrashRetention } = require('./services/minecraft/trash');
+const { initializeScheduler, stopScheduler } = require('./services/scheduler');
+const { startAuditRetention, stopAuditRetention } = require('./services/audit');
+const { initializeSocket } = require('./socket');
 
 // Initialize configuration
 const config = configureEnvironment();
@@ -30,6 +42,7 @@ const io = socketIo(server, {
 // Security middleware
 app.use(helmet());
 app.use(express.json({ limit: '1mb' }));
+app.use(passport.initialize());
 
 // Rate limiting
 const apiLimiter = rateLimit({
@@ -53,25 +66,29 @@ app.use((req, res, next) => {
 
 // Database connection
 connectDatabase(config.database)
-  .then(() => logger.info('Database connected successfully'))
+  .then(() => {
+    logger.info('Database connected successfully');
+    
+    initializePlayerTracking(io);
+    startAuditRetention();
+    startTrashRetention();
+    
+    // Pick up servers that kept running across a manager restart before autostarting the rest
+    reattachServers(io)
+      .then(() => {
+        initializeScheduler(io)
+          .catch(err => logger.error('Failed to initialize scheduled tasks', err));
+        return startAutostartServers(io);
+      })
+      .catch(err => logger.error('Failed to start autostart servers', err));
+  })
   .catch(err => {
     logger.error('Database connection failed', err);
     process.exit(1);
   });
 
 // Initialize Socket.IO for real-time communication
-io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id}`);
-
-  socket.on('subscribe', (channel) => {
-    logger.info(`Client ${socket.id} subscribed to ${channel}`);
-    socket.join(channel);
-  });
-
-  socket.on('disconnect', () => {
-    logger.info(`Client disconnected: ${socket.id}`);
-  });
-});
+initializeSocket(io);
 
 // Share socket.io instance with routes
 app.set('io', io);
@@ -88,8 +105,12 @@ app.use((err, req, res, next) => {
   
   res.status(statusCode).json({
     status: 'error',
-    message,
-    ...(config.env !== 'production' && { stack: err.stack })
+    error: {
+      code: err.code || 'INTERNAL_ERROR',
+      message,
+      ...(err.details && { details: err.details }),
+      ...(config.env !== 'production' && { stack: err.stack })
+    }
   });
 });
 
@@ -107,9 +128,17 @@ server.listen(config.port, () => {
 const gracefulShutdown = async () => {
   logger.info('Shutting down gracefully...');
   
-  // Implement cleanup code here, like stopping all running MC servers
-  const { stopAllServers } = require('./services/minecraft');
-  await stopAllServers();
+  stopScheduler();
+  stopServerMonitoring();
+  stopAuditRetention();
+  stopTrashRetention();
+  
+  // MC servers keep running under their supervisors unless configured otherwise
+  if (config.minecraft.stopOnShutdown) {
+    await stopAllServers();
+  } else {
+    detachAllServers();
+  }
   
   server.close(() => {
     logger.info('HTTP server closed');
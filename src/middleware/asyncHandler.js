@@ -0,0 +1,14 @@
+// src/middleware/asyncHandler.js
+
+/**
+ * Wrap an async route handler so rejected promises reach the error handler
+ * @param {Function} handler - Async Express handler
+ * @returns {Function} Express handler
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+module.exports = { asyncHandler };
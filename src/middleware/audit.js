@@ -0,0 +1,113 @@
+// src/middleware/audit.js
+const { logger } = require('../utils/logger');
+const { MinecraftServer } = require('../models');
+const { diffObjects, recordAction } = require('../services/audit');
+
+// Server settings compared before and after an action
+const SERVER_SETTINGS = [
+  'autostart', 'startup', 'memory', 'jvmFlags', 'javaPath', 'restartPolicy', 'backupRetention', 'alerts',
+  'properties', 'pendingProperties'
+];
+
+/**
+ * Snapshot the settings of the server in req.params.id
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Settings, or null if the server does not exist
+ */
+async function serverSettings(req) {
+  return MinecraftServer.findById(req.params.id).select(['-_id', ...SERVER_SETTINGS].join(' ')).lean();
+}
+
+/**
+ * Default request details: route parameters and body
+ * @param {Object} req - Express request
+ * @returns {Object} Details
+ */
+function requestDetails(req) {
+  // The server ID is already the target
+  const params = Object.fromEntries(Object.entries(req.params).filter(([key]) => key !== 'id'));
+  const details = {};
+  if (Object.keys(params).length > 0) details.params = params;
+  if (req.body && Object.keys(req.body).length > 0) details.body = req.body;
+  return Object.keys(details).length > 0 ? details : undefined;
+}
+
+/**
+ * Record the request in the audit log once the response is finished, with
+ * the actor, source IP, outcome and the settings it changed
+ * @param {string} action - Action name, e.g. server.stop
+ * @param {Object} [options] - Audit options
+ * @param {Function} [options.server] - (req, body) => ID of the server concerned, resolved before the
+ *   handler and again from the response body if still unknown; defaults to req.params.id
+ * @param {Function} [options.target] - (req, body) => target; defaults to server:<id>
+ * @param {Function} [options.snapshot] - Resolves the state to diff before and after the action
+ * @param {Function} [options.details] - (req, body) => details; defaults to route parameters and body
+ * @returns {Function} Express middleware
+ */
+function audit(action, options = {}) {
+  return async (req, res, next) => {
+    let serverId = req.params.id || null;
+    let before = null;
+
+    // Resolve what the action concerns before the handler changes or deletes it
+    try {
+      if (options.server) serverId = await options.server(req, null);
+      if (options.snapshot) before = await options.snapshot(req);
+    } catch (error) {
+      logger.debug(`Audit context for ${action} unavailable: ${error.message}`);
+    }
+
+    // Keep the response body for error messages and created IDs
+    let body = null;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      body = payload;
+      return json(payload);
+    };
+
+    res.once('close', async () => {
+      // Nothing awaits this listener, so a failure here must not escape
+      try {
+        const success = res.writableFinished && res.statusCode < 400;
+
+        // Created resources are only known from the response
+        if (!serverId && options.server) {
+          serverId = await Promise.resolve(options.server(req, body)).catch(() => null);
+        }
+
+        let changes;
+        if (options.snapshot && success) {
+          try {
+            changes = diffObjects(before, await options.snapshot(req));
+          } catch (error) {
+            logger.debug(`Audit snapshot after ${action} unavailable: ${error.message}`);
+          }
+        }
+
+        await recordAction({
+          user: req.user,
+          action,
+          target: options.target ? options.target(req, body) : `server:${serverId}`,
+          server: serverId,
+          success,
+          statusCode: res.statusCode,
+          error: res.writableFinished
+            ? (body && body.error ? body.error.message : undefined)
+            : 'Connection closed before the response was sent',
+          changes,
+          details: options.details ? options.details(req, body) : requestDetails(req),
+          ip: req.ip
+        });
+      } catch (error) {
+        logger.debug(`Audit entry for ${action} not recorded: ${error.message}`);
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  audit,
+  serverSettings
+};
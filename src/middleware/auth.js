@@ -0,0 +1,153 @@
+// src/middleware/auth.js
+const passport = require('passport');
+const { Strategy: JwtStrategy, ExtractJwt } = require('passport-jwt');
+const { Strategy: LocalStrategy } = require('passport-local');
+const { User } = require('../models');
+const { verifyCredentials } = require('../services/auth');
+const { ForbiddenError, UnauthorizedError } = require('../utils/errors');
+const config = require('../config').getConfig();
+
+// Per-server roles, lowest to highest
+const SERVER_ROLES = ['viewer', 'moderator', 'admin', 'owner'];
+
+passport.use(new JwtStrategy({
+  jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
+  secretOrKey: (config.jwt || {}).secret
+}, async (payload, done) => {
+  try {
+    if (payload.type !== 'access') {
+      done(null, false);
+      return;
+    }
+    // Tokens issued before the user last logged out are revoked
+    const user = await User.findById(payload.sub);
+    done(null, user && user.tokenVersion === payload.ver ? user : false);
+  } catch (error) {
+    done(error);
+  }
+}));
+
+passport.use(new LocalStrategy({
+  usernameField: 'login',
+  session: false
+}, async (login, password, done) => {
+  try {
+    done(null, (await verifyCredentials(login, password)) || false);
+  } catch (error) {
+    done(error);
+  }
+}));
+
+/**
+ * Build middleware that runs a passport strategy and reports failures as UnauthorizedError
+ * @param {string} strategy - Passport strategy name
+ * @param {string} message - Error message when authentication fails
+ * @returns {Function} Express middleware
+ */
+function useStrategy(strategy, message) {
+  return (req, res, next) => {
+    passport.authenticate(strategy, { session: false }, (err, user) => {
+      if (err) {
+        next(err);
+        return;
+      }
+      if (!user) {
+        next(new UnauthorizedError(message));
+        return;
+      }
+      req.user = user;
+      next();
+    })(req, res, next);
+  };
+}
+
+// Require a valid access token
+const authenticate = useStrategy('jwt', 'Authentication required');
+
+// Require a valid username/email and password in the request body
+const authenticateCredentials = useStrategy('local', 'Invalid username or password');
+
+/**
+ * Check whether a user holds at least the given role on a server
+ * @param {Object} user - User document
+ * @param {string} serverId - Server ID
+ * @param {string} role - Minimum server role
+ * @returns {boolean} Whether access is allowed
+ */
+function hasServerRole(user, serverId, role) {
+  if (!user) return false;
+
+  // Global administrators can manage every server
+  if (user.role === 'admin') return true;
+
+  const granted = user.permissions && user.permissions.servers
+    ? user.permissions.servers.get(serverId.toString())
+    : undefined;
+
+  return SERVER_ROLES.indexOf(granted) >= SERVER_ROLES.indexOf(role);
+}
+
+/**
+ * Require one of the given global roles
+ * @param {...string} roles - Allowed global roles
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      next(new ForbiddenError());
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Require one of the given global roles when the request body sets any of the
+ * given fields. Used for settings that decide what runs on the host.
+ * @param {Array<string>} fields - Restricted body fields
+ * @param {...string} roles - Global roles allowed to set them
+ * @returns {Function} Express middleware
+ */
+function requireRoleForFields(fields, ...roles) {
+  return (req, res, next) => {
+    const field = fields.find(name => req.body && req.body[name] !== undefined);
+    if (field && (!req.user || !roles.includes(req.user.role))) {
+      next(new ForbiddenError(`Only global administrators can set ${field}`));
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Require at least the given role on the server addressed by the request
+ * @param {string} role - Minimum server role (viewer, moderator, admin, owner)
+ * @param {Function} [resolveServerId] - Returns the server ID for the request, defaults to req.params.id
+ * @returns {Function} Express middleware
+ */
+function requireServerRole(role, resolveServerId = req => req.params.id) {
+  return async (req, res, next) => {
+    try {
+      const serverId = await resolveServerId(req);
+      if (!serverId || !hasServerRole(req.user, serverId, role)) {
+        next(new ForbiddenError(`This action requires the ${role} role on the server`));
+        return;
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  SERVER_ROLES,
+  passport,
+  authenticate,
+  authenticateCredentials,
+  hasServerRole,
+  requireRole,
+  requireRoleForFields,
+  requireServerRole
+};
@@ -0,0 +1,25 @@
+// src/middleware/validate.js
+const { validationResult } = require('express-validator');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Reject the request if any express-validator chain reported errors
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function validate(req, res, next) {
+  const result = validationResult(req);
+  if (result.isEmpty()) {
+    next();
+    return;
+  }
+
+  next(new ValidationError(result.array().map(error => ({
+    field: error.path,
+    location: error.location,
+    message: error.msg
+  }))));
+}
+
+module.exports = { validate };
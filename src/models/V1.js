@@ -1,6 +1,71 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 const Schema = mongoose.Schema;
 
+const PASSWORD_SALT_ROUNDS = 12;
+
+// A plugin or mod jar and what its descriptor declares
+const addonSchema = new Schema({
+  // Jar file name; disabled jars carry an extra .disabled suffix on disk
+  file: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  id: String,
+  name: String,
+  version: String,
+  loader: {
+    type: String,
+    enum: ['bukkit', 'paper', 'fabric', 'forge', 'neoforge']
+  },
+  description: String,
+  authors: [String],
+  dependencies: [{
+    _id: false,
+    id: String,
+    required: Boolean,
+    versionRange: String
+  }],
+  // api-version for plugins, the minecraft dependency range for mods
+  gameVersions: String,
+  // Why the descriptor could not be read
+  error: String,
+  size: Number,
+  modifiedAt: Date,
+  installedAt: Date
+});
+
+// A threshold on a resource metric, e.g. tps below 15 or memoryPercent above 90
+const alertRuleSchema = new Schema({
+  metric: {
+    type: String,
+    enum: ['cpu', 'memory', 'memoryPercent', 'threads', 'disk', 'tps', 'mspt'],
+    required: true
+  },
+  operator: {
+    type: String,
+    enum: ['above', 'below'],
+    required: true
+  },
+  threshold: {
+    type: Number,
+    required: true
+  },
+  // How long the condition must hold before the alert fires (ms)
+  duration: {
+    type: Number,
+    default: 0
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+});
+
 // Define Minecraft Server Schema
 const minecraftServerSchema = new Schema({
   name: {
@@ -46,23 +111,255 @@ const minecraftServerSchema = new Schema({
     of: String,
     default: {}
   },
+  // Property changes waiting for the next start
+  pendingProperties: {
+    type: Map,
+    of: String,
+    default: {}
+  },
   autostart: {
     type: Boolean,
     default: false
   },
+  // Autostart servers boot in ascending order; equal orders start together
+  startup: {
+    order: {
+      type: Number,
+      default: 0
+    },
+    // Wait before starting this server (ms)
+    delay: {
+      type: Number,
+      default: 0
+    }
+  },
   jvmFlags: [String],
-  plugins: [{
-    name: String,
-    version: String,
-    enabled: Boolean
+  // Java binary or home to run with; unset picks a compatible detected runtime
+  javaPath: {
+    type: String,
+    default: null
+  },
+  // Mirrors of the plugins/ and mods/ directories
+  plugins: [addonSchema],
+  mods: [addonSchema],
+  restartPolicy: {
+    mode: {
+      type: String,
+      enum: ['never', 'on-failure', 'always'],
+      default: 'on-failure'
+    },
+    // Circuit breaker: at most maxRestarts automatic restarts per window (ms)
+    maxRestarts: {
+      type: Number,
+      default: 5
+    },
+    window: {
+      type: Number,
+      default: 600000
+    },
+    // Exponential backoff between automatic restarts (ms)
+    initialDelay: {
+      type: Number,
+      default: 5000
+    },
+    maxDelay: {
+      type: Number,
+      default: 300000
+    }
+  },
+  // Grandfather-father-son backup retention: how many recent backups and
+  // how many hours, days, weeks and months get one backup each
+  backupRetention: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    keepLast: {
+      type: Number,
+      default: 1
+    },
+    hourly: {
+      type: Number,
+      default: 24
+    },
+    daily: {
+      type: Number,
+      default: 14
+    },
+    weekly: {
+      type: Number,
+      default: 13
+    },
+    monthly: {
+      type: Number,
+      default: 0
+    }
+  },
+  alerts: {
+    type: [alertRuleSchema],
+    default: () => [
+      { metric: 'memoryPercent', operator: 'above', threshold: 90, duration: 300000 },
+      { metric: 'tps', operator: 'below', threshold: 15, duration: 0 }
+    ]
+  },
+  // Template the server was created from
+  template: {
+    type: Schema.Types.ObjectId,
+    ref: 'ServerTemplate'
+  },
+  restoreSnapshot: {
+    path: String,
+    backup: {
+      type: Schema.Types.ObjectId,
+      ref: 'ServerBackup'
+    },
+    createdAt: Date
+  },
+  // Supervisor state of the running process, cleared when it exits
+  runtime: {
+    pid: Number,
+    supervisorPid: Number,
+    startedAt: Date
+  },
+  lastStarted: Date,
+  lastStopped: Date
+}, {
+  timestamps: true
+});
+
+// Server Template Schema: settings and seed files for new servers.
+// Seed files live in the template's directory under MC_TEMPLATES_DIR.
+const serverTemplateSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: String,
+  type: {
+    type: String,
+    enum: ['vanilla', 'paper', 'spigot', 'forge', 'fabric'],
+    default: 'vanilla'
+  },
+  version: {
+    type: String,
+    required: true
+  },
+  memory: {
+    min: {
+      type: String,
+      default: '1G'
+    },
+    max: {
+      type: String,
+      default: '4G'
+    }
+  },
+  jvmFlags: [String],
+  properties: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Seed files as paths relative to the server directory
+  files: [{
+    _id: false,
+    path: {
+      type: String,
+      required: true
+    },
+    size: Number,
+    uploadedAt: Date
   }],
-  mods: [{
+  // Descriptors of the seed files in plugins/ or mods/
+  plugins: [addonSchema],
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Server Group Schema: servers that share network-wide access lists.
+// Entries are applied to every member; each server's files stay authoritative.
+const serverGroupSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: String,
+  servers: [{
+    type: Schema.Types.ObjectId,
+    ref: 'MinecraftServer'
+  }],
+  entries: [{
+    _id: false,
+    list: {
+      type: String,
+      enum: ['whitelist', 'ops', 'banned-players', 'banned-ips'],
+      required: true
+    },
+    // Player name, or ip for banned-ips
     name: String,
-    version: String,
-    enabled: Boolean
+    ip: String,
+    level: Number,
+    bypassesPlayerLimit: Boolean,
+    reason: String,
+    expires: Date,
+    source: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Trashed Server Schema: a deleted server kept for undelete until expiresAt.
+// Shares its ID with the server, so backups, tasks and player links still refer to it.
+const trashedServerSchema = new Schema({
+  _id: Schema.Types.ObjectId,
+  name: {
+    type: String,
+    required: true
+  },
+  // The server document as it was deleted
+  server: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  // Moved server directory or zip archive of it; null if the directory was missing
+  path: String,
+  format: {
+    type: String,
+    enum: ['directory', 'archive'],
+    default: 'directory'
+  },
+  // Groups the server left, rejoined on undelete
+  groups: [{
+    type: Schema.Types.ObjectId,
+    ref: 'ServerGroup'
   }],
-  lastStarted: Date,
-  lastStopped: Date
+  // Related records removed at deletion rather than kept for undelete
+  removed: {
+    backups: Boolean,
+    schedules: Boolean,
+    players: Boolean
+  },
+  deletedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Unset keeps the server until it is purged by hand
+  expiresAt: {
+    type: Date,
+    index: true
+  }
 }, {
   timestamps: true
 });
@@ -102,11 +399,43 @@ const userSchema = new Schema({
     }
   },
   avatar: String,
-  lastLogin: Date
+  lastLogin: Date,
+  // Incremented to revoke every refresh token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Set only on the account registered first; the unique index lets one registration claim it
+  bootstrapAdmin: Boolean
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.tokenVersion;
+      delete ret.bootstrapAdmin;
+      return ret;
+    }
+  }
+});
+
+userSchema.index({ bootstrapAdmin: 1 }, { unique: true, partialFilterExpression: { bootstrapAdmin: true } });
+
+// Hash passwords whenever they are set or changed
+userSchema.pre('save', async function hashPassword() {
+  if (!this.isModified('password')) return;
+  this.password = await bcrypt.hash(this.password, PASSWORD_SALT_ROUNDS);
 });
 
+/**
+ * Check a plain-text password against the stored hash
+ * @param {string} candidate - Password to check
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+userSchema.methods.comparePassword = function comparePassword(candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
 // Server Backup Schema
 const serverBackupSchema = new Schema({
   server: {
@@ -118,14 +447,41 @@ const serverBackupSchema = new Schema({
     type: String,
     required: true
   },
+  // Manifest in the chunk store, or the zip file of an archive backup
   path: {
     type: String,
     required: true
   },
+  format: {
+    type: String,
+    enum: ['archive', 'manifest'],
+    default: 'archive'
+  },
+  // Total size of the backed-up files
   size: {
     type: Number,
     required: true
   },
+  stats: {
+    files: Number,
+    chunks: Number,
+    // Chunks the store did not have yet, and their compressed size
+    newChunks: Number,
+    storedSize: Number
+  },
+  // Pinned backups are never pruned
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  verification: {
+    status: {
+      type: String,
+      enum: ['ok', 'failed']
+    },
+    message: String,
+    at: Date
+  },
   createdBy: {
     type: Schema.Types.ObjectId,
     ref: 'User'
@@ -138,6 +494,29 @@ const serverBackupSchema = new Schema({
   timestamps: true
 });
 
+// Server Crash Schema
+const serverCrashSchema = new Schema({
+  server: {
+    type: Schema.Types.ObjectId,
+    ref: 'MinecraftServer',
+    required: true,
+    index: true
+  },
+  exitCode: Number,
+  signal: String,
+  uptime: Number,
+  // Last console lines before the crash
+  logs: [String],
+  restart: {
+    scheduled: Boolean,
+    delay: Number,
+    attempt: Number,
+    reason: String
+  }
+}, {
+  timestamps: true
+});
+
 // Player Schema
 const playerSchema = new Schema({
   uuid: {
@@ -157,11 +536,129 @@ const playerSchema = new Schema({
     timestamp: Date
   },
   firstJoined: Date,
+  // Total play time across all servers (ms)
   playTime: {
     type: Number,
     default: 0
   },
-  ip: String
+  ip: String,
+  // Per-server play statistics
+  servers: [{
+    server: {
+      type: Schema.Types.ObjectId,
+      ref: 'MinecraftServer'
+    },
+    firstJoined: Date,
+    lastSeen: Date,
+    playTime: {
+      type: Number,
+      default: 0
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+playerSchema.index({ playTime: -1 });
+playerSchema.index({ 'servers.server': 1, 'servers.playTime': -1 });
+
+// Player Session Schema
+const playerSessionSchema = new Schema({
+  player: {
+    type: Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true,
+    index: true
+  },
+  server: {
+    type: Schema.Types.ObjectId,
+    ref: 'MinecraftServer',
+    required: true
+  },
+  username: String,
+  ip: String,
+  joinedAt: {
+    type: Date,
+    required: true
+  },
+  leftAt: Date,
+  // Session length (ms), set when the session closes
+  duration: Number,
+  reason: {
+    type: String,
+    enum: ['quit', 'kick', 'stop', 'crash']
+  },
+  message: String
+}, {
+  timestamps: true
+});
+
+playerSessionSchema.index({ server: 1, leftAt: 1 });
+
+// Scheduled Task Schema
+const taskRunSchema = new Schema({
+  at: Date,
+  status: {
+    type: String,
+    enum: ['success', 'error', 'skipped', 'missed']
+  },
+  message: String,
+  // How long the run took (ms)
+  duration: Number,
+  trigger: {
+    type: String,
+    enum: ['schedule', 'catch-up', 'manual']
+  }
+}, { _id: false });
+
+const scheduledTaskSchema = new Schema({
+  server: {
+    type: Schema.Types.ObjectId,
+    ref: 'MinecraftServer',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['backup', 'restart', 'command', 'broadcast'],
+    required: true
+  },
+  // Cron expression with optional seconds field
+  schedule: {
+    type: String,
+    required: true
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  // command for 'command', message for 'broadcast', backup name prefix for 'backup'
+  payload: {
+    command: String,
+    message: String,
+    name: String
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // What to do about runs that fell while the manager was down
+  missedRuns: {
+    type: String,
+    enum: ['skip', 'run-once'],
+    default: 'skip'
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastRun: taskRunSchema,
+  // Most recent runs, newest first
+  history: [taskRunSchema]
 }, {
   timestamps: true
 });
@@ -172,6 +669,14 @@ const actionLogSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Kept so entries stay readable after the user is deleted
+  username: String,
+  // Where the action came from; scheduler actions have no user
+  source: {
+    type: String,
+    enum: ['api', 'socket', 'scheduler'],
+    default: 'api'
+  },
   action: {
     type: String,
     required: true
@@ -180,23 +685,100 @@ const actionLogSchema = new Schema({
     type: String,
     required: true
   },
+  // Server the action concerns, for filtering
+  server: {
+    type: Schema.Types.ObjectId,
+    ref: 'MinecraftServer'
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    required: true
+  },
+  statusCode: Number,
+  error: String,
+  // Settings that changed, as dotted paths
+  changes: [{
+    _id: false,
+    path: String,
+    before: Schema.Types.Mixed,
+    after: Schema.Types.Mixed
+  }],
   details: Schema.Types.Mixed,
   ip: String
 }, {
   timestamps: true
 });
 
+actionLogSchema.index({ createdAt: -1 });
+actionLogSchema.index({ server: 1, createdAt: -1 });
+actionLogSchema.index({ user: 1, createdAt: -1 });
+actionLogSchema.index({ action: 1, createdAt: -1 });
+
+// Server Metric Schema: running totals of the samples in one time bucket
+const metricTotalsSchema = new Schema({
+  sum: Number,
+  count: Number,
+  min: Number,
+  max: Number
+}, { _id: false });
+
+const serverMetricSchema = new Schema({
+  server: {
+    type: Schema.Types.ObjectId,
+    ref: 'MinecraftServer',
+    required: true
+  },
+  // Bucket size in seconds
+  resolution: {
+    type: Number,
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  samples: Number,
+  cpu: metricTotalsSchema,
+  memory: metricTotalsSchema,
+  memoryPercent: metricTotalsSchema,
+  threads: metricTotalsSchema,
+  disk: metricTotalsSchema,
+  tps: metricTotalsSchema,
+  mspt: metricTotalsSchema,
+  expiresAt: {
+    type: Date,
+    expires: 0
+  }
+});
+
+serverMetricSchema.index({ server: 1, resolution: 1, start: 1 }, { unique: true });
+
 // Define models
 const MinecraftServer = mongoose.model('MinecraftServer', minecraftServerSchema);
 const User = mongoose.model('User', userSchema);
 const ServerBackup = mongoose.model('ServerBackup', serverBackupSchema);
+const ServerCrash = mongoose.model('ServerCrash', serverCrashSchema);
 const Player = mongoose.model('Player', playerSchema);
+const PlayerSession = mongoose.model('PlayerSession', playerSessionSchema);
+const ScheduledTask = mongoose.model('ScheduledTask', scheduledTaskSchema);
 const ActionLog = mongoose.model('ActionLog', actionLogSchema);
+const ServerMetric = mongoose.model('ServerMetric', serverMetricSchema);
+const ServerTemplate = mongoose.model('ServerTemplate', serverTemplateSchema);
+const ServerGroup = mongoose.model('ServerGroup', serverGroupSchema);
+const TrashedServer = mongoose.model('TrashedServer', trashedServerSchema);
 
 module.exports = {
   MinecraftServer,
   User,
   ServerBackup,
+  ServerCrash,
   Player,
-  ActionLog
+  PlayerSession,
+  ScheduledTask,
+  ActionLog,
+  ServerMetric,
+  ServerTemplate,
+  ServerGroup,
+  TrashedServer
 };
\ No newline at end of file
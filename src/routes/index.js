@@ -0,0 +1,15 @@
+// src/routes/index.js
+const express = require('express');
+const v1 = require('./v1');
+const { NotFoundError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use('/v1', v1);
+
+// Unknown API routes get the same error envelope as everything else
+router.use((req, res, next) => {
+  next(new NotFoundError(`No route for ${req.method} ${req.baseUrl}${req.path}`));
+});
+
+module.exports = router;
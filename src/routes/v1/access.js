@@ -0,0 +1,58 @@
+// src/routes/v1/access.js
+// Mounted under /servers/:id/whitelist, /ops, /banned-players and /banned-ips
+const express = require('express');
+const { body, param } = require('express-validator');
+const controller = require('../../controllers/accessController');
+const { requireServerRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { audit } = require('../../middleware/audit');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+
+const router = express.Router({ mergeParams: true });
+
+const PLAYER_NAME_PATTERN = /^\w{1,16}$/;
+
+const serverId = param('id').isMongoId().withMessage('Invalid server ID');
+const isList = list => (value, { req }) => req.params.list === list;
+const isPlayerList = (value, { req }) => req.params.list !== 'banned-ips';
+const isBanList = (value, { req }) => req.params.list.startsWith('banned-');
+
+// Player name or UUID, or an address for banned-ips
+const entry = param('entry').isString().isLength({ min: 1, max: 45 }).matches(/^[\w.:-]+$/)
+  .withMessage('Invalid player name, UUID or address');
+
+const entryFields = [
+  body('name').if(isPlayerList).matches(PLAYER_NAME_PATTERN).withMessage('Invalid player name'),
+  body('ip').if(isList('banned-ips')).isIP().withMessage('Invalid IP address'),
+  body('level').if(isList('ops')).optional().isInt({ min: 0, max: 4 }).toInt(),
+  body('bypassesPlayerLimit').if(isList('ops')).optional().isBoolean({ strict: true }),
+  body('reason').if(isBanList).optional().isString().isLength({ max: 256 }),
+  body('expires').if(isBanList).optional().isISO8601()
+    .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future')
+];
+
+// <list>:<player or address>
+const accessTarget = req => `${req.params.list}:${req.params.entry || req.body.name || req.body.ip}`;
+
+// Any moderator manages the whitelist and bans; making operators takes a server admin
+const requireListRole = (req, res, next) => requireServerRole(req.params.list === 'ops' ? 'admin' : 'moderator')(req, res, next);
+
+router.get('/', serverId, validate, requireServerRole('viewer'), asyncHandler(controller.listEntries));
+
+router.post('/',
+  audit('access.add', { target: accessTarget }),
+  serverId,
+  ...entryFields,
+  validate,
+  requireListRole,
+  asyncHandler(controller.addEntry));
+
+router.delete('/:entry',
+  audit('access.remove', { target: accessTarget }),
+  serverId,
+  entry,
+  validate,
+  requireListRole,
+  asyncHandler(controller.removeEntry));
+
+module.exports = router;
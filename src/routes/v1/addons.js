@@ -0,0 +1,77 @@
+// src/routes/v1/addons.js
+// Mounted under /servers/:id/plugins and /servers/:id/mods
+const os = require('os');
+const express = require('express');
+const multer = require('multer');
+const { body, param } = require('express-validator');
+const controller = require('../../controllers/addonController');
+const { requireServerRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { audit } = require('../../middleware/audit');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { BadRequestError } = require('../../utils/errors');
+const config = require('../../config').getConfig();
+
+const router = express.Router({ mergeParams: true });
+
+const serverId = param('id').isMongoId().withMessage('Invalid server ID');
+const file = param('file').matches(/^[\w.+-]+\.jar$/i).withMessage('Invalid jar file name');
+
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: config.minecraft.addonMaxSize || 100 * 1024 * 1024,
+    files: 1
+  }
+});
+
+// plugins:<file> or mods:<file>; uploads are named after the uploaded jar
+const addonTarget = req => `${req.params.kind}:${req.params.file || (req.file ? req.file.originalname : 'upload')}`;
+
+/**
+ * Accept a single jar in the "file" field, reporting upload problems as bad requests
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function acceptJar(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    next(err instanceof multer.MulterError ? new BadRequestError(err.message, { field: err.field }) : err);
+  });
+}
+
+router.get('/', serverId, validate, requireServerRole('viewer'), asyncHandler(controller.listAddons));
+
+// Check access before accepting the upload
+router.post('/',
+  audit('addon.install', {
+    target: addonTarget,
+    details: req => ({
+      file: req.file ? req.file.originalname : undefined,
+      enabled: req.body.enabled !== 'false'
+    })
+  }),
+  serverId,
+  validate,
+  requireServerRole('admin'),
+  acceptJar,
+  asyncHandler(controller.installAddon));
+
+router.patch('/:file',
+  audit('addon.update', { target: addonTarget }),
+  serverId,
+  file,
+  body('enabled').isBoolean({ strict: true }),
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.updateAddon));
+
+router.delete('/:file',
+  audit('addon.remove', { target: addonTarget }),
+  serverId,
+  file,
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.removeAddon));
+
+module.exports = router;
@@ -0,0 +1,42 @@
+// src/routes/v1/audit.js
+const express = require('express');
+const { query } = require('express-validator');
+const controller = require('../../controllers/auditController');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+
+const router = express.Router();
+
+// Filters shared by the list and the export
+const filters = [
+  query('user').optional().isString().trim().notEmpty(),
+  query('server').optional().isMongoId(),
+  // Comma-separated actions; "server.*" matches every server action
+  query('action').optional()
+    .customSanitizer(value => String(value).split(',').map(action => action.trim()).filter(Boolean))
+    .custom(actions => actions.every(action => /^[a-z-]+(\.[a-z-]+)*(\.\*)?$/.test(action)))
+    .withMessage('Invalid action filter'),
+  query('outcome').optional().isIn(['success', 'failure']),
+  query('source').optional().isIn(['api', 'socket', 'scheduler']),
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate()
+];
+
+router.use(authenticate);
+router.use(requireRole('admin'));
+
+router.get('/',
+  ...filters,
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  validate,
+  asyncHandler(controller.listActions));
+
+router.get('/export',
+  ...filters,
+  query('format').optional().isIn(['csv', 'ndjson']),
+  validate,
+  asyncHandler(controller.exportActions));
+
+module.exports = router;
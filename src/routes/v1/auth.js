@@ -0,0 +1,36 @@
+// src/routes/v1/auth.js
+const express = require('express');
+const { body } = require('express-validator');
+const controller = require('../../controllers/authController');
+const { authenticate, authenticateCredentials } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+
+const router = express.Router();
+
+router.post('/register',
+  body('username').isString().trim().matches(/^[A-Za-z0-9_]{3,32}$/)
+    .withMessage('Username must be 3-32 letters, numbers or underscores'),
+  body('email').isEmail().normalizeEmail(),
+  body('password').isString().isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters'),
+  validate,
+  asyncHandler(controller.register));
+
+router.post('/login',
+  body('login').isString().trim().notEmpty(),
+  body('password').isString().notEmpty(),
+  validate,
+  authenticateCredentials,
+  asyncHandler(controller.login));
+
+router.post('/refresh',
+  body('refreshToken').isString().notEmpty(),
+  validate,
+  asyncHandler(controller.refresh));
+
+router.post('/logout', authenticate, asyncHandler(controller.logout));
+
+router.get('/me', authenticate, asyncHandler(controller.me));
+
+module.exports = router;
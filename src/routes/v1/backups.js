@@ -0,0 +1,73 @@
+// src/routes/v1/backups.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const controller = require('../../controllers/serverController');
+const backupController = require('../../controllers/backupController');
+const { ServerBackup } = require('../../models');
+const { authenticate, requireServerRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { audit } = require('../../middleware/audit');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { NotFoundError } = require('../../utils/errors');
+
+const router = express.Router();
+
+/**
+ * Resolve the server a backup belongs to
+ * @param {Object} req - Express request
+ * @returns {Promise<string>} Server ID
+ */
+async function backupServerId(req) {
+  const backup = await ServerBackup.findById(req.params.backupId).select('server');
+  if (!backup) {
+    throw new NotFoundError('Backup not found');
+  }
+  return backup.server.toString();
+}
+
+const backupId = param('backupId').isMongoId().withMessage('Invalid backup ID');
+
+/**
+ * Audit a backup action against the backup and its server
+ * @param {string} action - Action name
+ * @returns {Function} Audit middleware
+ */
+function auditBackup(action) {
+  return audit(action, { server: backupServerId, target: req => `backup:${req.params.backupId}` });
+}
+
+router.use(authenticate);
+
+router.post('/:backupId/restore',
+  auditBackup('backup.restore'),
+  backupId,
+  body('scopes').optional().isArray(),
+  body('scopes.*').isIn(['world', 'config', 'plugins']),
+  body('start').optional().isBoolean({ strict: true }),
+  validate,
+  requireServerRole('owner', backupServerId),
+  asyncHandler(controller.restoreBackup));
+
+router.post('/:backupId/verify',
+  auditBackup('backup.verify'),
+  backupId,
+  validate,
+  requireServerRole('admin', backupServerId),
+  asyncHandler(backupController.verifyBackup));
+
+router.patch('/:backupId',
+  auditBackup('backup.update'),
+  backupId,
+  body('pinned').isBoolean({ strict: true }),
+  validate,
+  requireServerRole('admin', backupServerId),
+  asyncHandler(backupController.updateBackup));
+
+router.delete('/:backupId',
+  auditBackup('backup.delete'),
+  backupId,
+  validate,
+  requireServerRole('owner', backupServerId),
+  asyncHandler(backupController.deleteBackup));
+
+module.exports = router;
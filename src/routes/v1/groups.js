@@ -0,0 +1,95 @@
+// src/routes/v1/groups.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const controller = require('../../controllers/groupController');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { audit } = require('../../middleware/audit');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+
+const router = express.Router();
+
+const PLAYER_NAME_PATTERN = /^\w{1,16}$/;
+const GROUP_NAME_PATTERN = /^[A-Za-z0-9 _-]{1,64}$/;
+
+const groupId = param('groupId').isMongoId().withMessage('Invalid group ID');
+const list = param('list').isIn(['whitelist', 'ops', 'banned-players', 'banned-ips']);
+const isList = name => (value, { req }) => req.params.list === name;
+const isPlayerList = (value, { req }) => req.params.list !== 'banned-ips';
+const isBanList = (value, { req }) => req.params.list.startsWith('banned-');
+
+const entryFields = [
+  body('name').if(isPlayerList).matches(PLAYER_NAME_PATTERN).withMessage('Invalid player name'),
+  body('ip').if(isList('banned-ips')).isIP().withMessage('Invalid IP address'),
+  body('level').if(isList('ops')).optional().isInt({ min: 0, max: 4 }).toInt(),
+  body('bypassesPlayerLimit').if(isList('ops')).optional().isBoolean({ strict: true }),
+  body('reason').if(isBanList).optional().isString().isLength({ max: 256 }),
+  body('expires').if(isBanList).optional().isISO8601()
+    .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future')
+];
+
+const members = [
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('servers').optional().isArray(),
+  body('servers.*').isMongoId().withMessage('Invalid server ID')
+];
+
+/**
+ * Audit a group action against the group
+ * @param {string} action - Action name
+ * @param {Object} [options] - Extra audit options
+ * @returns {Function} Audit middleware
+ */
+function auditGroup(action, options = {}) {
+  return audit(action, {
+    target: (req, body) => `group:${req.params.groupId || (body && body.data ? body.data.id : 'new')}`,
+    ...options
+  });
+}
+
+// Groups span servers, so only global admins manage them
+router.use(authenticate, requireRole('admin'));
+
+router.get('/', asyncHandler(controller.listGroups));
+
+router.post('/',
+  auditGroup('group.create'),
+  body('name').isString().trim().matches(GROUP_NAME_PATTERN)
+    .withMessage('Name may only contain letters, numbers, spaces, dashes and underscores'),
+  ...members,
+  validate,
+  asyncHandler(controller.createGroup));
+
+router.get('/:groupId', groupId, validate, asyncHandler(controller.getGroup));
+
+router.patch('/:groupId',
+  auditGroup('group.update'),
+  groupId,
+  body('name').optional().isString().trim().matches(GROUP_NAME_PATTERN)
+    .withMessage('Name may only contain letters, numbers, spaces, dashes and underscores'),
+  ...members,
+  validate,
+  asyncHandler(controller.updateGroup));
+
+router.delete('/:groupId', auditGroup('group.delete'), groupId, validate, asyncHandler(controller.deleteGroup));
+
+router.post('/:groupId/sync', auditGroup('group.sync'), groupId, validate, asyncHandler(controller.syncGroup));
+
+router.post('/:groupId/:list',
+  auditGroup('group.access.add'),
+  groupId,
+  list,
+  ...entryFields,
+  validate,
+  asyncHandler(controller.addEntry));
+
+router.delete('/:groupId/:list/:entry',
+  auditGroup('group.access.remove'),
+  groupId,
+  list,
+  param('entry').isString().isLength({ min: 1, max: 45 }).matches(/^[\w.:-]+$/)
+    .withMessage('Invalid player name or address'),
+  validate,
+  asyncHandler(controller.removeEntry));
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// src/routes/v1/index.js
+const express = require('express');
+const auth = require('./auth');
+const servers = require('./servers');
+const backups = require('./backups');
+const players = require('./players');
+const audit = require('./audit');
+const templates = require('./templates');
+const groups = require('./groups');
+const java = require('./java');
+
+const router = express.Router();
+
+router.use('/auth', auth);
+router.use('/servers', servers);
+router.use('/backups', backups);
+router.use('/players', players);
+router.use('/audit', audit);
+router.use('/templates', templates);
+router.use('/groups', groups);
+router.use('/java', java);
+
+module.exports = router;
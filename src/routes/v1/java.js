@@ -0,0 +1,20 @@
+// src/routes/v1/java.js
+const express = require('express');
+const { query } = require('express-validator');
+const controller = require('../../controllers/javaController');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Anyone who can create servers can see which runtimes they may choose
+router.get('/',
+  requireRole('admin', 'moderator'),
+  query('refresh').optional().isBoolean().toBoolean(),
+  validate,
+  asyncHandler(controller.listRuntimes));
+
+module.exports = router;
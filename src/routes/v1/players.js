@@ -0,0 +1,27 @@
+// src/routes/v1/players.js
+const express = require('express');
+const { param, query } = require('express-validator');
+const controller = require('../../controllers/playerController');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(requireRole('admin', 'moderator'));
+
+router.get('/',
+  query('server').optional().isMongoId(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  asyncHandler(controller.listPlayers));
+
+router.get('/:uuid',
+  param('uuid').isUUID(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  validate,
+  asyncHandler(controller.getPlayer));
+
+module.exports = router;
@@ -0,0 +1,85 @@
+// src/routes/v1/schedules.js
+// Mounted under /servers/:id/schedules
+const express = require('express');
+const { body, param } = require('express-validator');
+const controller = require('../../controllers/scheduleController');
+const { requireServerRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { audit } = require('../../middleware/audit');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { parseCron, isValidTimezone } = require('../../services/scheduler/cron');
+
+const router = express.Router({ mergeParams: true });
+
+const TASK_TYPES = ['backup', 'restart', 'command', 'broadcast'];
+
+const serverId = param('id').isMongoId().withMessage('Invalid server ID');
+const taskId = param('taskId').isMongoId().withMessage('Invalid task ID');
+
+// Task from the route, or from the response when creating one
+const taskTarget = (req, body) => `schedule:${req.params.taskId || (body && body.data ? body.data.id : 'new')}`;
+
+/**
+ * Validators shared by create and update; the expression and timezone are
+ * checked here so a bad schedule never reaches node-cron
+ * @param {boolean} optional - Whether the fields may be omitted
+ * @returns {Array} Validation chains
+ */
+function taskFields(optional) {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }),
+    field('schedule').isString().trim().custom((value) => {
+      parseCron(value);
+      return true;
+    }),
+    body('timezone').optional().isString().custom(isValidTimezone).withMessage('Unknown timezone'),
+    body('payload').optional().isObject(),
+    body('payload.command').optional().isString().trim().notEmpty(),
+    body('payload.message').optional().isString().trim().notEmpty(),
+    body('payload.name').optional().isString().trim().matches(/^[A-Za-z0-9_-]{1,64}$/),
+    body('enabled').optional().isBoolean({ strict: true }),
+    body('missedRuns').optional().isIn(['skip', 'run-once'])
+  ];
+}
+
+router.get('/', serverId, validate, requireServerRole('viewer'), asyncHandler(controller.listTasks));
+
+router.post('/',
+  audit('schedule.create', { target: taskTarget }),
+  serverId,
+  body('type').isIn(TASK_TYPES),
+  ...taskFields(false),
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.createTask));
+
+router.get('/:taskId', serverId, taskId, validate, requireServerRole('viewer'), asyncHandler(controller.getTask));
+
+router.patch('/:taskId',
+  audit('schedule.update', { target: taskTarget }),
+  serverId,
+  taskId,
+  ...taskFields(true),
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.updateTask));
+
+router.delete('/:taskId',
+  audit('schedule.delete', { target: taskTarget }),
+  serverId,
+  taskId,
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.deleteTask));
+
+router.post('/:taskId/run',
+  audit('schedule.run', { target: taskTarget }),
+  serverId,
+  taskId,
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.runTask));
+
+module.exports = router;
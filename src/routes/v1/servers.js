@@ -0,0 +1,290 @@
+// src/routes/v1/servers.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const controller = require('../../controllers/serverController');
+const playerController = require('../../controllers/playerController');
+const backupController = require('../../controllers/backupController');
+const monitorController = require('../../controllers/monitorController');
+const javaController = require('../../controllers/javaController');
+const schedules = require('./schedules');
+const addons = require('./addons');
+const worlds = require('./worlds');
+const access = require('./access');
+const trash = require('./trash');
+const { CLEANUP_TARGETS } = require('../../services/minecraft/trash');
+const { ALERT_METRICS } = require('../../services/monitor/alerts');
+const { authenticate, requireRole, requireRoleForFields, requireServerRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { audit, serverSettings } = require('../../middleware/audit');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+
+const router = express.Router();
+
+const SERVER_TYPES = ['vanilla', 'paper', 'spigot', 'forge', 'fabric'];
+const MEMORY_PATTERN = /^\d+[KMG]$/i;
+
+const serverId = param('id').isMongoId().withMessage('Invalid server ID');
+
+// Comma-separated log levels, e.g. ?level=WARN,ERROR
+const logLevels = query('level').optional()
+  .customSanitizer(value => String(value).toUpperCase().split(',').filter(Boolean))
+  .custom(levels => levels.every(level => ['TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'].includes(level)))
+  .withMessage('Unknown log level');
+
+// JVM flags and the Java binary run on the host, so only global admins choose them
+const hostSettings = requireRoleForFields(['jvmFlags', 'javaPath'], 'admin');
+
+// Settings a template provides are only required when it is not used
+const unlessTemplate = (value, { req }) => value !== undefined || !req.body.template;
+
+router.use(authenticate);
+
+router.get('/', asyncHandler(controller.listServers));
+
+router.post('/',
+  audit('server.create', { server: (req, body) => (body && body.data ? String(body.data._id) : null) }),
+  requireRole('admin', 'moderator'),
+  body('name').isString().trim().matches(/^[A-Za-z0-9_-]{1,64}$/)
+    .withMessage('Name may only contain letters, numbers, dashes and underscores'),
+  body('template').optional().isMongoId(),
+  body('version').if(unlessTemplate).isString().trim().notEmpty(),
+  body('type').if(unlessTemplate).isIn(SERVER_TYPES),
+  body('port').optional().isInt({ min: 1, max: 65535 }).toInt(),
+  body('memory.min').if(unlessTemplate).matches(MEMORY_PATTERN),
+  body('memory.max').if(unlessTemplate).matches(MEMORY_PATTERN),
+  body('jvmFlags').optional().isArray(),
+  body('jvmFlags.*').isString(),
+  body('javaPath').optional().isString().trim().notEmpty(),
+  body('autostart').optional().isBoolean({ strict: true }),
+  body('acceptEula').optional().isBoolean({ strict: true }),
+  body('maxPlayers').optional().isInt({ min: 1 }),
+  body('difficulty').optional().isIn(['peaceful', 'easy', 'normal', 'hard']),
+  body('gamemode').optional().isIn(['survival', 'creative', 'adventure', 'spectator']),
+  body('motd').optional().isString(),
+  validate,
+  hostSettings,
+  asyncHandler(controller.createServer));
+
+// Copying a server needs admin on it as well as the right to create servers
+router.post('/:id/clone',
+  audit('server.clone', {
+    details: (req, body) => ({ body: req.body, clone: body && body.data ? String(body.data._id) : undefined })
+  }),
+  serverId,
+  requireRole('admin', 'moderator'),
+  body('name').isString().trim().matches(/^[A-Za-z0-9_-]{1,64}$/)
+    .withMessage('Name may only contain letters, numbers, dashes and underscores'),
+  body('port').optional().isInt({ min: 1, max: 65535 }).toInt(),
+  body('includeWorld').optional().isBoolean({ strict: true }),
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.cloneServer));
+
+router.post('/stop-all',
+  audit('server.stop-all', { target: () => 'servers' }),
+  requireRole('admin'),
+  asyncHandler(controller.stopAllServers));
+
+router.get('/capacity', requireRole('admin', 'moderator'), asyncHandler(controller.getCapacity));
+
+router.use('/trash', trash);
+
+router.get('/:id', serverId, validate, requireServerRole('viewer'), asyncHandler(controller.getServer));
+
+router.patch('/:id',
+  audit('server.update', { snapshot: serverSettings }),
+  serverId,
+  body('autostart').optional().isBoolean({ strict: true }),
+  body('startup.order').optional().isInt().toInt(),
+  body('startup.delay').optional().isInt({ min: 0 }).toInt(),
+  body('memory.min').optional().matches(MEMORY_PATTERN),
+  body('memory.max').optional().matches(MEMORY_PATTERN),
+  body('jvmFlags').optional().isArray(),
+  body('jvmFlags.*').isString(),
+  // null goes back to picking a runtime automatically
+  body('javaPath').optional({ values: 'null' }).isString().trim().notEmpty(),
+  body('restartPolicy.mode').optional().isIn(['never', 'on-failure', 'always']),
+  body('restartPolicy.maxRestarts').optional().isInt({ min: 0 }).toInt(),
+  body('restartPolicy.window').optional().isInt({ min: 1000 }).toInt(),
+  body('restartPolicy.initialDelay').optional().isInt({ min: 0 }).toInt(),
+  body('restartPolicy.maxDelay').optional().isInt({ min: 0 }).toInt(),
+  body('backupRetention.enabled').optional().isBoolean({ strict: true }),
+  body(['backupRetention.keepLast', 'backupRetention.hourly', 'backupRetention.daily',
+    'backupRetention.weekly', 'backupRetention.monthly']).optional().isInt({ min: 0 }).toInt(),
+  body('alerts').optional().isArray({ max: 50 }),
+  body('alerts.*.metric').isIn(ALERT_METRICS),
+  body('alerts.*.operator').isIn(['above', 'below']),
+  body('alerts.*.threshold').isFloat().toFloat(),
+  body('alerts.*.duration').optional().isInt({ min: 0 }).toInt(),
+  body('alerts.*.enabled').optional().isBoolean({ strict: true }),
+  validate,
+  requireServerRole('admin'),
+  hostSettings,
+  asyncHandler(controller.updateServer));
+
+// Deleting moves the server to the trash; what else goes is the caller's choice
+router.delete('/:id',
+  audit('server.delete'),
+  serverId,
+  body('archive').optional().isBoolean({ strict: true }),
+  body('cleanup').optional().isArray(),
+  body('cleanup.*').isIn(CLEANUP_TARGETS),
+  validate,
+  requireServerRole('owner'),
+  asyncHandler(controller.deleteServer));
+
+router.post('/:id/rename',
+  audit('server.rename'),
+  serverId,
+  body('name').isString().trim().matches(/^[A-Za-z0-9_-]{1,64}$/)
+    .withMessage('Name may only contain letters, numbers, dashes and underscores'),
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.renameServer));
+
+router.get('/:id/java', serverId, validate, requireServerRole('viewer'), asyncHandler(javaController.getServerJava));
+
+router.get('/:id/properties', serverId, validate, requireServerRole('admin'), asyncHandler(controller.getProperties));
+
+router.put('/:id/properties',
+  audit('server.properties.update', { snapshot: serverSettings }),
+  serverId,
+  body('properties').isObject(),
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.updateProperties));
+
+router.delete('/:id/properties/pending',
+  audit('server.properties.discard', { snapshot: serverSettings }),
+  serverId,
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.discardPendingProperties));
+
+router.post('/:id/properties/sync',
+  audit('server.properties.sync', { snapshot: serverSettings }),
+  serverId,
+  body('source').isIn(['disk', 'database']),
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.syncProperties));
+
+router.post('/:id/start',
+  audit('server.start'),
+  serverId,
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.startServer));
+
+router.post('/:id/stop',
+  audit('server.stop'),
+  serverId,
+  body('force').optional().isBoolean({ strict: true }),
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.stopServer));
+
+router.post('/:id/restart',
+  audit('server.restart'),
+  serverId,
+  body('force').optional().isBoolean({ strict: true }),
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.restartServer));
+
+router.post('/:id/command',
+  audit('server.command'),
+  serverId,
+  body('command').isString().trim().notEmpty(),
+  validate,
+  requireServerRole('moderator'),
+  asyncHandler(controller.sendCommand));
+
+router.get('/:id/logs',
+  serverId,
+  query('type').optional().isIn(['stdout', 'stderr', 'command', 'system']),
+  logLevels,
+  query('search').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  validate,
+  requireServerRole('viewer'),
+  asyncHandler(controller.getLogs));
+
+router.get('/:id/logs/search',
+  serverId,
+  logLevels,
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate(),
+  query('search').optional().isString().isLength({ max: 200 }),
+  query('regex').optional().isString().isLength({ max: 100 }),
+  query('cursor').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  validate,
+  requireServerRole('viewer'),
+  asyncHandler(controller.searchLogs));
+
+router.get('/:id/crashes',
+  serverId,
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  requireServerRole('viewer'),
+  asyncHandler(controller.getCrashes));
+
+router.get('/:id/stats', serverId, validate, requireServerRole('viewer'), asyncHandler(monitorController.getStats));
+
+router.get('/:id/stats/history',
+  serverId,
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate(),
+  query('resolution').optional().isIn(['raw', '60', '900', '3600']),
+  validate,
+  requireServerRole('viewer'),
+  asyncHandler(monitorController.getHistory));
+
+router.get('/:id/players',
+  serverId,
+  validate,
+  requireServerRole('viewer'),
+  asyncHandler(playerController.getOnlinePlayers));
+
+router.use('/:id/schedules', schedules);
+
+router.use('/:id/:kind(plugins|mods)', addons);
+
+router.use('/:id/worlds', worlds);
+
+router.use('/:id/:list(whitelist|ops|banned-players|banned-ips)', access);
+
+router.get('/:id/backups', serverId, validate, requireServerRole('viewer'), asyncHandler(backupController.listBackups));
+
+router.post('/:id/backups',
+  audit('backup.create'),
+  serverId,
+  body('name').isString().trim().notEmpty(),
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.createBackup));
+
+router.post('/:id/backups/prune',
+  audit('backup.prune'),
+  serverId,
+  body('dryRun').optional().isBoolean({ strict: true }),
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(backupController.pruneBackups));
+
+router.post('/:id/backups/verify',
+  audit('backup.verify'),
+  serverId,
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(backupController.verifyServerBackups));
+
+router.post('/:id/restore/rollback',
+  audit('backup.rollback'),
+  serverId,
+  validate,
+  requireServerRole('owner'),
+  asyncHandler(controller.rollbackRestore));
+
+module.exports = router;
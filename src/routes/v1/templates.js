@@ -0,0 +1,137 @@
+// src/routes/v1/templates.js
+const os = require('os');
+const express = require('express');
+const multer = require('multer');
+const { body, param, query } = require('express-validator');
+const controller = require('../../controllers/templateController');
+const { ServerTemplate } = require('../../models');
+const { authenticate, requireRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { audit } = require('../../middleware/audit');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { BadRequestError } = require('../../utils/errors');
+const config = require('../../config').getConfig();
+
+const router = express.Router();
+
+const SERVER_TYPES = ['vanilla', 'paper', 'spigot', 'forge', 'fabric'];
+const MEMORY_PATTERN = /^\d+[KMG]$/i;
+
+const templateId = param('templateId').isMongoId().withMessage('Invalid template ID');
+
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: config.minecraft.addonMaxSize || 100 * 1024 * 1024,
+    files: 1
+  }
+});
+
+/**
+ * Snapshot the settings of the template in req.params.templateId
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Settings, or null if the template does not exist
+ */
+async function templateSettings(req) {
+  return ServerTemplate.findById(req.params.templateId)
+    .select('-_id name description type version memory jvmFlags properties').lean();
+}
+
+/**
+ * Audit a template action against the template
+ * @param {string} action - Action name
+ * @param {Object} [options] - Extra audit options
+ * @returns {Function} Audit middleware
+ */
+function auditTemplate(action, options = {}) {
+  return audit(action, {
+    target: (req, body) => `template:${req.params.templateId || (body && body.data ? body.data.id : 'new')}`,
+    ...options
+  });
+}
+
+/**
+ * Accept a single file in the "file" field, reporting upload problems as bad requests
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function acceptFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    next(err instanceof multer.MulterError ? new BadRequestError(err.message, { field: err.field }) : err);
+  });
+}
+
+// Settings shared by create and update; create makes name, type and version required
+const settings = [
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('memory.min').optional().matches(MEMORY_PATTERN),
+  body('memory.max').optional().matches(MEMORY_PATTERN),
+  body('jvmFlags').optional().isArray(),
+  body('jvmFlags.*').isString(),
+  body('properties').optional().isObject()
+];
+
+router.use(authenticate);
+
+// Anyone who can create servers can use templates; only admins change them
+router.get('/', requireRole('admin', 'moderator'), asyncHandler(controller.listTemplates));
+
+router.post('/',
+  auditTemplate('template.create'),
+  requireRole('admin'),
+  body('name').isString().trim().matches(/^[A-Za-z0-9 _-]{1,64}$/)
+    .withMessage('Name may only contain letters, numbers, spaces, dashes and underscores'),
+  body('type').isIn(SERVER_TYPES),
+  body('version').isString().trim().notEmpty(),
+  ...settings,
+  validate,
+  asyncHandler(controller.createTemplate));
+
+router.get('/:templateId',
+  templateId,
+  validate,
+  requireRole('admin', 'moderator'),
+  asyncHandler(controller.getTemplate));
+
+router.patch('/:templateId',
+  auditTemplate('template.update', { snapshot: templateSettings }),
+  templateId,
+  body('name').optional().isString().trim().matches(/^[A-Za-z0-9 _-]{1,64}$/)
+    .withMessage('Name may only contain letters, numbers, spaces, dashes and underscores'),
+  body('type').optional().isIn(SERVER_TYPES),
+  body('version').optional().isString().trim().notEmpty(),
+  ...settings,
+  validate,
+  requireRole('admin'),
+  asyncHandler(controller.updateTemplate));
+
+router.delete('/:templateId',
+  auditTemplate('template.delete'),
+  templateId,
+  validate,
+  requireRole('admin'),
+  asyncHandler(controller.deleteTemplate));
+
+// Check access before accepting the upload
+router.post('/:templateId/files',
+  auditTemplate('template.file.add', {
+    details: req => ({ path: req.body.path, file: req.file ? req.file.originalname : undefined })
+  }),
+  templateId,
+  validate,
+  requireRole('admin'),
+  acceptFile,
+  body('path').isString().trim().notEmpty(),
+  validate,
+  asyncHandler(controller.addFile));
+
+router.delete('/:templateId/files',
+  auditTemplate('template.file.remove', { details: req => ({ path: req.query.path }) }),
+  templateId,
+  query('path').isString().trim().notEmpty(),
+  validate,
+  requireRole('admin'),
+  asyncHandler(controller.removeFile));
+
+module.exports = router;
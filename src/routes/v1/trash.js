@@ -0,0 +1,34 @@
+// src/routes/v1/trash.js
+// Mounted under /servers/trash; deleted servers keep their IDs
+const express = require('express');
+const { body, param } = require('express-validator');
+const controller = require('../../controllers/trashController');
+const { requireRole, requireServerRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { audit } = require('../../middleware/audit');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+
+const router = express.Router();
+
+const serverId = param('id').isMongoId().withMessage('Invalid server ID');
+
+router.get('/', requireRole('admin', 'moderator'), asyncHandler(controller.listTrash));
+
+// Owners keep their role on a deleted server until it is purged
+router.post('/:id/undelete',
+  audit('server.undelete'),
+  serverId,
+  body('name').optional().isString().trim().matches(/^[A-Za-z0-9_-]{1,64}$/)
+    .withMessage('Name may only contain letters, numbers, dashes and underscores'),
+  validate,
+  requireServerRole('owner'),
+  asyncHandler(controller.undeleteServer));
+
+router.delete('/:id',
+  audit('server.purge'),
+  serverId,
+  validate,
+  requireServerRole('owner'),
+  asyncHandler(controller.purgeServer));
+
+module.exports = router;
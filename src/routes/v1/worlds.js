@@ -0,0 +1,84 @@
+// src/routes/v1/worlds.js
+// Mounted under /servers/:id/worlds
+const os = require('os');
+const express = require('express');
+const multer = require('multer');
+const { body, param } = require('express-validator');
+const controller = require('../../controllers/worldController');
+const { requireServerRole } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { audit } = require('../../middleware/audit');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { BadRequestError } = require('../../utils/errors');
+const config = require('../../config').getConfig();
+
+const router = express.Router({ mergeParams: true });
+
+const WORLD_NAME_PATTERN = /^(?!\.)[\w .-]{1,64}$/;
+
+const serverId = param('id').isMongoId().withMessage('Invalid server ID');
+const world = param('world').matches(WORLD_NAME_PATTERN).withMessage('Invalid world name');
+
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: config.minecraft.worldMaxSize || 2 * 1024 * 1024 * 1024,
+    files: 1
+  }
+});
+
+// world:<name>; uploads are named after the requested or uploaded name
+const worldTarget = req => `world:${req.params.world || req.body.name || (req.file ? req.file.originalname : 'upload')}`;
+
+/**
+ * Accept a single zip in the "file" field, reporting upload problems as bad requests
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function acceptZip(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    next(err instanceof multer.MulterError ? new BadRequestError(err.message, { field: err.field }) : err);
+  });
+}
+
+router.get('/', serverId, validate, requireServerRole('viewer'), asyncHandler(controller.listWorlds));
+
+router.get('/:world/download',
+  serverId,
+  world,
+  validate,
+  requireServerRole('admin'),
+  asyncHandler(controller.downloadWorld));
+
+// Check access before accepting the upload
+router.post('/',
+  audit('world.upload', {
+    target: worldTarget,
+    details: req => ({
+      file: req.file ? req.file.originalname : undefined,
+      name: req.body.name,
+      replace: req.body.replace === 'true',
+      activate: req.body.activate === 'true'
+    })
+  }),
+  serverId,
+  validate,
+  requireServerRole('admin'),
+  acceptZip,
+  body('name').optional().matches(WORLD_NAME_PATTERN).withMessage('Invalid world name'),
+  body(['replace', 'activate']).optional().isIn(['true', 'false']),
+  validate,
+  asyncHandler(controller.uploadWorld));
+
+router.post('/:world/reset',
+  audit('world.reset', { target: worldTarget }),
+  serverId,
+  world,
+  body('seed').optional().isString().isLength({ max: 64 }),
+  body('keepDatapacks').optional().isBoolean({ strict: true }),
+  validate,
+  requireServerRole('owner'),
+  asyncHandler(controller.resetWorld));
+
+module.exports = router;
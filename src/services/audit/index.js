@@ -0,0 +1,289 @@
+// src/services/audit/index.js
+//
+// Audit trail in ActionLog: who changed what through the API, the console
+// socket or the scheduler, with the outcome and a diff of changed settings.
+const mongoose = require('mongoose');
+const { logger } = require('../../utils/logger');
+const { ActionLog } = require('../../models');
+const config = require('../../config').getConfig();
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 90;
+
+// How often entries older than the retention window are deleted
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+// Values stored under matching keys or paths are replaced
+const SECRET_PATTERN = /password|secret|token/i;
+const REDACTED = '[redacted]';
+
+const CSV_COLUMNS = ['at', 'user', 'username', 'source', 'action', 'target', 'server', 'outcome', 'statusCode', 'error', 'ip', 'changes', 'details'];
+
+let pruneTimer = null;
+
+/**
+ * Check for a plain object (not an array, date or ObjectId)
+ * @param {*} value - Value
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && value.constructor === Object;
+}
+
+/**
+ * Replace secrets in a value before it is stored
+ * @param {*} value - Value
+ * @returns {*} Copy without secrets
+ */
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!isPlainObject(value)) return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, nested]) => [
+    key,
+    SECRET_PATTERN.test(key) ? REDACTED : redact(nested)
+  ]));
+}
+
+/**
+ * Flatten nested objects to dotted paths; arrays and scalars are leaves
+ * @param {*} value - Value
+ * @param {string} [prefix=''] - Path of the value
+ * @param {Object} [paths={}] - Accumulated paths
+ * @returns {Object} Path -> value
+ */
+function flatten(value, prefix = '', paths = {}) {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    for (const [key, nested] of Object.entries(value)) {
+      flatten(nested, prefix ? `${prefix}.${key}` : key, paths);
+    }
+  } else if (prefix) {
+    paths[prefix] = value;
+  }
+  return paths;
+}
+
+/**
+ * List the paths whose values differ between two states
+ * @param {Object|null} before - State before the action
+ * @param {Object|null} after - State after the action
+ * @returns {Array<Object>} { path, before, after } per changed path
+ */
+function diffObjects(before, after) {
+  const old = flatten(before || {});
+  const current = flatten(after || {});
+  const changes = [];
+
+  for (const path of new Set([...Object.keys(old), ...Object.keys(current)])) {
+    if (JSON.stringify(old[path]) === JSON.stringify(current[path])) continue;
+
+    const secret = SECRET_PATTERN.test(path);
+    changes.push({
+      path,
+      before: secret && old[path] !== undefined ? REDACTED : old[path],
+      after: secret && current[path] !== undefined ? REDACTED : current[path]
+    });
+  }
+  return changes;
+}
+
+/**
+ * Write an audit entry. Failures are logged, never thrown, so auditing
+ * cannot break the action itself.
+ * @param {Object} entry - Entry
+ * @param {Object} [entry.user] - User document of the actor
+ * @param {string} entry.action - Action name, e.g. server.stop
+ * @param {string} entry.target - What the action applied to, e.g. server:<id>
+ * @param {string} [entry.server] - Server ID the action concerns
+ * @param {string} [entry.source='api'] - api, socket or scheduler
+ * @param {boolean} entry.success - Whether the action succeeded
+ * @param {number} [entry.statusCode] - HTTP status of the response
+ * @param {string} [entry.error] - Error message of a failed action
+ * @param {Array<Object>} [entry.changes] - Changed settings from diffObjects
+ * @param {Object} [entry.details] - Request details
+ * @param {string} [entry.ip] - Source IP
+ * @returns {Promise<void>}
+ */
+async function recordAction(entry) {
+  try {
+    await ActionLog.create({
+      user: entry.user ? entry.user._id : undefined,
+      username: entry.user ? entry.user.username : undefined,
+      source: entry.source || 'api',
+      action: entry.action,
+      target: entry.target,
+      server: entry.server && mongoose.isValidObjectId(entry.server) ? entry.server : undefined,
+      outcome: entry.success ? 'success' : 'failure',
+      statusCode: entry.statusCode,
+      error: entry.error,
+      changes: entry.changes && entry.changes.length > 0 ? entry.changes : undefined,
+      details: entry.details ? redact(entry.details) : undefined,
+      ip: entry.ip
+    });
+  } catch (error) {
+    logger.error(`Failed to record ${entry.action} on ${entry.target} in the audit log:`, error);
+  }
+}
+
+/**
+ * Build a query from filters
+ * @param {Object} filters - Filters
+ * @param {string} [filters.user] - User ID or username
+ * @param {string} [filters.server] - Server ID
+ * @param {Array<string>} [filters.actions] - Action names; "server.*" matches a prefix
+ * @param {string} [filters.outcome] - success or failure
+ * @param {string} [filters.source] - api, socket or scheduler
+ * @param {Date} [filters.from] - Earliest time
+ * @param {Date} [filters.to] - Latest time
+ * @returns {Object} MongoDB query
+ */
+function buildQuery(filters = {}) {
+  const query = {};
+
+  if (filters.user) {
+    if (mongoose.isValidObjectId(filters.user)) {
+      query.user = filters.user;
+    } else {
+      query.username = filters.user;
+    }
+  }
+  if (filters.server) query.server = filters.server;
+  if (filters.outcome) query.outcome = filters.outcome;
+  if (filters.source) query.source = filters.source;
+
+  if (filters.actions && filters.actions.length > 0) {
+    query.$or = filters.actions.map(action => (action.endsWith('.*')
+      ? { action: new RegExp(`^${action.slice(0, -1).replace(/[.+?^${}()|[\]\\]/g, '\\$&')}`) }
+      : { action }));
+  }
+
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) query.createdAt.$gte = filters.from;
+    if (filters.to) query.createdAt.$lte = filters.to;
+  }
+
+  return query;
+}
+
+/**
+ * Format an entry for API responses and exports
+ * @param {Object} entry - ActionLog document or lean object
+ * @returns {Object} Entry
+ */
+function formatAction(entry) {
+  return {
+    id: entry._id,
+    at: entry.createdAt,
+    user: entry.user || null,
+    username: entry.username || null,
+    source: entry.source,
+    action: entry.action,
+    target: entry.target,
+    server: entry.server || null,
+    outcome: entry.outcome,
+    statusCode: entry.statusCode,
+    error: entry.error,
+    ip: entry.ip,
+    changes: entry.changes || [],
+    details: entry.details
+  };
+}
+
+/**
+ * Query the audit log, newest first
+ * @param {Object} filters - Filters, see buildQuery
+ * @param {Object} [options] - Paging
+ * @param {number} [options.limit=50] - Page size
+ * @param {number} [options.offset=0] - Entries to skip
+ * @returns {Promise<Object>} { total, limit, offset, entries }
+ */
+async function queryActions(filters, options = {}) {
+  const query = buildQuery(filters);
+  const limit = options.limit || 50;
+  const offset = options.offset || 0;
+
+  const [total, entries] = await Promise.all([
+    ActionLog.countDocuments(query),
+    ActionLog.find(query).sort({ createdAt: -1 }).skip(offset).limit(limit).lean()
+  ]);
+
+  return { total, limit, offset, entries: entries.map(formatAction) };
+}
+
+/**
+ * Quote a CSV field. Fields that a spreadsheet would run as a formula get a leading quote.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : value;
+  text = typeof text === 'object' ? JSON.stringify(text) : String(text);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export the audit log, newest first, one entry at a time
+ * @param {Object} filters - Filters, see buildQuery
+ * @param {string} format - csv or ndjson
+ * @yields {string} Lines of output
+ */
+async function* exportActions(filters, format) {
+  if (format === 'csv') {
+    yield `${CSV_COLUMNS.join(',')}\n`;
+  }
+
+  const cursor = ActionLog.find(buildQuery(filters)).sort({ createdAt: -1 }).lean().cursor();
+  for await (const entry of cursor) {
+    const action = formatAction(entry);
+    yield format === 'csv'
+      ? `${CSV_COLUMNS.map(column => csvField(action[column])).join(',')}\n`
+      : `${JSON.stringify(action)}\n`;
+  }
+}
+
+/**
+ * Delete entries older than MC_AUDIT_RETENTION_DAYS; 0 keeps everything
+ * @returns {Promise<number>} Entries deleted
+ */
+async function pruneActions() {
+  const days = config.minecraft.auditRetentionDays !== undefined
+    ? Number(config.minecraft.auditRetentionDays)
+    : DEFAULT_RETENTION_DAYS;
+  if (!days) return 0;
+
+  const { deletedCount } = await ActionLog.deleteMany({ createdAt: { $lt: new Date(Date.now() - days * DAY) } });
+  if (deletedCount > 0) {
+    logger.info(`Deleted ${deletedCount} audit log entries older than ${days} days`);
+  }
+  return deletedCount;
+}
+
+/**
+ * Prune the audit log now and every hour
+ */
+function startAuditRetention() {
+  const prune = () => pruneActions().catch(error => logger.error('Failed to prune the audit log:', error));
+  prune();
+  pruneTimer = setInterval(prune, PRUNE_INTERVAL);
+}
+
+/**
+ * Stop pruning the audit log
+ */
+function stopAuditRetention() {
+  clearInterval(pruneTimer);
+  pruneTimer = null;
+}
+
+module.exports = {
+  diffObjects,
+  recordAction,
+  queryActions,
+  exportActions,
+  startAuditRetention,
+  stopAuditRetention
+};
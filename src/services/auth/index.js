@@ -0,0 +1,184 @@
+// src/services/auth/index.js
+const jwt = require('jsonwebtoken');
+const { logger } = require('../../utils/logger');
+const { User } = require('../../models');
+const { ConflictError, UnauthorizedError } = require('../../utils/errors');
+const config = require('../../config').getConfig();
+
+const jwtConfig = config.jwt || {};
+const ACCESS_SECRET = jwtConfig.secret;
+const ACCESS_EXPIRY = jwtConfig.expiry || '24h';
+const REFRESH_SECRET = jwtConfig.refreshSecret || `${ACCESS_SECRET}:refresh`;
+const REFRESH_EXPIRY = jwtConfig.refreshExpiry || '30d';
+
+/**
+ * Issue an access and refresh token pair for a user
+ * @param {Object} user - User document
+ * @returns {Object} Tokens and expiry information
+ */
+function issueTokens(user) {
+  const accessToken = jwt.sign(
+    { sub: user._id.toString(), role: user.role, ver: user.tokenVersion, type: 'access' },
+    ACCESS_SECRET,
+    { expiresIn: ACCESS_EXPIRY }
+  );
+
+  const refreshToken = jwt.sign(
+    { sub: user._id.toString(), ver: user.tokenVersion, type: 'refresh' },
+    REFRESH_SECRET,
+    { expiresIn: REFRESH_EXPIRY }
+  );
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_EXPIRY
+  };
+}
+
+/**
+ * Verify an access token and return its payload
+ * @param {string} token - Access token
+ * @returns {Object} Token payload
+ */
+function verifyAccessToken(token) {
+  try {
+    const payload = jwt.verify(token, ACCESS_SECRET);
+    if (payload.type !== 'access') {
+      throw new Error('Not an access token');
+    }
+    return payload;
+  } catch (error) {
+    throw new UnauthorizedError('Invalid or expired access token');
+  }
+}
+
+/**
+ * Check whether an error is a unique index violation on a field
+ * @param {Error} error - Error from a save
+ * @param {string} field - Indexed field
+ * @returns {boolean} Whether the field's unique index rejected the document
+ */
+function isDuplicateKey(error, field) {
+  return error.code === 11000 && Boolean(error.keyPattern && error.keyPattern[field]);
+}
+
+/**
+ * Register a new user
+ * @param {Object} userData - Username, email and password
+ * @returns {Promise<Object>} Created user and tokens
+ */
+async function register(userData) {
+  try {
+    const { username, email, password } = userData;
+
+    const existing = await User.findOne({ $or: [{ username }, { email: email.toLowerCase() }] });
+    if (existing) {
+      throw new ConflictError('Username or email is already registered');
+    }
+
+    const fields = { username, email, password, lastLogin: Date.now() };
+
+    // The first account becomes the administrator so the manager can be bootstrapped.
+    // Concurrent first registrations race for the unique bootstrap marker; the losers become users.
+    let user = null;
+    if ((await User.estimatedDocumentCount()) === 0) {
+      try {
+        user = await new User({ ...fields, role: 'admin', bootstrapAdmin: true }).save();
+      } catch (error) {
+        if (!isDuplicateKey(error, 'bootstrapAdmin')) throw error;
+      }
+    }
+    const isFirstUser = Boolean(user);
+
+    if (!user) {
+      user = await new User({ ...fields, role: 'user' }).save();
+    }
+
+    logger.info(`Registered user ${username}${isFirstUser ? ' as administrator' : ''}`);
+
+    return { user, ...issueTokens(user) };
+  } catch (error) {
+    logger.error('Failed to register user:', error);
+    // Someone registered the same name between the check and the insert
+    if (isDuplicateKey(error, 'username') || isDuplicateKey(error, 'email')) {
+      throw new ConflictError('Username or email is already registered');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check a username or email and password
+ * @param {string} login - Username or email
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Object|null>} User if the credentials match
+ */
+async function verifyCredentials(login, password) {
+  const user = await User.findOne({
+    $or: [{ username: login }, { email: login.toLowerCase() }]
+  });
+
+  if (!user || !(await user.comparePassword(password))) {
+    return null;
+  }
+
+  return user;
+}
+
+/**
+ * Issue tokens for an authenticated user and record the login
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} User and tokens
+ */
+async function login(user) {
+  user.lastLogin = Date.now();
+  await user.save();
+
+  return { user, ...issueTokens(user) };
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object>} User and tokens
+ */
+async function refresh(refreshToken) {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, REFRESH_SECRET);
+  } catch (error) {
+    throw new UnauthorizedError('Invalid or expired refresh token');
+  }
+
+  if (payload.type !== 'refresh') {
+    throw new UnauthorizedError('Invalid or expired refresh token');
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user || user.tokenVersion !== payload.ver) {
+    throw new UnauthorizedError('Refresh token has been revoked');
+  }
+
+  return { user, ...issueTokens(user) };
+}
+
+/**
+ * Revoke every access and refresh token issued to a user
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+async function logout(user) {
+  user.tokenVersion += 1;
+  await user.save();
+}
+
+module.exports = {
+  register,
+  verifyCredentials,
+  login,
+  refresh,
+  logout,
+  verifyAccessToken
+};
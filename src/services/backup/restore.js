@@ -0,0 +1,184 @@
+// src/services/backup/restore.js
+const fs = require('fs-extra');
+const path = require('path');
+const { extractZip } = require('../../utils/zip');
+
+// Root-level files considered server configuration
+const CONFIG_FILE_PATTERN = /\.(properties|ya?ml|json|toml|txt|conf|cfg)$/i;
+
+// Scopes that can be restored on their own
+const RESTORE_SCOPES = ['world', 'config', 'plugins'];
+
+/**
+ * Read the level name from a server.properties file
+ * @param {string} root - Server directory
+ * @returns {Promise<string>} Level name
+ */
+async function readLevelName(root) {
+  const propertiesPath = path.join(root, 'server.properties');
+  if (!(await fs.pathExists(propertiesPath))) {
+    return 'world';
+  }
+
+  const content = await fs.readFile(propertiesPath, 'utf8');
+  const match = content.match(/^level-name=(.*)$/m);
+  return match && match[1].trim() ? match[1].trim() : 'world';
+}
+
+/**
+ * List the top-level entries of a server directory that belong to a scope
+ * @param {string} root - Server directory
+ * @param {string} scope - Restore scope (world, config, plugins)
+ * @param {string} levelName - Level name of the world
+ * @returns {Promise<Array<string>>} Matching entry names
+ */
+async function entriesForScope(root, scope, levelName) {
+  if (!(await fs.pathExists(root))) {
+    return [];
+  }
+
+  const entries = await fs.readdir(root, { withFileTypes: true });
+
+  switch (scope) {
+    case 'world': {
+      const worlds = [levelName, `${levelName}_nether`, `${levelName}_the_end`];
+      return entries.filter(e => e.isDirectory() && worlds.includes(e.name)).map(e => e.name);
+    }
+
+    case 'config':
+      return entries
+        .filter(e => (e.isFile() && CONFIG_FILE_PATTERN.test(e.name)) || (e.isDirectory() && e.name === 'config'))
+        .map(e => e.name);
+
+    case 'plugins':
+      return entries
+        .filter(e => e.isDirectory() && ['plugins', 'mods'].includes(e.name))
+        .map(e => e.name);
+
+    default:
+      throw new Error(`Unknown restore scope: ${scope}`);
+  }
+}
+
+/**
+ * Extract a backup archive into a staging directory, checking every entry's
+ * path and CRC as it is streamed out
+ * @param {string} archivePath - Backup archive
+ * @param {string} stagingDir - Directory to extract into
+ * @returns {Promise<string>} Root of the extracted server files
+ */
+async function extractBackup(archivePath, stagingDir) {
+  if (!(await fs.pathExists(archivePath))) {
+    throw new Error(`Backup archive not found at ${archivePath}`);
+  }
+
+  // The archive may not expand to more than the staging volume can hold
+  await fs.ensureDir(stagingDir);
+  const { bavail, bsize } = await fs.statfs(stagingDir);
+
+  let entries;
+  try {
+    entries = await extractZip(archivePath, stagingDir, { maxSize: bavail * bsize });
+  } catch (error) {
+    throw new Error(`Backup archive failed integrity check: ${error.message}`);
+  }
+  if (entries.length === 0) {
+    throw new Error('Backup archive is empty');
+  }
+
+  // Archives may wrap the server files in a single top-level directory
+  const extracted = await fs.readdir(stagingDir, { withFileTypes: true });
+  if (extracted.length === 1 && extracted[0].isDirectory()) {
+    return path.join(stagingDir, extracted[0].name);
+  }
+
+  return stagingDir;
+}
+
+/**
+ * Verify that extracted backup contents cover the requested scopes
+ * @param {string} root - Root of the extracted server files
+ * @param {Array<string>} scopes - Requested scopes, empty for a full restore
+ * @returns {Promise<void>}
+ */
+async function verifyExtracted(root, scopes) {
+  const levelName = await readLevelName(root);
+
+  const checks = scopes.length > 0 ? scopes : ['world'];
+  for (const scope of checks) {
+    const entries = await entriesForScope(root, scope, levelName);
+    if (entries.length === 0) {
+      throw new Error(`Backup does not contain any ${scope} files`);
+    }
+  }
+
+  if (checks.includes('world')
+    && !(await fs.pathExists(path.join(root, levelName, 'level.dat')))) {
+    throw new Error(`Backup world "${levelName}" is missing level.dat`);
+  }
+}
+
+/**
+ * Build the directory that will replace the live server directory
+ * @param {string} liveDir - Live server directory
+ * @param {string} extractedRoot - Root of the extracted backup
+ * @param {string} candidateDir - Directory to assemble the result in
+ * @param {Array<string>} scopes - Scopes to restore, empty for a full restore
+ * @returns {Promise<string>} Directory ready to be swapped in
+ */
+async function assembleRestore(liveDir, extractedRoot, candidateDir, scopes) {
+  if (scopes.length === 0) {
+    return extractedRoot;
+  }
+
+  // Selective restores start from the live files and replace only the chosen scopes
+  await fs.copy(liveDir, candidateDir);
+
+  const liveLevel = await readLevelName(liveDir);
+  const backupLevel = await readLevelName(extractedRoot);
+
+  for (const scope of scopes) {
+    for (const entry of await entriesForScope(candidateDir, scope, liveLevel)) {
+      await fs.remove(path.join(candidateDir, entry));
+    }
+    for (const entry of await entriesForScope(extractedRoot, scope, backupLevel)) {
+      await fs.copy(path.join(extractedRoot, entry), path.join(candidateDir, entry));
+    }
+  }
+
+  return candidateDir;
+}
+
+/**
+ * Swap a prepared directory into place, keeping the old one as a snapshot
+ * @param {string} liveDir - Live server directory
+ * @param {string} replacementDir - Directory to move into place
+ * @param {string} snapshotDir - Where to keep the previous live directory
+ * @returns {Promise<void>}
+ */
+async function swapDirectories(liveDir, replacementDir, snapshotDir) {
+  const hadLive = await fs.pathExists(liveDir);
+
+  if (hadLive) {
+    await fs.rename(liveDir, snapshotDir);
+  }
+
+  try {
+    await fs.rename(replacementDir, liveDir);
+  } catch (error) {
+    // Put the original directory back before reporting the failure
+    if (hadLive) {
+      await fs.rename(snapshotDir, liveDir);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  RESTORE_SCOPES,
+  readLevelName,
+  extractBackup,
+  verifyExtracted,
+  assembleRestore,
+  swapDirectories
+};
@@ -0,0 +1,63 @@
+// src/services/backup/retention.js
+//
+// Grandfather-father-son retention. For each period type the newest backup
+// of every period inside its window is kept: with hourly 24, daily 14 and
+// weekly 13, that is one backup per hour for a day, one per day for two weeks
+// and one per week for three months. Periods are calendar periods in UTC.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const PERIODS = {
+  hourly: { length: HOUR, key: date => date.toISOString().slice(0, 13) },
+  daily: { length: DAY, key: date => date.toISOString().slice(0, 10) },
+  // ISO weeks start on Monday; the epoch was a Thursday
+  weekly: { length: 7 * DAY, key: date => String(Math.floor((Math.floor(date.getTime() / DAY) + 3) / 7)) },
+  monthly: { length: 30 * DAY, key: date => date.toISOString().slice(0, 7) }
+};
+
+const DEFAULT_POLICY = {
+  keepLast: 1,
+  hourly: 24,
+  daily: 14,
+  weekly: 13,
+  monthly: 0
+};
+
+/**
+ * Decide which backups a retention policy keeps
+ * @param {Array<Object>} backups - Backups with _id, createdAt and pinned
+ * @param {Object} [policy] - keepLast and the number of hours, days, weeks and months to keep
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Object} { keep, remove } lists of backups, newest first
+ */
+function applyRetention(backups, policy = {}, now = new Date()) {
+  const settings = { ...DEFAULT_POLICY, ...policy };
+  const sorted = [...backups].sort((a, b) => b.createdAt - a.createdAt);
+  const kept = new Set(sorted.slice(0, settings.keepLast));
+
+  for (const [name, period] of Object.entries(PERIODS)) {
+    const window = settings[name] * period.length;
+    const seen = new Set();
+
+    for (const backup of sorted) {
+      if (now - backup.createdAt >= window) break;
+
+      const key = period.key(backup.createdAt);
+      if (!seen.has(key)) {
+        seen.add(key);
+        kept.add(backup);
+      }
+    }
+  }
+
+  return {
+    keep: sorted.filter(backup => kept.has(backup) || backup.pinned),
+    remove: sorted.filter(backup => !kept.has(backup) && !backup.pinned)
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  applyRetention
+};
@@ -0,0 +1,282 @@
+// src/services/backup/snapshots.js
+//
+// Backup records on top of the chunk store: creating snapshots, pruning them
+// with each server's retention policy, and checking that they restore.
+// Backups made before the store existed are zip archives and remain usable.
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('../../utils/logger');
+const { MinecraftServer, ServerBackup } = require('../../models');
+const { NotFoundError } = require('../../utils/errors');
+const { manifestPathFor, writeSnapshot, restoreSnapshot, collectGarbage } = require('./store');
+const { applyRetention } = require('./retention');
+const { extractBackup, verifyExtracted } = require('./restore');
+const config = require('../../config').getConfig();
+
+const STORE_DIR = path.join(config.minecraft.backupsDir, 'store');
+
+/**
+ * Format a backup for API responses
+ * @param {Object} backup - ServerBackup document
+ * @returns {Object} Backup
+ */
+function formatBackup(backup) {
+  return {
+    id: backup._id,
+    name: backup.name,
+    format: backup.format,
+    size: backup.size,
+    stats: backup.stats,
+    scheduled: backup.scheduled,
+    pinned: backup.pinned,
+    verification: backup.verification,
+    createdAt: backup.createdAt
+  };
+}
+
+/**
+ * Find a backup
+ * @param {string} backupId - Backup ID
+ * @returns {Promise<Object>} ServerBackup document
+ */
+async function findBackup(backupId) {
+  const backup = await ServerBackup.findById(backupId);
+  if (!backup) {
+    throw new NotFoundError('Backup not found');
+  }
+  return backup;
+}
+
+/**
+ * Snapshot a server's directory into the store and record the backup.
+ * The caller is responsible for pausing world saves on a running server.
+ * @param {Object} server - MinecraftServer document
+ * @param {string} name - Backup name
+ * @param {Object} [options] - Backup options
+ * @param {boolean} [options.scheduled] - Whether a scheduled task made the backup
+ * @returns {Promise<Object>} ServerBackup document
+ */
+async function createSnapshot(server, name, options = {}) {
+  const manifestPath = manifestPathFor(STORE_DIR, server._id.toString(), name);
+  const stats = await writeSnapshot(STORE_DIR, server.path, manifestPath);
+
+  try {
+    const backup = await ServerBackup.create({
+      server: server._id,
+      name,
+      path: manifestPath,
+      size: stats.size,
+      format: 'manifest',
+      stats: {
+        files: stats.files,
+        chunks: stats.chunks,
+        newChunks: stats.newChunks,
+        storedSize: stats.storedSize
+      },
+      scheduled: options.scheduled === true
+    });
+
+    logger.info(`Backed up ${server.name}: ${stats.files} files, ${stats.size} bytes, ${stats.newChunks} new chunks (${stats.storedSize} bytes stored)`);
+    return backup;
+  } catch (error) {
+    // Without a record the manifest would only pin chunks
+    await fs.remove(manifestPath);
+    throw error;
+  }
+}
+
+/**
+ * Put a backup's files into a staging directory, whatever its format
+ * @param {Object} backup - ServerBackup document
+ * @param {string} stagingDir - Directory to write into
+ * @returns {Promise<string>} Root of the server files
+ */
+async function stageBackup(backup, stagingDir) {
+  if (backup.format === 'manifest') {
+    return restoreSnapshot(STORE_DIR, backup.path, stagingDir);
+  }
+  return extractBackup(backup.path, stagingDir);
+}
+
+/**
+ * Delete a backup's files and record
+ * @param {Object} backup - ServerBackup document
+ */
+async function removeBackup(backup) {
+  await fs.remove(backup.path);
+  await backup.deleteOne();
+}
+
+/**
+ * List a server's backups, newest first
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Array>} Backups
+ */
+async function listBackups(serverId) {
+  const backups = await ServerBackup.find({ server: serverId }).sort({ createdAt: -1 });
+  return backups.map(formatBackup);
+}
+
+/**
+ * Remove the backups a server's retention policy no longer keeps, then
+ * delete chunks nothing refers to
+ * @param {string} serverId - Server ID
+ * @param {Object} [options] - Prune options
+ * @param {boolean} [options.dryRun] - Only report what would be removed
+ * @returns {Promise<Object>} Kept and removed backups and bytes freed
+ */
+async function pruneBackups(serverId, options = {}) {
+  try {
+    const server = await MinecraftServer.findById(serverId);
+    if (!server) {
+      throw new NotFoundError('Server not found');
+    }
+
+    const policy = server.toObject().backupRetention || {};
+    if (policy.enabled === false && !options.dryRun) {
+      return { enabled: false, kept: [], removed: [], freed: 0 };
+    }
+
+    const { keep, remove } = applyRetention(await ServerBackup.find({ server: server._id }), policy);
+    const result = {
+      enabled: policy.enabled !== false,
+      kept: keep.map(formatBackup),
+      removed: remove.map(formatBackup),
+      freed: 0
+    };
+    if (options.dryRun || remove.length === 0) {
+      return result;
+    }
+
+    for (const backup of remove) {
+      await removeBackup(backup);
+    }
+    result.freed = (await collectGarbage(STORE_DIR)).freed;
+
+    logger.info(`Pruned ${remove.length} backup(s) of server ${server.name}, freed ${result.freed} bytes`);
+    return result;
+  } catch (error) {
+    logger.error(`Failed to prune backups for server ${serverId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Check that a backup restores: every chunk is present and matches its hash
+ * (or the archive passes its CRC checks) and the files include a world
+ * @param {string} backupId - Backup ID
+ * @returns {Promise<Object>} Backup with its verification result
+ */
+async function verifyBackup(backupId) {
+  const backup = await findBackup(backupId);
+  const stagingDir = path.join(config.minecraft.backupsDir, `.verify-${backup._id}-${Date.now()}`);
+
+  try {
+    const root = await stageBackup(backup, stagingDir);
+    await verifyExtracted(root, []);
+    backup.verification = { status: 'ok', message: null, at: new Date() };
+  } catch (error) {
+    logger.warn(`Backup ${backup.name} (${backup._id}) failed verification: ${error.message}`);
+    backup.verification = { status: 'failed', message: error.message, at: new Date() };
+  } finally {
+    await fs.remove(stagingDir);
+  }
+
+  await backup.save();
+  return formatBackup(backup);
+}
+
+/**
+ * Verify every backup of a server, one at a time
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Object>} Results and counts
+ */
+async function verifyServerBackups(serverId) {
+  const server = await MinecraftServer.findById(serverId);
+  if (!server) {
+    throw new NotFoundError('Server not found');
+  }
+
+  const results = [];
+  for (const backup of await ServerBackup.find({ server: server._id }).sort({ createdAt: -1 })) {
+    results.push(await verifyBackup(backup._id));
+  }
+
+  return {
+    results,
+    ok: results.filter(result => result.verification.status === 'ok').length,
+    failed: results.filter(result => result.verification.status === 'failed').length
+  };
+}
+
+/**
+ * Pin or unpin a backup; pinned backups are never pruned
+ * @param {string} backupId - Backup ID
+ * @param {boolean} pinned - New state
+ * @returns {Promise<Object>} Backup
+ */
+async function setBackupPinned(backupId, pinned) {
+  const backup = await findBackup(backupId);
+  backup.pinned = pinned;
+  await backup.save();
+  return formatBackup(backup);
+}
+
+/**
+ * Delete a backup and the chunks only it used
+ * @param {string} backupId - Backup ID
+ * @returns {Promise<Object>} Deletion result
+ */
+async function deleteBackup(backupId) {
+  try {
+    const backup = await findBackup(backupId);
+    await removeBackup(backup);
+    const { freed } = backup.format === 'manifest' ? await collectGarbage(STORE_DIR) : { freed: backup.size };
+
+    logger.info(`Deleted backup ${backup.name} (${backup._id})`);
+    return { id: backup._id, deleted: true, freed };
+  } catch (error) {
+    logger.error(`Failed to delete backup ${backupId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete every backup of a server, pinned ones included, e.g. when the
+ * server itself is deleted
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Object>} Number of backups deleted and bytes freed
+ */
+async function deleteServerBackups(serverId) {
+  try {
+    const backups = await ServerBackup.find({ server: serverId });
+    if (backups.length === 0) {
+      return { deleted: 0, freed: 0 };
+    }
+
+    for (const backup of backups) {
+      await removeBackup(backup);
+    }
+    const archived = backups.filter(backup => backup.format !== 'manifest').reduce((sum, backup) => sum + backup.size, 0);
+    const { freed } = await collectGarbage(STORE_DIR);
+
+    logger.info(`Deleted ${backups.length} backup(s) of server ${serverId}, freed ${freed + archived} bytes`);
+    return { deleted: backups.length, freed: freed + archived };
+  } catch (error) {
+    logger.error(`Failed to delete backups of server ${serverId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  formatBackup,
+  createSnapshot,
+  stageBackup,
+  listBackups,
+  pruneBackups,
+  verifyBackup,
+  verifyServerBackups,
+  setBackupPinned,
+  deleteBackup,
+  deleteServerBackups
+};
@@ -0,0 +1,343 @@
+// src/services/backup/store.js
+//
+// Content-addressed chunk store. Files are split at content-defined
+// boundaries (a gear rolling hash), so an edit only changes the chunks around
+// it, and each chunk is stored once under its SHA-256. A backup is a manifest
+// listing every file and the chunks that make it up.
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const MANIFEST_VERSION = 1;
+
+// Chunk sizes: boundaries are searched between MIN and MAX and average about 1 MiB
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 4 * 1024 * 1024;
+const BOUNDARY_MASK = (1 << 20) - 1;
+
+// The hash only depends on the last 32 bytes, so scanning starts this far before MIN
+const WINDOW_SIZE = 32;
+
+// Files that are locked or meaningless while a server runs
+const EXCLUDED_FILES = ['session.lock'];
+
+// Deterministic per-byte values for the rolling hash
+const GEAR = Array.from({ length: 256 }, (_, byte) => crypto.createHash('sha256').update(`gear:${byte}`).digest().readUInt32BE(0));
+
+// Writes and garbage collection share the store, so they run one at a time
+let queue = Promise.resolve();
+
+/**
+ * Run a task after every earlier store task
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Task result
+ */
+function exclusive(task) {
+  const result = queue.then(task, task);
+  queue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Find the end of the first chunk in a buffer
+ * @param {Buffer} buffer - Data not yet chunked
+ * @param {boolean} final - Whether no more data follows
+ * @returns {number} Chunk length, or 0 if more data is needed
+ */
+function findBoundary(buffer, final) {
+  if (buffer.length <= MIN_CHUNK_SIZE) {
+    return final ? buffer.length : 0;
+  }
+
+  const end = Math.min(buffer.length, MAX_CHUNK_SIZE);
+  let hash = 0;
+  for (let i = MIN_CHUNK_SIZE - WINDOW_SIZE; i < end; i += 1) {
+    hash = ((hash << 1) + GEAR[buffer[i]]) >>> 0;
+    if (i >= MIN_CHUNK_SIZE - 1 && (hash & BOUNDARY_MASK) === 0) {
+      return i + 1;
+    }
+  }
+
+  if (end === MAX_CHUNK_SIZE) return MAX_CHUNK_SIZE;
+  return final ? buffer.length : 0;
+}
+
+/**
+ * Split a file into content-defined chunks
+ * @param {string} file - File path
+ * @yields {Buffer} Chunks in order
+ */
+async function* chunkFile(file) {
+  let buffer = Buffer.alloc(0);
+
+  for await (const data of fs.createReadStream(file, { highWaterMark: 1024 * 1024 })) {
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, data]) : data;
+
+    let length = findBoundary(buffer, false);
+    while (length > 0) {
+      yield buffer.subarray(0, length);
+      buffer = buffer.subarray(length);
+      length = findBoundary(buffer, false);
+    }
+  }
+
+  while (buffer.length > 0) {
+    const length = findBoundary(buffer, true);
+    yield buffer.subarray(0, length);
+    buffer = buffer.subarray(length);
+  }
+}
+
+/**
+ * Path of a chunk in the store
+ * @param {string} storeDir - Store directory
+ * @param {string} hash - SHA-256 in hex
+ * @returns {string} Chunk path
+ */
+function chunkPath(storeDir, hash) {
+  return path.join(storeDir, 'chunks', hash.slice(0, 2), hash);
+}
+
+/**
+ * Write a file by renaming a temporary copy into place
+ * @param {string} target - Destination path
+ * @param {Buffer|string} data - Contents
+ */
+async function writeAtomic(target, data) {
+  const temporary = `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.outputFile(temporary, data);
+  await fs.rename(temporary, target);
+}
+
+/**
+ * Read a chunk and check it against its hash
+ * @param {string} storeDir - Store directory
+ * @param {string} hash - SHA-256 in hex
+ * @returns {Promise<Buffer>} Chunk data
+ * @throws {Error} If the chunk is missing or corrupt
+ */
+async function readChunk(storeDir, hash) {
+  let data;
+  try {
+    data = await gunzip(await fs.readFile(chunkPath(storeDir, hash)));
+  } catch (error) {
+    const reason = error.code === 'ENOENT' ? 'is missing' : 'cannot be decompressed';
+    throw Object.assign(new Error(`Chunk ${hash} ${reason}`), { code: 'CHUNK_UNREADABLE' });
+  }
+
+  if (crypto.createHash('sha256').update(data).digest('hex') !== hash) {
+    throw Object.assign(new Error(`Chunk ${hash} is corrupt`), { code: 'CHUNK_UNREADABLE' });
+  }
+  return data;
+}
+
+/**
+ * List the files and directories under a directory
+ * @param {string} root - Directory to walk
+ * @param {string} [relative=''] - Path below the root
+ * @returns {Promise<Object>} { files, directories } as POSIX relative paths
+ */
+async function walk(root, relative = '') {
+  const files = [];
+  const directories = [];
+
+  const entries = await fs.readdir(path.join(root, relative), { withFileTypes: true });
+  entries.sort((a, b) => (a.name < b.name ? -1 : 1));
+
+  for (const entry of entries) {
+    const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      directories.push(entryPath);
+      const nested = await walk(root, entryPath);
+      files.push(...nested.files);
+      directories.push(...nested.directories);
+    } else if (entry.isFile() && !EXCLUDED_FILES.includes(entry.name)) {
+      files.push(entryPath);
+    }
+  }
+
+  return { files, directories };
+}
+
+/**
+ * Snapshot a directory into the store and write its manifest
+ * @param {string} storeDir - Store directory
+ * @param {string} sourceDir - Directory to back up
+ * @param {string} manifestPath - Where to write the manifest
+ * @returns {Promise<Object>} Stats: files, size, chunks, newChunks, storedSize
+ */
+function writeSnapshot(storeDir, sourceDir, manifestPath) {
+  return exclusive(async () => {
+    const { files, directories } = await walk(sourceDir);
+    const known = new Set();
+    const stats = { files: files.length, size: 0, chunks: 0, newChunks: 0, storedSize: 0 };
+    const manifest = { version: MANIFEST_VERSION, createdAt: new Date().toISOString(), directories, files: [] };
+
+    for (const file of files) {
+      const absolute = path.join(sourceDir, ...file.split('/'));
+      const fileStats = await fs.stat(absolute);
+      const chunks = [];
+      let size = 0;
+
+      for await (const chunk of chunkFile(absolute)) {
+        const hash = crypto.createHash('sha256').update(chunk).digest('hex');
+        chunks.push(hash);
+        size += chunk.length;
+        stats.chunks += 1;
+
+        if (!known.has(hash)) {
+          known.add(hash);
+          const target = chunkPath(storeDir, hash);
+          if (!(await fs.pathExists(target))) {
+            const compressed = await gzip(chunk, { level: zlib.constants.Z_BEST_SPEED });
+            await writeAtomic(target, compressed);
+            stats.newChunks += 1;
+            stats.storedSize += compressed.length;
+          }
+        }
+      }
+
+      // Files can change while they are read; the size is what was stored
+      manifest.files.push({
+        path: file,
+        size,
+        mode: fileStats.mode & 0o777,
+        mtime: fileStats.mtime.toISOString(),
+        chunks
+      });
+      stats.size += size;
+    }
+
+    await writeAtomic(manifestPath, JSON.stringify(manifest));
+    return stats;
+  });
+}
+
+/**
+ * Read a manifest
+ * @param {string} manifestPath - Manifest path
+ * @returns {Promise<Object>} Manifest
+ */
+async function readManifest(manifestPath) {
+  const manifest = await fs.readJson(manifestPath);
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported backup manifest version ${manifest.version}`);
+  }
+  return manifest;
+}
+
+/**
+ * Rebuild a snapshot's files in a directory, checking every chunk
+ * @param {string} storeDir - Store directory
+ * @param {string} manifestPath - Manifest path
+ * @param {string} targetDir - Directory to write into
+ * @returns {Promise<string>} The target directory
+ */
+async function restoreSnapshot(storeDir, manifestPath, targetDir) {
+  const manifest = await readManifest(manifestPath);
+
+  await fs.ensureDir(targetDir);
+  for (const directory of manifest.directories) {
+    await fs.ensureDir(path.join(targetDir, ...directory.split('/')));
+  }
+
+  for (const file of manifest.files) {
+    const target = path.join(targetDir, ...file.path.split('/'));
+    const handle = await fs.open(target, 'w', file.mode || 0o644);
+    try {
+      for (const hash of file.chunks) {
+        const data = await readChunk(storeDir, hash);
+        await fs.write(handle, data, 0, data.length);
+      }
+    } finally {
+      await fs.close(handle);
+    }
+
+    const mtime = new Date(file.mtime);
+    await fs.utimes(target, mtime, mtime);
+  }
+
+  return targetDir;
+}
+
+/**
+ * Path for a new manifest
+ * @param {string} storeDir - Store directory
+ * @param {string} group - Directory to group manifests by, e.g. the server ID
+ * @param {string} name - Backup name
+ * @returns {string} Manifest path
+ */
+function manifestPathFor(storeDir, group, name) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(storeDir, 'manifests', group, `${stamp}-${name.replace(/[^\w-]/g, '_')}.json`);
+}
+
+/**
+ * List every manifest in the store
+ * @param {string} storeDir - Store directory
+ * @returns {Promise<Array<string>>} Manifest paths
+ */
+async function listManifests(storeDir) {
+  const manifestsDir = path.join(storeDir, 'manifests');
+  if (!(await fs.pathExists(manifestsDir))) return [];
+
+  const manifests = [];
+  for (const group of await fs.readdir(manifestsDir)) {
+    for (const name of await fs.readdir(path.join(manifestsDir, group))) {
+      if (name.endsWith('.json')) manifests.push(path.join(manifestsDir, group, name));
+    }
+  }
+  return manifests;
+}
+
+/**
+ * Delete chunks no manifest in the store refers to. Manifests are read from
+ * disk rather than the database so a backup being recorded keeps its chunks.
+ * @param {string} storeDir - Store directory
+ * @returns {Promise<Object>} { removed, freed } chunk count and bytes
+ */
+function collectGarbage(storeDir) {
+  return exclusive(async () => {
+    const referenced = new Set();
+    for (const manifestPath of await listManifests(storeDir)) {
+      const manifest = await readManifest(manifestPath);
+      for (const file of manifest.files) {
+        file.chunks.forEach(hash => referenced.add(hash));
+      }
+    }
+
+    const chunksDir = path.join(storeDir, 'chunks');
+    if (!(await fs.pathExists(chunksDir))) {
+      return { removed: 0, freed: 0 };
+    }
+
+    let removed = 0;
+    let freed = 0;
+    for (const prefix of await fs.readdir(chunksDir)) {
+      const prefixDir = path.join(chunksDir, prefix);
+      for (const name of await fs.readdir(prefixDir)) {
+        // Leftover temporary files are from interrupted writes; nothing else runs now
+        if (referenced.has(name)) continue;
+
+        const chunkFilePath = path.join(prefixDir, name);
+        freed += (await fs.stat(chunkFilePath)).size;
+        await fs.remove(chunkFilePath);
+        removed += 1;
+      }
+    }
+
+    return { removed, freed };
+  });
+}
+
+module.exports = {
+  manifestPathFor,
+  writeSnapshot,
+  restoreSnapshot,
+  collectGarbage
+};
@@ -0,0 +1,307 @@
+// src/services/minecraft/access.js
+//
+// Whitelist, ops and bans. Stopped servers have whitelist.json, ops.json,
+// banned-players.json and banned-ips.json edited on disk; running servers
+// keep these lists in memory and rewrite the files themselves, so they get
+// the matching console commands instead.
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('../../utils/logger');
+const { MinecraftServer } = require('../../models');
+const { AppError, ConflictError, NotFoundError } = require('../../utils/errors');
+const { isServerRunning, sendCommand } = require('./minecraft');
+const { fromStoredProperties } = require('./properties');
+const { resolveProfile } = require('./profiles');
+
+const DEFAULT_BAN_REASON = 'Banned by an operator.';
+
+// File and commands per list; player lists are keyed by UUID, IP bans by address
+const ACCESS_LISTS = {
+  whitelist: {
+    file: 'whitelist.json',
+    add: entry => `whitelist add ${entry.name}`,
+    remove: entry => `whitelist remove ${entry.name}`
+  },
+  ops: {
+    file: 'ops.json',
+    add: entry => `op ${entry.name}`,
+    remove: entry => `deop ${entry.name}`
+  },
+  'banned-players': {
+    file: 'banned-players.json',
+    add: entry => `ban ${entry.name} ${entry.reason}`,
+    remove: entry => `pardon ${entry.name}`
+  },
+  'banned-ips': {
+    file: 'banned-ips.json',
+    byIp: true,
+    add: entry => `ban-ip ${entry.ip} ${entry.reason}`,
+    remove: entry => `pardon-ip ${entry.ip}`
+  }
+};
+
+// Per-server locks so list edits never interleave
+const locks = new Map();
+
+/**
+ * Run a task after every earlier task for the same server
+ * @param {string} serverId - Server ID
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Task result
+ */
+function withLock(serverId, task) {
+  const previous = locks.get(serverId) || Promise.resolve();
+  const result = previous.then(task, task);
+  const settled = result.catch(() => {});
+  locks.set(serverId, settled);
+  settled.then(() => {
+    if (locks.get(serverId) === settled) locks.delete(serverId);
+  });
+  return result;
+}
+
+/**
+ * Load a server
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Object>} MinecraftServer document
+ */
+async function findServer(serverId) {
+  const server = await MinecraftServer.findById(serverId);
+  if (!server) {
+    throw new NotFoundError('Server not found');
+  }
+  return server;
+}
+
+/**
+ * Format a date the way the server writes ban entries
+ * @param {Date} date - Date
+ * @returns {string} e.g. 2024-05-01 12:00:00 +0000
+ */
+function formatBanDate(date) {
+  return `${date.toISOString().slice(0, 19).replace('T', ' ')} +0000`;
+}
+
+/**
+ * Read a list file; a missing file is an empty list
+ * @param {Object} server - MinecraftServer document
+ * @param {string} list - List name
+ * @returns {Promise<Array<Object>>} Entries
+ */
+async function readList(server, list) {
+  const file = path.join(server.path, ACCESS_LISTS[list].file);
+  if (!(await fs.pathExists(file))) return [];
+
+  const entries = await fs.readJson(file);
+  if (!Array.isArray(entries)) {
+    throw new Error(`${ACCESS_LISTS[list].file} is not a JSON array`);
+  }
+  return entries;
+}
+
+/**
+ * Write a list file by renaming a temporary copy into place
+ * @param {Object} server - MinecraftServer document
+ * @param {string} list - List name
+ * @param {Array<Object>} entries - Entries
+ */
+async function writeList(server, list, entries) {
+  const file = path.join(server.path, ACCESS_LISTS[list].file);
+  const temporary = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temporary, `${JSON.stringify(entries, null, 2)}\n`);
+  await fs.rename(temporary, file);
+}
+
+/**
+ * Check whether an entry is the one a name, UUID or IP refers to
+ * @param {string} list - List name
+ * @param {Object} entry - List entry
+ * @param {string} key - Name, UUID or IP
+ * @returns {boolean} Whether it matches
+ */
+function matchesEntry(list, entry, key) {
+  if (ACCESS_LISTS[list].byIp) {
+    return entry.ip === key;
+  }
+  const lower = key.toLowerCase();
+  return (entry.uuid || '').toLowerCase() === lower || (entry.name || '').toLowerCase() === lower;
+}
+
+/**
+ * Settings of a server that affect its lists
+ * @param {Object} server - MinecraftServer document
+ * @returns {Object} { onlineMode, opLevel }
+ */
+function accessSettings(server) {
+  const properties = fromStoredProperties(server.properties);
+  return {
+    onlineMode: properties['online-mode'] !== 'false',
+    opLevel: Number(properties['op-permission-level']) || 4
+  };
+}
+
+/**
+ * Send a list command to a running server
+ * @param {string} serverId - Server ID
+ * @param {string} command - Command
+ * @returns {Promise<Object>} { via, output }
+ */
+async function runListCommand(serverId, command) {
+  const result = await sendCommand(serverId, command);
+  if (result.status === 'error') {
+    throw new AppError(result.message, result.statusCode || 500, result.statusCode === 409 ? 'CONFLICT' : 'OPERATION_FAILED');
+  }
+  return { via: result.via, output: result.output };
+}
+
+/**
+ * Build the entry to store for a request
+ * @param {Object} server - MinecraftServer document
+ * @param {string} list - List name
+ * @param {Object} input - name or ip, and level, bypassesPlayerLimit, reason and expires where they apply
+ * @param {Object} options - source: who is adding the entry
+ * @returns {Promise<Object>} Entry as the server stores it, plus the profile source for players
+ */
+async function buildEntry(server, list, input, options) {
+  const settings = accessSettings(server);
+  const ban = {
+    created: formatBanDate(new Date()),
+    source: options.source || 'Server',
+    expires: input.expires ? formatBanDate(new Date(input.expires)) : 'forever',
+    reason: (input.reason || DEFAULT_BAN_REASON).replace(/[\r\n]+/g, ' ')
+  };
+
+  if (list === 'banned-ips') {
+    return { entry: { ip: input.ip, ...ban } };
+  }
+
+  const profile = await resolveProfile(input.name, { onlineMode: settings.onlineMode });
+  const player = { uuid: profile.uuid, name: profile.name };
+  let entry = player;
+  if (list === 'ops') {
+    entry = {
+      ...player,
+      level: input.level !== undefined ? input.level : settings.opLevel,
+      bypassesPlayerLimit: input.bypassesPlayerLimit === true
+    };
+  } else if (list === 'banned-players') {
+    entry = { ...player, ...ban };
+  }
+  return { entry, profileSource: profile.source };
+}
+
+/**
+ * List the entries of one list
+ * @param {string} serverId - Server ID
+ * @param {string} list - whitelist, ops, banned-players or banned-ips
+ * @returns {Promise<Object>} { list, running, entries }
+ */
+async function listAccess(serverId, list) {
+  try {
+    const server = await findServer(serverId);
+    return { list, running: isServerRunning(serverId), entries: await readList(server, list) };
+  } catch (error) {
+    logger.error(`Failed to read ${list} of server ${serverId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Add a player or IP to a list, replacing an existing entry for them
+ * @param {string} serverId - Server ID
+ * @param {string} list - whitelist, ops, banned-players or banned-ips
+ * @param {Object} input - name (or ip for banned-ips); level and bypassesPlayerLimit for ops;
+ *   reason and expires for bans
+ * @param {Object} [options] - Add options
+ * @param {string} [options.source] - Name recorded as the source of bans
+ * @returns {Promise<Object>} Added entry and how it was applied
+ */
+async function addAccess(serverId, list, input, options = {}) {
+  try {
+    return await withLock(serverId, async () => {
+      const server = await findServer(serverId);
+
+      if (isServerRunning(serverId)) {
+        // The commands cannot express these, and the server would overwrite the file
+        if (list === 'ops' && input.level !== undefined && input.level !== accessSettings(server).opLevel) {
+          throw new ConflictError(`Op level ${input.level} can only be set while the server is stopped; running servers use op-permission-level`);
+        }
+        if (input.expires) {
+          throw new ConflictError('Temporary bans can only be added while the server is stopped');
+        }
+
+        const entry = list === 'banned-ips'
+          ? { ip: input.ip, reason: input.reason || DEFAULT_BAN_REASON }
+          : { name: input.name, reason: input.reason || DEFAULT_BAN_REASON };
+        entry.reason = entry.reason.replace(/[\r\n]+/g, ' ');
+        const result = await runListCommand(serverId, ACCESS_LISTS[list].add(entry));
+
+        return { list, entry: list === 'banned-ips' ? { ip: input.ip } : { name: input.name }, ...result };
+      }
+
+      const { entry, profileSource } = await buildEntry(server, list, input, options);
+      const entries = await readList(server, list);
+      const key = entry.uuid || entry.ip;
+      const remaining = entries.filter(existing => !matchesEntry(list, existing, key)
+        && !(entry.name && matchesEntry(list, existing, entry.name)));
+      await writeList(server, list, [...remaining, entry]);
+
+      logger.info(`Added ${entry.name || entry.ip} to ${list} of server ${server.name}`);
+      return {
+        list,
+        entry,
+        profileSource: profileSource || null,
+        replaced: remaining.length < entries.length,
+        via: 'file',
+        output: null
+      };
+    });
+  } catch (error) {
+    logger.error(`Failed to add to ${list} of server ${serverId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a player or IP from a list
+ * @param {string} serverId - Server ID
+ * @param {string} list - whitelist, ops, banned-players or banned-ips
+ * @param {string} key - Player name or UUID, or IP for banned-ips
+ * @param {Object} [options] - Remove options
+ * @param {boolean} [options.ignoreMissing=false] - Succeed with a null entry if the key is not listed
+ * @returns {Promise<Object>} Removed entry and how it was applied
+ */
+async function removeAccess(serverId, list, key, options = {}) {
+  try {
+    return await withLock(serverId, async () => {
+      const server = await findServer(serverId);
+      const entries = await readList(server, list);
+      const entry = entries.find(existing => matchesEntry(list, existing, key));
+      if (!entry) {
+        if (options.ignoreMissing) {
+          return { list, entry: null, via: null, output: null };
+        }
+        throw new NotFoundError(`${key} is not in ${list}`);
+      }
+
+      if (isServerRunning(serverId)) {
+        const result = await runListCommand(serverId, ACCESS_LISTS[list].remove(entry));
+        return { list, entry, ...result };
+      }
+
+      await writeList(server, list, entries.filter(existing => existing !== entry));
+      logger.info(`Removed ${entry.name || entry.ip} from ${list} of server ${server.name}`);
+      return { list, entry, via: 'file', output: null };
+    });
+  } catch (error) {
+    logger.error(`Failed to remove ${key} from ${list} of server ${serverId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  ACCESS_LISTS,
+  listAccess,
+  addAccess,
+  removeAccess
+};
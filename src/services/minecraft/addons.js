@@ -0,0 +1,424 @@
+// src/services/minecraft/addons.js
+//
+// Plugins and mods live as jars in a server's plugins/ or mods/ directory;
+// disabled ones keep their file with a .disabled suffix. The directory is the
+// source of truth and MinecraftServer.plugins / .mods mirror it.
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('../../utils/logger');
+const { MinecraftServer } = require('../../models');
+const { BadRequestError, ConflictError, NotFoundError } = require('../../utils/errors');
+const { isServerRunning } = require('./minecraft');
+const { readJarMetadata } = require('./metadata');
+
+// What each server type loads: the directory and the descriptor loaders it accepts
+const SERVER_LOADERS = {
+  paper: { kind: 'plugins', loaders: ['paper', 'bukkit'] },
+  spigot: { kind: 'plugins', loaders: ['bukkit'] },
+  fabric: { kind: 'mods', loaders: ['fabric'] },
+  forge: { kind: 'mods', loaders: ['forge'] }
+};
+
+const DISABLED_SUFFIX = '.disabled';
+
+// Per-server locks so installs and syncs never interleave
+const locks = new Map();
+
+/**
+ * Run a task after every earlier task for the same server
+ * @param {string} serverId - Server ID
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Task result
+ */
+function withLock(serverId, task) {
+  const previous = locks.get(serverId) || Promise.resolve();
+  const result = previous.then(task, task);
+  const settled = result.catch(() => {});
+  locks.set(serverId, settled);
+  settled.then(() => {
+    if (locks.get(serverId) === settled) locks.delete(serverId);
+  });
+  return result;
+}
+
+/**
+ * Load a server and check that it loads this kind of addon
+ * @param {string} serverId - Server ID
+ * @param {string} kind - plugins or mods
+ * @returns {Promise<Object>} MinecraftServer document
+ */
+async function findServer(serverId, kind) {
+  const server = await MinecraftServer.findById(serverId);
+  if (!server) {
+    throw new NotFoundError('Server not found');
+  }
+
+  const support = SERVER_LOADERS[server.type];
+  if (!support) {
+    throw new BadRequestError(`${server.type} servers do not load plugins or mods`);
+  }
+  if (support.kind !== kind) {
+    throw new BadRequestError(`${server.type} servers load ${support.kind}, not ${kind}`);
+  }
+  return server;
+}
+
+/**
+ * Pick the descriptor that matches the server, falling back to the first one found
+ * @param {Array<Object>} descriptors - Metadata from readJarMetadata
+ * @param {string} serverType - Server type
+ * @returns {Object|null} Chosen metadata
+ */
+function chooseDescriptor(descriptors, serverType) {
+  const { loaders } = SERVER_LOADERS[serverType];
+  return descriptors.find(descriptor => loaders.includes(descriptor.loader)) || descriptors[0] || null;
+}
+
+/**
+ * Describe one jar in the directory
+ * @param {string} file - Path to the jar
+ * @param {string} serverType - Server type
+ * @returns {Object} Stored metadata fields, with error set if the jar could not be read
+ */
+function describeJar(file, serverType) {
+  try {
+    const descriptor = chooseDescriptor(readJarMetadata(file), serverType);
+    return descriptor ? { ...descriptor, error: null } : { error: 'No plugin or mod descriptor found' };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Bring the stored list in line with the directory, re-reading only jars that changed
+ * @param {Object} server - MinecraftServer document
+ * @param {string} kind - plugins or mods
+ * @returns {Promise<Array>} Stored entries
+ */
+async function syncAddons(server, kind) {
+  const directory = path.join(server.path, kind);
+  await fs.ensureDir(directory);
+
+  const previous = new Map((server[kind] || []).map(entry => [entry.file, entry]));
+  const entries = new Map();
+
+  for (const name of (await fs.readdir(directory)).sort()) {
+    const enabled = !name.endsWith(DISABLED_SUFFIX);
+    const file = enabled ? name : name.slice(0, -DISABLED_SUFFIX.length);
+    if (!/\.jar$/i.test(file)) continue;
+
+    const stats = await fs.stat(path.join(directory, name));
+    if (!stats.isFile()) continue;
+
+    // An enabled copy wins over a stale disabled one
+    if (entries.has(file)) {
+      logger.warn(`[${server.name}] Both ${file} and ${file}${DISABLED_SUFFIX} exist; using the enabled copy`);
+      if (!enabled) continue;
+    }
+
+    const known = previous.get(file);
+    const unchanged = known && known.size === stats.size
+      && known.modifiedAt && known.modifiedAt.getTime() === stats.mtime.getTime();
+    const metadata = unchanged
+      ? known.toObject()
+      : describeJar(path.join(directory, name), server.type);
+
+    entries.set(file, {
+      ...metadata,
+      _id: known ? known._id : undefined,
+      file,
+      enabled,
+      size: stats.size,
+      modifiedAt: stats.mtime,
+      installedAt: known ? known.installedAt : stats.mtime
+    });
+  }
+
+  server.set(kind, [...entries.values()]);
+  if (server.isModified(kind)) {
+    await server.save();
+  }
+  return server[kind];
+}
+
+/**
+ * Find problems with a server's addons: unreadable jars, jars for another
+ * loader, duplicate IDs and required dependencies that are not enabled
+ * @param {Array} entries - Stored entries
+ * @param {string} serverType - Server type
+ * @returns {Map} Issues by file name
+ */
+function findIssues(entries, serverType) {
+  const { kind, loaders } = SERVER_LOADERS[serverType];
+  const enabled = entries.filter(entry => entry.enabled && entry.id);
+  const available = new Map();
+  for (const entry of enabled) {
+    const key = entry.id.toLowerCase();
+    available.set(key, [...(available.get(key) || []), entry.file]);
+  }
+
+  const issues = new Map();
+  for (const entry of entries) {
+    const found = [];
+
+    if (entry.error) {
+      found.push({ type: 'unreadable', message: entry.error });
+    } else if (!loaders.includes(entry.loader)) {
+      found.push({
+        type: 'loader-mismatch',
+        message: `${entry.name} is a ${entry.loader} ${kind === 'plugins' ? 'plugin' : 'mod'}; ${serverType} servers load ${loaders.join(' or ')}`
+      });
+    }
+
+    if (entry.enabled && entry.id) {
+      const duplicates = available.get(entry.id.toLowerCase()).filter(file => file !== entry.file);
+      if (duplicates.length > 0) {
+        found.push({ type: 'duplicate', message: `${entry.id} is also provided by ${duplicates.join(', ')}` });
+      }
+
+      for (const dependency of entry.dependencies || []) {
+        if (dependency.required && !available.has(dependency.id.toLowerCase())) {
+          found.push({
+            type: 'missing-dependency',
+            dependency: dependency.id,
+            message: `Requires ${dependency.id}${dependency.versionRange ? ` ${dependency.versionRange}` : ''}, which is not installed or is disabled`
+          });
+        }
+      }
+    }
+
+    issues.set(entry.file, found);
+  }
+  return issues;
+}
+
+/**
+ * Format a stored entry for API responses
+ * @param {Object} entry - Stored entry
+ * @param {Array} issues - Problems found with it
+ * @returns {Object} Addon
+ */
+function formatAddon(entry, issues = []) {
+  return {
+    file: entry.file,
+    enabled: entry.enabled,
+    id: entry.id || null,
+    name: entry.name || entry.file,
+    version: entry.version || null,
+    loader: entry.loader || null,
+    description: entry.description || null,
+    authors: entry.authors || [],
+    dependencies: (entry.dependencies || []).map(({ id, required, versionRange }) => ({ id, required, versionRange })),
+    gameVersions: entry.gameVersions || null,
+    size: entry.size,
+    installedAt: entry.installedAt,
+    issues
+  };
+}
+
+/**
+ * Find a stored entry by file name
+ * @param {Array} entries - Stored entries
+ * @param {string} file - Jar file name
+ * @returns {Object} Entry
+ * @throws {NotFoundError} If there is no such jar
+ */
+function findEntry(entries, file) {
+  const entry = entries.find(candidate => candidate.file === file);
+  if (!entry) {
+    throw new NotFoundError(`${file} is not installed`);
+  }
+  return entry;
+}
+
+/**
+ * Path of a stored entry's jar on disk
+ * @param {Object} server - MinecraftServer document
+ * @param {string} kind - plugins or mods
+ * @param {Object} entry - Stored entry
+ * @returns {string} Path
+ */
+function jarPath(server, kind, entry) {
+  return path.join(server.path, kind, entry.enabled ? entry.file : `${entry.file}${DISABLED_SUFFIX}`);
+}
+
+/**
+ * Explain file errors caused by a running server holding the jar open (Windows)
+ * @param {Error} error - File system error
+ * @param {string} file - Jar file name
+ * @returns {Error} Error to throw
+ */
+function fileError(error, file) {
+  if (error.code === 'EBUSY' || error.code === 'EPERM') {
+    return new ConflictError(`${file} is in use; stop the server and try again`);
+  }
+  return error;
+}
+
+/**
+ * List a server's plugins or mods, synchronised with the directory
+ * @param {string} serverId - Server ID
+ * @param {string} kind - plugins or mods
+ * @returns {Promise<Object>} Accepted loaders and addons with their issues
+ */
+async function listAddons(serverId, kind) {
+  return withLock(serverId, async () => {
+    const server = await findServer(serverId, kind);
+    const entries = await syncAddons(server, kind);
+    const issues = findIssues(entries, server.type);
+
+    return {
+      kind,
+      loaders: SERVER_LOADERS[server.type].loaders,
+      addons: entries.map(entry => formatAddon(entry, issues.get(entry.file)))
+    };
+  });
+}
+
+/**
+ * Install an uploaded jar, replacing any installed jar with the same ID
+ * @param {string} serverId - Server ID
+ * @param {string} kind - plugins or mods
+ * @param {Object} upload - Uploaded file with path and originalname
+ * @param {Object} [options] - Install options
+ * @param {boolean} [options.enabled=true] - Install enabled
+ * @returns {Promise<Object>} Installed addon, replaced files and whether a restart is needed
+ */
+async function installAddon(serverId, kind, upload, options = {}) {
+  try {
+    return await withLock(serverId, async () => {
+      const server = await findServer(serverId, kind);
+
+      const file = path.basename(upload.originalname).replace(/[^\w.+-]/g, '_');
+      if (!/\.jar$/i.test(file)) {
+        throw new BadRequestError('Only .jar files can be installed');
+      }
+
+      let descriptors;
+      try {
+        descriptors = readJarMetadata(upload.path);
+      } catch (error) {
+        throw new BadRequestError(`Not a valid plugin or mod jar: ${error.message}`);
+      }
+
+      const descriptor = chooseDescriptor(descriptors, server.type);
+      if (!descriptor) {
+        throw new BadRequestError('The jar has no plugin.yml, paper-plugin.yml, fabric.mod.json or mods.toml');
+      }
+
+      const { loaders } = SERVER_LOADERS[server.type];
+      if (!loaders.includes(descriptor.loader)) {
+        throw new BadRequestError(`${descriptor.name} is for ${descriptors.map(d => d.loader).join('/')}; ${server.type} servers load ${loaders.join(' or ')}`, {
+          loaders: descriptors.map(d => d.loader)
+        });
+      }
+
+      // Upgrades replace the old jar, whatever it was called
+      const entries = await syncAddons(server, kind);
+      const replaced = entries.filter(entry => entry.file === file
+        || (entry.id && entry.id.toLowerCase() === descriptor.id.toLowerCase()));
+      const enabled = options.enabled !== false;
+      const target = jarPath(server, kind, { file, enabled });
+      try {
+        await fs.move(upload.path, target, { overwrite: true });
+        for (const entry of replaced) {
+          if (jarPath(server, kind, entry) !== target) {
+            await fs.remove(jarPath(server, kind, entry));
+          }
+        }
+      } catch (error) {
+        throw fileError(error, file);
+      }
+
+      const synced = await syncAddons(server, kind);
+      const issues = findIssues(synced, server.type);
+      logger.info(`Installed ${descriptor.name} ${descriptor.version || ''} on server ${server.name}`);
+
+      return {
+        addon: formatAddon(findEntry(synced, file), issues.get(file)),
+        replaced: replaced.map(entry => entry.file),
+        restartRequired: isServerRunning(serverId)
+      };
+    });
+  } catch (error) {
+    logger.error(`Failed to install ${kind} on server ${serverId}:`, error);
+    throw error;
+  } finally {
+    await fs.remove(upload.path);
+  }
+}
+
+/**
+ * Enable or disable a jar by renaming it
+ * @param {string} serverId - Server ID
+ * @param {string} kind - plugins or mods
+ * @param {string} file - Jar file name
+ * @param {boolean} enabled - New state
+ * @returns {Promise<Object>} Updated addon and whether a restart is needed
+ */
+async function setAddonEnabled(serverId, kind, file, enabled) {
+  try {
+    return await withLock(serverId, async () => {
+      const server = await findServer(serverId, kind);
+      const entry = findEntry(await syncAddons(server, kind), file);
+
+      if (entry.enabled !== enabled) {
+        const from = jarPath(server, kind, entry);
+        try {
+          await fs.move(from, jarPath(server, kind, { file, enabled }), { overwrite: true });
+        } catch (error) {
+          throw fileError(error, file);
+        }
+        logger.info(`${enabled ? 'Enabled' : 'Disabled'} ${file} on server ${server.name}`);
+      }
+
+      const synced = await syncAddons(server, kind);
+      const issues = findIssues(synced, server.type);
+      return {
+        addon: formatAddon(findEntry(synced, file), issues.get(file)),
+        restartRequired: isServerRunning(serverId)
+      };
+    });
+  } catch (error) {
+    logger.error(`Failed to change ${file} on server ${serverId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a jar
+ * @param {string} serverId - Server ID
+ * @param {string} kind - plugins or mods
+ * @param {string} file - Jar file name
+ * @returns {Promise<Object>} Deletion result
+ */
+async function removeAddon(serverId, kind, file) {
+  try {
+    return await withLock(serverId, async () => {
+      const server = await findServer(serverId, kind);
+      const entry = findEntry(await syncAddons(server, kind), file);
+
+      try {
+        await fs.remove(jarPath(server, kind, entry));
+      } catch (error) {
+        throw fileError(error, file);
+      }
+      await syncAddons(server, kind);
+      logger.info(`Removed ${file} from server ${server.name}`);
+
+      return { file, deleted: true, restartRequired: isServerRunning(serverId) };
+    });
+  } catch (error) {
+    logger.error(`Failed to remove ${file} from server ${serverId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  SERVER_LOADERS,
+  chooseDescriptor,
+  listAddons,
+  installAddon,
+  setAddonEnabled,
+  removeAddon
+};
@@ -0,0 +1,97 @@
+// src/services/minecraft/completion.js
+//
+// Tab-completion hints for the web console. Neither RCON nor the console
+// exposes the game's own suggestions, so this covers the vanilla commands and
+// fills player arguments from the players currently online.
+
+const GAMEMODES = ['survival', 'creative', 'adventure', 'spectator'];
+const SELECTORS = ['@a', '@p', '@r', '@s'];
+
+// Argument specs per command: a list of literals, 'player', or a '<hint>'
+const COMMANDS = {
+  ban: ['player', '<reason>'],
+  'ban-ip': ['<address|player>', '<reason>'],
+  banlist: [['ips', 'players']],
+  clear: ['player', '<item>', '<maxCount>'],
+  defaultgamemode: [GAMEMODES],
+  deop: ['player'],
+  difficulty: [['peaceful', 'easy', 'normal', 'hard']],
+  effect: [['give', 'clear'], 'player', '<effect>', '<seconds>', '<amplifier>'],
+  enchant: ['player', '<enchantment>', '<level>'],
+  experience: [['add', 'set', 'query'], 'player', '<amount>', ['points', 'levels']],
+  gamemode: [GAMEMODES, 'player'],
+  gamerule: ['<rule>', '<value>'],
+  give: ['player', '<item>', '<count>'],
+  help: ['command'],
+  kick: ['player', '<reason>'],
+  kill: ['player'],
+  list: [['uuids']],
+  me: ['<action>'],
+  msg: ['player', '<message>'],
+  op: ['player'],
+  pardon: ['<player>'],
+  'pardon-ip': ['<address>'],
+  reload: [],
+  'save-all': [['flush']],
+  'save-off': [],
+  'save-on': [],
+  say: ['<message>'],
+  seed: [],
+  setidletimeout: ['<minutes>'],
+  setworldspawn: ['<x y z>'],
+  spawnpoint: ['player', '<x y z>'],
+  stop: [],
+  summon: ['<entity>', '<x y z>'],
+  teleport: ['player', '<destination>'],
+  tell: ['player', '<message>'],
+  tellraw: ['player', '<message>'],
+  time: [['set', 'add', 'query'], '<value>'],
+  title: ['player', ['title', 'subtitle', 'actionbar', 'clear', 'reset', 'times']],
+  tp: ['player', '<destination>'],
+  w: ['player', '<message>'],
+  weather: [['clear', 'rain', 'thunder'], '<duration>'],
+  whitelist: [['add', 'remove', 'list', 'on', 'off', 'reload'], 'player'],
+  xp: [['add', 'set', 'query'], 'player', '<amount>', ['points', 'levels']]
+};
+
+/**
+ * Suggest completions for a partly typed console command
+ * @param {string} input - Command line so far, with or without a leading slash
+ * @param {Array<string>} [players=[]] - Names of players online
+ * @returns {Object} { start, suggestions, hint } where start is the offset of the word being completed
+ */
+function completeCommand(input, players = []) {
+  const text = String(input || '');
+  const offset = text.startsWith('/') ? 1 : 0;
+  const words = text.slice(offset).split(' ');
+  const partial = words[words.length - 1];
+  const start = text.length - partial.length;
+  const matching = options => options
+    .filter(option => option.toLowerCase().startsWith(partial.toLowerCase()))
+    .sort();
+
+  if (words.length === 1) {
+    return { start, suggestions: matching(Object.keys(COMMANDS)), hint: null };
+  }
+
+  const args = COMMANDS[words[0].toLowerCase()];
+  const spec = args && args[words.length - 2];
+  if (!spec) {
+    return { start, suggestions: [], hint: null };
+  }
+
+  if (Array.isArray(spec)) {
+    return { start, suggestions: matching(spec), hint: null };
+  }
+  if (spec === 'player') {
+    return { start, suggestions: matching([...players, ...SELECTORS]), hint: '<player>' };
+  }
+  if (spec === 'command') {
+    return { start, suggestions: matching(Object.keys(COMMANDS)), hint: '<command>' };
+  }
+  return { start, suggestions: [], hint: spec };
+}
+
+module.exports = {
+  completeCommand
+};
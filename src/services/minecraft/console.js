@@ -0,0 +1,385 @@
+// src/services/minecraft/console.js
+const { execFile, spawn } = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const net = require('net');
+const path = require('path');
+const { promisify } = require('util');
+const { sleep } = require('../../utils/concurrency');
+const { ConflictError } = require('../../utils/errors');
+const config = require('../../config').getConfig();
+
+const SUPERVISOR_PATH = path.join(__dirname, 'supervisor.js');
+const RUNTIME_ROOT = config.minecraft.runtimeDir
+  || path.join(config.minecraft.serversDir, '.runtime');
+const CONNECT_TIMEOUT = 10000;
+// A supervisor greets as soon as the manager connects
+const HELLO_TIMEOUT = 5000;
+// Unix socket paths are limited to 104 bytes on macOS and 108 on Linux
+const SOCKET_PATH_LIMIT = 103;
+// Allowed gap between a recorded start time and the one the OS reports,
+// covering process startup and clock resolution
+const START_TIME_TOLERANCE = 10000;
+// Linux reports process start times in USER_HZ ticks, 100 on every architecture
+const USER_HZ = 100;
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Console of a supervised server process.
+ * Mirrors the parts of ChildProcess the manager uses (stdout, stderr, stdin,
+ * kill and the close event) so supervised and reattached servers are handled
+ * the same way.
+ */
+class ConsoleConnection extends EventEmitter {
+  constructor(socket, hello, runtimeDir) {
+    super();
+    this.socket = socket;
+    this.runtimeDir = runtimeDir;
+    this.pid = hello.pid;
+    this.startedAt = hello.startedAt;
+    this.replay = hello.replay || [];
+    this.detached = false;
+    this.closed = false;
+
+    this.stdout = new EventEmitter();
+    this.stderr = new EventEmitter();
+    this.stdin = {
+      write: data => this.send({ type: 'stdin', data })
+    };
+
+    let buffer = '';
+    socket.on('data', (data) => {
+      buffer += data;
+      let newline = buffer.indexOf('\n');
+      while (newline >= 0) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        if (line.trim()) this.handleLine(line);
+        newline = buffer.indexOf('\n');
+      }
+    });
+
+    socket.on('close', () => this.handleDisconnect());
+    socket.on('error', () => {});
+  }
+
+  handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      // Drop malformed lines; the connection stays usable
+      return;
+    }
+    this.handleMessage(message);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'stdout':
+        this.stdout.emit('data', Buffer.from(message.data));
+        break;
+
+      case 'stderr':
+        this.stderr.emit('data', Buffer.from(message.data));
+        break;
+
+      case 'exit':
+        this.finish(message.code, message.signal);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  async handleDisconnect() {
+    if (this.closed || this.detached) return;
+
+    // The supervisor went away without reporting an exit; use what it left on disk
+    const exit = await readExitStatus(this.runtimeDir);
+    this.finish(exit ? exit.code : null, exit ? exit.signal : null);
+  }
+
+  finish(code, signal) {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('close', code, signal);
+  }
+
+  send(message) {
+    if (this.socket.destroyed) return false;
+    return this.socket.write(`${JSON.stringify(message)}\n`);
+  }
+
+  /**
+   * Tell the supervisor the next exit was requested by an operator
+   */
+  markStopRequested() {
+    this.send({ type: 'stop-requested' });
+  }
+
+  kill(signal = 'SIGTERM') {
+    if (this.send({ type: 'kill', signal }) === false) {
+      // No supervisor to relay through; signal the JVM directly
+      try {
+        process.kill(this.pid, signal);
+      } catch (error) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Disconnect from the supervisor and leave the server running
+   */
+  detach() {
+    this.detached = true;
+    this.socket.end();
+  }
+}
+
+/**
+ * Get the runtime directory holding a server's supervisor state
+ * @param {string} serverId - Server ID
+ * @returns {string} Runtime directory
+ */
+function runtimeDirFor(serverId) {
+  return path.join(RUNTIME_ROOT, serverId);
+}
+
+/**
+ * Get the console socket path for a server
+ * @param {string} serverId - Server ID
+ * @returns {string} Unix socket path or Windows named pipe
+ */
+function socketPathFor(serverId) {
+  if (process.platform === 'win32') {
+    return `\\\\.\\pipe\\jts-mc-${serverId}`;
+  }
+  // Inside the runtime directory so only the manager's user can reach it
+  return path.join(runtimeDirFor(serverId), 'console.sock');
+}
+
+/**
+ * Check whether a process exists
+ * @param {number} pid - Process ID
+ * @returns {boolean} Whether the process is alive
+ */
+function isProcessAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Get when a process started, from the OS
+ * @param {number} pid - Process ID
+ * @returns {Promise<number|null>} Start time in ms since the epoch, or null where unknown
+ */
+async function processStartTime(pid) {
+  try {
+    if (process.platform === 'linux') {
+      // The command name may contain spaces and parentheses; count fields after it
+      const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf8');
+      const ticks = Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19]);
+      const bootTime = Number(/^btime (\d+)$/m.exec(await fs.readFile('/proc/stat', 'utf8'))[1]);
+      return bootTime * 1000 + (ticks * 1000) / USER_HZ;
+    }
+    if (process.platform !== 'win32') {
+      const { stdout } = await execFileAsync('ps', ['-o', 'lstart=', '-p', String(pid)], {
+        env: { ...process.env, LC_ALL: 'C' }
+      });
+      const startedAt = new Date(stdout.trim()).getTime();
+      return Number.isNaN(startedAt) ? null : startedAt;
+    }
+  } catch (error) {
+    // Fall through to unknown
+  }
+  return null;
+}
+
+/**
+ * Check whether a recorded process is still the one running under its PID.
+ * A PID alone can be reused by an unrelated process, e.g. after a reboot.
+ * @param {number} pid - Process ID
+ * @param {number} [startedAt] - When the process was recorded as started, in ms since the epoch
+ * @returns {Promise<boolean>} Whether the process is alive and started when recorded
+ */
+async function isRecordedProcessAlive(pid, startedAt) {
+  if (!isProcessAlive(pid)) return false;
+  if (!startedAt) return true;
+
+  // Without a start time from the OS the PID is all there is to go on
+  const actual = await processStartTime(pid);
+  if (actual === null) return true;
+  return Math.abs(actual - new Date(startedAt).getTime()) <= START_TIME_TOLERANCE;
+}
+
+/**
+ * Read the state file written by a running supervisor
+ * @param {string} runtimeDir - Runtime directory
+ * @returns {Promise<Object|null>} Supervisor state
+ */
+async function readRuntimeState(runtimeDir) {
+  const statePath = path.join(runtimeDir, 'state.json');
+  return (await fs.pathExists(statePath)) ? fs.readJson(statePath) : null;
+}
+
+/**
+ * Read the exit status written by a supervisor after its JVM exited
+ * @param {string} runtimeDir - Runtime directory
+ * @returns {Promise<Object|null>} Exit status
+ */
+async function readExitStatus(runtimeDir) {
+  const exitPath = path.join(runtimeDir, 'exit.json');
+  return (await fs.pathExists(exitPath)) ? fs.readJson(exitPath) : null;
+}
+
+/**
+ * Connect to a supervisor's console socket
+ * @param {string} socketPath - Socket path
+ * @param {string} runtimeDir - Runtime directory
+ * @param {number} [timeout] - How long to wait for the supervisor's hello in ms
+ * @returns {Promise<ConsoleConnection>} Connected console
+ */
+function connect(socketPath, runtimeDir, timeout = HELLO_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath);
+    socket.setEncoding('utf8');
+
+    const fail = (error) => {
+      clearTimeout(timer);
+      socket.removeAllListeners('data');
+      socket.destroy();
+      reject(error);
+    };
+
+    // Something listening that never says hello is not a supervisor
+    const timer = setTimeout(() => fail(new Error('Timed out waiting for the supervisor')), timeout);
+
+    let buffer = '';
+    const onData = (data) => {
+      buffer += data;
+      const newline = buffer.indexOf('\n');
+      if (newline < 0) return;
+
+      // The first line is the supervisor's hello; the rest belongs to the connection
+      let hello;
+      try {
+        hello = JSON.parse(buffer.slice(0, newline));
+      } catch (error) {
+        hello = null;
+      }
+      if (!hello || hello.type !== 'hello') {
+        fail(new Error('Unexpected greeting from the supervisor'));
+        return;
+      }
+
+      clearTimeout(timer);
+      socket.removeListener('data', onData);
+      socket.removeListener('error', fail);
+      const connection = new ConsoleConnection(socket, hello, runtimeDir);
+      resolve(connection);
+
+      const rest = buffer.slice(newline + 1);
+      if (rest) socket.emit('data', rest);
+    };
+
+    socket.on('data', onData);
+    socket.once('error', fail);
+  });
+}
+
+/**
+ * Attach to a running supervisor
+ * @param {string} serverId - Server ID
+ * @param {number} [timeout] - How long to keep retrying in ms
+ * @returns {Promise<ConsoleConnection>} Connected console
+ */
+async function attachConsole(serverId, timeout = CONNECT_TIMEOUT) {
+  const runtimeDir = runtimeDirFor(serverId);
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    try {
+      // Supervisors record where they listen; older ones used another location
+      const state = await readRuntimeState(runtimeDir);
+      const socketPath = (state && state.socketPath) || socketPathFor(serverId);
+      return await connect(socketPath, runtimeDir, Math.min(Math.max(deadline - Date.now(), 1000), HELLO_TIMEOUT));
+    } catch (error) {
+      // A supervisor that failed to launch the JVM leaves its reason behind
+      const exit = await readExitStatus(runtimeDir);
+      if (exit) {
+        throw new Error(exit.error || `Server process exited with code ${exit.code}`);
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Could not connect to the console of server ${serverId}: ${error.message}`);
+      }
+      await sleep(100);
+    }
+  }
+}
+
+/**
+ * Launch a command under a detached supervisor and attach to its console
+ * @param {string} serverId - Server ID
+ * @param {string} command - Executable to run
+ * @param {Array<string>} args - Arguments
+ * @param {string} cwd - Working directory
+ * @returns {Promise<ConsoleConnection>} Connected console
+ * @throws {ConflictError} If a supervisor for the server is still running
+ */
+async function launchSupervised(serverId, command, args, cwd) {
+  const runtimeDir = runtimeDirFor(serverId);
+  const socketPath = socketPathFor(serverId);
+
+  if (process.platform !== 'win32' && Buffer.byteLength(socketPath) > SOCKET_PATH_LIMIT) {
+    throw new Error(`Console socket path ${socketPath} is too long; set MC_RUNTIME_DIR to a shorter directory`);
+  }
+
+  // Clearing the directory would orphan a live supervisor's state and socket;
+  // an unreadable state file has no supervisor behind it worth keeping
+  const state = await readRuntimeState(runtimeDir).catch(() => null);
+  if (state && await isRecordedProcessAlive(state.supervisorPid, state.startedAt)) {
+    throw new ConflictError(`Supervisor ${state.supervisorPid} of server ${serverId} is still running`);
+  }
+
+  await fs.emptyDir(runtimeDir);
+  await fs.chmod(runtimeDir, 0o700);
+  await fs.writeJson(path.join(runtimeDir, 'launch.json'), {
+    command,
+    args,
+    cwd,
+    socketPath
+  });
+
+  const supervisor = spawn(process.execPath, [SUPERVISOR_PATH, runtimeDir], {
+    cwd,
+    detached: true,
+    stdio: 'ignore',
+    windowsHide: true
+  });
+  supervisor.unref();
+
+  const connection = await attachConsole(serverId);
+  connection.supervisorPid = supervisor.pid;
+  return connection;
+}
+
+module.exports = {
+  ConsoleConnection,
+  runtimeDirFor,
+  isProcessAlive,
+  isRecordedProcessAlive,
+  readRuntimeState,
+  readExitStatus,
+  attachConsole,
+  launchSupervised
+};
@@ -0,0 +1,413 @@
+// src/services/minecraft/downloader.js
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('../../utils/logger');
+const { getJson, getText, downloadFile } = require('../../utils/http');
+const { selectJavaRuntime } = require('./java');
+const config = require('../../config').getConfig();
+
+const downloadConfig = config.minecraft.downloads || {};
+
+// Upstream endpoints; each can point at a local mirror instead
+const endpoints = {
+  mojangMeta: downloadConfig.mojangMetaUrl || 'https://piston-meta.mojang.com',
+  mojangData: downloadConfig.mojangDataUrl || 'https://piston-data.mojang.com',
+  paperApi: downloadConfig.paperApiUrl || 'https://api.papermc.io',
+  fabricMeta: downloadConfig.fabricMetaUrl || 'https://meta.fabricmc.net',
+  fabricMaven: downloadConfig.fabricMavenUrl || 'https://maven.fabricmc.net',
+  forgeFiles: downloadConfig.forgeFilesUrl || 'https://files.minecraftforge.net',
+  forgeMaven: downloadConfig.forgeMavenUrl || 'https://maven.minecraftforge.net'
+};
+
+const CACHE_DIR = downloadConfig.cacheDir
+  || path.join(config.minecraft.serversDir, '.cache', 'jars');
+const MAX_ATTEMPTS = downloadConfig.retries || 3;
+const RETRY_DELAY = 2000;
+
+// Downloads currently in flight, keyed by cache path
+const pendingDownloads = new Map();
+
+/**
+ * Replace an upstream origin with the configured base URL
+ * @param {string} url - URL returned by an upstream API
+ * @param {string} upstream - Default upstream origin
+ * @param {string} base - Configured base URL
+ * @returns {string} Rebased URL
+ */
+function rebaseUrl(url, upstream, base) {
+  if (upstream === base || !url.startsWith(upstream)) {
+    return url;
+  }
+  return base.replace(/\/$/, '') + url.slice(upstream.length);
+}
+
+/**
+ * Run an async operation, retrying with exponential backoff
+ * @param {Function} operation - Operation to run
+ * @param {string} description - Description used in log messages
+ * @returns {Promise<*>} Operation result
+ */
+async function withRetries(operation, description) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      lastError = error;
+      // Client errors will not succeed on retry
+      if (error.statusCode && error.statusCode >= 400 && error.statusCode < 500) {
+        break;
+      }
+      if (attempt < MAX_ATTEMPTS) {
+        const delay = RETRY_DELAY * 2 ** (attempt - 1);
+        logger.warn(`${description} failed (attempt ${attempt}/${MAX_ATTEMPTS}), retrying in ${delay}ms: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Compute the hex digest of a file
+ * @param {string} filePath - File to hash
+ * @param {string} algorithm - Hash algorithm
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath, algorithm) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Resolve the vanilla server jar through the Mojang version manifest
+ * @param {string} version - Minecraft version or "latest"
+ * @returns {Promise<Object>} Artifact description
+ */
+async function resolveVanilla(version) {
+  const manifest = await getJson(`${endpoints.mojangMeta}/mc/game/version_manifest_v2.json`);
+  const id = version === 'latest' ? manifest.latest.release : version;
+  const entry = manifest.versions.find(v => v.id === id);
+  if (!entry) {
+    throw new Error(`Unknown vanilla version: ${version}`);
+  }
+
+  const versionInfo = await getJson(rebaseUrl(entry.url, 'https://piston-meta.mojang.com', endpoints.mojangMeta));
+  const server = versionInfo.downloads && versionInfo.downloads.server;
+  if (!server) {
+    throw new Error(`No server download is published for vanilla ${id}`);
+  }
+
+  return {
+    url: rebaseUrl(server.url, 'https://piston-data.mojang.com', endpoints.mojangData),
+    cacheName: path.join('vanilla', `${id}.jar`),
+    checksum: { algorithm: 'sha1', value: server.sha1 }
+  };
+}
+
+/**
+ * Resolve the newest Paper build through the Paper builds API
+ * @param {string} version - Minecraft version or "latest"
+ * @returns {Promise<Object>} Artifact description
+ */
+async function resolvePaper(version) {
+  const base = `${endpoints.paperApi}/v2/projects/paper`;
+  let id = version;
+
+  if (version === 'latest') {
+    const project = await getJson(base);
+    id = project.versions[project.versions.length - 1];
+  }
+
+  const { builds } = await getJson(`${base}/versions/${id}/builds`);
+  if (!builds || builds.length === 0) {
+    throw new Error(`No Paper builds are published for ${id}`);
+  }
+
+  // Prefer the newest stable build, falling back to the newest of any channel
+  const stable = builds.filter(b => b.channel === 'default');
+  const candidates = stable.length > 0 ? stable : builds;
+  const build = candidates[candidates.length - 1];
+  const download = build.downloads.application;
+
+  return {
+    url: `${base}/versions/${id}/builds/${build.build}/downloads/${download.name}`,
+    cacheName: path.join('paper', id, download.name),
+    checksum: { algorithm: 'sha256', value: download.sha256 }
+  };
+}
+
+/**
+ * Resolve the Fabric installer and the newest stable loader for a Minecraft version
+ * @param {string} version - Minecraft version
+ * @returns {Promise<Object>} Artifact description of the installer, with the loader version
+ */
+async function resolveFabric(version) {
+  const base = `${endpoints.fabricMeta}/v2/versions`;
+
+  const loaders = await getJson(`${base}/loader/${version}`);
+  if (!loaders || loaders.length === 0) {
+    throw new Error(`No Fabric loader supports Minecraft ${version}`);
+  }
+  const loader = (loaders.find(l => l.loader.stable) || loaders[0]).loader.version;
+
+  const installers = await getJson(`${base}/installer`);
+  const installer = installers.find(i => i.stable) || installers[0];
+
+  // The launcher jar meta generates has no published checksum; the installer on Fabric's maven does
+  const url = rebaseUrl(installer.url, 'https://maven.fabricmc.net', endpoints.fabricMaven);
+  const sha1 = (await getText(`${url}.sha1`)).trim().split(/\s+/)[0];
+
+  return {
+    url,
+    loader,
+    cacheName: path.join('fabric', `fabric-installer-${installer.version}.jar`),
+    checksum: { algorithm: 'sha1', value: sha1 }
+  };
+}
+
+/**
+ * Resolve the Forge installer for a Minecraft version
+ * @param {string} version - Minecraft version, or "<mc>-<forge>" for an exact build
+ * @returns {Promise<Object>} Artifact description
+ */
+async function resolveForge(version) {
+  let fullVersion = version;
+
+  if (!/^[\d.]+-[\d.]+$/.test(version)) {
+    const { promos } = await getJson(`${endpoints.forgeFiles}/net/minecraftforge/forge/promotions_slim.json`);
+    const build = promos[`${version}-recommended`] || promos[`${version}-latest`];
+    if (!build) {
+      throw new Error(`No Forge build is promoted for Minecraft ${version}`);
+    }
+    fullVersion = `${version}-${build}`;
+  }
+
+  const url = `${endpoints.forgeMaven}/net/minecraftforge/forge/${fullVersion}/forge-${fullVersion}-installer.jar`;
+  const sha1 = (await getText(`${url}.sha1`)).trim().split(/\s+/)[0];
+
+  return {
+    url,
+    fullVersion,
+    cacheName: path.join('forge', `forge-${fullVersion}-installer.jar`),
+    checksum: { algorithm: 'sha1', value: sha1 }
+  };
+}
+
+/**
+ * Download an artifact into the shared jar cache, verifying its checksum
+ * @param {Object} artifact - Artifact description from a resolver
+ * @param {Function} [onProgress] - Progress callback
+ * @returns {Promise<string>} Path of the cached file
+ */
+async function fetchToCache(artifact, onProgress) {
+  const cachePath = path.join(CACHE_DIR, artifact.cacheName);
+
+  if (pendingDownloads.has(cachePath)) {
+    return pendingDownloads.get(cachePath);
+  }
+
+  const task = (async () => {
+    if (await fs.pathExists(cachePath)) {
+      if (!artifact.checksum) {
+        return cachePath;
+      }
+      const digest = await hashFile(cachePath, artifact.checksum.algorithm);
+      if (digest === artifact.checksum.value) {
+        logger.info(`Using cached jar ${cachePath}`);
+        return cachePath;
+      }
+      logger.warn(`Cached jar ${cachePath} failed checksum verification, downloading again`);
+      await fs.remove(cachePath);
+    }
+
+    const tempPath = `${cachePath}.part`;
+
+    await withRetries(async () => {
+      const { digest } = await downloadFile(artifact.url, tempPath, {
+        algorithm: artifact.checksum ? artifact.checksum.algorithm : 'sha1',
+        onProgress
+      });
+
+      if (artifact.checksum && digest !== artifact.checksum.value) {
+        await fs.remove(tempPath);
+        throw new Error(`Checksum mismatch for ${artifact.url}: expected ${artifact.checksum.value}, got ${digest}`);
+      }
+    }, `Download of ${artifact.url}`);
+
+    await fs.move(tempPath, cachePath, { overwrite: true });
+    return cachePath;
+  })();
+
+  pendingDownloads.set(cachePath, task);
+  try {
+    return await task;
+  } finally {
+    pendingDownloads.delete(cachePath);
+  }
+}
+
+/**
+ * Run an installer jar on the Java runtime chosen for the server
+ * @param {string} label - Name used in log messages
+ * @param {Object} server - Server being installed: { name, version, javaPath }
+ * @param {Array<string>} args - Arguments after -jar <installer>
+ * @param {string} installerPath - Cached installer jar
+ * @param {string} serverDir - Server directory to install into
+ * @returns {Promise<void>}
+ */
+async function runInstaller(label, server, args, installerPath, serverDir) {
+  const { runtime } = await selectJavaRuntime(server);
+
+  await new Promise((resolve, reject) => {
+    const installer = spawn(runtime.path, ['-jar', installerPath, ...args], {
+      cwd: serverDir
+    });
+
+    installer.stdout.on('data', data => logger.debug(`[${label}] ${data.toString().trim()}`));
+    installer.stderr.on('data', data => logger.debug(`[${label}] ${data.toString().trim()}`));
+    installer.on('error', reject);
+    installer.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${label} exited with code ${code}`));
+      }
+    });
+  });
+}
+
+/**
+ * Run the Forge installer in server mode and locate the launch target
+ * @param {string} installerPath - Cached installer jar
+ * @param {string} fullVersion - Forge version ("<mc>-<forge>")
+ * @param {string} serverDir - Server directory to install into
+ * @param {Object} server - Server being installed: { name, version, javaPath }
+ * @returns {Promise<string>} Path to the jar or argument file used to launch
+ */
+async function runForgeInstaller(installerPath, fullVersion, serverDir, server) {
+  await runInstaller('forge-installer', server, ['--installServer', serverDir], installerPath, serverDir);
+
+  // Forge 1.17+ launches through a JVM argument file instead of a jar
+  const argsFile = path.join(serverDir, 'libraries', 'net', 'minecraftforge', 'forge', fullVersion,
+    process.platform === 'win32' ? 'win_args.txt' : 'unix_args.txt');
+  if (await fs.pathExists(argsFile)) {
+    return argsFile;
+  }
+
+  for (const name of [`forge-${fullVersion}.jar`, `forge-${fullVersion}-universal.jar`]) {
+    const jarPath = path.join(serverDir, name);
+    if (await fs.pathExists(jarPath)) {
+      return jarPath;
+    }
+  }
+
+  throw new Error(`Forge installer finished but no launch target was found for ${fullVersion}`);
+}
+
+/**
+ * Install a Fabric server: the vanilla jar from Mojang, then the loader through
+ * the Fabric installer, both verified against their published checksums
+ * @param {Object} artifact - Installer artifact from resolveFabric
+ * @param {string} version - Minecraft version
+ * @param {string} serverDir - Server directory to install into
+ * @param {Object} server - Server being installed: { name, version, javaPath }
+ * @param {Function} [onProgress] - Progress callback
+ * @returns {Promise<string>} Path to the launcher jar
+ */
+async function installFabric(artifact, version, serverDir, server, onProgress) {
+  // The launcher starts server.jar, so provide it instead of letting the installer fetch it
+  const vanilla = await withRetries(() => resolveVanilla(version), 'Mojang version lookup');
+  await fs.copy(await fetchToCache(vanilla, onProgress), path.join(serverDir, 'server.jar'));
+
+  const installerPath = await fetchToCache(artifact, onProgress);
+  await runInstaller('fabric-installer', server,
+    ['server', '-dir', serverDir, '-mcversion', version, '-loader', artifact.loader], installerPath, serverDir);
+
+  const launcherPath = path.join(serverDir, 'fabric-server-launch.jar');
+  if (!(await fs.pathExists(launcherPath))) {
+    throw new Error(`Fabric installer finished but ${launcherPath} was not created`);
+  }
+  return launcherPath;
+}
+
+/**
+ * Download server JAR file
+ * @param {string} type - Server type (vanilla, paper, fabric, forge)
+ * @param {string} version - Minecraft version
+ * @param {string} destination - Download path
+ * @param {Object} [options] - Download options
+ * @param {Function} [options.onProgress] - Called with { received, total, percent }
+ * @param {Object} [options.server] - Server being created ({ name, javaPath }); installers run on its Java runtime
+ * @returns {Promise<string>} Path of the jar (or argument file) to launch
+ */
+async function downloadServerJar(type, version, destination, options = {}) {
+  try {
+    logger.info(`Downloading ${type} server version ${version}`);
+
+    let lastPercent = -1;
+    const onProgress = ({ received, total }) => {
+      const percent = total ? Math.floor((received / total) * 100) : null;
+      if (percent === lastPercent || !options.onProgress) return;
+      lastPercent = percent;
+      options.onProgress({ received, total, percent });
+    };
+
+    const server = { ...options.server, version };
+    const serverDir = path.dirname(destination);
+
+    let artifact;
+    switch (type) {
+      case 'vanilla':
+        artifact = await withRetries(() => resolveVanilla(version), 'Mojang version lookup');
+        break;
+
+      case 'paper':
+        artifact = await withRetries(() => resolvePaper(version), 'Paper build lookup');
+        break;
+
+      case 'fabric': {
+        artifact = await withRetries(() => resolveFabric(version), 'Fabric loader lookup');
+        const launchTarget = await installFabric(artifact, version, serverDir, server, onProgress);
+        logger.info(`Fabric loader ${artifact.loader} installed, launch target ${launchTarget}`);
+        return launchTarget;
+      }
+
+      case 'forge': {
+        artifact = await withRetries(() => resolveForge(version), 'Forge build lookup');
+        const installerPath = await fetchToCache(artifact, onProgress);
+        const launchTarget = await runForgeInstaller(installerPath, artifact.fullVersion, serverDir, server);
+        logger.info(`Forge ${artifact.fullVersion} installed, launch target ${launchTarget}`);
+        return launchTarget;
+      }
+
+      case 'spigot':
+        throw new Error('Spigot jars cannot be downloaded; build one with BuildTools and copy it into the server directory');
+
+      default:
+        throw new Error(`Unknown server type: ${type}`);
+    }
+
+    const cachePath = await fetchToCache(artifact, onProgress);
+    await fs.copy(cachePath, destination);
+
+    logger.info(`Server jar downloaded to ${destination}`);
+    return destination;
+  } catch (error) {
+    logger.error(`Failed to download server jar (${type} ${version}):`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  downloadServerJar
+};
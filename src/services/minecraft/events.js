@@ -0,0 +1,15 @@
+// src/services/minecraft/events.js
+const EventEmitter = require('events');
+
+// Server lifecycle and console events shared between minecraft services.
+// Events:
+//   'log' (serverId, logEntry)
+//   'started' (serverId, { lastStopped }) - a new server process has been launched
+//   'reattached' (serverId) - the manager reconnected to a process that kept running
+//   'stopped' (serverId, { crashed, at }) - the server process exited
+//   'health' (serverId, status) - ping health changed to starting, healthy or unhealthy
+//   'alert' (serverId, alert) - a resource alert rule started firing or resolved
+const serverEvents = new EventEmitter();
+serverEvents.setMaxListeners(50);
+
+module.exports = { serverEvents };
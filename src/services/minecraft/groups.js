@@ -0,0 +1,314 @@
+// src/services/minecraft/groups.js
+//
+// Server groups share network-wide access lists. Group entries are stored in
+// the database and applied to each member server through the access service,
+// so running members get commands and stopped members have their files edited.
+const { logger } = require('../../utils/logger');
+const { MinecraftServer, ServerGroup } = require('../../models');
+const { BadRequestError, ConflictError, NotFoundError } = require('../../utils/errors');
+const { mapWithConcurrency } = require('../../utils/concurrency');
+const { addAccess, removeAccess } = require('./access');
+
+// Members are updated a few at a time; each may wait on a profile lookup
+const APPLY_CONCURRENCY = 4;
+
+/**
+ * Key identifying an entry within its list
+ * @param {string} list - List name
+ * @param {Object} entry - Group entry
+ * @returns {string} Lowercase player name, or IP
+ */
+function entryKey(list, entry) {
+  return list === 'banned-ips' ? entry.ip : entry.name.toLowerCase();
+}
+
+/**
+ * Format a group for API responses
+ * @param {Object} group - ServerGroup document
+ * @returns {Object} Group
+ */
+function formatGroup(group) {
+  return {
+    id: group._id,
+    name: group.name,
+    description: group.description || null,
+    servers: group.servers,
+    entries: group.entries.map(entry => ({
+      list: entry.list,
+      name: entry.name || null,
+      ip: entry.ip || null,
+      level: entry.level !== undefined ? entry.level : null,
+      bypassesPlayerLimit: entry.bypassesPlayerLimit || false,
+      reason: entry.reason || null,
+      expires: entry.expires || null,
+      source: entry.source || null,
+      createdAt: entry.createdAt
+    })),
+    createdAt: group.createdAt,
+    updatedAt: group.updatedAt
+  };
+}
+
+/**
+ * Find a group
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} ServerGroup document
+ */
+async function findGroup(groupId) {
+  const group = await ServerGroup.findById(groupId);
+  if (!group) {
+    throw new NotFoundError('Group not found');
+  }
+  return group;
+}
+
+/**
+ * Check that every server in a member list exists
+ * @param {Array<string>} serverIds - Server IDs
+ * @returns {Promise<Array<string>>} Unique server IDs
+ */
+async function checkServers(serverIds) {
+  const unique = [...new Set(serverIds.map(String))];
+  const found = await MinecraftServer.find({ _id: { $in: unique } }).select('_id');
+  const foundIds = new Set(found.map(server => server._id.toString()));
+  const missing = unique.filter(id => !foundIds.has(id));
+  if (missing.length > 0) {
+    throw new BadRequestError(`Unknown server: ${missing.join(', ')}`, { servers: missing });
+  }
+  return unique;
+}
+
+/**
+ * Apply entries to servers and collect a result per server and entry
+ * @param {Array<string>} serverIds - Server IDs
+ * @param {Array<Object>} entries - Group entries
+ * @param {string} action - add or remove
+ * @returns {Promise<Array<Object>>} { server, list, key, status, via, error }
+ */
+async function applyEntries(serverIds, entries, action) {
+  const perServer = await mapWithConcurrency(serverIds, APPLY_CONCURRENCY, async (serverId) => {
+    const results = [];
+    for (const entry of entries) {
+      const key = entry.list === 'banned-ips' ? entry.ip : entry.name;
+      try {
+        const result = action === 'add'
+          ? await addAccess(serverId, entry.list, {
+            name: entry.name,
+            ip: entry.ip,
+            level: entry.level !== null ? entry.level : undefined,
+            bypassesPlayerLimit: entry.bypassesPlayerLimit,
+            reason: entry.reason || undefined,
+            expires: entry.expires || undefined
+          }, { source: entry.source })
+          // A member that never had the entry is already in the wanted state
+          : await removeAccess(serverId, entry.list, key, { ignoreMissing: true });
+        results.push({ server: serverId, list: entry.list, key, status: 'applied', via: result.via, error: null });
+      } catch (error) {
+        results.push({ server: serverId, list: entry.list, key, status: 'failed', via: null, error: error.message });
+      }
+    }
+    return results;
+  });
+  return perServer.flat();
+}
+
+/**
+ * Summarize apply results
+ * @param {Array<Object>} results - Results from applyEntries
+ * @returns {Object} { applied, failed, results }
+ */
+function summarize(results) {
+  const failed = results.filter(result => result.status === 'failed').length;
+  return { applied: results.length - failed, failed, results };
+}
+
+/**
+ * List all groups
+ * @returns {Promise<Array>} Groups
+ */
+async function listGroups() {
+  const groups = await ServerGroup.find({}).sort({ name: 1 });
+  return groups.map(formatGroup);
+}
+
+/**
+ * Get a group
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} Group
+ */
+async function getGroup(groupId) {
+  return formatGroup(await findGroup(groupId));
+}
+
+/**
+ * Create a group
+ * @param {Object} data - name, description and servers
+ * @returns {Promise<Object>} Group
+ */
+async function createGroup(data) {
+  try {
+    if (await ServerGroup.exists({ name: data.name })) {
+      throw new ConflictError(`A group named ${data.name} already exists`);
+    }
+
+    const group = await ServerGroup.create({
+      name: data.name,
+      description: data.description,
+      servers: await checkServers(data.servers || [])
+    });
+
+    logger.info(`Created server group ${group.name}`);
+    return formatGroup(group);
+  } catch (error) {
+    logger.error('Failed to create server group:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a group. Servers joining the group get its entries applied;
+ * servers leaving it keep theirs.
+ * @param {string} groupId - Group ID
+ * @param {Object} updates - name, description and servers
+ * @returns {Promise<Object>} Group, plus the apply summary for joining servers
+ */
+async function updateGroup(groupId, updates) {
+  try {
+    const group = await findGroup(groupId);
+
+    if (updates.name && updates.name !== group.name
+      && await ServerGroup.exists({ name: updates.name })) {
+      throw new ConflictError(`A group named ${updates.name} already exists`);
+    }
+
+    let joined = [];
+    if (updates.servers) {
+      const servers = await checkServers(updates.servers);
+      const current = new Set(group.servers.map(String));
+      joined = servers.filter(id => !current.has(id));
+      group.servers = servers;
+    }
+    if (updates.name) group.name = updates.name;
+    if (updates.description !== undefined) group.description = updates.description;
+
+    await group.save();
+    const sync = summarize(await applyEntries(joined, group.entries, 'add'));
+    return { ...formatGroup(group), sync };
+  } catch (error) {
+    logger.error(`Failed to update server group ${groupId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a group. Member servers keep the entries already applied to them.
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} Deletion result
+ */
+async function deleteGroup(groupId) {
+  try {
+    const group = await findGroup(groupId);
+    await group.deleteOne();
+
+    logger.info(`Deleted server group ${group.name}`);
+    return { id: group._id, deleted: true };
+  } catch (error) {
+    logger.error(`Failed to delete server group ${groupId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Add an entry to a group's list and apply it to every member
+ * @param {string} groupId - Group ID
+ * @param {string} list - whitelist, ops, banned-players or banned-ips
+ * @param {Object} input - As for addAccess
+ * @param {Object} [options] - source: who is adding the entry
+ * @returns {Promise<Object>} { entry, applied, failed, results }
+ */
+async function addGroupEntry(groupId, list, input, options = {}) {
+  try {
+    const group = await findGroup(groupId);
+    const entry = {
+      list,
+      name: list === 'banned-ips' ? undefined : input.name,
+      ip: list === 'banned-ips' ? input.ip : undefined,
+      level: list === 'ops' ? input.level : undefined,
+      bypassesPlayerLimit: list === 'ops' ? input.bypassesPlayerLimit === true : undefined,
+      reason: list.startsWith('banned-') ? input.reason : undefined,
+      expires: list.startsWith('banned-') && input.expires ? new Date(input.expires) : undefined,
+      source: options.source,
+      createdAt: new Date()
+    };
+
+    const key = entryKey(list, entry);
+    group.entries = [
+      ...group.entries.filter(existing => existing.list !== list || entryKey(list, existing) !== key),
+      entry
+    ];
+    await group.save();
+
+    const stored = group.entries[group.entries.length - 1];
+    const summary = summarize(await applyEntries(group.servers.map(String), [stored], 'add'));
+    logger.info(`Added ${list === 'banned-ips' ? entry.ip : entry.name} to ${list} of group ${group.name}: ${summary.applied} applied, ${summary.failed} failed`);
+    return { entry: formatGroup(group).entries.pop(), ...summary };
+  } catch (error) {
+    logger.error(`Failed to add to ${list} of server group ${groupId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove an entry from a group's list and from every member
+ * @param {string} groupId - Group ID
+ * @param {string} list - whitelist, ops, banned-players or banned-ips
+ * @param {string} key - Player name, or IP for banned-ips
+ * @returns {Promise<Object>} { applied, failed, results }
+ */
+async function removeGroupEntry(groupId, list, key) {
+  try {
+    const group = await findGroup(groupId);
+    const lookup = list === 'banned-ips' ? key : key.toLowerCase();
+    const entry = group.entries.find(existing => existing.list === list && entryKey(list, existing) === lookup);
+    if (!entry) {
+      throw new NotFoundError(`${key} is not in the group's ${list}`);
+    }
+
+    group.entries = group.entries.filter(existing => existing !== entry);
+    await group.save();
+
+    const summary = summarize(await applyEntries(group.servers.map(String), [entry], 'remove'));
+    logger.info(`Removed ${key} from ${list} of group ${group.name}: ${summary.applied} applied, ${summary.failed} failed`);
+    return summary;
+  } catch (error) {
+    logger.error(`Failed to remove ${key} from ${list} of server group ${groupId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Apply every entry of a group to every member again, e.g. after a member
+ * was offline or its files were edited by hand
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} { applied, failed, results }
+ */
+async function syncGroup(groupId) {
+  try {
+    const group = await findGroup(groupId);
+    return summarize(await applyEntries(group.servers.map(String), group.entries, 'add'));
+  } catch (error) {
+    logger.error(`Failed to sync server group ${groupId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  listGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  addGroupEntry,
+  removeGroupEntry,
+  syncGroup
+};
@@ -0,0 +1,2 @@
+// src/services/minecraft/index.js
+module.exports = require('./minecraft');
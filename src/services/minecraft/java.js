@@ -0,0 +1,311 @@
+// src/services/minecraft/java.js
+//
+// Finds installed Java runtimes and checks them against the Java version a
+// Minecraft release needs, so a mismatch is reported before launch instead
+// of as an UnsupportedClassVersionError in the server log.
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+const { logger } = require('../../utils/logger');
+const { MinecraftServer } = require('../../models');
+const { ConflictError, NotFoundError } = require('../../utils/errors');
+const { mapWithConcurrency } = require('../../utils/concurrency');
+const config = require('../../config').getConfig();
+
+const JAVA_BINARY = process.platform === 'win32' ? 'java.exe' : 'java';
+
+// Directories whose subdirectories are JDK or JRE installs
+const SEARCH_DIRS = [
+  '/usr/lib/jvm',
+  '/usr/java',
+  '/usr/local/java',
+  '/opt/java',
+  '/opt',
+  '/Library/Java/JavaVirtualMachines',
+  path.join(os.homedir(), '.sdkman', 'candidates', 'java'),
+  path.join(os.homedir(), '.jdks'),
+  'C:\\Program Files\\Java',
+  'C:\\Program Files\\Eclipse Adoptium',
+  'C:\\Program Files\\Microsoft'
+];
+
+// Java binaries or installation directories from MC_JAVA_PATHS
+const CONFIGURED_PATHS = (Array.isArray(config.minecraft.javaPaths)
+  ? config.minecraft.javaPaths
+  : String(config.minecraft.javaPaths || '').split(','))
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+const PROBE_TIMEOUT = 10000;
+
+// Installs rarely change, so detection is reused for a while
+const CACHE_TTL = 5 * 60 * 1000;
+let detected = null;
+
+// Lowest Java version each release needs, newest release first. Up to 1.16
+// servers are tested on Java 8 to 11; newer Java often breaks their mods.
+const JAVA_REQUIREMENTS = [
+  { since: [1, 20, 5], min: 21 },
+  { since: [1, 18, 0], min: 17 },
+  { since: [1, 17, 0], min: 16 },
+  { since: [0, 0, 0], min: 8, max: 11 }
+];
+
+/**
+ * Parse the release a server version refers to
+ * @param {string} version - Minecraft version, e.g. 1.20.4 or 1.20.1-47.2.0 for Forge
+ * @returns {Array<number>|null} [major, minor, patch], or null for snapshots and unknown formats
+ */
+function parseGameVersion(version) {
+  const match = /^(\d+)\.(\d+)(?:\.(\d+))?(?![\w.])/.exec(String(version || ''));
+  return match ? [Number(match[1]), Number(match[2]), Number(match[3] || 0)] : null;
+}
+
+/**
+ * Compare two parsed releases
+ * @param {Array<number>} a - Release
+ * @param {Array<number>} b - Release
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareReleases(a, b) {
+  for (let i = 0; i < 3; i += 1) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Get the Java versions a Minecraft version runs on
+ * @param {string} version - Minecraft version
+ * @returns {Object|null} { min, max } (max may be null), or null if the version is not recognised
+ */
+function javaRequirement(version) {
+  const release = parseGameVersion(version);
+  if (!release) return null;
+
+  const requirement = JAVA_REQUIREMENTS.find(entry => compareReleases(release, entry.since) >= 0);
+  return { min: requirement.min, max: requirement.max || null };
+}
+
+/**
+ * Get the major version of a java.version string
+ * @param {string} version - e.g. 1.8.0_392, 17.0.10 or 21
+ * @returns {number|null} Major version
+ */
+function javaMajor(version) {
+  const match = /^(\d+)(?:\.(\d+))?/.exec(String(version || ''));
+  if (!match) return null;
+  return match[1] === '1' && match[2] ? Number(match[2]) : Number(match[1]);
+}
+
+/**
+ * Run a Java binary and read its version and vendor
+ * @param {string} binary - Path to the java binary
+ * @returns {Promise<Object|null>} Runtime, or null if the binary does not run
+ */
+async function probeJava(binary) {
+  let output;
+  try {
+    const result = await execFile(binary, ['-XshowSettings:properties', '-version'], { timeout: PROBE_TIMEOUT });
+    output = `${result.stderr}\n${result.stdout}`;
+  } catch (error) {
+    logger.debug(`Skipping Java candidate ${binary}: ${error.message}`);
+    return null;
+  }
+
+  const properties = {};
+  for (const line of output.split(/\r?\n/)) {
+    const match = /^\s+([\w.]+) = (.*)$/.exec(line);
+    if (match) properties[match[1]] = match[2].trim();
+  }
+
+  const major = javaMajor(properties['java.version']);
+  if (!major) return null;
+
+  return {
+    path: binary,
+    home: properties['java.home'] || path.dirname(path.dirname(binary)),
+    version: properties['java.version'],
+    major,
+    vendor: properties['java.vendor'] || null,
+    arch: properties['os.arch'] || null
+  };
+}
+
+/**
+ * List the java binaries to probe with where each was found
+ * @returns {Promise<Array<Object>>} Candidates as { binary, source } where source is
+ *   configured, JAVA_HOME, PATH or search
+ */
+async function findCandidates() {
+  const toBinary = entry => (path.basename(entry) === JAVA_BINARY ? entry : path.join(entry, 'bin', JAVA_BINARY));
+  const candidates = CONFIGURED_PATHS.map(entry => ({ binary: toBinary(entry), source: 'configured' }));
+
+  if (process.env.JAVA_HOME) {
+    candidates.push({ binary: toBinary(process.env.JAVA_HOME), source: 'JAVA_HOME' });
+  }
+  // Only the first java on PATH is the one a plain `java` would run
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    if (await fs.pathExists(path.join(dir, JAVA_BINARY))) {
+      candidates.push({ binary: path.join(dir, JAVA_BINARY), source: 'PATH' });
+      break;
+    }
+  }
+  for (const dir of SEARCH_DIRS) {
+    const entries = await fs.readdir(dir).catch(() => []);
+    for (const entry of entries) {
+      // macOS bundles keep the JDK under Contents/Home
+      candidates.push({ binary: toBinary(path.join(dir, entry)), source: 'search' });
+      candidates.push({ binary: toBinary(path.join(dir, entry, 'Contents', 'Home')), source: 'search' });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Find the Java runtimes installed on the host
+ * @param {Object} [options] - Detection options
+ * @param {boolean} [options.refresh=false] - Probe again instead of using the last result
+ * @returns {Promise<Array<Object>>} Runtimes, newest Java first
+ */
+async function detectJavaRuntimes(options = {}) {
+  if (detected && !options.refresh && Date.now() - detected.at < CACHE_TTL) {
+    return detected.runtimes;
+  }
+
+  // One binary is often reachable as several paths (PATH symlinks, JAVA_HOME)
+  const seen = new Map();
+  for (const candidate of await findCandidates()) {
+    const realPath = await fs.realpath(candidate.binary).catch(() => null);
+    if (!realPath) continue;
+    if (seen.has(realPath)) {
+      seen.get(realPath).aliases.push(candidate.binary);
+      seen.get(realPath).sources.push(candidate.source);
+    } else {
+      seen.set(realPath, { binary: candidate.binary, realPath, aliases: [candidate.binary], sources: [candidate.source] });
+    }
+  }
+
+  const probed = await mapWithConcurrency([...seen.values()], 2, async (candidate) => {
+    const runtime = await probeJava(candidate.realPath);
+    return runtime && {
+      ...runtime,
+      path: candidate.binary,
+      sources: [...new Set(candidate.sources)],
+      aliases: [...new Set([...candidate.aliases, candidate.realPath])]
+    };
+  });
+
+  const runtimes = probed.filter(Boolean).sort((a, b) => b.major - a.major);
+  detected = { at: Date.now(), runtimes };
+  logger.info(`Detected Java runtimes: ${runtimes.map(runtime => `${runtime.version} (${runtime.path})`).join(', ') || 'none'}`);
+  return runtimes;
+}
+
+/**
+ * Find a detected runtime by its binary or installation directory
+ * @param {Array<Object>} runtimes - Detected runtimes
+ * @param {string} javaPath - Path to a java binary or Java home
+ * @returns {Object|null} Runtime
+ */
+function findRuntime(runtimes, javaPath) {
+  const normalized = path.resolve(javaPath);
+  return runtimes.find(runtime => runtime.aliases.includes(normalized)
+    || path.resolve(runtime.home) === normalized
+    || runtime.aliases.some(alias => path.dirname(path.dirname(alias)) === normalized)) || null;
+}
+
+/**
+ * Describe a requirement for messages
+ * @param {Object} requirement - { min, max }
+ * @returns {string} e.g. "Java 17 or newer"
+ */
+function describeRequirement(requirement) {
+  return requirement.max ? `Java ${requirement.min} to ${requirement.max}` : `Java ${requirement.min} or newer`;
+}
+
+/**
+ * Choose the Java runtime a server runs on and check it against the server's version.
+ * A server without javaPath gets the java on PATH if it is compatible, otherwise
+ * the newest compatible runtime; runtimes within the tested range come first.
+ * @param {Object} server - Server document, or { name, version, javaPath }
+ * @returns {Promise<Object>} { runtime, requirement, warnings }
+ * @throws {ConflictError} If the runtime is missing or too old for the version
+ */
+async function selectJavaRuntime(server) {
+  const requirement = javaRequirement(server.version);
+  const runtimes = await detectJavaRuntimes();
+  const warnings = [];
+  const installed = runtimes.map(runtime => `Java ${runtime.major} (${runtime.path})`).join(', ') || 'none';
+
+  let runtime;
+  if (server.javaPath) {
+    runtime = findRuntime(runtimes, server.javaPath) || (await detectJavaRuntimes({ refresh: true })
+      .then(refreshed => findRuntime(refreshed, server.javaPath)));
+    if (!runtime) {
+      throw new ConflictError(`Java runtime ${server.javaPath} was not found. Detected runtimes: ${installed}. Runtimes outside the usual install directories must be listed in MC_JAVA_PATHS.`);
+    }
+  } else if (!requirement) {
+    runtime = runtimes.find(candidate => candidate.sources.includes('PATH')) || runtimes[0];
+  } else {
+    const compatible = runtimes.filter(candidate => candidate.major >= requirement.min);
+    const tested = compatible.filter(candidate => !requirement.max || candidate.major <= requirement.max);
+    const onPath = list => list.find(candidate => candidate.sources.includes('PATH'));
+    runtime = onPath(tested) || tested[0] || onPath(compatible) || compatible[0];
+  }
+
+  if (!runtime) {
+    const needed = requirement ? describeRequirement(requirement) : 'Java';
+    throw new ConflictError(`${server.name} needs ${needed} for Minecraft ${server.version}, but no suitable runtime is installed. Detected runtimes: ${installed}.`);
+  }
+
+  if (!requirement) {
+    warnings.push(`The Java version Minecraft ${server.version} needs is not known; using Java ${runtime.major}`);
+  } else if (runtime.major < requirement.min) {
+    throw new ConflictError(`${server.name} needs ${describeRequirement(requirement)} for Minecraft ${server.version}, but ${runtime.path} is Java ${runtime.version}. It would fail with UnsupportedClassVersionError; choose another javaPath. Detected runtimes: ${installed}.`);
+  } else if (requirement.max && runtime.major > requirement.max) {
+    warnings.push(`Minecraft ${server.version} is tested on ${describeRequirement(requirement)}; Java ${runtime.major} may break older mods and plugins`);
+  }
+
+  return { runtime, requirement, warnings };
+}
+
+/**
+ * Report which Java runtime a server would start with
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Object>} javaPath, requirement, runtime, warnings and any error
+ */
+async function getServerJava(serverId) {
+  const server = await MinecraftServer.findById(serverId);
+  if (!server) {
+    throw new NotFoundError('Server not found');
+  }
+
+  const report = {
+    version: server.version,
+    javaPath: server.javaPath || null,
+    requirement: javaRequirement(server.version),
+    runtime: null,
+    compatible: false,
+    warnings: [],
+    error: null
+  };
+  try {
+    const { runtime, warnings } = await selectJavaRuntime(server);
+    Object.assign(report, { runtime, compatible: true, warnings });
+  } catch (error) {
+    if (!(error instanceof ConflictError)) throw error;
+    report.error = error.message;
+  }
+  return report;
+}
+
+module.exports = {
+  javaRequirement,
+  detectJavaRuntimes,
+  selectJavaRuntime,
+  getServerJava
+};
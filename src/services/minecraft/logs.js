@@ -0,0 +1,403 @@
+// src/services/minecraft/logs.js
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const safeRegex = require('safe-regex');
+const { BadRequestError } = require('../../utils/errors');
+
+const gunzip = promisify(zlib.gunzip);
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const ESC = String.fromCharCode(27);
+const ANSI_PATTERN = new RegExp(`${ESC}\\[[0-9;]*[A-Za-z]`, 'g');
+// Search patterns run against every entry of every log file
+const REGEX_MAX_LENGTH = 100;
+
+// Header formats, most specific first
+const LOG_FORMATS = [
+  {
+    // Forge: [17Jan2024 12:34:56.789] [Server thread/INFO] [net.minecraft.server.MinecraftServer/]: message
+    pattern: /^\[(\d{2})([A-Za-z]{3})(\d{4}) (\d{2}:\d{2}:\d{2})(?:\.\d+)?\] \[([^\]]+)\/([A-Z]+)\] \[([^\]]*?)\/?\]: ?(.*)$/,
+    map: m => ({
+      date: { year: Number(m[3]), month: MONTHS.indexOf(m[2]), day: Number(m[1]) },
+      time: m[4], thread: m[5], level: m[6], source: m[7] || null, message: m[8]
+    })
+  },
+  {
+    // Fabric: [12:34:56] [Server thread/INFO] (Minecraft) message
+    pattern: /^\[(\d{2}:\d{2}:\d{2})\] \[([^\]]+)\/([A-Z]+)\] \(([^)]+)\) ?(.*)$/,
+    map: m => ({ time: m[1], thread: m[2], level: m[3], source: m[4], message: m[5] })
+  },
+  {
+    // Vanilla, Spigot and Paper log files: [12:34:56] [Server thread/INFO]: message
+    pattern: /^\[(\d{2}:\d{2}:\d{2})\] \[([^\]]+)\/([A-Z]+)\]: ?(.*)$/,
+    map: m => ({ time: m[1], thread: m[2], level: m[3], source: null, message: m[4] })
+  },
+  {
+    // Paper console: [12:34:56 INFO]: message
+    pattern: /^\[(\d{2}:\d{2}:\d{2}) ([A-Z]+)\]: ?(.*)$/,
+    map: m => ({ time: m[1], thread: null, level: m[2], source: null, message: m[3] })
+  }
+];
+
+/**
+ * Parse a log header line
+ * @param {string} line - Raw log line
+ * @returns {Object|null} Time, thread, level, source and message, or null for continuation lines
+ */
+function parseLogLine(line) {
+  const clean = line.replace(ANSI_PATTERN, '');
+
+  for (const format of LOG_FORMATS) {
+    const match = clean.match(format.pattern);
+    if (match) {
+      const parsed = format.map(match);
+
+      // Plugins prefix their messages with [Name]
+      if (!parsed.source) {
+        const plugin = parsed.message.match(/^\[([^\]\s]+)\] /);
+        if (plugin) parsed.source = plugin[1];
+      }
+
+      return parsed;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split a console stream into log entries. Lines that do not start with a
+ * log header (stack traces, wrapped output) are attached to the entry before them.
+ * @param {Function} onEntry - Called with { message, parsed } for each complete entry
+ * @param {Object} [options] - Framing options
+ * @param {number} [options.flushDelay=100] - Idle time before a pending entry is emitted (ms)
+ * @returns {Object} Framer with write(chunk) and flush()
+ */
+function createLineFramer(onEntry, options = {}) {
+  const flushDelay = options.flushDelay || 100;
+  let partial = '';
+  let pending = null;
+  let timer = null;
+
+  const emitPending = () => {
+    if (pending) {
+      onEntry(pending);
+      pending = null;
+    }
+  };
+
+  const addLine = (rawLine) => {
+    const line = rawLine.replace(/\r$/, '').replace(ANSI_PATTERN, '');
+    if (!line.trim()) return;
+
+    const parsed = parseLogLine(line);
+    if (parsed || !pending) {
+      emitPending();
+      pending = { message: line, parsed };
+    } else {
+      pending.message += `\n${line}`;
+    }
+  };
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (partial) {
+      addLine(partial);
+      partial = '';
+    }
+    emitPending();
+  };
+
+  return {
+    write(chunk) {
+      const lines = (partial + chunk.toString()).split('\n');
+      partial = lines.pop();
+      lines.forEach(addLine);
+
+      // Continuation lines usually arrive right away; emit once output goes quiet
+      clearTimeout(timer);
+      timer = setTimeout(flush, flushDelay);
+    },
+    flush
+  };
+}
+
+/**
+ * Build an in-memory log entry from a framed console entry
+ * @param {string} type - stdout or stderr
+ * @param {Object} framed - Entry from createLineFramer
+ * @param {number} [timestamp=Date.now()] - When the entry was received
+ * @returns {Object} Log entry
+ */
+function toLogEntry(type, framed, timestamp = Date.now()) {
+  const { message, parsed } = framed;
+  return {
+    timestamp,
+    message,
+    type,
+    level: parsed ? parsed.level : null,
+    thread: parsed ? parsed.thread : null,
+    source: parsed ? parsed.source : null
+  };
+}
+
+/**
+ * Convert a parsed log file into entries with full timestamps
+ * @param {string} content - Log file content
+ * @param {Date} startDate - Date of the first line
+ * @returns {Array<Object>} Log entries
+ */
+function parseLogContent(content, startDate) {
+  const entries = [];
+  let day = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  let lastSeconds = -1;
+  let current = null;
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.replace(/\r$/, '').replace(ANSI_PATTERN, '');
+    if (!line.trim()) continue;
+
+    const parsed = parseLogLine(line);
+    if (!parsed) {
+      if (current) {
+        current.message += `\n${line}`;
+      }
+      continue;
+    }
+
+    const [hours, minutes, seconds] = parsed.time.split(':').map(Number);
+    const secondsOfDay = hours * 3600 + minutes * 60 + seconds;
+
+    if (parsed.date) {
+      day = new Date(parsed.date.year, parsed.date.month, parsed.date.day);
+    } else if (secondsOfDay < lastSeconds) {
+      // Time went backwards: the log crossed midnight
+      day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+    }
+    lastSeconds = secondsOfDay;
+
+    current = {
+      timestamp: new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes, seconds).getTime(),
+      message: line,
+      type: ['ERROR', 'FATAL'].includes(parsed.level) ? 'stderr' : 'stdout',
+      level: parsed.level,
+      thread: parsed.thread,
+      source: parsed.source
+    };
+    entries.push(current);
+  }
+
+  return entries;
+}
+
+/**
+ * Count how often the timestamps in a log file wrap past midnight
+ * @param {string} content - Log file content
+ * @returns {number} Number of day changes
+ */
+function countDayChanges(content) {
+  let changes = 0;
+  let lastSeconds = -1;
+
+  for (const line of content.split('\n')) {
+    const parsed = parseLogLine(line);
+    if (!parsed || parsed.date) continue;
+
+    const [hours, minutes, seconds] = parsed.time.split(':').map(Number);
+    const secondsOfDay = hours * 3600 + minutes * 60 + seconds;
+    if (secondsOfDay < lastSeconds) changes++;
+    lastSeconds = secondsOfDay;
+  }
+
+  return changes;
+}
+
+/**
+ * List a server's log files, newest first
+ * @param {string} serverPath - Server directory
+ * @returns {Promise<Array<Object>>} Log files with name, path and date
+ */
+async function listLogFiles(serverPath) {
+  const logsDir = path.join(serverPath, 'logs');
+  if (!(await fs.pathExists(logsDir))) {
+    return [];
+  }
+
+  const files = [];
+  for (const name of await fs.readdir(logsDir)) {
+    // Rotated logs are named after the day they start: 2024-01-17-2.log.gz
+    const rotated = name.match(/^(\d{4})-(\d{2})-(\d{2})-(\d+)\.log(\.gz)?$/);
+    if (rotated) {
+      files.push({
+        name,
+        path: path.join(logsDir, name),
+        date: new Date(Number(rotated[1]), Number(rotated[2]) - 1, Number(rotated[3])),
+        index: Number(rotated[4]),
+        compressed: Boolean(rotated[5])
+      });
+    }
+  }
+
+  files.sort((a, b) => (b.date - a.date) || (b.index - a.index));
+
+  const latestPath = path.join(logsDir, 'latest.log');
+  if (await fs.pathExists(latestPath)) {
+    files.unshift({ name: 'latest.log', path: latestPath, date: null, index: Infinity, compressed: false });
+  }
+
+  return files;
+}
+
+/**
+ * Read and parse one log file
+ * @param {Object} file - Log file from listLogFiles
+ * @returns {Promise<Array<Object>>} Log entries, oldest first
+ */
+async function readLogFile(file) {
+  const raw = await fs.readFile(file.path);
+  const content = (file.compressed ? await gunzip(raw) : raw).toString('utf8');
+
+  let startDate = file.date;
+  if (!startDate) {
+    // latest.log is still being written: count back from its modification time
+    const { mtime } = await fs.stat(file.path);
+    startDate = new Date(mtime.getFullYear(), mtime.getMonth(), mtime.getDate() - countDayChanges(content));
+  }
+
+  return parseLogContent(content, startDate);
+}
+
+/**
+ * Encode a search cursor
+ * @param {string} file - Log file name
+ * @param {number} index - Next entry index to examine
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(file, index) {
+  return Buffer.from(JSON.stringify({ file, index })).toString('base64url');
+}
+
+/**
+ * Decode a search cursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object} File name and entry index
+ */
+function decodeCursor(cursor) {
+  try {
+    const { file, index } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof file !== 'string' || !Number.isInteger(index)) throw new Error('Malformed cursor');
+    return { file, index };
+  } catch (error) {
+    throw new BadRequestError('Invalid log search cursor');
+  }
+}
+
+/**
+ * Build the matcher for a log search. Plain text is matched as a substring;
+ * regular expressions are limited to short patterns without nested quantifiers
+ * so one request cannot tie up the event loop.
+ * @param {Object} options - Search options
+ * @param {string} [options.search] - Case-insensitive text the entry must contain
+ * @param {string} [options.regex] - Case-insensitive pattern the entry must match
+ * @returns {Function|null} Predicate over entry messages, or null to match everything
+ */
+function buildMatcher(options) {
+  if (options.regex) {
+    if (options.regex.length > REGEX_MAX_LENGTH) {
+      throw new BadRequestError(`Search patterns are limited to ${REGEX_MAX_LENGTH} characters`);
+    }
+
+    let pattern;
+    try {
+      pattern = new RegExp(options.regex, 'i');
+    } catch (error) {
+      throw new BadRequestError(`Invalid search pattern: ${error.message}`);
+    }
+
+    if (!safeRegex(pattern)) {
+      throw new BadRequestError('Search pattern is too expensive to evaluate; use plain text search or simplify it');
+    }
+    return message => pattern.test(message);
+  }
+
+  if (options.search) {
+    const needle = options.search.toLowerCase();
+    return message => message.toLowerCase().includes(needle);
+  }
+
+  return null;
+}
+
+/**
+ * Search a server's current and rotated log files, newest entries first
+ * @param {string} serverPath - Server directory
+ * @param {Object} options - Search options
+ * @param {Array<string>} [options.levels] - Only entries with these levels
+ * @param {number} [options.from] - Earliest timestamp (ms)
+ * @param {number} [options.to] - Latest timestamp (ms)
+ * @param {string} [options.search] - Case-insensitive text the entry must contain
+ * @param {string} [options.regex] - Case-insensitive pattern the entry must match, instead of search
+ * @param {string} [options.cursor] - Cursor from a previous page
+ * @param {number} [options.limit=100] - Page size
+ * @returns {Promise<Object>} Entries and the cursor for the next page
+ */
+async function searchLogFiles(serverPath, options = {}) {
+  const limit = options.limit || 100;
+  const levels = options.levels ? options.levels.map(level => level.toUpperCase()) : null;
+
+  const matches = buildMatcher(options);
+
+  const files = await listLogFiles(serverPath);
+  const start = options.cursor ? decodeCursor(options.cursor) : null;
+  let fileIndex = start ? files.findIndex(file => file.name === start.file) : 0;
+  if (fileIndex < 0) {
+    throw new BadRequestError('Log search cursor refers to a file that no longer exists');
+  }
+
+  const results = [];
+
+  for (; fileIndex < files.length; fileIndex++) {
+    const file = files[fileIndex];
+
+    // A rotated file that starts after `to` holds nothing in range
+    if (options.to && file.date && file.date.getTime() > options.to) continue;
+
+    const entries = await readLogFile(file);
+    let i = start && start.file === file.name ? Math.min(start.index, entries.length - 1) : entries.length - 1;
+
+    for (; i >= 0; i--) {
+      const entry = entries[i];
+
+      if (options.from && entry.timestamp < options.from) {
+        // Everything after this point is older still
+        return { entries: results, nextCursor: null };
+      }
+      if (options.to && entry.timestamp > options.to) continue;
+      if (levels && !levels.includes(entry.level)) continue;
+      if (matches && !matches(entry.message)) continue;
+
+      results.push({ ...entry, file: file.name });
+
+      if (results.length >= limit) {
+        const nextCursor = i > 0
+          ? encodeCursor(file.name, i - 1)
+          : (fileIndex + 1 < files.length ? encodeCursor(files[fileIndex + 1].name, Number.MAX_SAFE_INTEGER) : null);
+        return { entries: results, nextCursor };
+      }
+    }
+  }
+
+  return { entries: results, nextCursor: null };
+}
+
+module.exports = {
+  parseLogLine,
+  createLineFramer,
+  toLogEntry,
+  listLogFiles,
+  readLogFile,
+  searchLogFiles
+};
@@ -0,0 +1,373 @@
+// src/services/minecraft/metadata.js
+//
+// Reads plugin and mod descriptors from jars: plugin.yml (Bukkit, Spigot,
+// Paper), paper-plugin.yml, fabric.mod.json and Forge/NeoForge mods.toml.
+const AdmZip = require('adm-zip');
+const yaml = require('js-yaml');
+
+// Dependencies provided by the platform rather than by another jar
+const PLATFORM_DEPENDENCIES = {
+  fabric: ['minecraft', 'java', 'fabricloader', 'fabric-loader'],
+  forge: ['minecraft', 'forge', 'javafml'],
+  neoforge: ['minecraft', 'neoforge', 'javafml']
+};
+
+/**
+ * Normalize a scalar-or-list field to a list of strings
+ * @param {*} value - Field value
+ * @returns {Array<string>} Values
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * Parse YAML with every scalar kept as a string, so "api-version: 1.20" is not read as 1.2
+ * @param {string} text - YAML document
+ * @returns {Object} Parsed document
+ */
+function parseYaml(text) {
+  const document = yaml.load(text, { schema: yaml.FAILSAFE_SCHEMA });
+  return document && typeof document === 'object' ? document : {};
+}
+
+/**
+ * Parse the TOML used by mods.toml: tables, arrays of tables, strings,
+ * numbers, booleans, arrays and inline tables. Dates are kept as strings.
+ * @param {string} text - TOML document
+ * @returns {Object} Parsed document
+ * @throws {Error} If the document is malformed
+ */
+function parseToml(text) {
+  const root = {};
+  let table = root;
+  let i = 0;
+
+  const fail = (message) => {
+    const line = text.slice(0, i).split('\n').length;
+    throw new Error(`${message} on line ${line}`);
+  };
+
+  const skipSpace = (newlines) => {
+    while (i < text.length) {
+      const char = text[i];
+      if (char === ' ' || char === '\t' || char === '\r' || (newlines && char === '\n')) {
+        i += 1;
+      } else if (char === '#') {
+        while (i < text.length && text[i] !== '\n') i += 1;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const unescape = raw => raw.replace(/\\(u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (match, code) => {
+    const simple = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+    if (code.length > 1) return String.fromCodePoint(parseInt(code.slice(1), 16));
+    return simple[code] !== undefined ? simple[code] : fail(`Invalid escape \\${code}`);
+  });
+
+  const readString = () => {
+    for (const quote of ['"""', "'''"]) {
+      if (text.startsWith(quote, i)) {
+        const end = text.indexOf(quote, i + 3);
+        if (end < 0) fail('Unterminated string');
+        const raw = text.slice(i + 3, end).replace(/^\r?\n/, '');
+        i = end + 3;
+        return quote === '"""' ? unescape(raw.replace(/\\\r?\n\s*/g, '')) : raw;
+      }
+    }
+
+    const quote = text[i];
+    let end = i + 1;
+    while (end < text.length && text[end] !== quote && text[end] !== '\n') {
+      end += quote === '"' && text[end] === '\\' ? 2 : 1;
+    }
+    if (text[end] !== quote) fail('Unterminated string');
+    const raw = text.slice(i + 1, end);
+    i = end + 1;
+    return quote === '"' ? unescape(raw) : raw;
+  };
+
+  const readKey = () => {
+    const parts = [];
+    for (;;) {
+      skipSpace(false);
+      if (text[i] === '"' || text[i] === "'") {
+        parts.push(readString());
+      } else {
+        const match = /^[A-Za-z0-9_-]+/.exec(text.slice(i));
+        if (!match) fail('Expected a key');
+        parts.push(match[0]);
+        i += match[0].length;
+      }
+      skipSpace(false);
+      if (text[i] !== '.') return parts;
+      i += 1;
+    }
+  };
+
+  const readValue = () => {
+    const char = text[i];
+    if (char === '"' || char === "'") return readString();
+
+    if (char === '[') {
+      const items = [];
+      i += 1;
+      for (;;) {
+        skipSpace(true);
+        if (text[i] === ']') break;
+        items.push(readValue());
+        skipSpace(true);
+        if (text[i] === ',') i += 1;
+        else if (text[i] !== ']') fail('Expected , or ] in array');
+      }
+      i += 1;
+      return items;
+    }
+
+    if (char === '{') {
+      const inline = {};
+      i += 1;
+      skipSpace(false);
+      while (text[i] !== '}') {
+        const key = readKey();
+        if (text[i] !== '=') fail('Expected =');
+        i += 1;
+        skipSpace(false);
+        assign(inline, key, readValue());
+        skipSpace(false);
+        if (text[i] === ',') {
+          i += 1;
+          skipSpace(false);
+        } else if (text[i] !== '}') {
+          fail('Expected , or } in inline table');
+        }
+      }
+      i += 1;
+      return inline;
+    }
+
+    const match = /^[^\s,\]}#]+/.exec(text.slice(i));
+    if (!match) fail('Expected a value');
+    i += match[0].length;
+    if (match[0] === 'true') return true;
+    if (match[0] === 'false') return false;
+    const number = Number(match[0].replace(/_/g, ''));
+    return Number.isNaN(number) ? match[0] : number;
+  };
+
+  // Walk to the table a dotted path names, using the latest entry of arrays of tables
+  const descend = (target, parts) => parts.reduce((current, part) => {
+    if (current[part] === undefined) current[part] = {};
+    const next = current[part];
+    return Array.isArray(next) ? next[next.length - 1] : next;
+  }, target);
+
+  function assign(target, parts, value) {
+    descend(target, parts.slice(0, -1))[parts[parts.length - 1]] = value;
+  }
+
+  for (;;) {
+    skipSpace(true);
+    if (i >= text.length) break;
+
+    if (text[i] === '[') {
+      const isArray = text[i + 1] === '[';
+      i += isArray ? 2 : 1;
+      const parts = readKey();
+      if (!text.startsWith(isArray ? ']]' : ']', i)) fail('Unterminated table header');
+      i += isArray ? 2 : 1;
+
+      if (isArray) {
+        const parent = descend(root, parts.slice(0, -1));
+        const name = parts[parts.length - 1];
+        if (!Array.isArray(parent[name])) parent[name] = [];
+        table = {};
+        parent[name].push(table);
+      } else {
+        table = descend(root, parts);
+      }
+    } else {
+      const key = readKey();
+      if (text[i] !== '=') fail('Expected =');
+      i += 1;
+      skipSpace(false);
+      assign(table, key, readValue());
+    }
+
+    skipSpace(false);
+    if (i < text.length && text[i] !== '\n') fail('Expected a new line');
+  }
+
+  return root;
+}
+
+/**
+ * Read the main attributes of a jar manifest
+ * @param {string} text - MANIFEST.MF contents
+ * @returns {Object} Attributes by name
+ */
+function parseManifest(text) {
+  const attributes = {};
+  // Long values continue on lines that start with a space
+  for (const line of text.replace(/\r?\n /g, '').split(/\r?\n/)) {
+    if (!line) break;
+    const separator = line.indexOf(': ');
+    if (separator > 0) {
+      attributes[line.slice(0, separator)] = line.slice(separator + 2);
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Describe a plugin.yml or paper-plugin.yml
+ * @param {Object} document - Parsed YAML
+ * @param {string} loader - bukkit or paper
+ * @returns {Object} Addon metadata
+ */
+function fromPluginYaml(document, loader) {
+  const dependencies = [
+    ...toList(document.depend).map(id => ({ id, required: true })),
+    ...toList(document.softdepend).map(id => ({ id, required: false }))
+  ];
+
+  // paper-plugin.yml lists dependencies by phase, or as a list in early versions
+  const declared = document.dependencies;
+  if (Array.isArray(declared)) {
+    for (const entry of declared) {
+      if (entry && entry.name) {
+        dependencies.push({ id: String(entry.name), required: entry.required !== 'false' });
+      }
+    }
+  } else if (declared && declared.server) {
+    for (const [id, entry] of Object.entries(declared.server)) {
+      dependencies.push({ id, required: !entry || entry.required !== 'false' });
+    }
+  }
+
+  return {
+    id: document.name,
+    name: document.name,
+    version: document.version || null,
+    loader,
+    description: document.description || null,
+    authors: [...toList(document.author), ...toList(document.authors)],
+    dependencies,
+    gameVersions: document['api-version'] || null
+  };
+}
+
+/**
+ * Describe a fabric.mod.json
+ * @param {Object} document - Parsed JSON
+ * @returns {Object} Addon metadata
+ */
+function fromFabricJson(document) {
+  const dependencies = [];
+  for (const [field, required] of [['depends', true], ['recommends', false], ['suggests', false]]) {
+    for (const [id, range] of Object.entries(document[field] || {})) {
+      if (PLATFORM_DEPENDENCIES.fabric.includes(id)) continue;
+      dependencies.push({ id, required, versionRange: toList(range).join(' || ') });
+    }
+  }
+
+  const minecraft = (document.depends || {}).minecraft;
+  return {
+    id: document.id,
+    name: document.name || document.id,
+    version: document.version || null,
+    loader: 'fabric',
+    description: document.description || null,
+    authors: toList(document.authors && document.authors.map(author => (author && author.name) || author)),
+    dependencies,
+    gameVersions: minecraft ? toList(minecraft).join(' || ') : null
+  };
+}
+
+/**
+ * Describe a mods.toml or neoforge.mods.toml
+ * @param {Object} document - Parsed TOML
+ * @param {string} loader - forge or neoforge
+ * @param {Object} manifest - Jar manifest attributes
+ * @returns {Object} Addon metadata
+ */
+function fromModsToml(document, loader, manifest) {
+  const mod = (document.mods || [])[0] || {};
+  const declared = (document.dependencies || {})[mod.modId] || [];
+
+  const dependencies = [];
+  let gameVersions = null;
+  for (const entry of declared) {
+    if (entry.modId === 'minecraft') gameVersions = entry.versionRange || null;
+    if (PLATFORM_DEPENDENCIES[loader].includes(entry.modId)) continue;
+
+    // Forge uses mandatory; NeoForge uses type (required, optional, incompatible, discouraged)
+    const type = entry.type || (entry.mandatory === false ? 'optional' : 'required');
+    if (type !== 'required' && type !== 'optional') continue;
+    dependencies.push({ id: entry.modId, required: type === 'required', versionRange: entry.versionRange });
+  }
+
+  // Versions are usually filled in from the manifest at build time
+  const version = mod.version === '${file.jarVersion}'
+    ? manifest['Implementation-Version'] || null
+    : mod.version || null;
+
+  return {
+    id: mod.modId,
+    name: mod.displayName || mod.modId,
+    version,
+    loader,
+    description: mod.description ? mod.description.trim() : null,
+    authors: toList(mod.authors || document.authors),
+    dependencies,
+    gameVersions
+  };
+}
+
+// Descriptor entries and how to read them, in order of preference
+const DESCRIPTORS = [
+  { entry: 'paper-plugin.yml', read: text => fromPluginYaml(parseYaml(text), 'paper') },
+  { entry: 'plugin.yml', read: text => fromPluginYaml(parseYaml(text), 'bukkit') },
+  { entry: 'fabric.mod.json', read: text => fromFabricJson(JSON.parse(text)) },
+  { entry: 'META-INF/neoforge.mods.toml', read: (text, manifest) => fromModsToml(parseToml(text), 'neoforge', manifest) },
+  { entry: 'META-INF/mods.toml', read: (text, manifest) => fromModsToml(parseToml(text), 'forge', manifest) }
+];
+
+/**
+ * Read every plugin or mod descriptor in a jar. Multi-loader jars return several.
+ * @param {string} file - Path to the jar
+ * @returns {Array<Object>} Metadata per descriptor: id, name, version, loader,
+ *   description, authors, dependencies and gameVersions
+ * @throws {Error} If the file is not a zip archive or a descriptor cannot be parsed
+ */
+function readJarMetadata(file) {
+  const zip = new AdmZip(file);
+  const readEntry = (name) => {
+    const entry = zip.getEntry(name);
+    return entry ? entry.getData().toString('utf8').replace(/^\uFEFF/, '') : null;
+  };
+
+  const manifestText = readEntry('META-INF/MANIFEST.MF');
+  const manifest = manifestText ? parseManifest(manifestText) : {};
+
+  const found = [];
+  for (const descriptor of DESCRIPTORS) {
+    const text = readEntry(descriptor.entry);
+    if (text === null) continue;
+
+    try {
+      const metadata = descriptor.read(text, manifest);
+      if (metadata.id) found.push(metadata);
+    } catch (error) {
+      throw new Error(`Could not read ${descriptor.entry}: ${error.message}`);
+    }
+  }
+  return found;
+}
+
+module.exports = {
+  readJarMetadata
+};
@@ -1,18 +1,194 @@
 // src/services/minecraft.js
-const { spawn } = require('child_process');
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
 const { promisify } = require('util');
 const exec = promisify(require('child_process').exec);
 const { logger } = require('../../utils/logger');
-const { MinecraftServer, ServerBackup } = require('../../models');
+const { BadRequestError, ConflictError, NotFoundError, ValidationError } = require('../../utils/errors');
+const { MinecraftServer, ServerBackup, ServerCrash } = require('../../models');
 const { getServerResourceUsage } = require('../monitor');
-const { backupServer } = require('../backup');
+const { createSnapshot, stageBackup, pruneBackups, formatBackup } = require('../backup/snapshots');
+const {
+  RESTORE_SCOPES,
+  verifyExtracted,
+  assembleRestore,
+  swapDirectories
+} = require('../backup/restore');
+const { downloadServerJar } = require('./downloader');
+const { isFailure, planRestart } = require('./restarts');
+const { serverEvents } = require('./events');
+const { connectRcon } = require('./rcon');
+const { pingServer } = require('./ping');
+const { PORT_RANGE, isPortAvailable, findBoundPorts } = require('./ports');
+const { selectJavaRuntime } = require('./java');
+const {
+  validateProperties,
+  parseProperties,
+  renderProperties,
+  diffProperties,
+  activePorts,
+  toStoredProperties,
+  fromStoredProperties
+} = require('./properties');
+const {
+  createLineFramer,
+  toLogEntry,
+  listLogFiles,
+  readLogFile,
+  searchLogFiles
+} = require('./logs');
+const {
+  runtimeDirFor,
+  isRecordedProcessAlive,
+  readRuntimeState,
+  readExitStatus,
+  attachConsole,
+  launchSupervised
+} = require('./console');
+const { mapWithConcurrency, sleep } = require('../../utils/concurrency');
+const { parseMemory, formatMemory } = require('../../utils/memory');
 const config = require('../../config').getConfig();
 
 // Map of running server instances
 const runningServers = new Map();
 
+// Automatic restart history and pending timers per server
+const restartTrackers = new Map();
+
+// Authenticated RCON connections per server (promises while connecting)
+const rconClients = new Map();
+
+// First RCON port tried for servers without one
+const DEFAULT_RCON_PORT = 25575;
+
+// Ports allocated to servers that are still being created or cloned
+const pendingAllocations = new Set();
+
+// Host memory kept free of servers when no budget is configured
+const MEMORY_RESERVE = parseMemory(config.minecraft.memoryReserve || '2G');
+
+// What happens to a start that would overcommit the budget: refuse or queue
+const MEMORY_ADMISSION = config.minecraft.memoryAdmission === 'queue' ? 'queue' : 'refuse';
+
+// Servers between a start request and their process being tracked, with
+// the memory reserved for them once admitted
+const startingServers = new Map();
+
+// Starts waiting for memory, oldest first
+const startQueue = [];
+
+// How long a start may wait in the queue before it is dropped
+const MEMORY_QUEUE_TIMEOUT = config.minecraft.memoryQueueTimeout || 30 * 60 * 1000;
+
+// Console line printed once the server has finished loading
+const READY_PATTERN = /Done \(\d/;
+
+// Console confirmation of save-all
+const SAVED_PATTERN = /Saved the (game|world)/i;
+
+/**
+ * Check whether the manager is running a server
+ * @param {string} serverId - Server ID
+ * @returns {boolean} Whether the server is running
+ */
+function isServerRunning(serverId) {
+  return runningServers.has(serverId);
+}
+
+/**
+ * List the processes of running servers, for resource sampling
+ * @returns {Array<Object>} { serverId, pid, server, ready, startTime } per server
+ */
+function listRunningProcesses() {
+  return [...runningServers].map(([serverId, instance]) => ({
+    serverId,
+    pid: instance.process.pid,
+    server: instance.server,
+    ready: instance.ready,
+    startTime: instance.startTime
+  }));
+}
+
+/**
+ * Get the address the manager uses to reach a server's own ports
+ * @param {Object} values - Server properties
+ * @returns {string} Host name
+ */
+function localAddress(values) {
+  const ip = values['server-ip'];
+  return ip && ip !== '0.0.0.0' ? ip : '127.0.0.1';
+}
+
+/**
+ * Describe a server's health for status responses
+ * @param {Object|null} health - Health state of a running server
+ * @returns {Object} health, lastPing and query fields
+ */
+function formatHealth(health) {
+  if (!health) {
+    return { health: null, lastPing: null, query: null };
+  }
+  return {
+    health: health.status,
+    lastPing: health.lastPing,
+    query: health.status === 'healthy' ? health.query : null
+  };
+}
+
+/**
+ * Ping a running server and update its health.
+ * A server is 'starting' until it finishes loading, 'healthy' while it
+ * answers pings and 'unhealthy' after repeated missed pings.
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Object|null>} Health state, or null if the server is not running
+ */
+async function checkServerHealth(serverId) {
+  const instance = runningServers.get(serverId);
+  if (!instance) return null;
+  
+  const { health, server } = instance;
+  const threshold = config.minecraft.pingFailureThreshold || 3;
+  
+  try {
+    health.query = await pingServer({
+      host: localAddress(fromStoredProperties(server.properties)),
+      port: server.port,
+      timeout: config.minecraft.pingTimeout || 5000
+    });
+    instance.ready = true;
+    health.failures = 0;
+    health.lastError = null;
+  } catch (error) {
+    // Missed pings only count once the server has finished loading
+    if (instance.ready) health.failures += 1;
+    health.lastError = error.message;
+  }
+  health.lastPing = Date.now();
+  
+  const previous = health.status;
+  if (!instance.ready) {
+    health.status = 'starting';
+  } else {
+    health.status = health.failures >= threshold ? 'unhealthy' : 'healthy';
+  }
+  
+  if (health.status !== previous && runningServers.get(serverId) === instance) {
+    if (health.status === 'unhealthy') {
+      logger.warn(`[${server.name}] Server stopped answering pings: ${health.lastError}`);
+    } else {
+      logger.info(`[${server.name}] Server is ${health.status}`);
+    }
+    if (instance.io) {
+      instance.io.to(`server:${serverId}`).emit('serverStatus', { status: 'running', health: health.status });
+    }
+    serverEvents.emit('health', serverId, health.status);
+  }
+  
+  return health;
+}
+
 /**
  * Get server installation status
  * @param {string} serverId - Server ID
@@ -22,18 +198,23 @@ async function getServerStatus(serverId) {
   try {
     const server = await MinecraftServer.findById(serverId);
     if (!server) {
-      throw new Error('Server not found');
+      throw new NotFoundError('Server not found');
     }
 
     const isRunning = runningServers.has(serverId);
     let resourceUsage = null;
+    let health = null;
     
     if (isRunning) {
-      resourceUsage = await getServerResourceUsage(serverId);
+      [resourceUsage, health] = await Promise.all([
+        getServerResourceUsage(serverId),
+        checkServerHealth(serverId)
+      ]);
     }
 
     return {
       status: isRunning ? 'running' : 'stopped',
+      ...formatHealth(health),
       server: {
         id: server._id,
         name: server.name,
@@ -41,7 +222,10 @@ async function getServerStatus(serverId) {
         type: server.type,
         port: server.port,
         memory: server.memory,
+        javaPath: server.javaPath || null,
         autostart: server.autostart,
+        startup: server.startup,
+        restartPolicy: server.restartPolicy,
         created: server.createdAt,
         lastStarted: server.lastStarted
       },
@@ -62,23 +246,26 @@ async function listServers() {
   try {
     const servers = await MinecraftServer.find({}).sort({ createdAt: -1 });
     return Promise.all(servers.map(async (server) => {
-      const isRunning = runningServers.has(server._id.toString());
+      const instance = runningServers.get(server._id.toString());
       let resourceUsage = null;
       
-      if (isRunning) {
+      if (instance) {
         resourceUsage = await getServerResourceUsage(server._id.toString());
       }
       
+      // Listing uses the last background ping instead of pinging every server
       return {
         id: server._id,
         name: server.name,
         version: server.version,
         type: server.type,
         port: server.port,
-        status: isRunning ? 'running' : 'stopped',
-        uptime: isRunning ? Date.now() - server.lastStarted : 0,
+        status: instance ? 'running' : 'stopped',
+        ...formatHealth(instance && instance.health),
+        uptime: instance ? Date.now() - server.lastStarted : 0,
         resourceUsage,
-        autostart: server.autostart
+        autostart: server.autostart,
+        startup: server.startup
       };
     }));
   } catch (error) {
@@ -90,33 +277,80 @@ async function listServers() {
 /**
  * Create a new Minecraft server
  * @param {Object} serverData - Server configuration
+ * @param {Object} [io] - Socket.IO instance for download progress updates
+ * @param {Object} [options] - Creation options
+ * @param {string} [options.template] - ID of the template the server is created from
+ * @param {Object} [options.properties] - Properties used where serverData sets none
+ * @param {string} [options.seedDir] - Directory whose files are copied into the new server
  * @returns {Promise<Object>} Created server
  */
-async function createServer(serverData) {
+async function createServer(serverData, io, options = {}) {
+  let allocation = null;
+  
   try {
     // Validate server data
-    const { name, version, type, port, memory } = serverData;
+    const { name, version, type, memory } = serverData;
     
-    if (!name || !version || !type || !port || !memory) {
-      throw new Error('Missing required server configuration');
+    if (!name || !version || !type || !memory) {
+      throw new BadRequestError('Missing required server configuration');
     }
     
-    // Check if port is available
-    const existingServer = await MinecraftServer.findOne({ port });
-    if (existingServer) {
-      throw new Error(`Port ${port} is already in use by another server`);
+    // Unset sizes take the schema defaults
+    checkMemorySettings({ min: '1G', max: '4G', ...memory });
+    
+    // A chosen runtime must exist and run this version
+    if (serverData.javaPath) {
+      await selectJavaRuntime({ name, version, javaPath: serverData.javaPath });
     }
     
+    // Reserve the game, query and RCON ports, checking a requested game port
+    allocation = await allocateServerPorts({
+      port: serverData.port,
+      host: options.properties && options.properties['server-ip']
+    });
+    const port = Number(allocation.properties['server-port']);
+    
     // Create server directory
     const serverPath = path.join(config.minecraft.serversDir, name);
     await fs.ensureDir(serverPath);
     
+    // Seed files never replace anything already on disk
+    if (options.seedDir && await fs.pathExists(options.seedDir)) {
+      await fs.copy(options.seedDir, serverPath, { overwrite: false });
+    }
+    
     // Download server jar if needed
-    const jarPath = path.join(serverPath, `${type}-${version}.jar`);
+    let jarPath = path.join(serverPath, `${type}-${version}.jar`);
     if (!fs.existsSync(jarPath)) {
-      await downloadServerJar(type, version, jarPath);
+      jarPath = await downloadServerJar(type, version, jarPath, {
+        server: { name, javaPath: serverData.javaPath },
+        onProgress: (progress) => {
+          if (io) {
+            io.to('downloads').emit('jarDownloadProgress', { server: name, type, version, ...progress });
+          }
+        }
+      });
     }
     
+    // Explicit settings win over the template's properties, which win over the defaults
+    const requested = {
+      'max-players': serverData.maxPlayers,
+      'difficulty': serverData.difficulty,
+      'gamemode': serverData.gamemode,
+      'motd': serverData.motd
+    };
+    const properties = {
+      'max-players': '20',
+      'difficulty': 'normal',
+      'gamemode': 'survival',
+      'motd': `${name} - Powered by NodeJS Minecraft Manager`,
+      ...options.properties
+    };
+    for (const [key, value] of Object.entries(requested)) {
+      if (value !== undefined) properties[key] = String(value);
+    }
+    Object.assign(properties, allocation.properties);
+    
     // Create server instance in database
     const server = new MinecraftServer({
       name,
@@ -125,21 +359,18 @@ async function createServer(serverData) {
       port,
       memory,
       path: serverPath,
-      jarFile: `${type}-${version}.jar`,
+      jarFile: path.relative(serverPath, jarPath),
       autostart: serverData.autostart || false,
-      properties: {
-        'server-port': port.toString(),
-        'max-players': serverData.maxPlayers || '20',
-        'difficulty': serverData.difficulty || 'normal',
-        'gamemode': serverData.gamemode || 'survival',
-        'motd': serverData.motd || `${name} - Powered by NodeJS Minecraft Manager`
-      }
+      jvmFlags: serverData.jvmFlags || [],
+      javaPath: serverData.javaPath || null,
+      template: options.template,
+      properties: toStoredProperties(properties)
     });
     
     await server.save();
     
-    // Create server.properties file
-    await updateServerProperties(server._id.toString());
+    // Create server.properties file, keeping anything already on disk
+    await updateServerProperties(server._id.toString(), fromStoredProperties(server.properties));
     
     // Create eula.txt file with accepted EULA if specified
     if (serverData.acceptEula) {
@@ -151,106 +382,1058 @@ async function createServer(serverData) {
   } catch (error) {
     logger.error('Failed to create server:', error);
     throw error;
+  } finally {
+    releaseServerPorts(allocation);
   }
 }
 
+// Server settings that can be changed after creation
+const UPDATABLE_FIELDS = ['autostart', 'startup', 'memory', 'jvmFlags', 'javaPath', 'restartPolicy', 'backupRetention', 'alerts'];
+
 /**
- * Download server JAR file
- * @param {string} type - Server type (vanilla, paper, spigot)
- * @param {string} version - Minecraft version
- * @param {string} destination - Download path
- * @returns {Promise<void>}
+ * Update server settings
+ * @param {string} serverId - Server ID
+ * @param {Object} updates - Settings to change
+ * @returns {Promise<Object>} Updated server
  */
-async function downloadServerJar(type, version, destination) {
+async function updateServer(serverId, updates) {
   try {
-    logger.info(`Downloading ${type} server version ${version}`);
+    const server = await MinecraftServer.findById(serverId);
+    if (!server) {
+      throw new NotFoundError('Server not found');
+    }
     
-    // Implementation depends on the server type
-    switch (type) {
-      case 'vanilla':
-        // Logic to download vanilla server from Mojang
-        throw new Error('Download not implemented for vanilla servers');
-      
-      case 'paper':
-        // Logic to download PaperMC server
-        throw new Error('Download not implemented for Paper servers');
-      
-      case 'spigot':
-        // Logic to download Spigot server
-        throw new Error('Download not implemented for Spigot servers');
-      
-      default:
-        throw new Error(`Unknown server type: ${type}`);
+    const unknownFields = Object.keys(updates).filter(field => !UPDATABLE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      throw new BadRequestError(`Cannot update field: ${unknownFields.join(', ')}`);
+    }
+    
+    if (updates.javaPath) {
+      await selectJavaRuntime({ name: server.name, version: server.version, javaPath: updates.javaPath });
     }
     
-    // In a real implementation, you would actually download the file
-    // For now, we'll just assume the file already exists
-    logger.info(`Server jar downloaded to ${destination}`);
+    for (const [field, value] of Object.entries(updates)) {
+      // Nested settings are merged so partial updates keep the other values
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const [key, nestedValue] of Object.entries(value)) {
+          server.set(`${field}.${key}`, nestedValue);
+        }
+      } else {
+        server.set(field, value);
+      }
+    }
+    
+    if (updates.memory) {
+      checkMemorySettings(server.memory);
+    }
+    
+    await server.save();
+    
+    return server;
   } catch (error) {
-    logger.error(`Failed to download server jar (${type} ${version}):`, error);
+    logger.error(`Failed to update server ${serverId}:`, error);
     throw error;
   }
 }
 
 /**
- * Update server.properties file
+ * Read and parse a server's server.properties
+ * @param {Object} server - Server document
+ * @returns {Promise<Object>} Parsed properties document
+ */
+async function readPropertiesFile(server) {
+  const propertiesPath = path.join(server.path, 'server.properties');
+  const content = (await fs.pathExists(propertiesPath)) ? await fs.readFile(propertiesPath, 'utf8') : '';
+  return parseProperties(content);
+}
+
+/**
+ * Write property changes into server.properties and record the result in the database
+ * @param {Object} server - Server document (saved by the caller)
+ * @param {Object} document - Parsed properties document
+ * @param {Object} changes - Property name to new value
+ * @returns {Promise<Object>} Property values now on disk
+ */
+async function writePropertiesFile(server, document, changes) {
+  await fs.writeFile(path.join(server.path, 'server.properties'), renderProperties(document, changes));
+  
+  const values = { ...document.values, ...changes };
+  server.set('properties', toStoredProperties(values));
+  if (values['server-port']) {
+    server.port = Number(values['server-port']);
+  }
+  
+  return values;
+}
+
+/**
+ * List the ports other servers bind, including pending property changes
+ * @param {Object} server - Server to leave out
+ * @param {Object} [options] - Options for activePorts
+ * @returns {Promise<Array<Object>>} Ports as { server, key, protocol, port }
+ */
+async function portsUsedByOtherServers(server, options = {}) {
+  const others = await MinecraftServer.find({ _id: { $ne: server._id } });
+  
+  return others.flatMap(other => activePorts({
+    'server-port': String(other.port),
+    ...fromStoredProperties(other.properties),
+    ...fromStoredProperties(other.pendingProperties)
+  }, options).map(entry => ({ server: other.name, ...entry })));
+}
+
+/**
+ * Allocate a game port, with the query port on the same number, and an RCON
+ * port for a new server. Ports other servers have set, even while RCON or
+ * query is disabled, and ports bound by any process on the host are skipped.
+ * The ports stay reserved until releaseServerPorts is called.
+ * @param {Object} [options] - Allocation options
+ * @param {number} [options.port] - Game port to use instead of the first free one in the range
+ * @param {string} [options.host] - Address the server will bind (server-ip)
+ * @returns {Promise<Object>} Allocation with server-port, query.port and rcon.port properties
+ */
+async function allocateServerPorts(options = {}) {
+  // No server to leave out yet
+  const used = await portsUsedByOtherServers({ _id: null }, { reserved: true });
+  const allocation = { ports: [], properties: {} };
+  
+  // Other allocations may reserve ports while this one waits on the host
+  const reservedBy = (port, protocol) => used.find(entry => entry.port === port && entry.protocol === protocol)
+    || ([...pendingAllocations].some(other => other.ports.some(entry => entry.port === port && entry.protocol === protocol))
+      ? { server: 'being created', key: 'server-port' }
+      : null);
+  const isFree = async (port, protocol) => !reservedBy(port, protocol)
+    && await isPortAvailable(port, { protocol, host: options.host })
+    && !reservedBy(port, protocol);
+  const reserve = (key, protocol, port) => {
+    allocation.ports.push({ key, protocol, port });
+    allocation.properties[key] = String(port);
+  };
+  
+  pendingAllocations.add(allocation);
+  try {
+    let gamePort = options.port;
+    if (gamePort) {
+      for (const protocol of ['tcp', 'udp']) {
+        const clash = reservedBy(gamePort, protocol);
+        if (clash) {
+          throw new ConflictError(`Port ${gamePort} is already used by server ${clash.server} (${clash.key})`);
+        }
+        if (!(await isPortAvailable(gamePort, { protocol, host: options.host }))) {
+          throw new ConflictError(`Port ${gamePort}/${protocol} is already bound by another process`);
+        }
+      }
+    } else {
+      for (let port = PORT_RANGE.start; port <= PORT_RANGE.end && !gamePort; port += 1) {
+        if (await isFree(port, 'tcp') && await isFree(port, 'udp')) gamePort = port;
+      }
+      if (!gamePort) {
+        throw new ConflictError(`No free port between ${PORT_RANGE.start} and ${PORT_RANGE.end}`);
+      }
+    }
+    reserve('server-port', 'tcp', gamePort);
+    reserve('query.port', 'udp', gamePort);
+    
+    // RCON prefers its usual port, then anything else in the range
+    const first = DEFAULT_RCON_PORT >= PORT_RANGE.start && DEFAULT_RCON_PORT <= PORT_RANGE.end
+      ? DEFAULT_RCON_PORT
+      : PORT_RANGE.start;
+    const size = PORT_RANGE.end - PORT_RANGE.start + 1;
+    for (let i = 0; i < size && !allocation.properties['rcon.port']; i += 1) {
+      const port = PORT_RANGE.start + ((first - PORT_RANGE.start + i) % size);
+      if (port !== gamePort && await isFree(port, 'tcp')) reserve('rcon.port', 'tcp', port);
+    }
+    if (!allocation.properties['rcon.port']) {
+      throw new ConflictError(`No free RCON port between ${PORT_RANGE.start} and ${PORT_RANGE.end}`);
+    }
+    
+    return allocation;
+  } catch (error) {
+    pendingAllocations.delete(allocation);
+    throw error;
+  }
+}
+
+/**
+ * Release ports reserved by allocateServerPorts once the server is saved or creation failed
+ * @param {Object} allocation - Allocation
+ */
+function releaseServerPorts(allocation) {
+  if (allocation) pendingAllocations.delete(allocation);
+}
+
+/**
+ * Check that nothing on the host has bound a server's ports before it starts,
+ * so the error names the port instead of Java failing with a bind exception
+ * @param {Object} server - Server document
+ */
+async function checkPortsAvailable(server) {
+  const document = await readPropertiesFile(server);
+  const values = { 'server-port': String(server.port), ...document.values };
+  const bound = await findBoundPorts(activePorts(values), values['server-ip']);
+  if (bound.length === 0) return;
+  
+  // Name the managed server that is configured for the port, if there is one
+  const used = await portsUsedByOtherServers(server);
+  const details = bound.map((entry) => {
+    const other = used.find(candidate => candidate.port === entry.port && candidate.protocol === entry.protocol);
+    return { ...entry, server: other ? other.server : null };
+  });
+  const described = details.map(entry => `${entry.port}/${entry.protocol} (${entry.key})${entry.server ? `, also used by server ${entry.server}` : ''}`);
+  throw new ConflictError(`Cannot start ${server.name}; ports already bound on the host: ${described.join(', ')}`, { ports: details });
+}
+
+/**
+ * Reject property changes that would bind a port another server uses
+ * @param {Object} server - Server document
+ * @param {Object} values - Property values the server would have
+ * @param {Array<string>} changedKeys - Properties being changed
+ */
+async function checkPortConflicts(server, values, changedKeys) {
+  const relevant = {
+    'server-port': ['server-port'],
+    'rcon.port': ['rcon.port', 'enable-rcon'],
+    'query.port': ['query.port', 'enable-query', 'server-port']
+  };
+  const ports = activePorts(values)
+    .filter(entry => relevant[entry.key].some(key => changedKeys.includes(key)));
+  if (ports.length === 0) return;
+  
+  const rconPort = ports.find(entry => entry.key === 'rcon.port');
+  if (rconPort && rconPort.port === Number(values['server-port'])) {
+    throw new ConflictError('rcon.port must differ from server-port');
+  }
+  
+  const used = await portsUsedByOtherServers(server);
+  for (const entry of ports) {
+    const clash = used.find(other => other.protocol === entry.protocol && other.port === entry.port);
+    if (clash) {
+      throw new ConflictError(`Port ${entry.port} (${entry.key}) is already used by server ${clash.server} (${clash.key})`);
+    }
+  }
+}
+
+/**
+ * Generate RCON settings for a server that has never had RCON configured,
+ * so the manager can read command output
+ * @param {Object} server - Server document
+ * @param {Object} values - Property values the server would have
+ * @param {Object} changes - Properties set by the request
+ * @returns {Promise<Object>} Properties to add
+ */
+async function generateRconProperties(server, values, changes) {
+  if (values['rcon.password'] || 'enable-rcon' in changes || 'rcon.password' in changes) {
+    return {};
+  }
+  
+  const used = new Set((await portsUsedByOtherServers(server))
+    .filter(entry => entry.protocol === 'tcp')
+    .map(entry => entry.port));
+  used.add(Number(values['server-port']));
+  
+  let port = Number(values['rcon.port']) || DEFAULT_RCON_PORT;
+  while (used.has(port)) port += 1;
+  
+  return {
+    'enable-rcon': 'true',
+    'rcon.port': String(port),
+    'rcon.password': crypto.randomBytes(24).toString('base64url'),
+    // Keep the manager's commands out of operators' chat
+    'broadcast-rcon-to-ops': 'false'
+  };
+}
+
+/**
+ * Get a server's properties with pending changes and drift from the database
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Object>} Properties on disk, pending changes and drift
+ */
+async function getServerProperties(serverId) {
+  try {
+    const server = await MinecraftServer.findById(serverId);
+    if (!server) {
+      throw new NotFoundError('Server not found');
+    }
+    
+    const document = await readPropertiesFile(server);
+    const pending = fromStoredProperties(server.pendingProperties);
+    
+    return {
+      properties: document.values,
+      pending,
+      restartRequired: Object.keys(pending).length > 0 && runningServers.has(serverId),
+      drift: diffProperties(fromStoredProperties(server.properties), document.values)
+    };
+  } catch (error) {
+    logger.error(`Failed to read server.properties for ${serverId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update server.properties. The file on disk is merged rather than replaced.
+ * While the server runs, changes are kept as pending and applied on its next start.
  * @param {string} serverId - Server ID
  * @param {Object} [newProperties] - New properties to set
- * @returns {Promise<Object>} Updated properties
+ * @returns {Promise<Object>} Update result
  */
 async function updateServerProperties(serverId, newProperties = {}) {
   try {
     const server = await MinecraftServer.findById(serverId);
     if (!server) {
-      throw new Error('Server not found');
+      throw new NotFoundError('Server not found');
     }
     
-    if (runningServers.has(serverId)) {
-      throw new Error('Cannot update properties while server is running');
+    const { values, errors } = validateProperties(newProperties);
+    if (errors.length > 0) {
+      throw new ValidationError(errors.map(error => ({
+        field: `properties.${error.field}`,
+        location: 'body',
+        message: error.message
+      })));
     }
     
-    // Update properties in database
-    if (Object.keys(newProperties).length > 0) {
-      server.properties = { ...server.properties, ...newProperties };
+    const document = await readPropertiesFile(server);
+    let pending = { ...fromStoredProperties(server.pendingProperties), ...values };
+    
+    const rcon = await generateRconProperties(server, { ...document.values, ...pending }, values);
+    pending = { ...pending, ...rcon };
+    
+    await checkPortConflicts(server, { ...document.values, ...pending }, Object.keys({ ...values, ...rcon }));
+    
+    // The game only reads server.properties at startup
+    if (runningServers.has(serverId)) {
+      server.set('pendingProperties', toStoredProperties(pending));
       await server.save();
+      
+      return {
+        applied: false,
+        restartRequired: true,
+        properties: document.values,
+        pending
+      };
     }
     
-    // Generate properties file content
-    let content = '# Minecraft server properties\n';
-    content += `# Generated by Minecraft Server Manager on ${new Date().toISOString()}\n`;
+    const properties = await writePropertiesFile(server, document, pending);
+    server.set('pendingProperties', {});
+    await server.save();
     
-    for (const [key, value] of Object.entries(server.properties)) {
-      content += `${key}=${value}\n`;
+    return {
+      applied: true,
+      restartRequired: false,
+      properties,
+      pending: {}
+    };
+  } catch (error) {
+    logger.error(`Failed to update server.properties for ${serverId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Write pending property changes before a server starts
+ * @param {Object} server - Server document
+ * @returns {Promise<boolean>} Whether anything was applied
+ */
+async function applyPendingProperties(server) {
+  const pending = fromStoredProperties(server.pendingProperties);
+  if (Object.keys(pending).length === 0) return false;
+  
+  const document = await readPropertiesFile(server);
+  await writePropertiesFile(server, document, pending);
+  server.set('pendingProperties', {});
+  await server.save();
+  
+  logger.info(`[${server.name}] Applied pending properties: ${Object.keys(pending).join(', ')}`);
+  return true;
+}
+
+/**
+ * Discard pending property changes
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Object>} Discarded changes
+ */
+async function discardPendingProperties(serverId) {
+  try {
+    const server = await MinecraftServer.findById(serverId);
+    if (!server) {
+      throw new NotFoundError('Server not found');
     }
     
-    // Write properties file
-    const propertiesPath = path.join(server.path, 'server.properties');
-    await fs.writeFile(propertiesPath, content);
+    const discarded = fromStoredProperties(server.pendingProperties);
+    server.set('pendingProperties', {});
+    await server.save();
     
-    return server.properties;
+    return { discarded };
   } catch (error) {
-    logger.error(`Failed to update server.properties for ${serverId}:`, error);
+    logger.error(`Failed to discard pending properties for ${serverId}:`, error);
     throw error;
   }
 }
 
 /**
- * Start a Minecraft server
+ * Resolve drift between the database and server.properties
  * @param {string} serverId - Server ID
- * @param {Object} io - Socket.IO instance for real-time updates
- * @returns {Promise<Object>} Start result
+ * @param {string} source - 'disk' adopts the file, 'database' writes stored values back
+ * @returns {Promise<Object>} Sync result
  */
-async function startServer(serverId, io) {
+async function syncServerProperties(serverId, source) {
   try {
-    // Check if server is already running
+    const server = await MinecraftServer.findById(serverId);
+    if (!server) {
+      throw new NotFoundError('Server not found');
+    }
+    
+    const document = await readPropertiesFile(server);
+    
+    if (source === 'database') {
+      const stored = fromStoredProperties(server.properties);
+      const changes = {};
+      for (const { key, database } of diffProperties(stored, document.values)) {
+        if (database !== null) changes[key] = database;
+      }
+      return updateServerProperties(serverId, changes);
+    }
+    
+    server.set('properties', toStoredProperties(document.values));
+    if (document.values['server-port']) {
+      server.port = Number(document.values['server-port']);
+    }
+    await server.save();
+    
+    return { applied: true, restartRequired: false, properties: document.values };
+  } catch (error) {
+    logger.error(`Failed to sync server.properties for ${serverId}:`, error);
+    throw error;
+  }
+}
+
+// Settings a clone takes over from its source
+const CLONED_FIELDS = [
+  'version', 'type', 'memory', 'jarFile', 'jvmFlags', 'javaPath', 'startup', 'restartPolicy', 'backupRetention',
+  'alerts', 'plugins', 'mods', 'template'
+];
+
+// Files that belong to the running source, not to a copy of it
+const CLONE_EXCLUDED = ['session.lock', 'logs', 'crash-reports'];
+
+/**
+ * Copy a server's directory and settings into a new server with its own
+ * name and ports. A running source has saving paused while it is copied.
+ * @param {string} serverId - ID of the server to copy
+ * @param {Object} options - Clone options
+ * @param {string} options.name - Name of the new server
+ * @param {number} [options.port] - Game port; defaults to the first free port in the configured range
+ * @param {boolean} [options.includeWorld=true] - Copy the world directories
+ * @returns {Promise<Object>} Created server
+ */
+async function cloneServer(serverId, options) {
+  let savingPaused = false;
+  let targetPath = null;
+  let clone = null;
+  let allocation = null;
+  
+  try {
+    const source = await MinecraftServer.findById(serverId);
+    if (!source) {
+      throw new NotFoundError('Server not found');
+    }
+    
+    if (await MinecraftServer.exists({ name: options.name })) {
+      throw new ConflictError(`A server named ${options.name} already exists`);
+    }
+    const candidatePath = path.join(config.minecraft.serversDir, options.name);
+    if (await fs.pathExists(candidatePath)) {
+      throw new ConflictError(`Directory ${candidatePath} already exists`);
+    }
+    
+    const document = await readPropertiesFile(source);
+    allocation = await allocateServerPorts({ port: options.port, host: document.values['server-ip'] });
+    const port = Number(allocation.properties['server-port']);
+    
+    const level = document.values['level-name'] || 'world';
+    const excluded = options.includeWorld === false
+      ? [...CLONE_EXCLUDED, level, `${level}_nether`, `${level}_the_end`]
+      : CLONE_EXCLUDED;
+    
     if (runningServers.has(serverId)) {
-      return { status: 'error', message: 'Server is already running' };
+      savingPaused = true;
+      await pauseSaving(serverId);
+    }
+    
+    targetPath = candidatePath;
+    try {
+      await fs.copy(source.path, targetPath, {
+        filter: (file) => {
+          const relative = path.relative(source.path, file);
+          return !excluded.includes(relative.split(path.sep)[0]) && path.basename(file) !== 'session.lock';
+        }
+      });
+    } finally {
+      if (savingPaused) await resumeSaving(serverId);
+    }
+    
+    const settings = source.toObject();
+    clone = new MinecraftServer({
+      ...Object.fromEntries(CLONED_FIELDS.map(field => [field, settings[field]])),
+      name: options.name,
+      port,
+      path: targetPath,
+      autostart: false,
+      properties: settings.properties
+    });
+    await clone.save();
+    
+    // The copied server.properties still binds the source's ports and RCON password
+    const changes = { ...allocation.properties };
+    if (document.values['enable-rcon'] === 'true') {
+      Object.assign(changes, await generateRconProperties(clone, allocation.properties, {}));
     }
+    await updateServerProperties(clone._id.toString(), changes);
+    
+    logger.info(`Cloned server ${source.name} to ${options.name} on port ${port}${options.includeWorld === false ? ' without its world' : ''}`);
+    return MinecraftServer.findById(clone._id);
+  } catch (error) {
+    logger.error(`Failed to clone server ${serverId}:`, error);
+    if (clone) await MinecraftServer.deleteOne({ _id: clone._id }).catch(() => {});
+    if (targetPath) await fs.remove(targetPath).catch(() => {});
+    throw error;
+  } finally {
+    releaseServerPorts(allocation);
+  }
+}
+
+/**
+ * Rename a stopped server, moving its directory to match the new name
+ * @param {string} serverId - Server ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} Renamed server
+ */
+async function renameServer(serverId, name) {
+  let moved = null;
+  
+  try {
+    const server = await MinecraftServer.findById(serverId);
+    if (!server) {
+      throw new NotFoundError('Server not found');
+    }
+    if (server.name === name) {
+      return server;
+    }
+    
+    // A running JVM holds files under the old path open
+    if (runningServers.has(serverId) || startingServers.has(serverId)
+      || startQueue.some(entry => entry.serverId === serverId)) {
+      throw new ConflictError(`Stop ${server.name} before renaming it`);
+    }
+    if (server.runtime && await isRecordedProcessAlive(server.runtime.pid, server.runtime.startedAt)) {
+      throw new ConflictError(`Server process ${server.runtime.pid} is still running outside the manager`);
+    }
+    
+    if (await MinecraftServer.exists({ name })) {
+      throw new ConflictError(`A server named ${name} already exists`);
+    }
+    const targetPath = path.join(config.minecraft.serversDir, name);
+    if (await fs.pathExists(targetPath)) {
+      throw new ConflictError(`Directory ${targetPath} already exists`);
+    }
+    
+    const previous = { name: server.name, path: server.path };
+    if (await fs.pathExists(server.path)) {
+      await fs.move(server.path, targetPath);
+      moved = { from: server.path, to: targetPath };
+    }
+    
+    server.name = name;
+    server.path = targetPath;
+    await server.save();
+    
+    logger.info(`Renamed server ${previous.name} to ${name} (${previous.path} -> ${targetPath})`);
+    return server;
+  } catch (error) {
+    logger.error(`Failed to rename server ${serverId}:`, error);
+    // The record still points at the old directory
+    if (moved) await fs.move(moved.to, moved.from).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Get the automatic restart state for a server
+ * @param {string} serverId - Server ID
+ * @returns {Object} Restart history and pending timer
+ */
+function getRestartTracker(serverId) {
+  if (!restartTrackers.has(serverId)) {
+    restartTrackers.set(serverId, { history: [], timer: null });
+  }
+  return restartTrackers.get(serverId);
+}
+
+/**
+ * Cancel a scheduled automatic restart
+ * @param {string} serverId - Server ID
+ * @returns {boolean} Whether a restart was pending
+ */
+function cancelPendingRestart(serverId) {
+  const tracker = restartTrackers.get(serverId);
+  if (!tracker || !tracker.timer) {
+    return false;
+  }
+  
+  clearTimeout(tracker.timer);
+  tracker.timer = null;
+  logger.info(`Cancelled pending automatic restart for server ${serverId}`);
+  return true;
+}
+
+/**
+ * Record a crash and apply the server's restart policy after an unrequested exit
+ * @param {Object} server - Server document
+ * @param {Object} exit - Exit code, signal, buffered logs and uptime
+ * @param {Object} io - Socket.IO instance for real-time updates
+ * @returns {Promise<void>}
+ */
+async function handleUnexpectedExit(server, exit, io) {
+  const serverId = server._id.toString();
+  
+  try {
+    const failed = isFailure(exit.code, exit.signal);
+    const tracker = getRestartTracker(serverId);
+    const decision = planRestart(server.restartPolicy, tracker.history, failed);
+    
+    if (failed) {
+      const crashLogLines = config.minecraft.crashLogLines || 100;
+      const crash = await ServerCrash.create({
+        server: server._id,
+        exitCode: exit.code,
+        signal: exit.signal,
+        uptime: exit.uptime,
+        logs: exit.logs.slice(-crashLogLines).map(log => log.message),
+        restart: {
+          scheduled: decision.restart,
+          delay: decision.delay,
+          attempt: decision.attempts,
+          reason: decision.reason
+        }
+      });
+      
+      logger.warn(`[${server.name}] Server crashed (exit code ${exit.code}, signal ${exit.signal})`);
+      
+      if (io) {
+        io.to(`server:${serverId}`).emit('serverCrashed', {
+          serverId,
+          crashId: crash._id,
+          exitCode: exit.code,
+          signal: exit.signal,
+          restart: crash.restart
+        });
+      }
+    }
+    
+    if (!decision.restart) {
+      if (decision.reason === 'circuit-open') {
+        logger.error(`[${server.name}] Not restarting: ${decision.attempts} automatic restarts within ${server.restartPolicy.window}ms`);
+      }
+      return;
+    }
+    
+    const now = Date.now();
+    tracker.history = tracker.history
+      .filter(timestamp => now - timestamp < server.restartPolicy.window)
+      .concat(now);
+    
+    logger.info(`[${server.name}] Restarting in ${decision.delay}ms (attempt ${decision.attempts})`);
+    
+    tracker.timer = setTimeout(async () => {
+      tracker.timer = null;
+      const result = await startServer(serverId, io);
+      if (result.status === 'error') {
+        logger.error(`[${server.name}] Automatic restart failed: ${result.message}`);
+      }
+    }, decision.delay);
+  } catch (error) {
+    logger.error(`Failed to handle unexpected exit of server ${serverId}:`, error);
+  }
+}
+
+/**
+ * Register console handlers for a server process and track it as running
+ * @param {Object} server - Server document
+ * @param {Object} process - Server console (child process or supervisor connection)
+ * @param {Object} io - Socket.IO instance for real-time updates
+ * @param {number} startTime - When the process was started
+ * @param {Array} [logs] - Log entries recovered from the process
+ */
+function attachServerProcess(server, process, io, startTime, logs = []) {
+  const serverId = server._id.toString();
+  
+  const MAX_LOGS = config.minecraft.maxLogLines || 1000;
+  
+  // Record one complete log entry (stack traces stay attached to their header line)
+  const recordEntry = (type, framed) => {
+    const logEntry = toLogEntry(type, framed);
+    
+    // Add to log array
+    logs.push(logEntry);
+    if (logs.length > MAX_LOGS) logs.shift();
+    
+    // Emit log event to subscribers
+    if (io) {
+      io.to(`server:${serverId}:logs`).emit('serverLog', logEntry);
+    }
+    serverEvents.emit('log', serverId, logEntry);
+    
+    const instance = runningServers.get(serverId);
+    if (instance && !instance.ready && READY_PATTERN.test(logEntry.message)) {
+      instance.ready = true;
+      checkServerHealth(serverId).catch(() => {});
+    }
+    
+    if (type === 'stderr') {
+      logger.error(`[${server.name}] ${logEntry.message}`);
+    } else {
+      logger.debug(`[${server.name}] ${logEntry.message}`);
+    }
+  };
+  
+  // Raw output chunks can split or join lines, so frame them first
+  const stdoutFramer = createLineFramer(framed => recordEntry('stdout', framed));
+  const stderrFramer = createLineFramer(framed => recordEntry('stderr', framed));
+  
+  process.stdout.on('data', data => stdoutFramer.write(data));
+  process.stderr.on('data', data => stderrFramer.write(data));
+  
+  // Register close handler
+  process.on('close', async (code, signal) => {
+    stdoutFramer.flush();
+    stderrFramer.flush();
+    
+    const instance = runningServers.get(serverId);
+    const stopRequested = !instance || instance.stopRequested;
+    const exitDescription = signal ? `signal ${signal}` : `code ${code}`;
+    
+    const logEntry = {
+      timestamp: Date.now(),
+      message: `Server process exited with ${exitDescription}`,
+      type: 'system'
+    };
+    
+    logs.push(logEntry);
+    
+    if (io) {
+      io.to(`server:${serverId}:logs`).emit('serverLog', logEntry);
+      io.to(`server:${serverId}`).emit('serverStatus', { status: 'stopped' });
+    }
+    
+    logger.info(`[${server.name}] Server process exited with ${exitDescription}`);
+    
+    // Remove from running servers map first so a failed save cannot leave it behind
+    if (instance) clearInterval(instance.healthTimer);
+    runningServers.delete(serverId);
+    closeRconClient(serverId);
+    drainStartQueue();
+    
+    // Update server status in database
+    server.lastStopped = Date.now();
+    server.runtime = undefined;
+    try {
+      await server.save();
+    } catch (error) {
+      logger.error(`[${server.name}] Error saving server after exit: ${error.message}`);
+    }
+    
+    serverEvents.emit('stopped', serverId, {
+      crashed: !stopRequested && isFailure(code, signal),
+      at: server.lastStopped
+    });
+    
+    // Exits nobody asked for go through the restart policy
+    if (!stopRequested) {
+      await handleUnexpectedExit(server, {
+        code,
+        signal,
+        logs,
+        uptime: Date.now() - startTime
+      }, io);
+    }
+  });
+  
+  // Ping periodically so hung servers are noticed
+  const healthTimer = setInterval(() => {
+    checkServerHealth(serverId).catch(() => {});
+  }, config.minecraft.pingInterval || 30000);
+  healthTimer.unref();
+  
+  // Store server instance in map
+  runningServers.set(serverId, {
+    process,
+    logs,
+    startTime,
+    stopRequested: false,
+    server: server,
+    io,
+    // Reattached servers may have finished loading before the replay window
+    ready: logs.some(entry => READY_PATTERN.test(entry.message)),
+    health: {
+      status: 'starting',
+      failures: 0,
+      lastPing: null,
+      lastError: null,
+      query: null
+    },
+    healthTimer
+  });
+}
+
+/**
+ * Get the memory all servers may use together: MC_MEMORY_BUDGET, or the
+ * host's RAM minus MC_MEMORY_RESERVE
+ * @returns {Object} { total, reserve, budget } in bytes
+ */
+function memoryBudget() {
+  const total = os.totalmem();
+  const configured = parseMemory(config.minecraft.memoryBudget);
+  return {
+    total,
+    reserve: configured ? Math.max(total - configured, 0) : MEMORY_RESERVE,
+    budget: configured || Math.max(total - MEMORY_RESERVE, 0)
+  };
+}
+
+/**
+ * List the memory committed by running and starting servers
+ * @returns {Array<Object>} Commitments as { serverId, name, memory, state }
+ */
+function memoryCommitments() {
+  const commitments = [];
+  for (const [serverId, instance] of runningServers) {
+    commitments.push({
+      serverId,
+      name: instance.server.name,
+      memory: parseMemory(instance.server.memory && instance.server.memory.max) || 0,
+      state: 'running'
+    });
+  }
+  for (const [serverId, entry] of startingServers) {
+    // Starts still being prepared hold no memory yet
+    if (!runningServers.has(serverId) && entry.memory) {
+      commitments.push({ serverId, name: entry.name, memory: entry.memory, state: 'starting' });
+    }
+  }
+  return commitments;
+}
+
+/**
+ * Validate memory settings against each other and the budget
+ * @param {Object} memory - { min, max } as JVM sizes
+ * @throws {ValidationError} If a size is invalid or does not fit
+ */
+function checkMemorySettings(memory) {
+  const min = parseMemory(memory.min);
+  const max = parseMemory(memory.max);
+  const { budget } = memoryBudget();
+  const errors = [];
+  
+  if (!min) errors.push({ field: 'memory.min', message: `Invalid memory size ${memory.min}` });
+  if (!max) errors.push({ field: 'memory.max', message: `Invalid memory size ${memory.max}` });
+  if (min && max && min > max) {
+    errors.push({ field: 'memory.min', message: `memory.min (${memory.min}) is larger than memory.max (${memory.max})` });
+  }
+  if (max > budget) {
+    errors.push({ field: 'memory.max', message: `memory.max (${memory.max}) is larger than the ${formatMemory(budget)} memory budget` });
+  }
+  
+  if (errors.length > 0) {
+    throw new ValidationError(errors.map(error => ({ ...error, location: 'body' })));
+  }
+}
+
+/**
+ * Reserve memory for a server about to start, or queue or refuse the start
+ * when it would overcommit the budget
+ * @param {Object} server - Server document
+ * @param {Object} io - Socket.IO instance, kept for queued starts
+ * @param {Object} options - queue: whether the start may wait; fromQueue: the start was queued before,
+ * at queuedAt
+ * @returns {Object|null} Queued result, or null once memory is reserved
+ * @throws {ConflictError} If the start is refused
+ */
+function admitStart(server, io, options) {
+  const serverId = server._id.toString();
+  const required = parseMemory(server.memory.max);
+  const { budget } = memoryBudget();
+  if (!required) {
+    throw new BadRequestError(`Invalid memory.max ${server.memory.max}`);
+  }
+  if (required > budget) {
+    throw new ConflictError(`${server.name} needs ${server.memory.max}, more than the whole ${formatMemory(budget)} memory budget`);
+  }
+  
+  const commitments = memoryCommitments();
+  const committed = commitments.reduce((sum, entry) => sum + entry.memory, 0);
+  // Queued starts go first, so a large server is not passed over forever
+  const queuedAhead = options.fromQueue ? false : startQueue.length > 0;
+  
+  if (committed + required <= budget && (!queuedAhead || !options.queue)) {
+    Object.assign(startingServers.get(serverId), { name: server.name, memory: required });
+    return null;
+  }
+  
+  const free = Math.max(budget - committed, 0);
+  const holders = commitments.map(entry => `${entry.name} ${formatMemory(entry.memory)}`).join(', ');
+  if (!options.queue) {
+    throw new ConflictError(`${server.name} needs ${server.memory.max} but only ${formatMemory(free)} of the ${formatMemory(budget)} memory budget is free (committed: ${holders || 'none'})`);
+  }
+  
+  const entry = { serverId, name: server.name, memory: required, io, queuedAt: options.queuedAt || Date.now() };
+  // Expire the entry on a timer, not only when the queue drains
+  entry.timer = setTimeout(() => expireQueuedStart(entry), Math.max(entry.queuedAt + MEMORY_QUEUE_TIMEOUT - Date.now(), 0));
+  entry.timer.unref();
+  if (options.fromQueue) {
+    startQueue.unshift(entry);
+  } else {
+    startQueue.push(entry);
+  }
+  logger.info(`[${server.name}] Start queued until ${server.memory.max} of memory is free (${formatMemory(free)} free)`);
+  return {
+    status: 'queued',
+    message: `Start queued until ${server.memory.max} of memory is free`,
+    serverId,
+    position: startQueue.indexOf(entry) + 1
+  };
+}
+
+/**
+ * Drop a queued start that waited longer than MC_MEMORY_QUEUE_TIMEOUT
+ * @param {Object} entry - Queue entry
+ */
+function expireQueuedStart(entry) {
+  const index = startQueue.indexOf(entry);
+  if (index < 0) return;
+  startQueue.splice(index, 1);
+  logger.warn(`[${entry.name}] Queued start dropped after waiting ${MEMORY_QUEUE_TIMEOUT}ms for memory`);
+  
+  // The servers behind it may fit now
+  drainStartQueue();
+}
+
+/**
+ * Start the oldest queued server if its memory is free now. Each start
+ * drains the queue again when it finishes, so queued servers start in order.
+ */
+function drainStartQueue() {
+  if (startQueue.length === 0 || startingServers.size > 0) return;
+  
+  const entry = startQueue[0];
+  const committed = memoryCommitments().reduce((sum, commitment) => sum + commitment.memory, 0);
+  if (committed + entry.memory > memoryBudget().budget) return;
+  
+  startQueue.shift();
+  clearTimeout(entry.timer);
+  
+  // The start drains the queue again when it finishes, whatever the result
+  startServer(entry.serverId, entry.io, { fromQueue: true, queuedAt: entry.queuedAt }).then((result) => {
+    if (result.status === 'error') {
+      logger.error(`[${entry.name}] Queued start failed: ${result.message}`);
+    }
+  });
+}
+
+/**
+ * Remove a server's queued start
+ * @param {string} serverId - Server ID
+ * @returns {boolean} Whether a start was queued
+ */
+function cancelQueuedStart(serverId) {
+  const index = startQueue.findIndex(entry => entry.serverId === serverId);
+  if (index < 0) return false;
+  clearTimeout(startQueue[index].timer);
+  startQueue.splice(index, 1);
+  return true;
+}
+
+/**
+ * Report memory committed by servers against the budget
+ * @returns {Promise<Object>} Budget, committed and free memory, every server's memory and the start queue
+ */
+async function getMemoryCapacity() {
+  const { total, reserve, budget } = memoryBudget();
+  const commitments = memoryCommitments();
+  const committed = commitments.reduce((sum, entry) => sum + entry.memory, 0);
+  const states = new Map(commitments.map(entry => [entry.serverId, entry.state]));
+  for (const entry of startQueue) states.set(entry.serverId, 'queued');
+  
+  const servers = (await MinecraftServer.find({}).sort({ name: 1 })).map((server) => {
+    const serverId = server._id.toString();
+    return {
+      id: server._id,
+      name: server.name,
+      memory: server.memory,
+      bytes: parseMemory(server.memory && server.memory.max) || 0,
+      state: states.get(serverId) || 'stopped'
+    };
+  });
+  
+  return {
+    total,
+    reserve,
+    budget,
+    committed,
+    available: Math.max(budget - committed, 0),
+    // Memory needed if every server ran at once
+    declared: servers.reduce((sum, server) => sum + server.bytes, 0),
+    admission: MEMORY_ADMISSION,
+    servers,
+    queue: startQueue.map((entry, index) => ({
+      position: index + 1,
+      serverId: entry.serverId,
+      name: entry.name,
+      memory: entry.memory,
+      queuedAt: new Date(entry.queuedAt)
+    }))
+  };
+}
+
+/**
+ * Start a Minecraft server. A start that would overcommit the memory budget
+ * is refused, or queued when MC_MEMORY_ADMISSION is queue.
+ * @param {string} serverId - Server ID
+ * @param {Object} io - Socket.IO instance for real-time updates
+ * @param {Object} [options] - Start options
+ * @param {boolean} [options.queue] - Whether the start may wait for memory; defaults to MC_MEMORY_ADMISSION
+ * @param {boolean} [options.fromQueue=false] - The start was queued before and goes first
+ * @param {number} [options.queuedAt] - When a start from the queue was first queued
+ * @returns {Promise<Object>} Start result; status is queued while the start waits for memory
+ */
+async function startServer(serverId, io, options = {}) {
+  // Check if server is already running
+  if (runningServers.has(serverId) || startingServers.has(serverId)) {
+    return { status: 'error', message: 'Server is already running', statusCode: 409 };
+  }
+  
+  const queued = startQueue.findIndex(entry => entry.serverId === serverId);
+  if (queued >= 0 && !options.fromQueue) {
+    return { status: 'queued', message: 'Start is already queued', serverId, position: queued + 1 };
+  }
+  
+  // Claim the start before the first await so a concurrent start of the
+  // same server is refused; admission adds the memory to this entry
+  startingServers.set(serverId, { memory: 0 });
+  
+  try {
+    // A manual start supersedes any pending automatic restart
+    cancelPendingRestart(serverId);
     
     // Get server from database
     const server = await MinecraftServer.findById(serverId);
     if (!server) {
-      throw new Error('Server not found');
+      throw new NotFoundError('Server not found');
+    }
+    
+    // A JVM left behind without its supervisor still holds the port
+    if (server.runtime && await isRecordedProcessAlive(server.runtime.pid, server.runtime.startedAt)) {
+      throw new ConflictError(`Server process ${server.runtime.pid} is still running outside the manager`);
     }
     
     // Ensure server directory exists
@@ -264,12 +1447,31 @@ async function startServer(serverId, io) {
       throw new Error(`Server JAR file not found at ${jarPath}`);
     }
     
-    // Create start command
+    // Property changes made while the server was running take effect now
+    await applyPendingProperties(server);
+    
+    await checkPortsAvailable(server);
+    
+    // Fails with an explanation when no installed Java can run this version
+    const java = await selectJavaRuntime(server);
+    for (const warning of java.warnings) {
+      logger.warn(`[${server.name}] ${warning}`);
+    }
+    
+    // Last check before launch, so nothing else can fail after memory is reserved
+    const queuedResult = admitStart(server, io, {
+      queue: options.fromQueue || (options.queue !== undefined ? options.queue : MEMORY_ADMISSION === 'queue'),
+      fromQueue: options.fromQueue
+    });
+    if (queuedResult) {
+      return queuedResult;
+    }
+    
+    // Create start command; Forge 1.17+ launches from a JVM argument file
     const javaArgs = [
       `-Xms${server.memory.min}`,
       `-Xmx${server.memory.max}`,
-      '-jar',
-      server.jarFile,
+      ...(server.jarFile.endsWith('.txt') ? [`@${server.jarFile}`] : ['-jar', server.jarFile]),
       'nogui'
     ];
     
@@ -278,94 +1480,22 @@ async function startServer(serverId, io) {
       javaArgs.unshift(...server.jvmFlags);
     }
     
-    // Start the server process
-    const process = spawn('java', javaArgs, {
-      cwd: server.path
-    });
+    // Start the server under a detached supervisor so it outlives the manager
+    const process = await launchSupervised(serverId, java.runtime.path, javaArgs, server.path);
     
-    // Create log storage array
-    const logs = [];
-    const MAX_LOGS = config.minecraft.maxLogLines || 1000;
+    attachServerProcess(server, process, io, Date.now());
     
-    // Register stdout handler
-    process.stdout.on('data', (data) => {
-      const message = data.toString().trim();
-      if (!message) return;
-      
-      const logEntry = {
-        timestamp: Date.now(),
-        message,
-        type: 'stdout'
-      };
-      
-      // Add to log array
-      logs.push(logEntry);
-      if (logs.length > MAX_LOGS) logs.shift();
-      
-      // Emit log event to subscribers
-      if (io) {
-        io.to(`server:${serverId}:logs`).emit('serverLog', logEntry);
-      }
-      
-      logger.debug(`[${server.name}] ${message}`);
-    });
-    
-    // Register stderr handler
-    process.stderr.on('data', (data) => {
-      const message = data.toString().trim();
-      if (!message) return;
-      
-      const logEntry = {
-        timestamp: Date.now(),
-        message,
-        type: 'stderr'
-      };
-      
-      logs.push(logEntry);
-      if (logs.length > MAX_LOGS) logs.shift();
-      
-      if (io) {
-        io.to(`server:${serverId}:logs`).emit('serverLog', logEntry);
-      }
-      
-      logger.error(`[${server.name}] ${message}`);
-    });
-    
-    // Register close handler
-    process.on('close', async (code) => {
-      const logEntry = {
-        timestamp: Date.now(),
-        message: `Server process exited with code ${code}`,
-        type: 'system'
-      };
-      
-      logs.push(logEntry);
-      
-      if (io) {
-        io.to(`server:${serverId}:logs`).emit('serverLog', logEntry);
-        io.to(`server:${serverId}`).emit('serverStatus', { status: 'stopped' });
-      }
-      
-      logger.info(`[${server.name}] Server process exited with code ${code}`);
-      
-      // Update server status in database
-      server.lastStopped = Date.now();
-      await server.save();
-      
-      // Remove from running servers map
-      runningServers.delete(serverId);
-    });
-    
-    // Store server instance in map
-    runningServers.set(serverId, {
-      process,
-      logs,
-      startTime: Date.now(),
-      server: server
-    });
+    // Only now is there a new process; emitted before any of its console
+    // output is handled, so stale sessions close before new joins
+    serverEvents.emit('started', serverId, { lastStopped: server.lastStopped });
     
     // Update server status in database
     server.lastStarted = Date.now();
+    server.runtime = {
+      pid: process.pid,
+      supervisorPid: process.supervisorPid,
+      startedAt: process.startedAt
+    };
     await server.save();
     
     // Emit server started event
@@ -380,7 +1510,12 @@ async function startServer(serverId, io) {
     };
   } catch (error) {
     logger.error(`Failed to start server ${serverId}:`, error);
-    return { status: 'error', message: error.message };
+    return { status: 'error', message: error.message, statusCode: error.statusCode || 500 };
+  } finally {
+    // A running server's memory is counted from runningServers from here on;
+    // a failed or queued start releases its claim
+    startingServers.delete(serverId);
+    drainStartQueue();
   }
 }
 
@@ -394,9 +1529,19 @@ async function stopServer(serverId, force = false) {
   try {
     const serverInstance = runningServers.get(serverId);
     if (!serverInstance) {
-      return { status: 'error', message: 'Server is not running' };
+      if (cancelPendingRestart(serverId)) {
+        return { status: 'success', message: 'Pending automatic restart cancelled' };
+      }
+      if (cancelQueuedStart(serverId)) {
+        return { status: 'success', message: 'Queued start cancelled' };
+      }
+      return { status: 'error', message: 'Server is not running', statusCode: 409 };
     }
     
+    // Mark the exit as requested so it is not treated as a crash
+    serverInstance.stopRequested = true;
+    serverInstance.process.markStopRequested();
+    
     if (force) {
       // Force kill the process
       serverInstance.process.kill('SIGKILL');
@@ -424,56 +1569,307 @@ async function stopServer(serverId, force = false) {
     });
   } catch (error) {
     logger.error(`Failed to stop server ${serverId}:`, error);
-    return { status: 'error', message: error.message };
+    return { status: 'error', message: error.message, statusCode: error.statusCode || 500 };
+  }
+}
+
+/**
+ * Reattach to servers that kept running while the manager was down and
+ * reconcile the database with the ones that exited in the meantime
+ * @param {Object} io - Socket.IO instance for real-time updates
+ * @returns {Promise<Array>} Outcome per server
+ */
+async function reattachServers(io) {
+  const servers = await MinecraftServer.find({ 'runtime.pid': { $exists: true } });
+  const results = [];
+  
+  for (const server of servers) {
+    const serverId = server._id.toString();
+    if (runningServers.has(serverId)) continue;
+    
+    try {
+      const runtimeDir = runtimeDirFor(serverId);
+      const state = await readRuntimeState(runtimeDir);
+      
+      if (state && await isRecordedProcessAlive(state.supervisorPid, state.startedAt)) {
+        const process = await attachConsole(serverId);
+        
+        // Recent console output buffered by the supervisor
+        const logs = [];
+        for (const stream of ['stdout', 'stderr']) {
+          let receivedAt = null;
+          const framer = createLineFramer(framed => logs.push(toLogEntry(stream, framed, receivedAt)));
+          for (const chunk of process.replay.filter(entry => entry.stream === stream)) {
+            receivedAt = chunk.timestamp;
+            framer.write(chunk.data);
+          }
+          framer.flush();
+        }
+        logs.sort((a, b) => a.timestamp - b.timestamp);
+        
+        attachServerProcess(server, process, io, process.startedAt, logs);
+        serverEvents.emit('reattached', serverId);
+        
+        logger.info(`[${server.name}] Reattached to running server (pid ${process.pid})`);
+        results.push({ serverId, status: 'reattached', pid: process.pid });
+        continue;
+      }
+      
+      if (state && await isRecordedProcessAlive(state.pid, state.startedAt)) {
+        logger.warn(`[${server.name}] Server process ${state.pid} is running without its supervisor; its console cannot be recovered`);
+        results.push({ serverId, status: 'orphaned', pid: state.pid });
+        continue;
+      }
+      
+      // The server exited while the manager was down
+      const exit = await readExitStatus(runtimeDir);
+      const startedAt = server.runtime.startedAt;
+      
+      server.lastStopped = exit ? exit.exitedAt : Date.now();
+      server.runtime = undefined;
+      await server.save();
+      
+      logger.info(`[${server.name}] Server exited while the manager was down`);
+      results.push({ serverId, status: 'stopped' });
+      
+      serverEvents.emit('stopped', serverId, {
+        crashed: Boolean(exit) && !exit.stopRequested && isFailure(exit.code, exit.signal),
+        at: server.lastStopped
+      });
+      
+      if (!exit || !exit.stopRequested) {
+        await handleUnexpectedExit(server, {
+          code: exit ? exit.code : null,
+          signal: exit ? exit.signal : null,
+          logs: [],
+          uptime: startedAt ? server.lastStopped - startedAt : null
+        }, io);
+      }
+    } catch (error) {
+      logger.error(`Failed to reattach to server ${serverId}:`, error);
+      results.push({ serverId, status: 'error', message: error.message });
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * Disconnect from every running server without stopping it
+ * @returns {Array<string>} IDs of the detached servers
+ */
+function detachAllServers() {
+  const detached = [];
+  
+  for (const [serverId, serverInstance] of runningServers) {
+    serverInstance.process.detach();
+    clearInterval(serverInstance.healthTimer);
+    cancelPendingRestart(serverId);
+    closeRconClient(serverId);
+    detached.push(serverId);
+  }
+  
+  runningServers.clear();
+  logger.info(`Detached from ${detached.length} running server(s)`);
+  
+  return detached;
+}
+
+/**
+ * Group servers by startup order, lowest order first
+ * @param {Array<Object>} servers - Server documents
+ * @returns {Array<Array<Object>>} Groups of servers sharing a startup order
+ */
+function groupByStartupOrder(servers) {
+  const groups = new Map();
+  
+  for (const server of servers) {
+    const order = (server.startup && server.startup.order) || 0;
+    if (!groups.has(order)) {
+      groups.set(order, []);
+    }
+    groups.get(order).push(server);
+  }
+  
+  return [...groups.keys()]
+    .sort((a, b) => a - b)
+    .map(order => groups.get(order));
+}
+
+/**
+ * Start every server flagged for autostart, group by group in startup order
+ * @param {Object} io - Socket.IO instance for real-time updates
+ * @returns {Promise<Array>} Start results
+ */
+async function startAutostartServers(io) {
+  const servers = (await MinecraftServer.find({ autostart: true }))
+    .filter(server => !runningServers.has(server._id.toString()));
+  const concurrency = config.minecraft.startupConcurrency || 2;
+  const readyTimeout = config.minecraft.startupTimeout || 180000;
+  const results = [];
+  
+  logger.info(`Starting ${servers.length} autostart server(s)`);
+  
+  // Each group finishes booting before the next one starts
+  for (const group of groupByStartupOrder(servers)) {
+    const groupResults = await mapWithConcurrency(group, concurrency, async (server) => {
+      const serverId = server._id.toString();
+      
+      if (server.startup && server.startup.delay > 0) {
+        await sleep(server.startup.delay);
+      }
+      
+      const result = await startServer(serverId, io);
+      if (result.status === 'error') {
+        logger.error(`[${server.name}] Autostart failed: ${result.message}`);
+        return { serverId, ...result };
+      }
+      // Queued starts run once memory is free; the group does not wait for them
+      if (result.status === 'queued') {
+        return { serverId, ...result };
+      }
+      
+      // Hold the concurrency slot until the JVM has finished loading
+      try {
+        await waitForServerReady(serverId, readyTimeout);
+      } catch (error) {
+        logger.warn(`[${server.name}] Autostart continuing without ready signal: ${error.message}`);
+      }
+      
+      return { serverId, ...result };
+    });
+    
+    results.push(...groupResults);
   }
+  
+  return results;
 }
 
 /**
- * Stop all running servers
+ * Stop all running servers, in the reverse of their startup order
  * @returns {Promise<Array>} Results of stopping each server
  */
 async function stopAllServers() {
-  const stopPromises = [];
+  const running = [...runningServers.values()].map(instance => instance.server);
+  const results = [];
+  
+  for (const group of groupByStartupOrder(running).reverse()) {
+    const stopPromises = [];
+    
+    for (const server of group) {
+      stopPromises.push(stopServer(server._id.toString()));
+    }
+    
+    results.push(...(await Promise.all(stopPromises)));
+  }
+  
+  return results;
+}
+
+/**
+ * Get an authenticated RCON connection to a running server
+ * @param {string} serverId - Server ID
+ * @param {Object} server - Server document the process was started with
+ * @returns {Promise<Object|null>} RCON client, or null if RCON is not enabled
+ */
+function getRconClient(serverId, server) {
+  const values = fromStoredProperties(server.properties);
+  if (values['enable-rcon'] !== 'true' || !values['rcon.password'] || !values['rcon.port']) {
+    return Promise.resolve(null);
+  }
   
-  for (const serverId of runningServers.keys()) {
-    stopPromises.push(stopServer(serverId));
+  if (!rconClients.has(serverId)) {
+    const connecting = connectRcon({
+      host: localAddress(values),
+      port: Number(values['rcon.port']),
+      password: values['rcon.password'],
+      timeout: config.minecraft.rconTimeout || 5000
+    });
+    
+    rconClients.set(serverId, connecting);
+    const forget = () => {
+      if (rconClients.get(serverId) === connecting) rconClients.delete(serverId);
+    };
+    connecting.then(client => client.once('close', forget), forget);
   }
   
-  return Promise.all(stopPromises);
+  return rconClients.get(serverId);
+}
+
+/**
+ * Close a server's RCON connection
+ * @param {string} serverId - Server ID
+ */
+function closeRconClient(serverId) {
+  const connecting = rconClients.get(serverId);
+  if (!connecting) return;
+  
+  rconClients.delete(serverId);
+  connecting.then(client => client.close(), () => {});
 }
 
 /**
  * Send command to a Minecraft server
  * @param {string} serverId - Server ID
  * @param {string} command - Command to send
+ * @param {Object} [options] - Command options
+ * @param {boolean} [options.quiet=false] - Leave the command out of the console history, for background polling
  * @returns {Promise<Object>} Command result
  */
-async function sendCommand(serverId, command) {
+async function sendCommand(serverId, command, options = {}) {
   try {
     const serverInstance = runningServers.get(serverId);
     if (!serverInstance) {
-      return { status: 'error', message: 'Server is not running' };
+      return { status: 'error', message: 'Server is not running', statusCode: 409 };
     }
     
-    // Log the command
-    const logEntry = {
-      timestamp: Date.now(),
-      message: `Command executed: ${command}`,
-      type: 'command'
-    };
+    if (!options.quiet) {
+      // Log the command
+      const logEntry = {
+        timestamp: Date.now(),
+        message: `Command executed: ${command}`,
+        type: 'command'
+      };
+      
+      serverInstance.logs.push(logEntry);
+      if (serverInstance.logs.length > (config.minecraft.maxLogLines || 1000)) {
+        serverInstance.logs.shift();
+      }
+      
+      // Everyone watching the console sees who typed what
+      if (serverInstance.io) {
+        serverInstance.io.to(`server:${serverId}:logs`).emit('serverLog', logEntry);
+      }
+    }
+    
+    // RCON returns the command's output; the console is the fallback
+    let client = null;
+    try {
+      client = await getRconClient(serverId, serverInstance.server);
+    } catch (error) {
+      logger.debug(`[${serverInstance.server.name}] RCON unavailable, using the console: ${error.message}`);
+    }
     
-    serverInstance.logs.push(logEntry);
-    if (serverInstance.logs.length > config.minecraft.maxLogLines) {
-      serverInstance.logs.shift();
+    if (client) {
+      try {
+        const output = await client.command(command);
+        return { status: 'success', message: `Command sent: ${command}`, output, via: 'rcon' };
+      } catch (error) {
+        // A dropped connection falls back to the console; other errors mean the server got the command
+        if (!['NOT_CONNECTED', 'CLOSED'].includes(error.code)) {
+          const statusCodes = { TIMEOUT: 504, TOO_LONG: 400 };
+          return { status: 'error', message: error.message, statusCode: statusCodes[error.code] || 502 };
+        }
+        logger.debug(`[${serverInstance.server.name}] RCON connection lost, using the console: ${error.message}`);
+      }
     }
     
-    // Send command to server
     serverInstance.process.stdin.write(`${command}\n`);
     
-    return { status: 'success', message: `Command sent: ${command}` };
+    return { status: 'success', message: `Command sent: ${command}`, output: null, via: 'console' };
   } catch (error) {
     logger.error(`Failed to send command to server ${serverId}:`, error);
-    return { status: 'error', message: error.message };
+    return { status: 'error', message: error.message, statusCode: error.statusCode || 500 };
   }
 }
 
@@ -499,6 +1895,11 @@ async function getServerLogs(serverId, options = {}) {
       logs = logs.filter(log => log.type === options.type);
     }
     
+    // Apply level filter
+    if (options.levels) {
+      logs = logs.filter(log => options.levels.includes(log.level));
+    }
+    
     // Apply text search
     if (options.search) {
       const searchLower = options.search.toLowerCase();
@@ -526,46 +1927,16 @@ async function getServerLogsFromFile(serverId, options = {}) {
   try {
     const server = await MinecraftServer.findById(serverId);
     if (!server) {
-      throw new Error('Server not found');
+      throw new NotFoundError('Server not found');
     }
     
-    const logPath = path.join(server.path, 'logs', 'latest.log');
-    if (!fs.existsSync(logPath)) {
+    const [latest] = await listLogFiles(server.path);
+    if (!latest || latest.name !== 'latest.log') {
       return [];
     }
     
-    // Read log file
-    const content = await fs.readFile(logPath, 'utf8');
-    const lines = content.split('\n');
-    
-    // Parse log lines
-    const logs = lines
-      .filter(line => line.trim())
-      .map(line => {
-        // Try to parse timestamp and log level
-        const match = line.match(/\[(\d{2}:\d{2}:\d{2})\] \[([^\]]+)\]: (.+)/);
-        if (match) {
-          const [, timeStr, level, message] = match;
-          
-          // Convert time string to timestamp (assuming current day)
-          const now = new Date();
-          const [hours, minutes, seconds] = timeStr.split(':').map(Number);
-          const time = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes, seconds);
-          
-          return {
-            timestamp: time.getTime(),
-            message: line,
-            type: level.includes('ERROR') ? 'stderr' : 'stdout'
-          };
-        }
-        
-        // Default format if pattern doesn't match
-        return {
-          timestamp: Date.now(),
-          message: line,
-          type: 'stdout'
-        };
-      });
+    // Timestamps are dated from the file, including runs that crossed midnight
+    const logs = await readLogFile(latest);
     
     // Apply filters
     let filteredLogs = logs;
@@ -574,6 +1945,10 @@ async function getServerLogsFromFile(serverId, options = {}) {
       filteredLogs = filteredLogs.filter(log => log.type === options.type);
     }
     
+    if (options.levels) {
+      filteredLogs = filteredLogs.filter(log => options.levels.includes(log.level));
+    }
+    
     if (options.search) {
       const searchLower = options.search.toLowerCase();
       filteredLogs = filteredLogs.filter(log => log.message.toLowerCase().includes(searchLower));
@@ -591,92 +1966,431 @@ async function getServerLogsFromFile(serverId, options = {}) {
 }
 
 /**
- * Create a backup of a server
+ * Search a server's current and rotated log files
+ * @param {string} serverId - Server ID
+ * @param {Object} options - Level, time range, pattern and pagination options
+ * @returns {Promise<Object>} Matching entries, newest first, and the next page cursor
+ */
+async function searchServerLogs(serverId, options = {}) {
+  try {
+    const server = await MinecraftServer.findById(serverId);
+    if (!server) {
+      throw new NotFoundError('Server not found');
+    }
+    
+    return await searchLogFiles(server.path, options);
+  } catch (error) {
+    logger.error(`Failed to search logs for server ${serverId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get recorded crashes for a server, newest first
+ * @param {string} serverId - Server ID
+ * @param {Object} options - Query options
+ * @returns {Promise<Array>} Crash records
+ */
+async function getServerCrashes(serverId, options = {}) {
+  try {
+    const server = await MinecraftServer.findById(serverId);
+    if (!server) {
+      throw new NotFoundError('Server not found');
+    }
+    
+    return ServerCrash.find({ server: server._id })
+      .sort({ createdAt: -1 })
+      .limit(options.limit || 20);
+  } catch (error) {
+    logger.error(`Failed to get crashes for server ${serverId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Watch a server's console for a line
+ * @param {string} serverId - Server ID
+ * @param {RegExp} pattern - Pattern to wait for
+ * @param {number} timeout - Maximum time to wait in ms
+ * @returns {Object} { promise, cancel }; the promise resolves with the matching log entry,
+ *   and cancel stops watching without settling it
+ */
+function watchConsole(serverId, pattern, timeout) {
+  let cancel = () => {};
+  const promise = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cancel();
+      reject(new Error(`Timed out after ${timeout}ms waiting for the server to confirm`));
+    }, timeout);
+    
+    function onLog(id, logEntry) {
+      if (id === serverId && pattern.test(logEntry.message)) {
+        cancel();
+        resolve(logEntry);
+      }
+    }
+    
+    cancel = () => {
+      clearTimeout(timer);
+      serverEvents.removeListener('log', onLog);
+    };
+    serverEvents.on('log', onLog);
+  });
+  
+  return { promise, cancel };
+}
+
+/**
+ * Turn off automatic saving and flush the worlds to disk, so a running
+ * server's files stay consistent while they are copied
+ * @param {string} serverId - Server ID
+ * @returns {Promise<void>}
+ */
+async function pauseSaving(serverId) {
+  const saved = watchConsole(serverId, SAVED_PATTERN, config.minecraft.backupSaveTimeout || 60000);
+  
+  try {
+    for (const command of ['save-off', 'save-all flush']) {
+      const result = await sendCommand(serverId, command);
+      if (result.status === 'error') {
+        throw new Error(`${command} failed: ${result.message}`);
+      }
+      
+      // RCON replies once the command has finished; the console only logs it
+      if (command === 'save-all flush' && result.via === 'rcon' && SAVED_PATTERN.test(result.output || '')) {
+        return;
+      }
+    }
+    
+    await saved.promise;
+  } finally {
+    saved.cancel();
+  }
+}
+
+/**
+ * Turn automatic saving back on after a backup
+ * @param {string} serverId - Server ID
+ */
+async function resumeSaving(serverId) {
+  if (!runningServers.has(serverId)) return;
+  
+  const result = await sendCommand(serverId, 'save-on');
+  if (result.status === 'error') {
+    logger.error(`Failed to turn saving back on for server ${serverId}: ${result.message}`);
+  }
+}
+
+/**
+ * Create a backup of a server in the deduplicated backup store, then prune
+ * old backups with the server's retention policy
  * @param {string} serverId - Server ID
  * @param {string} name - Backup name
+ * @param {Object} [options] - Backup options
+ * @param {boolean} [options.scheduled=false] - Whether a scheduled task created the backup
  * @returns {Promise<Object>} Backup result
  */
-async function createBackup(serverId, name) {
+async function createBackup(serverId, name, options = {}) {
+  let savingPaused = false;
+  
   try {
     const server = await MinecraftServer.findById(serverId);
     if (!server) {
-      throw new Error('Server not found');
+      throw new NotFoundError('Server not found');
+    }
+    
+    if (runningServers.has(serverId)) {
+      savingPaused = true;
+      await pauseSaving(serverId);
     }
     
-    // Create backup
-    const backup = await backupServer(server, name);
+    let backup;
+    try {
+      backup = await createSnapshot(server, name, { scheduled: options.scheduled === true });
+    } finally {
+      if (savingPaused) await resumeSaving(serverId);
+    }
+    
+    // A failed prune leaves extra backups behind but the new one is fine
+    let pruned = 0;
+    try {
+      pruned = (await pruneBackups(serverId)).removed.length;
+    } catch (error) {
+      logger.error(`Backup ${name} succeeded but pruning failed:`, error);
+    }
     
     return {
       status: 'success',
       message: 'Backup created successfully',
-      backup: {
-        id: backup._id,
-        name: backup.name,
-        size: backup.size,
-        createdAt: backup.createdAt,
-        path: backup.path
-      }
+      backup: formatBackup(backup),
+      pruned
     };
   } catch (error) {
     logger.error(`Failed to create backup for server ${serverId}:`, error);
-    return { status: 'error', message: error.message };
+    if (savingPaused) await resumeSaving(serverId);
+    return { status: 'error', message: error.message, statusCode: error.statusCode || 500 };
+  }
+}
+
+/**
+ * Wait until a running server reports that it finished starting
+ * @param {string} serverId - Server ID
+ * @param {number} timeout - Maximum time to wait in ms
+ * @returns {Promise<void>}
+ */
+function waitForServerReady(serverId, timeout) {
+  return new Promise((resolve, reject) => {
+    const serverInstance = runningServers.get(serverId);
+    if (!serverInstance) {
+      reject(new Error('Server is not running'));
+      return;
+    }
+
+    const { process } = serverInstance;
+    let timer = null;
+    
+    const finish = (error) => {
+      clearTimeout(timer);
+      serverEvents.removeListener('log', onLog);
+      process.removeListener('close', onClose);
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+    
+    function onLog(id, logEntry) {
+      if (id === serverId && READY_PATTERN.test(logEntry.message)) {
+        finish();
+      }
+    }
+    
+    function onClose(code) {
+      finish(new Error(`Server exited with code ${code} before it finished starting`));
+    }
+    
+    timer = setTimeout(() => {
+      finish(new Error(`Server did not finish starting within ${timeout}ms`));
+    }, timeout);
+    
+    serverEvents.on('log', onLog);
+    process.once('close', onClose);
+  });
+}
+
+/**
+ * Start a server again after a failed restore stopped it
+ * @param {string} serverId - Server ID
+ * @param {Object} [io] - Socket.IO instance
+ * @returns {Promise<string|null>} Why the server could not be started, or null if it started
+ */
+async function restartAfterFailedRestore(serverId, io) {
+  try {
+    const result = await startServer(serverId, io, { queue: false });
+    return result.status === 'error' ? result.message : null;
+  } catch (error) {
+    return error.message;
   }
 }
 
 /**
  * Restore a backup
  * @param {string} backupId - Backup ID
+ * @param {Object} [options] - Restore options
+ * @param {Array<string>} [options.scopes] - Restore only these parts (world, config, plugins)
+ * @param {boolean} [options.start] - Start the server after restoring
+ * @param {Object} [options.io] - Socket.IO instance used when starting the server
  * @returns {Promise<Object>} Restore result
  */
-async function restoreBackup(backupId) {
+async function restoreBackup(backupId, options = {}) {
+  let stagingDir = null;
+  let candidateDir = null;
+  let stoppedServerId = null;
+
   try {
     const backup = await ServerBackup.findById(backupId).populate('server');
     if (!backup) {
-      throw new Error('Backup not found');
+      throw new NotFoundError('Backup not found');
     }
     
     const server = backup.server;
     const serverId = server._id.toString();
+    const scopes = options.scopes || [];
+
+    const unknownScopes = scopes.filter(scope => !RESTORE_SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+      throw new BadRequestError(`Unknown restore scope: ${unknownScopes.join(', ')}`);
+    }
     
     // Check if server is running
-    if (runningServers.has(serverId)) {
+    const wasRunning = runningServers.has(serverId);
+    if (wasRunning) {
       await stopServer(serverId);
+      stoppedServerId = serverId;
     }
     
-    // Restore backup
-    // Implementation depends on backup format (zip, tar, etc.)
-    logger.info(`Restoring backup ${backupId} to server ${serverId}`);
+    logger.info(`Restoring backup ${backupId} to server ${serverId}${scopes.length > 0 ? ` (${scopes.join(', ')})` : ''}`);
     
-    // Example implementation for a zip backup
-    const extractPath = server.path;
-    await fs.remove(extractPath);
-    await fs.ensureDir(extractPath);
+    // Stage next to the live directory so the swap is a rename on the same filesystem
+    const stamp = Date.now();
+    stagingDir = `${server.path}.restore-${stamp}`;
+    candidateDir = `${server.path}.restore-${stamp}-merged`;
+    const snapshotDir = `${server.path}.pre-restore-${stamp}`;
     
-    // Extract backup
-    // This is a placeholder - actual implementation would use a library like adm-zip or tar
-    logger.info(`Extracting backup from ${backup.path} to ${extractPath}`);
+    logger.info(`Extracting backup from ${backup.path} to ${stagingDir}`);
+    const extractedRoot = await stageBackup(backup, stagingDir);
+    await verifyExtracted(extractedRoot, scopes);
+    
+    const replacementDir = await assembleRestore(server.path, extractedRoot, candidateDir, scopes);
+    await swapDirectories(server.path, replacementDir, snapshotDir);
+    
+    // Only the most recent pre-restore snapshot is kept
+    const previousSnapshot = server.restoreSnapshot && server.restoreSnapshot.path;
+    server.restoreSnapshot = { path: snapshotDir, backup: backup._id, createdAt: stamp };
+    await server.save();
+    
+    if (previousSnapshot && previousSnapshot !== snapshotDir) {
+      await fs.remove(previousSnapshot);
+    }
+    
+    await fs.remove(stagingDir);
+    await fs.remove(candidateDir);
+    
+    if (wasRunning || options.start) {
+      // The boot check needs the server now, not once memory frees up
+      const startResult = await startServer(serverId, options.io, { queue: false });
+      
+      try {
+        if (startResult.status === 'error') {
+          throw new Error(startResult.message);
+        }
+        await waitForServerReady(serverId, config.minecraft.restoreBootTimeout || 120000);
+      } catch (bootError) {
+        logger.error(`Restored server ${serverId} failed to boot, rolling back:`, bootError);
+        
+        if (runningServers.has(serverId)) {
+          await stopServer(serverId, true);
+        }
+        cancelPendingRestart(serverId);
+        const rollback = await rollbackRestore(serverId);
+        
+        // The restored files must not be started again
+        stoppedServerId = null;
+        let message = `Restored server failed to boot and was rolled back: ${bootError.message}`;
+        if (rollback.status === 'error') {
+          message = `Restored server failed to boot: ${bootError.message}; rolling back also failed: ${rollback.message}`;
+        } else if (wasRunning) {
+          const restartError = await restartAfterFailedRestore(serverId, options.io);
+          if (restartError) message += `; restarting it also failed: ${restartError}`;
+        }
+        
+        return {
+          status: 'error',
+          message,
+          serverId
+        };
+      }
+    }
     
     return {
       status: 'success',
       message: 'Backup restored successfully',
-      serverId
+      serverId,
+      snapshot: snapshotDir
     };
   } catch (error) {
     logger.error(`Failed to restore backup ${backupId}:`, error);
-    return { status: 'error', message: error.message };
+    
+    // Staging directories are never left behind after a failed restore
+    if (stagingDir) await fs.remove(stagingDir);
+    if (candidateDir) await fs.remove(candidateDir);
+    
+    // A server stopped for the restore is started again
+    let message = error.message;
+    if (stoppedServerId && !runningServers.has(stoppedServerId)) {
+      const restartError = await restartAfterFailedRestore(stoppedServerId, options.io);
+      message += restartError
+        ? `; restarting the server also failed: ${restartError}`
+        : '; the server was started again';
+    }
+    
+    return { status: 'error', message, statusCode: error.statusCode || 500 };
+  }
+}
+
+/**
+ * Roll a server back to the snapshot taken before its last restore
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Object>} Rollback result
+ */
+async function rollbackRestore(serverId) {
+  try {
+    const server = await MinecraftServer.findById(serverId);
+    if (!server) {
+      throw new NotFoundError('Server not found');
+    }
+    
+    if (runningServers.has(serverId)) {
+      throw new ConflictError('Cannot roll back a restore while the server is running');
+    }
+    
+    const snapshotDir = server.restoreSnapshot && server.restoreSnapshot.path;
+    if (!snapshotDir || !(await fs.pathExists(snapshotDir))) {
+      throw new ConflictError('No pre-restore snapshot is available');
+    }
+    
+    // The restored files are swapped out and discarded
+    const discardedDir = `${server.path}.rolled-back-${Date.now()}`;
+    await swapDirectories(server.path, snapshotDir, discardedDir);
+    await fs.remove(discardedDir);
+    
+    server.restoreSnapshot = undefined;
+    await server.save();
+    
+    logger.info(`Rolled server ${serverId} back to its pre-restore snapshot`);
+    
+    return {
+      status: 'success',
+      message: 'Restore rolled back successfully',
+      serverId
+    };
+  } catch (error) {
+    logger.error(`Failed to roll back restore for server ${serverId}:`, error);
+    return { status: 'error', message: error.message, statusCode: error.statusCode || 500 };
   }
 }
 
 module.exports = {
+  isServerRunning,
+  listRunningProcesses,
   getServerStatus,
   listServers,
   createServer,
+  cloneServer,
+  renameServer,
+  updateServer,
+  allocateServerPorts,
+  releaseServerPorts,
+  getServerProperties,
   updateServerProperties,
+  discardPendingProperties,
+  syncServerProperties,
   startServer,
   stopServer,
+  reattachServers,
+  startAutostartServers,
   stopAllServers,
+  getMemoryCapacity,
+  detachAllServers,
   sendCommand,
+  watchConsole,
+  pauseSaving,
+  resumeSaving,
   getServerLogs,
+  searchServerLogs,
+  getServerCrashes,
   createBackup,
-  restoreBackup
+  restoreBackup,
+  rollbackRestore
 };
\ No newline at end of file
@@ -0,0 +1,149 @@
+// src/services/minecraft/nbt.js
+//
+// Reads Java Edition NBT: the big-endian binary tag format of level.dat,
+// usually gzip-compressed. Longs are returned as BigInt.
+const zlib = require('zlib');
+const { promisify } = require('util');
+const fs = require('fs-extra');
+
+const gunzip = promisify(zlib.gunzip);
+const inflate = promisify(zlib.inflate);
+
+const TAG_END = 0;
+const TAG_LIST = 9;
+const TAG_COMPOUND = 10;
+
+// Nesting deeper than any real level.dat; guards against crafted files
+const MAX_DEPTH = 512;
+
+/**
+ * Read NBT from a buffer
+ * @param {Buffer} buffer - Uncompressed NBT
+ * @returns {Object} { name, value } of the root tag
+ * @throws {Error} If the data is not valid NBT
+ */
+function parseNbt(buffer) {
+  let offset = 0;
+
+  const need = (length) => {
+    if (offset + length > buffer.length) {
+      throw new Error('Unexpected end of NBT data');
+    }
+    const start = offset;
+    offset += length;
+    return start;
+  };
+
+  const readString = () => {
+    const length = buffer.readUInt16BE(need(2));
+    // Modified UTF-8 only differs from UTF-8 for NUL and characters outside the BMP
+    return buffer.toString('utf8', need(length), offset);
+  };
+
+  const readArray = (size, read) => {
+    const length = buffer.readInt32BE(need(4));
+    if (length < 0 || length * size > buffer.length - offset) {
+      throw new Error(`Invalid NBT array length ${length}`);
+    }
+    return Array.from({ length }, () => read(need(size)));
+  };
+
+  const readPayload = (type, depth) => {
+    if (depth > MAX_DEPTH) {
+      throw new Error('NBT nested too deeply');
+    }
+
+    switch (type) {
+      case 1: return buffer.readInt8(need(1));
+      case 2: return buffer.readInt16BE(need(2));
+      case 3: return buffer.readInt32BE(need(4));
+      case 4: return buffer.readBigInt64BE(need(8));
+      case 5: return buffer.readFloatBE(need(4));
+      case 6: return buffer.readDoubleBE(need(8));
+      case 7: return readArray(1, start => buffer.readInt8(start));
+      case 8: return readString();
+      case TAG_LIST: {
+        const itemType = buffer.readUInt8(need(1));
+        const length = buffer.readInt32BE(need(4));
+        if (length < 0 || (length > 0 && itemType === TAG_END)) {
+          throw new Error(`Invalid NBT list of ${length} items of type ${itemType}`);
+        }
+        const items = [];
+        for (let i = 0; i < length; i += 1) {
+          items.push(readPayload(itemType, depth + 1));
+        }
+        return items;
+      }
+      case TAG_COMPOUND: {
+        // No prototype, so a tag named __proto__ is just a key
+        const compound = Object.create(null);
+        for (;;) {
+          const tagType = buffer.readUInt8(need(1));
+          if (tagType === TAG_END) return compound;
+          const name = readString();
+          compound[name] = readPayload(tagType, depth + 1);
+        }
+      }
+      case 11: return readArray(4, start => buffer.readInt32BE(start));
+      case 12: return readArray(8, start => buffer.readBigInt64BE(start));
+      default:
+        throw new Error(`Unknown NBT tag type ${type}`);
+    }
+  };
+
+  const rootType = buffer.readUInt8(need(1));
+  if (rootType !== TAG_COMPOUND) {
+    throw new Error('NBT data does not start with a compound tag');
+  }
+  const name = readString();
+  return { name, value: readPayload(rootType, 0) };
+}
+
+/**
+ * Read an NBT file, decompressing gzip or zlib data
+ * @param {string} file - File path
+ * @returns {Promise<Object>} { name, value } of the root tag
+ */
+async function readNbtFile(file) {
+  const raw = await fs.readFile(file);
+  let data = raw;
+  if (raw[0] === 0x1f && raw[1] === 0x8b) {
+    data = await gunzip(raw);
+  } else if (raw[0] === 0x78) {
+    data = await inflate(raw);
+  }
+  return parseNbt(data);
+}
+
+/**
+ * Read the fields of a level.dat the manager reports
+ * @param {string} file - Path to level.dat
+ * @returns {Promise<Object>} levelName, seed, version, dataVersion, gameType, hardcore and lastPlayed
+ * @throws {Error} If the file is not a level.dat
+ */
+async function readLevelData(file) {
+  const { value } = await readNbtFile(file);
+  const data = value.Data;
+  if (!data || typeof data !== 'object') {
+    throw new Error('level.dat has no Data compound');
+  }
+
+  // 1.16 moved the seed into WorldGenSettings
+  const seed = data.WorldGenSettings && data.WorldGenSettings.seed !== undefined
+    ? data.WorldGenSettings.seed
+    : data.RandomSeed;
+
+  return {
+    levelName: data.LevelName || null,
+    seed: seed !== undefined ? seed.toString() : null,
+    version: data.Version && data.Version.Name ? data.Version.Name : null,
+    dataVersion: data.DataVersion !== undefined ? data.DataVersion : null,
+    gameType: data.GameType !== undefined ? data.GameType : null,
+    hardcore: data.hardcore === 1,
+    lastPlayed: data.LastPlayed !== undefined ? new Date(Number(data.LastPlayed)) : null
+  };
+}
+
+module.exports = {
+  readLevelData
+};
@@ -0,0 +1,329 @@
+// src/services/minecraft/ping.js
+//
+// Server List Ping client. Modern servers (1.7+) answer a handshake followed
+// by a status request with a JSON document; 1.6 and older servers only answer
+// the legacy 0xFE ping. pingServer tries the modern form first.
+const net = require('net');
+
+// Status pings accept any protocol version; -1 is the conventional "unknown"
+const STATUS_PROTOCOL_VERSION = -1;
+
+// Protocol number sent in the legacy MC|PingHost payload (1.6.4)
+const LEGACY_PROTOCOL_VERSION = 74;
+
+/**
+ * Error raised when a server does not answer a ping
+ */
+class PingError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PingError';
+    this.code = code;
+  }
+}
+
+/**
+ * Encode a VarInt
+ * @param {number} value - 32-bit integer
+ * @returns {Buffer} Encoded bytes
+ */
+function encodeVarInt(value) {
+  const bytes = [];
+  let remaining = value >>> 0;
+  do {
+    let byte = remaining & 0x7f;
+    remaining >>>= 7;
+    if (remaining !== 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining !== 0);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode a VarInt
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Start offset
+ * @returns {Object|null} { value, size }, or null if the buffer ends first
+ */
+function decodeVarInt(buffer, offset) {
+  let value = 0;
+  for (let i = 0; i < 5; i += 1) {
+    if (offset + i >= buffer.length) return null;
+    const byte = buffer[offset + i];
+    value |= (byte & 0x7f) << (7 * i);
+    if ((byte & 0x80) === 0) {
+      return { value, size: i + 1 };
+    }
+  }
+  throw new PingError('VarInt is too long', 'BAD_RESPONSE');
+}
+
+/**
+ * Frame a packet: length, packet ID and payload
+ * @param {number} packetId - Packet ID
+ * @param {...Buffer} parts - Payload parts
+ * @returns {Buffer} Framed packet
+ */
+function framePacket(packetId, ...parts) {
+  const body = Buffer.concat([encodeVarInt(packetId), ...parts]);
+  return Buffer.concat([encodeVarInt(body.length), body]);
+}
+
+/**
+ * Encode a protocol string (VarInt length and UTF-8 bytes)
+ * @param {string} text - Text
+ * @returns {Buffer} Encoded string
+ */
+function encodeString(text) {
+  const bytes = Buffer.from(text, 'utf8');
+  return Buffer.concat([encodeVarInt(bytes.length), bytes]);
+}
+
+/**
+ * Flatten a chat component into plain text without formatting codes
+ * @param {string|Object|Array} component - Chat component
+ * @returns {string} Plain text
+ */
+function chatToText(component) {
+  if (component === null || component === undefined) return '';
+  if (typeof component === 'string') return component.replace(/§[0-9a-fk-orx]/gi, '');
+  if (Array.isArray(component)) return component.map(chatToText).join('');
+
+  let text = chatToText(component.text || component.translate || '');
+  if (Array.isArray(component.extra)) {
+    text += component.extra.map(chatToText).join('');
+  }
+  return text;
+}
+
+/**
+ * Open a TCP connection and collect data until the handler says it is done
+ * @param {Object} options - { host, port, timeout }
+ * @param {Function} onConnect - Called with the socket once connected
+ * @param {Function} onData - Called with all data so far; returns a result when complete
+ * @returns {Promise<*>} Handler result
+ */
+function exchange(options, onConnect, onData) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: options.host, port: options.port });
+    let buffer = Buffer.alloc(0);
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      finish(new PingError(`No response from ${options.host}:${options.port} within ${options.timeout}ms`, 'TIMEOUT'));
+    }, options.timeout);
+
+    socket.on('connect', () => onConnect(socket));
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      try {
+        const result = onData(buffer, socket);
+        if (result !== undefined) finish(null, result);
+      } catch (error) {
+        finish(error);
+      }
+    });
+    socket.on('error', error => finish(new PingError(`Ping to ${options.host}:${options.port} failed: ${error.message}`, 'CONNECT_FAILED')));
+    socket.on('close', () => finish(new PingError(`${options.host}:${options.port} closed the connection`, 'CLOSED')));
+  });
+}
+
+/**
+ * Ping a 1.7+ server
+ * @param {Object} options - { host, port, timeout }
+ * @returns {Promise<Object>} Status
+ */
+function pingModern(options) {
+  let status = null;
+  let pingSentAt = 0;
+
+  return exchange(options, (socket) => {
+    const port = Buffer.alloc(2);
+    port.writeUInt16BE(options.port);
+
+    socket.write(Buffer.concat([
+      framePacket(0x00, encodeVarInt(STATUS_PROTOCOL_VERSION), encodeString(options.host), port, encodeVarInt(1)),
+      framePacket(0x00)
+    ]));
+  }, (buffer, socket) => {
+    let offset = 0;
+
+    // The buffer holds the status response, then possibly the pong
+    while (offset < buffer.length) {
+      const length = decodeVarInt(buffer, offset);
+      if (!length || offset + length.size + length.value > buffer.length) return undefined;
+
+      const start = offset + length.size;
+      const packetId = decodeVarInt(buffer, start);
+      const payloadStart = start + packetId.size;
+      offset = start + length.value;
+
+      if (packetId.value === 0x00 && !status) {
+        const textLength = decodeVarInt(buffer, payloadStart);
+        const json = buffer.toString('utf8', payloadStart + textLength.size, payloadStart + textLength.size + textLength.value);
+        try {
+          status = JSON.parse(json);
+        } catch (error) {
+          throw new PingError('Server sent an invalid status document', 'BAD_RESPONSE');
+        }
+
+        // Measure latency with a ping/pong round trip
+        const payload = Buffer.alloc(8);
+        payload.writeBigInt64BE(BigInt(Date.now()));
+        pingSentAt = process.hrtime.bigint();
+        socket.write(framePacket(0x01, payload));
+      } else if (packetId.value === 0x01 && status) {
+        const latency = Number(process.hrtime.bigint() - pingSentAt) / 1e6;
+        return formatModernStatus(status, latency);
+      }
+    }
+    return undefined;
+  });
+}
+
+/**
+ * Normalize a modern status document
+ * @param {Object} status - Parsed status JSON
+ * @param {number} latency - Round trip in ms
+ * @returns {Object} Status
+ */
+function formatModernStatus(status, latency) {
+  const players = status.players || {};
+  return {
+    protocol: 'modern',
+    version: {
+      name: status.version ? status.version.name : null,
+      protocol: status.version ? status.version.protocol : null
+    },
+    motd: chatToText(status.description),
+    description: status.description,
+    players: {
+      online: players.online || 0,
+      max: players.max || 0,
+      sample: (players.sample || []).map(player => ({ name: player.name, id: player.id }))
+    },
+    favicon: status.favicon || null,
+    latency: Math.round(latency * 10) / 10
+  };
+}
+
+/**
+ * Ping a 1.6 or older server with the legacy 0xFE request
+ * @param {Object} options - { host, port, timeout }
+ * @returns {Promise<Object>} Status
+ */
+function pingLegacy(options) {
+  let sentAt = 0;
+
+  return exchange(options, (socket) => {
+    const channel = Buffer.from('MC|PingHost', 'utf16le').swap16();
+    const host = Buffer.from(options.host, 'utf16le').swap16();
+    const data = Buffer.alloc(7 + host.length);
+    data.writeUInt8(LEGACY_PROTOCOL_VERSION, 0);
+    data.writeUInt16BE(options.host.length, 1);
+    host.copy(data, 3);
+    data.writeInt32BE(options.port, 3 + host.length);
+
+    const header = Buffer.alloc(5);
+    header.writeUInt8(0xfe, 0);
+    header.writeUInt8(0x01, 1);
+    header.writeUInt8(0xfa, 2);
+    header.writeUInt16BE('MC|PingHost'.length, 3);
+    const dataLength = Buffer.alloc(2);
+    dataLength.writeUInt16BE(data.length);
+
+    sentAt = process.hrtime.bigint();
+    socket.write(Buffer.concat([header, channel, dataLength, data]));
+  }, (buffer) => {
+    if (buffer.length < 3) return undefined;
+    if (buffer[0] !== 0xff) {
+      throw new PingError('Server sent an invalid legacy ping response', 'BAD_RESPONSE');
+    }
+
+    const length = buffer.readUInt16BE(1);
+    if (buffer.length < 3 + length * 2) return undefined;
+
+    const latency = Number(process.hrtime.bigint() - sentAt) / 1e6;
+    const text = Buffer.from(buffer.subarray(3, 3 + length * 2)).swap16().toString('utf16le');
+    return formatLegacyStatus(text, latency);
+  });
+}
+
+/**
+ * Parse a legacy kick-packet status string
+ * @param {string} text - Decoded response
+ * @param {number} latency - Round trip in ms
+ * @returns {Object} Status
+ */
+function formatLegacyStatus(text, latency) {
+  let fields;
+  if (text.startsWith('§1\u0000')) {
+    // 1.4 to 1.6: §1, protocol, version, motd, online, max
+    const [, protocol, version, motd, online, max] = text.split('\u0000');
+    fields = { protocol: Number(protocol), version, motd, online, max };
+  } else {
+    // Beta 1.8 to 1.3: motd§online§max
+    const parts = text.split('§');
+    const max = parts.pop();
+    const online = parts.pop();
+    fields = { protocol: null, version: null, motd: parts.join('§'), online, max };
+  }
+
+  return {
+    protocol: 'legacy',
+    version: { name: fields.version, protocol: fields.protocol },
+    motd: chatToText(fields.motd),
+    description: fields.motd,
+    players: {
+      online: Number(fields.online) || 0,
+      max: Number(fields.max) || 0,
+      sample: []
+    },
+    favicon: null,
+    latency: Math.round(latency * 10) / 10
+  };
+}
+
+/**
+ * Query a server with Server List Ping
+ * @param {Object} options - Ping options
+ * @param {string} [options.host='127.0.0.1'] - Host name
+ * @param {number} options.port - Game port
+ * @param {number} [options.timeout=5000] - Timeout per attempt in ms
+ * @param {boolean} [options.legacy] - Skip the modern ping
+ * @returns {Promise<Object>} MOTD, version, players, favicon and latency
+ */
+async function pingServer(options) {
+  const target = {
+    host: options.host || '127.0.0.1',
+    port: options.port,
+    timeout: options.timeout || 5000
+  };
+
+  if (options.legacy) {
+    return pingLegacy(target);
+  }
+
+  try {
+    return await pingModern(target);
+  } catch (error) {
+    // Old servers drop the modern handshake; nothing listening is final
+    if (error.code === 'CONNECT_FAILED' || error.code === 'TIMEOUT') throw error;
+    return pingLegacy(target);
+  }
+}
+
+module.exports = {
+  PingError,
+  pingServer,
+  chatToText
+};
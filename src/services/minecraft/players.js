@@ -0,0 +1,385 @@
+// src/services/minecraft/players.js
+const mongoose = require('mongoose');
+const { logger } = require('../../utils/logger');
+const { Player, PlayerSession } = require('../../models');
+const { NotFoundError } = require('../../utils/errors');
+const { serverEvents } = require('./events');
+const { parseLogLine } = require('./logs');
+
+// Console lines that describe player connections
+const PLAYER_PATTERNS = {
+  uuid: /^UUID of player (\w{1,16}) is ([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i,
+  login: /^(\w{1,16})\[\/(.+):\d+\] logged in with entity id/,
+  join: /^(\w{1,16}) joined the game$/,
+  lostConnection: /^(\w{1,16}) lost connection: (.*)$/,
+  kick: /^Kicked (\w{1,16}): (.*)$/,
+  leave: /^(\w{1,16}) left the game$/
+};
+
+// Online players per server: serverId -> Map(lowercase name -> session info)
+const onlinePlayers = new Map();
+
+// Details seen before the join line: serverId -> Map(lowercase name -> { uuid, ip, reason, message })
+const pendingLogins = new Map();
+
+// Per-server queues so events for one server are applied in order
+const queues = new Map();
+
+// Socket.IO instance for join/leave notifications
+let socketServer = null;
+
+/**
+ * Get or create a per-server map
+ * @param {Map} store - Map of maps
+ * @param {string} serverId - Server ID
+ * @returns {Map} Server's map
+ */
+function mapFor(store, serverId) {
+  if (!store.has(serverId)) {
+    store.set(serverId, new Map());
+  }
+  return store.get(serverId);
+}
+
+/**
+ * Run a task after every earlier task for the same server
+ * @param {string} serverId - Server ID
+ * @param {Function} task - Async task
+ */
+function enqueue(serverId, task) {
+  const previous = queues.get(serverId) || Promise.resolve();
+  const next = previous.then(task).catch((error) => {
+    logger.error(`Player tracking failed for server ${serverId}:`, error);
+  });
+  queues.set(serverId, next);
+}
+
+/**
+ * Open a session when a player joins
+ * @param {string} serverId - Server ID
+ * @param {string} username - Player name
+ * @param {number} timestamp - Join time
+ */
+async function handleJoin(serverId, username, timestamp) {
+  const key = username.toLowerCase();
+  const pending = mapFor(pendingLogins, serverId).get(key) || {};
+  mapFor(pendingLogins, serverId).delete(key);
+
+  let uuid = pending.uuid;
+  if (!uuid) {
+    const known = await Player.findOne({ username }).sort({ updatedAt: -1 });
+    if (!known) {
+      logger.warn(`No UUID seen for ${username} on server ${serverId}; session not tracked`);
+      return;
+    }
+    uuid = known.uuid;
+  }
+
+  const joinedAt = new Date(timestamp);
+  const player = await Player.findOneAndUpdate(
+    { uuid },
+    {
+      $set: {
+        username,
+        lastSeen: { server: serverId, timestamp: joinedAt },
+        ...(pending.ip && { ip: pending.ip })
+      },
+      $setOnInsert: { firstJoined: joinedAt }
+    },
+    { upsert: true, new: true }
+  );
+
+  const stats = player.servers.find(entry => entry.server.toString() === serverId);
+  if (stats) {
+    stats.lastSeen = joinedAt;
+  } else {
+    player.servers.push({ server: serverId, firstJoined: joinedAt, lastSeen: joinedAt, playTime: 0 });
+  }
+  await player.save();
+
+  const session = await PlayerSession.create({
+    player: player._id,
+    server: serverId,
+    username,
+    ip: pending.ip,
+    joinedAt
+  });
+
+  mapFor(onlinePlayers, serverId).set(key, {
+    uuid,
+    username,
+    ip: pending.ip,
+    joinedAt,
+    sessionId: session._id
+  });
+
+  if (socketServer) {
+    socketServer.to(`server:${serverId}`).emit('playerJoin', { serverId, uuid, username, joinedAt });
+  }
+}
+
+/**
+ * Close a session and add its length to the player's play time
+ * @param {Object} session - PlayerSession document
+ * @param {Date} leftAt - When the session ended
+ * @param {string} reason - quit, kick, stop or crash
+ * @param {string} [message] - Disconnect or kick message
+ */
+async function closeSession(session, leftAt, reason, message) {
+  const duration = Math.max(0, leftAt - session.joinedAt);
+
+  session.leftAt = leftAt;
+  session.duration = duration;
+  session.reason = reason;
+  session.message = message;
+  await session.save();
+
+  await Player.updateOne(
+    { _id: session.player, 'servers.server': session.server },
+    {
+      $inc: { playTime: duration, 'servers.$.playTime': duration },
+      $set: {
+        'servers.$.lastSeen': leftAt,
+        lastSeen: { server: session.server, timestamp: leftAt }
+      }
+    }
+  );
+}
+
+/**
+ * Close the session of a player who left
+ * @param {string} serverId - Server ID
+ * @param {string} username - Player name
+ * @param {number} timestamp - Leave time
+ */
+async function handleLeave(serverId, username, timestamp) {
+  const key = username.toLowerCase();
+  const online = mapFor(onlinePlayers, serverId).get(key);
+  const pending = mapFor(pendingLogins, serverId).get(key) || {};
+
+  mapFor(onlinePlayers, serverId).delete(key);
+  mapFor(pendingLogins, serverId).delete(key);
+
+  if (!online) return;
+
+  const leftAt = new Date(timestamp);
+  const reason = pending.reason || 'quit';
+  const session = await PlayerSession.findById(online.sessionId);
+  if (session && !session.leftAt) {
+    await closeSession(session, leftAt, reason, pending.message);
+  }
+
+  if (socketServer) {
+    socketServer.to(`server:${serverId}`).emit('playerLeave', {
+      serverId,
+      uuid: online.uuid,
+      username: online.username,
+      leftAt,
+      reason
+    });
+  }
+}
+
+/**
+ * Close every open session on a server
+ * @param {string} serverId - Server ID
+ * @param {string} reason - stop or crash
+ * @param {Date} [at] - When the sessions ended
+ * @returns {Promise<number>} Number of sessions closed
+ */
+async function closeOpenSessions(serverId, reason, at = new Date()) {
+  const sessions = await PlayerSession.find({ server: serverId, leftAt: { $exists: false } });
+
+  for (const session of sessions) {
+    await closeSession(session, at < session.joinedAt ? session.joinedAt : at, reason);
+  }
+
+  onlinePlayers.delete(serverId);
+  pendingLogins.delete(serverId);
+
+  return sessions.length;
+}
+
+/**
+ * Rebuild the online list from sessions left open in the database
+ * @param {string} serverId - Server ID
+ */
+async function restoreOnlinePlayers(serverId) {
+  const sessions = await PlayerSession.find({ server: serverId, leftAt: { $exists: false } })
+    .populate('player', 'uuid');
+  const online = mapFor(onlinePlayers, serverId);
+
+  for (const session of sessions) {
+    online.set(session.username.toLowerCase(), {
+      uuid: session.player.uuid,
+      username: session.username,
+      ip: session.ip,
+      joinedAt: session.joinedAt,
+      sessionId: session._id
+    });
+  }
+}
+
+/**
+ * Interpret one console log entry
+ * @param {string} serverId - Server ID
+ * @param {Object} logEntry - Log entry
+ */
+function handleLog(serverId, logEntry) {
+  if (logEntry.type !== 'stdout') return;
+
+  const parsed = parseLogLine(logEntry.message.split('\n')[0]);
+  if (!parsed) return;
+
+  const { message } = parsed;
+  const pending = mapFor(pendingLogins, serverId);
+  let match;
+
+  if ((match = message.match(PLAYER_PATTERNS.uuid))) {
+    const key = match[1].toLowerCase();
+    pending.set(key, { ...pending.get(key), uuid: match[2].toLowerCase() });
+  } else if ((match = message.match(PLAYER_PATTERNS.login))) {
+    const key = match[1].toLowerCase();
+    pending.set(key, { ...pending.get(key), ip: match[2] });
+  } else if ((match = message.match(PLAYER_PATTERNS.join))) {
+    const username = match[1];
+    enqueue(serverId, () => handleJoin(serverId, username, logEntry.timestamp));
+  } else if ((match = message.match(PLAYER_PATTERNS.kick))) {
+    const key = match[1].toLowerCase();
+    pending.set(key, { ...pending.get(key), reason: 'kick', message: match[2] });
+  } else if ((match = message.match(PLAYER_PATTERNS.lostConnection))) {
+    const key = match[1].toLowerCase();
+    const previous = pending.get(key) || {};
+    pending.set(key, { ...previous, reason: previous.reason || 'quit', message: previous.message || match[2] });
+  } else if ((match = message.match(PLAYER_PATTERNS.leave))) {
+    const username = match[1];
+    enqueue(serverId, () => handleLeave(serverId, username, logEntry.timestamp));
+  }
+}
+
+/**
+ * Start tracking player sessions from server console events
+ * @param {Object} io - Socket.IO instance for real-time updates
+ */
+function initializePlayerTracking(io) {
+  socketServer = io;
+  serverEvents.on('log', handleLog);
+
+  // A fresh process means any session still open was never closed
+  serverEvents.on('started', (serverId, { lastStopped }) => {
+    enqueue(serverId, () => closeOpenSessions(serverId, 'stop', lastStopped || new Date()));
+  });
+
+  serverEvents.on('reattached', (serverId) => {
+    enqueue(serverId, () => restoreOnlinePlayers(serverId));
+  });
+
+  serverEvents.on('stopped', (serverId, { crashed, at }) => {
+    enqueue(serverId, () => closeOpenSessions(serverId, crashed ? 'crash' : 'stop', at));
+  });
+}
+
+/**
+ * Remove a server's sessions and per-server statistics from every player.
+ * Play time totals keep the time spent on the server.
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Object>} Number of players and sessions updated
+ */
+function removeServerPlayers(serverId) {
+  // Queued after any sessions the server's stop is still closing
+  return new Promise((resolve, reject) => {
+    enqueue(serverId, async () => {
+      try {
+        const players = await Player.updateMany(
+          { 'servers.server': serverId },
+          { $pull: { servers: { server: serverId } } }
+        );
+        await Player.updateMany({ 'lastSeen.server': serverId }, { $unset: { 'lastSeen.server': '' } });
+        const sessions = await PlayerSession.deleteMany({ server: serverId });
+
+        onlinePlayers.delete(serverId);
+        pendingLogins.delete(serverId);
+        resolve({ players: players.modifiedCount, sessions: sessions.deletedCount });
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * List players currently online on a server
+ * @param {string} serverId - Server ID
+ * @returns {Array<Object>} Online players
+ */
+function getOnlinePlayers(serverId) {
+  const online = onlinePlayers.get(serverId);
+  if (!online) return [];
+
+  return [...online.values()].map(player => ({
+    uuid: player.uuid,
+    username: player.username,
+    joinedAt: player.joinedAt,
+    sessionTime: Date.now() - player.joinedAt
+  }));
+}
+
+/**
+ * Get a player's history across all servers
+ * @param {string} uuid - Player UUID
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} Player with per-server stats and recent sessions
+ */
+async function getPlayerHistory(uuid, options = {}) {
+  const player = await Player.findOne({ uuid: uuid.toLowerCase() })
+    .populate('servers.server', 'name');
+  if (!player) {
+    throw new NotFoundError('Player not found');
+  }
+
+  const sessions = await PlayerSession.find({ player: player._id })
+    .sort({ joinedAt: -1 })
+    .skip(options.offset || 0)
+    .limit(options.limit || 50)
+    .populate('server', 'name');
+
+  return { player, sessions };
+}
+
+/**
+ * Get the players with the most play time
+ * @param {Object} options - Query options
+ * @param {string} [options.serverId] - Rank by play time on one server
+ * @param {number} [options.limit=10] - Number of players
+ * @returns {Promise<Array<Object>>} Ranked players
+ */
+async function getTopPlayers(options = {}) {
+  const limit = options.limit || 10;
+
+  if (!options.serverId) {
+    const players = await Player.find({}).sort({ playTime: -1 }).limit(limit);
+    return players.map(player => ({
+      uuid: player.uuid,
+      username: player.username,
+      playTime: player.playTime
+    }));
+  }
+
+  const players = await Player.aggregate([
+    { $unwind: '$servers' },
+    { $match: { 'servers.server': new mongoose.Types.ObjectId(options.serverId) } },
+    { $sort: { 'servers.playTime': -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, uuid: 1, username: 1, playTime: '$servers.playTime' } }
+  ]);
+
+  return players;
+}
+
+module.exports = {
+  initializePlayerTracking,
+  removeServerPlayers,
+  getOnlinePlayers,
+  getPlayerHistory,
+  getTopPlayers
+};
@@ -0,0 +1,69 @@
+// src/services/minecraft/ports.js
+//
+// Checks whether ports are free on the host by briefly binding them, so
+// ports held by processes the manager does not know about are detected too.
+const net = require('net');
+const dgram = require('dgram');
+const config = require('../../config').getConfig();
+
+// Ports handed out to new servers for the game, query and RCON
+const PORT_RANGE = {
+  start: config.minecraft.portRangeStart || 25565,
+  end: config.minecraft.portRangeEnd || 25765
+};
+
+/**
+ * Check whether a port can be bound
+ * @param {number} port - Port number
+ * @param {Object} [options] - Check options
+ * @param {string} [options.protocol='tcp'] - tcp or udp
+ * @param {string} [options.host] - Address the server binds (server-ip); all addresses by default
+ * @returns {Promise<boolean>} Whether the port is free
+ */
+function isPortAvailable(port, options = {}) {
+  const host = options.host || undefined;
+
+  return new Promise((resolve, reject) => {
+    // In use, or reserved for privileged processes
+    const onError = (error) => {
+      if (['EADDRINUSE', 'EACCES', 'EADDRNOTAVAIL'].includes(error.code)) {
+        resolve(false);
+      } else {
+        reject(error);
+      }
+    };
+
+    if (options.protocol === 'udp') {
+      const socket = dgram.createSocket(host && net.isIPv6(host) ? 'udp6' : 'udp4');
+      socket.once('error', onError);
+      socket.bind({ port, address: host, exclusive: true }, () => socket.close(() => resolve(true)));
+      return;
+    }
+
+    const server = net.createServer();
+    server.once('error', onError);
+    server.listen({ port, host, exclusive: true }, () => server.close(() => resolve(true)));
+  });
+}
+
+/**
+ * Find which of a server's ports another process has bound
+ * @param {Array<Object>} ports - Ports as { key, protocol, port }
+ * @param {string} [host] - Address the server binds (server-ip)
+ * @returns {Promise<Array<Object>>} The ports that are taken
+ */
+async function findBoundPorts(ports, host) {
+  const bound = [];
+  for (const entry of ports) {
+    if (!(await isPortAvailable(entry.port, { protocol: entry.protocol, host }))) {
+      bound.push(entry);
+    }
+  }
+  return bound;
+}
+
+module.exports = {
+  PORT_RANGE,
+  isPortAvailable,
+  findBoundPorts
+};
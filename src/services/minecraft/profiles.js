@@ -0,0 +1,133 @@
+// src/services/minecraft/profiles.js
+//
+// Resolves player names to UUIDs for access lists edited on disk. Lookups
+// are tried in order: any registered with registerProfileLookup, players
+// the manager has seen, then the Mojang profile API. Offline-mode servers,
+// and names no lookup knows, get the UUID the server derives in offline mode.
+const crypto = require('crypto');
+const { logger } = require('../../utils/logger');
+const { Player } = require('../../models');
+const { getJson } = require('../../utils/http');
+const config = require('../../config').getConfig();
+
+// An empty MC_PROFILE_API_URL turns the API lookup off
+const PROFILE_API_URL = config.minecraft.profileApiUrl !== undefined
+  ? config.minecraft.profileApiUrl
+  : 'https://api.mojang.com/users/profiles/minecraft';
+const LOOKUP_TIMEOUT = 5000;
+
+// Positive API results are reused for an hour to stay under rate limits
+const CACHE_TTL = 60 * 60 * 1000;
+const cache = new Map();
+
+const customLookups = [];
+
+/**
+ * Format 32 hex digits as a dashed UUID
+ * @param {string} hex - UUID without dashes
+ * @returns {string} Dashed UUID
+ */
+function dashUuid(hex) {
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`.toLowerCase();
+}
+
+/**
+ * Derive the UUID an offline-mode server gives a player: a version 3 UUID of
+ * "OfflinePlayer:<name>", as java.util.UUID.nameUUIDFromBytes computes it
+ * @param {string} name - Player name
+ * @returns {string} Dashed UUID
+ */
+function offlineUuid(name) {
+  const hash = crypto.createHash('md5').update(`OfflinePlayer:${name}`, 'utf8').digest();
+  hash[6] = (hash[6] & 0x0f) | 0x30;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  return dashUuid(hash.toString('hex'));
+}
+
+/**
+ * Find a player the manager has seen join with an online-mode UUID
+ * @param {string} name - Player name
+ * @returns {Promise<Object|null>} { uuid, name }
+ */
+async function knownPlayerLookup(name) {
+  const players = await Player.find({ username: name }).sort({ updatedAt: -1 }).limit(5);
+  // Offline-mode servers record version 3 UUIDs, which online servers reject
+  const player = players.find(candidate => candidate.uuid[14] === '4');
+  return player ? { uuid: player.uuid, name: player.username } : null;
+}
+
+/**
+ * Look a name up in the Mojang profile API
+ * @param {string} name - Player name
+ * @returns {Promise<Object|null>} { uuid, name }, or null if there is no such account
+ */
+async function profileApiLookup(name) {
+  if (!PROFILE_API_URL) return null;
+
+  const key = name.toLowerCase();
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.at < CACHE_TTL) {
+    return cached.profile;
+  }
+
+  let body;
+  try {
+    body = await getJson(`${PROFILE_API_URL.replace(/\/$/, '')}/${encodeURIComponent(name)}`, { timeout: LOOKUP_TIMEOUT });
+  } catch (error) {
+    // Unknown names are a 404, or an empty 204 from older API versions
+    if (error.statusCode === 404 || error instanceof SyntaxError) return null;
+    throw error;
+  }
+  if (!body || !/^[0-9a-f]{32}$/i.test(String(body.id).replace(/-/g, ''))) {
+    return null;
+  }
+
+  const profile = { uuid: dashUuid(String(body.id).replace(/-/g, '')), name: body.name || name };
+  cache.set(key, { profile, at: Date.now() });
+  return profile;
+}
+
+/**
+ * Add a lookup tried before the built-in ones, e.g. a proxy's player database
+ * @param {Function} lookup - async (name) => { uuid, name } or null
+ */
+function registerProfileLookup(lookup) {
+  customLookups.push(lookup);
+}
+
+/**
+ * Resolve a player name to the profile a server would use
+ * @param {string} name - Player name
+ * @param {Object} [options] - Resolve options
+ * @param {boolean} [options.onlineMode=true] - Whether the server authenticates players with Mojang
+ * @returns {Promise<Object>} { uuid, name, source } where source is the lookup that answered or offline
+ */
+async function resolveProfile(name, options = {}) {
+  if (options.onlineMode === false) {
+    return { uuid: offlineUuid(name), name, source: 'offline' };
+  }
+
+  const lookups = [
+    ...customLookups.map(lookup => ({ source: 'custom', lookup })),
+    { source: 'known', lookup: knownPlayerLookup },
+    { source: 'api', lookup: profileApiLookup }
+  ];
+  for (const { source, lookup } of lookups) {
+    try {
+      const profile = await lookup(name);
+      if (profile && profile.uuid) {
+        return { uuid: profile.uuid.toLowerCase(), name: profile.name || name, source };
+      }
+    } catch (error) {
+      logger.warn(`Profile lookup (${source}) for ${name} failed: ${error.message}`);
+    }
+  }
+
+  logger.warn(`No profile found for ${name}; using the offline-mode UUID`);
+  return { uuid: offlineUuid(name), name, source: 'offline' };
+}
+
+module.exports = {
+  registerProfileLookup,
+  resolveProfile
+};
@@ -0,0 +1,384 @@
+// src/services/minecraft/properties.js
+//
+// Reading, validating and rewriting server.properties. Files are edited in
+// place: comments, ordering and keys the manager does not know about are
+// kept, and only changed entries are rewritten.
+
+const INT32_MAX = 2147483647;
+
+// Known keys and the values the game accepts for them
+const PROPERTY_SCHEMA = {
+  'accepts-transfers': { type: 'boolean' },
+  'allow-flight': { type: 'boolean' },
+  'allow-nether': { type: 'boolean' },
+  'broadcast-console-to-ops': { type: 'boolean' },
+  'broadcast-rcon-to-ops': { type: 'boolean' },
+  'difficulty': { type: 'enum', values: ['peaceful', 'easy', 'normal', 'hard'] },
+  'enable-command-block': { type: 'boolean' },
+  'enable-jmx-monitoring': { type: 'boolean' },
+  'enable-query': { type: 'boolean' },
+  'enable-rcon': { type: 'boolean' },
+  'enable-status': { type: 'boolean' },
+  'enforce-secure-profile': { type: 'boolean' },
+  'enforce-whitelist': { type: 'boolean' },
+  'entity-broadcast-range-percentage': { type: 'int', min: 10, max: 1000 },
+  'force-gamemode': { type: 'boolean' },
+  'function-permission-level': { type: 'int', min: 1, max: 4 },
+  'gamemode': { type: 'enum', values: ['survival', 'creative', 'adventure', 'spectator'] },
+  'generate-structures': { type: 'boolean' },
+  'hardcore': { type: 'boolean' },
+  'hide-online-players': { type: 'boolean' },
+  'level-name': { type: 'string' },
+  'level-seed': { type: 'string' },
+  'level-type': { type: 'string' },
+  'log-ips': { type: 'boolean' },
+  'max-chained-neighbor-updates': { type: 'int', min: -1, max: INT32_MAX },
+  'max-players': { type: 'int', min: 0, max: INT32_MAX },
+  'max-tick-time': { type: 'int', min: -1, max: INT32_MAX },
+  'max-world-size': { type: 'int', min: 1, max: 29999984 },
+  'motd': { type: 'string' },
+  'network-compression-threshold': { type: 'int', min: -1, max: INT32_MAX },
+  'online-mode': { type: 'boolean' },
+  'op-permission-level': { type: 'int', min: 0, max: 4 },
+  'pause-when-empty-seconds': { type: 'int', min: 0, max: INT32_MAX },
+  'player-idle-timeout': { type: 'int', min: 0, max: INT32_MAX },
+  'prevent-proxy-connections': { type: 'boolean' },
+  'pvp': { type: 'boolean' },
+  'query.port': { type: 'port' },
+  'rate-limit': { type: 'int', min: 0, max: INT32_MAX },
+  'rcon.password': { type: 'string' },
+  'rcon.port': { type: 'port' },
+  'require-resource-pack': { type: 'boolean' },
+  'resource-pack': { type: 'string' },
+  'resource-pack-prompt': { type: 'string' },
+  'resource-pack-sha1': { type: 'string', pattern: /^([0-9a-f]{40})?$/i },
+  'server-ip': { type: 'string' },
+  'server-port': { type: 'port' },
+  'simulation-distance': { type: 'int', min: 3, max: 32 },
+  'spawn-animals': { type: 'boolean' },
+  'spawn-monsters': { type: 'boolean' },
+  'spawn-npcs': { type: 'boolean' },
+  'spawn-protection': { type: 'int', min: 0, max: INT32_MAX },
+  'sync-chunk-writes': { type: 'boolean' },
+  'use-native-transport': { type: 'boolean' },
+  'view-distance': { type: 'int', min: 3, max: 32 },
+  'white-list': { type: 'boolean' }
+};
+
+const KEY_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+// Mongoose maps cannot hold keys containing '.', such as rcon.port
+const STORED_DOT = '\uFF0E';
+
+// Control characters and their escape letters
+const CONTROL_ESCAPES = { '\t': 't', '\n': 'n', '\r': 'r', '\f': 'f' };
+
+/**
+ * Normalize and validate one property value
+ * @param {string} key - Property name
+ * @param {*} value - Value from the request
+ * @returns {Object} { value } on success or { error } with a message
+ */
+function normalizeValue(key, value) {
+  if (!['string', 'number', 'boolean'].includes(typeof value)) {
+    return { error: 'Must be a string, number or boolean' };
+  }
+
+  const text = String(value).trim();
+  const rule = PROPERTY_SCHEMA[key] || { type: 'string' };
+
+  switch (rule.type) {
+    case 'boolean':
+      if (!['true', 'false'].includes(text.toLowerCase())) {
+        return { error: 'Must be true or false' };
+      }
+      return { value: text.toLowerCase() };
+
+    case 'int':
+    case 'port': {
+      const min = rule.type === 'port' ? 1 : rule.min;
+      const max = rule.type === 'port' ? 65535 : rule.max;
+      if (!/^-?\d+$/.test(text) || Number(text) < min || Number(text) > max) {
+        return { error: `Must be a whole number from ${min} to ${max}` };
+      }
+      return { value: String(Number(text)) };
+    }
+
+    case 'enum':
+      if (!rule.values.includes(text.toLowerCase())) {
+        return { error: `Must be one of: ${rule.values.join(', ')}` };
+      }
+      return { value: text.toLowerCase() };
+
+    default:
+      if (/[\r\n]/.test(String(value))) {
+        return { error: 'Must not contain line breaks' };
+      }
+      if (rule.pattern && !rule.pattern.test(String(value))) {
+        return { error: 'Has an invalid format' };
+      }
+      // Free text is stored as given; motd padding can be intentional
+      return { value: String(value) };
+  }
+}
+
+/**
+ * Validate a set of property changes against the schema
+ * @param {Object} properties - Property name to value
+ * @returns {Object} { values, errors } with normalized string values
+ */
+function validateProperties(properties) {
+  const values = {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(properties)) {
+    if (!KEY_PATTERN.test(key)) {
+      errors.push({ field: key, message: 'Invalid property name' });
+      continue;
+    }
+
+    const result = normalizeValue(key, value);
+    if (result.error) {
+      errors.push({ field: key, message: result.error });
+    } else {
+      values[key] = result.value;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Decode the escapes used by java.util.Properties
+ * @param {string} text - Escaped text
+ * @returns {string} Decoded text
+ */
+function unescape(text) {
+  return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, escape) => {
+    if (escape[0] === 'u' && escape.length === 5) {
+      return String.fromCharCode(parseInt(escape.slice(1), 16));
+    }
+    const control = Object.keys(CONTROL_ESCAPES).find(char => CONTROL_ESCAPES[char] === escape);
+    return control || escape;
+  });
+}
+
+/**
+ * Escape text the way java.util.Properties writes it
+ * @param {string} text - Raw text
+ * @param {boolean} isKey - Keys also escape spaces
+ * @returns {string} Escaped text
+ */
+function escape(text, isKey) {
+  let result = '';
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (char === ' ' && (isKey || i === 0)) {
+      result += '\\ ';
+    } else if (CONTROL_ESCAPES[char]) {
+      result += `\\${CONTROL_ESCAPES[char]}`;
+    } else if ('\\=:#!'.includes(char)) {
+      result += `\\${char}`;
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+/**
+ * Split a logical properties line into key and value
+ * @param {string} line - Logical line with continuations joined
+ * @returns {Object} { key, value } decoded
+ */
+function splitEntry(line) {
+  const text = line.replace(/^\s+/, '');
+  let index = 0;
+
+  // The key ends at the first unescaped '=', ':' or whitespace
+  while (index < text.length) {
+    const char = text[index];
+    if (char === '\\') {
+      index += 2;
+      continue;
+    }
+    if (char === '=' || char === ':' || /\s/.test(char)) break;
+    index += 1;
+  }
+
+  const key = text.slice(0, index);
+  let rest = text.slice(index).replace(/^\s*/, '');
+  if (rest[0] === '=' || rest[0] === ':') {
+    rest = rest.slice(1).replace(/^\s*/, '');
+  }
+
+  return { key: unescape(key), value: unescape(rest) };
+}
+
+/**
+ * Check whether a physical line continues on the next one
+ * (it ends with an odd number of backslashes)
+ * @param {string} line - Physical line
+ * @returns {boolean} Whether the line continues
+ */
+function continues(line) {
+  const trailing = line.match(/\\*$/)[0].length;
+  return trailing % 2 === 1;
+}
+
+/**
+ * Parse server.properties, keeping every line so the file can be rewritten faithfully
+ * @param {string} content - File content
+ * @returns {Object} Parsed document with lines and values
+ */
+function parseProperties(content) {
+  const physical = content.split(/\r?\n/);
+  // A trailing newline leaves an empty last element that is not a real line
+  if (physical.length > 0 && physical[physical.length - 1] === '') physical.pop();
+
+  const lines = [];
+  const values = {};
+
+  for (let i = 0; i < physical.length; i += 1) {
+    const raw = [physical[i]];
+    const trimmed = physical[i].trim();
+
+    if (trimmed === '' || trimmed[0] === '#' || trimmed[0] === '!') {
+      lines.push({ raw });
+      continue;
+    }
+
+    let logical = physical[i];
+    while (continues(logical) && i + 1 < physical.length) {
+      i += 1;
+      raw.push(physical[i]);
+      logical = logical.slice(0, -1) + physical[i].replace(/^\s+/, '');
+    }
+
+    const { key, value } = splitEntry(logical);
+    lines.push({ raw, key });
+    values[key] = value;
+  }
+
+  return {
+    lines,
+    values,
+    newline: content.includes('\r\n') ? '\r\n' : '\n'
+  };
+}
+
+/**
+ * Apply changes to a parsed document and render it.
+ * Changed keys are rewritten in place and new keys are appended.
+ * @param {Object} document - Result of parseProperties
+ * @param {Object} changes - Property name to new value
+ * @returns {string} New file content
+ */
+function renderProperties(document, changes) {
+  const output = [];
+
+  for (const line of document.lines) {
+    // Every occurrence is rewritten; with duplicate keys the game uses the last one
+    if (line.key !== undefined && line.key in changes && changes[line.key] !== document.values[line.key]) {
+      output.push(`${escape(line.key, true)}=${escape(changes[line.key], false)}`);
+      continue;
+    }
+    output.push(...line.raw);
+  }
+
+  if (document.lines.length === 0) {
+    output.push('# Minecraft server properties');
+    output.push(`# Generated by Minecraft Server Manager on ${new Date().toISOString()}`);
+  }
+
+  for (const [key, value] of Object.entries(changes)) {
+    if (key in document.values) continue;
+    output.push(`${escape(key, true)}=${escape(value, false)}`);
+  }
+
+  return output.join(document.newline) + document.newline;
+}
+
+/**
+ * Compare property values stored in the database with the file on disk
+ * @param {Object} stored - Values from the database
+ * @param {Object} disk - Values from server.properties
+ * @returns {Array<Object>} Differences as { key, database, disk }
+ */
+function diffProperties(stored, disk) {
+  const keys = new Set([...Object.keys(stored), ...Object.keys(disk)]);
+  const drift = [];
+
+  for (const key of [...keys].sort()) {
+    const database = key in stored ? stored[key] : null;
+    const file = key in disk ? disk[key] : null;
+    if (database !== file) {
+      drift.push({ key, database, disk: file });
+    }
+  }
+
+  return drift;
+}
+
+/**
+ * List the ports a server binds with the given properties
+ * @param {Object} values - Property values
+ * @param {Object} [options] - List options
+ * @param {boolean} [options.reserved=false] - Include RCON and query ports set while they are disabled
+ * @returns {Array<Object>} Ports as { key, protocol, port }
+ */
+function activePorts(values, options = {}) {
+  const ports = [];
+  const serverPort = values['server-port'];
+
+  if (serverPort) {
+    ports.push({ key: 'server-port', protocol: 'tcp', port: Number(serverPort) });
+  }
+  if ((values['enable-rcon'] === 'true' || options.reserved) && values['rcon.port']) {
+    ports.push({ key: 'rcon.port', protocol: 'tcp', port: Number(values['rcon.port']) });
+  }
+  // Query listens on UDP and defaults to the game port
+  if ((values['enable-query'] === 'true' || options.reserved) && (values['query.port'] || serverPort)) {
+    ports.push({ key: 'query.port', protocol: 'udp', port: Number(values['query.port'] || serverPort) });
+  }
+
+  return ports;
+}
+
+/**
+ * Encode property values for a Mongoose map
+ * @param {Object} values - Property values
+ * @returns {Object} Values with storable keys
+ */
+function toStoredProperties(values) {
+  const stored = {};
+  for (const [key, value] of Object.entries(values)) {
+    stored[key.split('.').join(STORED_DOT)] = value;
+  }
+  return stored;
+}
+
+/**
+ * Decode property values read from a Mongoose map
+ * @param {Map|Object} stored - Stored values
+ * @returns {Object} Property values
+ */
+function fromStoredProperties(stored) {
+  const values = {};
+  const entries = stored instanceof Map ? stored.entries() : Object.entries(stored || {});
+  for (const [key, value] of entries) {
+    values[key.split(STORED_DOT).join('.')] = value;
+  }
+  return values;
+}
+
+module.exports = {
+  PROPERTY_SCHEMA,
+  validateProperties,
+  parseProperties,
+  renderProperties,
+  diffProperties,
+  activePorts,
+  toStoredProperties,
+  fromStoredProperties
+};
@@ -0,0 +1,254 @@
+// src/services/minecraft/rcon.js
+//
+// Source RCON protocol client. Each packet is
+//   int32 length | int32 request id | int32 type | body | 0x00 | 0x00
+// with little-endian integers. Minecraft splits long responses over several
+// packets with the same id, so every command is followed by a marker packet;
+// the game answers requests in order, and the marker's reply ends the response.
+const EventEmitter = require('events');
+const net = require('net');
+
+const PACKET_TYPE = {
+  RESPONSE: 0,
+  COMMAND: 2,
+  AUTH_RESPONSE: 2,
+  AUTH: 3,
+  // Any type the game does not know gets a reply; used to mark the end of a response
+  MARKER: 200
+};
+
+// Minecraft rejects requests with larger bodies
+const MAX_BODY_BYTES = 1446;
+
+/**
+ * Error raised for RCON connection, authentication and timeout failures
+ */
+class RconError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'RconError';
+    this.code = code;
+  }
+}
+
+/**
+ * Encode an RCON packet
+ * @param {number} id - Request ID
+ * @param {number} type - Packet type
+ * @param {string} body - Packet body
+ * @returns {Buffer} Encoded packet
+ */
+function encodePacket(id, type, body) {
+  const bodyBuffer = Buffer.from(body, 'utf8');
+  const packet = Buffer.alloc(14 + bodyBuffer.length);
+
+  packet.writeInt32LE(10 + bodyBuffer.length, 0);
+  packet.writeInt32LE(id, 4);
+  packet.writeInt32LE(type, 8);
+  bodyBuffer.copy(packet, 12);
+  // The two trailing null bytes are already zero
+
+  return packet;
+}
+
+/**
+ * Connection to a server's RCON port
+ */
+class RconClient extends EventEmitter {
+  /**
+   * @param {Object} options - Connection options
+   * @param {string} options.host - Host name
+   * @param {number} options.port - RCON port
+   * @param {string} options.password - RCON password
+   * @param {number} [options.timeout=5000] - Connect and response timeout in ms
+   */
+  constructor(options) {
+    super();
+    this.host = options.host;
+    this.port = options.port;
+    this.password = options.password;
+    this.timeout = options.timeout || 5000;
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.nextId = 1;
+    this.current = null;
+    this.queue = Promise.resolve();
+    this.closed = false;
+  }
+
+  /**
+   * Open the connection and authenticate
+   * @returns {Promise<RconClient>} This client
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      this.socket = socket;
+
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new RconError(`RCON connection to ${this.host}:${this.port} timed out`, 'TIMEOUT'));
+      }, this.timeout);
+
+      socket.on('data', data => this.handleData(data));
+      socket.on('close', () => this.handleClose());
+      socket.once('error', (error) => {
+        clearTimeout(timer);
+        reject(new RconError(`RCON connection to ${this.host}:${this.port} failed: ${error.message}`, 'CONNECT_FAILED'));
+      });
+      socket.on('error', () => {});
+
+      socket.once('connect', () => {
+        const id = this.takeId();
+        this.current = {
+          id,
+          auth: true,
+          resolve: () => {
+            clearTimeout(timer);
+            resolve(this);
+          },
+          reject: (error) => {
+            clearTimeout(timer);
+            socket.destroy();
+            reject(error);
+          }
+        };
+        socket.write(encodePacket(id, PACKET_TYPE.AUTH, this.password));
+      });
+    });
+  }
+
+  takeId() {
+    const id = this.nextId;
+    this.nextId = this.nextId >= 0x7fffffff ? 1 : this.nextId + 1;
+    return id;
+  }
+
+  handleData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    while (this.buffer.length >= 4) {
+      const length = this.buffer.readInt32LE(0);
+      if (this.buffer.length < length + 4) break;
+
+      const packet = {
+        id: this.buffer.readInt32LE(4),
+        type: this.buffer.readInt32LE(8),
+        body: this.buffer.toString('utf8', 12, length + 2)
+      };
+      this.buffer = this.buffer.subarray(length + 4);
+      this.handlePacket(packet);
+    }
+  }
+
+  handlePacket(packet) {
+    const request = this.current;
+    if (!request) return;
+
+    if (request.auth) {
+      // Some servers send an empty response before the auth result
+      if (packet.type !== PACKET_TYPE.AUTH_RESPONSE) return;
+
+      this.current = null;
+      if (packet.id === -1) {
+        request.reject(new RconError('RCON authentication failed', 'AUTH_FAILED'));
+      } else {
+        request.resolve();
+      }
+      return;
+    }
+
+    if (packet.id === request.id) {
+      request.parts.push(packet.body);
+    } else if (packet.id === request.markerId) {
+      this.current = null;
+      request.resolve(request.parts.join(''));
+    }
+  }
+
+  handleClose() {
+    this.closed = true;
+    if (this.current) {
+      const request = this.current;
+      this.current = null;
+      request.reject(new RconError('RCON connection closed', 'CLOSED'));
+    }
+    this.emit('close');
+  }
+
+  /**
+   * Run a command and wait for its complete response
+   * @param {string} command - Command without a leading slash
+   * @returns {Promise<string>} Response text
+   */
+  command(command) {
+    if (Buffer.byteLength(command, 'utf8') > MAX_BODY_BYTES) {
+      return Promise.reject(new RconError(`Command is longer than ${MAX_BODY_BYTES} bytes`, 'TOO_LONG'));
+    }
+
+    // One request at a time keeps responses and markers paired
+    const run = () => new Promise((resolve, reject) => {
+      if (this.closed || !this.socket) {
+        // Nothing was sent, so the caller may safely try another channel
+        reject(new RconError('RCON connection closed', 'NOT_CONNECTED'));
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        this.current = null;
+        // A late reply would be matched to the wrong request; start over
+        this.close();
+        reject(new RconError(`RCON command timed out after ${this.timeout}ms`, 'TIMEOUT'));
+      }, this.timeout);
+
+      const id = this.takeId();
+      const markerId = this.takeId();
+      this.current = {
+        id,
+        markerId,
+        parts: [],
+        resolve: (response) => {
+          clearTimeout(timer);
+          resolve(response);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      };
+
+      this.socket.write(encodePacket(id, PACKET_TYPE.COMMAND, command));
+      this.socket.write(encodePacket(markerId, PACKET_TYPE.MARKER, ''));
+    });
+
+    const result = this.queue.then(run, run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    this.closed = true;
+    if (this.socket) {
+      this.socket.destroy();
+    }
+  }
+}
+
+/**
+ * Connect and authenticate to an RCON server
+ * @param {Object} options - Connection options, see RconClient
+ * @returns {Promise<RconClient>} Authenticated client
+ */
+function connectRcon(options) {
+  return new RconClient(options).connect();
+}
+
+module.exports = {
+  RconClient,
+  RconError,
+  connectRcon
+};
@@ -0,0 +1,45 @@
+// src/services/minecraft/restarts.js
+
+/**
+ * Decide whether an unrequested exit is a crash
+ * @param {number|null} code - Process exit code
+ * @param {string|null} signal - Signal that ended the process
+ * @returns {boolean} Whether the exit counts as a failure
+ */
+function isFailure(code, signal) {
+  return code !== 0 || Boolean(signal);
+}
+
+/**
+ * Plan the automatic restart after an unrequested exit
+ * @param {Object} policy - Restart policy stored on the server
+ * @param {Array<number>} history - Timestamps of previous automatic restarts
+ * @param {boolean} failed - Whether the exit was a failure
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {Object} Decision with restart flag, delay and reason
+ */
+function planRestart(policy, history, failed, now = Date.now()) {
+  if (policy.mode === 'never') {
+    return { restart: false, reason: 'policy' };
+  }
+
+  if (policy.mode === 'on-failure' && !failed) {
+    return { restart: false, reason: 'clean-exit' };
+  }
+
+  const recent = history.filter(timestamp => now - timestamp < policy.window);
+
+  // Circuit breaker: give up after too many restarts inside the window
+  if (recent.length >= policy.maxRestarts) {
+    return { restart: false, reason: 'circuit-open', attempts: recent.length };
+  }
+
+  const delay = Math.min(policy.initialDelay * 2 ** recent.length, policy.maxDelay);
+
+  return { restart: true, delay, attempts: recent.length + 1 };
+}
+
+module.exports = {
+  isFailure,
+  planRestart
+};
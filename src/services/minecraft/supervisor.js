@@ -0,0 +1,157 @@
+// src/services/minecraft/supervisor.js
+//
+// Runs detached from the manager and owns one Java process. The console is
+// exposed over a local socket (a named pipe on Windows) so the manager can
+// restart and reattach without taking the Minecraft server down with it.
+//
+// Usage: node supervisor.js <runtimeDir>
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+// Output chunks kept for replay when the manager reattaches
+const REPLAY_LIMIT = 500;
+
+const runtimeDir = process.argv[2];
+const launch = JSON.parse(fs.readFileSync(path.join(runtimeDir, 'launch.json'), 'utf8'));
+
+const clients = new Set();
+const replay = [];
+const startedAt = Date.now();
+let stopRequested = false;
+
+/**
+ * Write a JSON file into the runtime directory
+ * @param {string} name - File name
+ * @param {Object} data - Content
+ */
+function writeRuntimeFile(name, data) {
+  fs.writeFileSync(path.join(runtimeDir, name), JSON.stringify(data, null, 2));
+}
+
+/**
+ * Send a message to every connected manager
+ * @param {Object} message - Message to send
+ */
+function broadcast(message) {
+  const line = `${JSON.stringify(message)}\n`;
+  for (const socket of clients) {
+    socket.write(line);
+  }
+}
+
+const child = spawn(launch.command, launch.args, {
+  cwd: launch.cwd,
+  stdio: ['pipe', 'pipe', 'pipe'],
+  windowsHide: true
+});
+
+/**
+ * Buffer and forward a chunk of console output
+ * @param {string} stream - stdout or stderr
+ * @param {Buffer} chunk - Output chunk
+ */
+function forwardOutput(stream, chunk) {
+  const entry = { stream, data: chunk.toString(), timestamp: Date.now() };
+
+  replay.push(entry);
+  if (replay.length > REPLAY_LIMIT) replay.shift();
+
+  broadcast({ type: stream, data: entry.data, timestamp: entry.timestamp });
+}
+
+child.stdout.on('data', chunk => forwardOutput('stdout', chunk));
+child.stderr.on('data', chunk => forwardOutput('stderr', chunk));
+
+/**
+ * Handle a message from the manager
+ * @param {Object} message - Parsed message
+ */
+function handleMessage(message) {
+  switch (message.type) {
+    case 'stdin':
+      child.stdin.write(message.data);
+      break;
+
+    case 'stop-requested':
+      stopRequested = true;
+      break;
+
+    case 'kill':
+      child.kill(message.signal || 'SIGTERM');
+      break;
+
+    default:
+      break;
+  }
+}
+
+const consoleServer = net.createServer((socket) => {
+  clients.add(socket);
+  socket.setEncoding('utf8');
+  socket.write(`${JSON.stringify({ type: 'hello', pid: child.pid, startedAt, replay })}\n`);
+
+  let buffer = '';
+  socket.on('data', (data) => {
+    buffer += data;
+    let newline = buffer.indexOf('\n');
+    while (newline >= 0) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      try {
+        if (line.trim()) handleMessage(JSON.parse(line));
+      } catch (error) {
+        // Ignore malformed messages; the connection stays usable
+      }
+      newline = buffer.indexOf('\n');
+    }
+  });
+
+  socket.on('close', () => clients.delete(socket));
+  socket.on('error', () => clients.delete(socket));
+});
+
+child.on('error', (error) => {
+  writeRuntimeFile('exit.json', { code: null, signal: null, error: error.message, exitedAt: Date.now() });
+  process.exit(1);
+});
+
+// 'close' fires after the output streams are drained
+child.on('close', (code, signal) => {
+  writeRuntimeFile('exit.json', { code, signal, stopRequested, exitedAt: Date.now() });
+  broadcast({ type: 'exit', code, signal, stopRequested });
+
+  consoleServer.close();
+  for (const socket of clients) {
+    socket.end();
+  }
+  setTimeout(() => process.exit(0), 1000);
+});
+
+// Stale Unix socket files block listen()
+if (process.platform !== 'win32' && fs.existsSync(launch.socketPath)) {
+  fs.unlinkSync(launch.socketPath);
+}
+
+// The socket is created owner-only so other local users cannot reach the console
+const previousUmask = process.platform !== 'win32' ? process.umask(0o177) : null;
+
+consoleServer.listen(launch.socketPath, () => {
+  if (previousUmask !== null) {
+    process.umask(previousUmask);
+    fs.chmodSync(launch.socketPath, 0o600);
+  }
+
+  writeRuntimeFile('state.json', {
+    supervisorPid: process.pid,
+    pid: child.pid,
+    socketPath: launch.socketPath,
+    startedAt
+  });
+});
+
+// Termination requests are passed on so the JVM can shut down cleanly
+process.on('SIGTERM', () => child.kill('SIGTERM'));
+process.on('SIGHUP', () => {});
+process.on('SIGINT', () => {});
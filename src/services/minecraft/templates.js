@@ -0,0 +1,376 @@
+// src/services/minecraft/templates.js
+//
+// Server templates: a type, version, memory, JVM flags and properties stored
+// in the database, plus seed files (configs, datapacks, plugin and mod jars)
+// kept in a directory per template that is copied into each new server.
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('../../utils/logger');
+const { ServerTemplate } = require('../../models');
+const { BadRequestError, ConflictError, NotFoundError, ValidationError } = require('../../utils/errors');
+const { createServer } = require('./minecraft');
+const { SERVER_LOADERS, chooseDescriptor } = require('./addons');
+const { readJarMetadata } = require('./metadata');
+const { validateProperties, toStoredProperties, fromStoredProperties } = require('./properties');
+const config = require('../../config').getConfig();
+
+const TEMPLATES_DIR = config.minecraft.templatesDir
+  || path.join(config.minecraft.serversDir, '.templates');
+
+// Every server gets its own ports, so templates cannot set them
+const PER_SERVER_PROPERTIES = ['server-port', 'rcon.port', 'rcon.password', 'query.port'];
+
+// Settings that can be changed after creation
+const UPDATABLE_FIELDS = ['name', 'description', 'type', 'version', 'memory', 'jvmFlags', 'properties'];
+
+/**
+ * Directory holding a template's seed files
+ * @param {Object} template - ServerTemplate document
+ * @returns {string} Directory path
+ */
+function templateDir(template) {
+  return path.join(TEMPLATES_DIR, template._id.toString());
+}
+
+/**
+ * Format a template for API responses
+ * @param {Object} template - ServerTemplate document
+ * @returns {Object} Template
+ */
+function formatTemplate(template) {
+  return {
+    id: template._id,
+    name: template.name,
+    description: template.description || null,
+    type: template.type,
+    version: template.version,
+    memory: template.memory,
+    jvmFlags: template.jvmFlags,
+    properties: fromStoredProperties(template.properties),
+    plugins: template.plugins.map(plugin => ({
+      file: plugin.file,
+      id: plugin.id || null,
+      name: plugin.name || plugin.file,
+      version: plugin.version || null,
+      loader: plugin.loader || null
+    })),
+    files: template.files,
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt
+  };
+}
+
+/**
+ * Find a template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} ServerTemplate document
+ */
+async function findTemplate(templateId) {
+  const template = await ServerTemplate.findById(templateId);
+  if (!template) {
+    throw new NotFoundError('Template not found');
+  }
+  return template;
+}
+
+/**
+ * Validate template properties
+ * @param {Object} properties - Property name to value
+ * @returns {Object} Normalized values
+ */
+function checkProperties(properties) {
+  const { values, errors } = validateProperties(properties);
+  for (const key of Object.keys(properties).filter(name => PER_SERVER_PROPERTIES.includes(name))) {
+    errors.push({ field: key, message: 'Assigned to each server, not set by templates' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors.map(error => ({
+      field: `properties.${error.field}`,
+      location: 'body',
+      message: error.message
+    })));
+  }
+  return values;
+}
+
+/**
+ * Normalize a seed file path relative to the server directory
+ * @param {string} file - Requested path
+ * @returns {string} POSIX relative path
+ * @throws {BadRequestError} If the path leaves the directory or is reserved
+ */
+function seedPath(file) {
+  const normalized = path.posix.normalize(String(file || '').replace(/\\/g, '/')).replace(/\/+$/, '');
+  if (!normalized || normalized === '.' || path.posix.isAbsolute(normalized)
+    || normalized.split('/').includes('..')) {
+    throw new BadRequestError(`Invalid file path: ${file}`);
+  }
+  if (normalized === 'server.properties') {
+    throw new BadRequestError('Set server.properties values through the template\'s properties');
+  }
+  return normalized;
+}
+
+/**
+ * Read the descriptor of a plugin or mod jar seeded into plugins/ or mods/
+ * @param {string} file - Seed path
+ * @param {string} upload - Path of the uploaded jar
+ * @param {string} type - Template server type
+ * @returns {Object|null} Addon entry, or null if the file is not a plugin or mod
+ */
+function describeSeedJar(file, upload, type) {
+  const [directory, name, ...rest] = file.split('/');
+  if (!['plugins', 'mods'].includes(directory) || rest.length > 0 || !/\.jar$/i.test(name)) {
+    return null;
+  }
+
+  const support = SERVER_LOADERS[type];
+  if (!support || support.kind !== directory) {
+    throw new BadRequestError(`${type} servers do not load ${directory}`);
+  }
+
+  let descriptors;
+  try {
+    descriptors = readJarMetadata(upload);
+  } catch (error) {
+    throw new BadRequestError(`Not a valid plugin or mod jar: ${error.message}`);
+  }
+
+  const descriptor = chooseDescriptor(descriptors, type);
+  if (!descriptor) {
+    throw new BadRequestError('The jar has no plugin.yml, paper-plugin.yml, fabric.mod.json or mods.toml');
+  }
+  if (!support.loaders.includes(descriptor.loader)) {
+    throw new BadRequestError(`${descriptor.name} is for ${descriptors.map(d => d.loader).join('/')}; ${type} servers load ${support.loaders.join(' or ')}`);
+  }
+
+  return { ...descriptor, file: name, enabled: true };
+}
+
+/**
+ * List all templates
+ * @returns {Promise<Array>} Templates
+ */
+async function listTemplates() {
+  const templates = await ServerTemplate.find({}).sort({ name: 1 });
+  return templates.map(formatTemplate);
+}
+
+/**
+ * Get a template
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} Template
+ */
+async function getTemplate(templateId) {
+  return formatTemplate(await findTemplate(templateId));
+}
+
+/**
+ * Create a template without seed files
+ * @param {Object} data - Template settings
+ * @param {Object} [user] - User document of the creator
+ * @returns {Promise<Object>} Template
+ */
+async function createTemplate(data, user) {
+  try {
+    if (await ServerTemplate.exists({ name: data.name })) {
+      throw new ConflictError(`A template named ${data.name} already exists`);
+    }
+
+    const template = await ServerTemplate.create({
+      name: data.name,
+      description: data.description,
+      type: data.type,
+      version: data.version,
+      memory: data.memory,
+      jvmFlags: data.jvmFlags || [],
+      properties: toStoredProperties(checkProperties(data.properties || {})),
+      createdBy: user ? user._id : undefined
+    });
+
+    logger.info(`Created server template ${template.name}`);
+    return formatTemplate(template);
+  } catch (error) {
+    logger.error('Failed to create server template:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a template's settings. Properties are replaced as a whole.
+ * @param {string} templateId - Template ID
+ * @param {Object} updates - Settings to change
+ * @returns {Promise<Object>} Template
+ */
+async function updateTemplate(templateId, updates) {
+  try {
+    const template = await findTemplate(templateId);
+
+    const unknownFields = Object.keys(updates).filter(field => !UPDATABLE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      throw new BadRequestError(`Cannot update field: ${unknownFields.join(', ')}`);
+    }
+
+    if (updates.name && updates.name !== template.name
+      && await ServerTemplate.exists({ name: updates.name })) {
+      throw new ConflictError(`A template named ${updates.name} already exists`);
+    }
+
+    // Seeded jars must still load on the new type
+    if (updates.type && updates.type !== template.type && template.plugins.length > 0) {
+      const support = SERVER_LOADERS[updates.type];
+      const unsupported = template.plugins.filter(plugin => !support || !support.loaders.includes(plugin.loader));
+      if (unsupported.length > 0) {
+        throw new ConflictError(`${updates.type} servers cannot load ${unsupported.map(plugin => plugin.file).join(', ')}; remove them first`);
+      }
+    }
+
+    for (const [field, value] of Object.entries(updates)) {
+      if (field === 'properties') {
+        template.set('properties', toStoredProperties(checkProperties(value)));
+      } else if (field === 'memory') {
+        for (const [key, nestedValue] of Object.entries(value)) {
+          template.set(`memory.${key}`, nestedValue);
+        }
+      } else {
+        template.set(field, value);
+      }
+    }
+
+    await template.save();
+    return formatTemplate(template);
+  } catch (error) {
+    logger.error(`Failed to update server template ${templateId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a template and its seed files. Servers created from it keep their copies.
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} Deletion result
+ */
+async function deleteTemplate(templateId) {
+  try {
+    const template = await findTemplate(templateId);
+    await fs.remove(templateDir(template));
+    await template.deleteOne();
+
+    logger.info(`Deleted server template ${template.name}`);
+    return { id: template._id, deleted: true };
+  } catch (error) {
+    logger.error(`Failed to delete server template ${templateId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Add or replace a seed file. Jars in plugins/ or mods/ must load on the template's type.
+ * @param {string} templateId - Template ID
+ * @param {string} file - Path relative to the server directory
+ * @param {Object} upload - Uploaded file with path
+ * @returns {Promise<Object>} Template
+ */
+async function addTemplateFile(templateId, file, upload) {
+  try {
+    const template = await findTemplate(templateId);
+    const relative = seedPath(file);
+    const plugin = describeSeedJar(relative, upload.path, template.type);
+
+    const target = path.join(templateDir(template), ...relative.split('/'));
+    if (await fs.pathExists(target) && (await fs.stat(target)).isDirectory()) {
+      throw new ConflictError(`${relative} is a directory`);
+    }
+    await fs.move(upload.path, target, { overwrite: true });
+    const stats = await fs.stat(target);
+
+    template.files = [
+      ...template.files.filter(entry => entry.path !== relative),
+      { path: relative, size: stats.size, uploadedAt: new Date() }
+    ].sort((a, b) => (a.path < b.path ? -1 : 1));
+    if (plugin) {
+      template.plugins = [
+        ...template.plugins.filter(entry => entry.file !== plugin.file),
+        { ...plugin, size: stats.size, modifiedAt: stats.mtime, installedAt: new Date() }
+      ];
+    }
+
+    await template.save();
+    logger.info(`Added ${relative} to server template ${template.name}`);
+    return formatTemplate(template);
+  } catch (error) {
+    logger.error(`Failed to add a file to server template ${templateId}:`, error);
+    throw error;
+  } finally {
+    await fs.remove(upload.path);
+  }
+}
+
+/**
+ * Remove a seed file
+ * @param {string} templateId - Template ID
+ * @param {string} file - Path relative to the server directory
+ * @returns {Promise<Object>} Template
+ */
+async function removeTemplateFile(templateId, file) {
+  try {
+    const template = await findTemplate(templateId);
+    const relative = seedPath(file);
+    if (!template.files.some(entry => entry.path === relative)) {
+      throw new NotFoundError(`${relative} is not part of the template`);
+    }
+
+    await fs.remove(path.join(templateDir(template), ...relative.split('/')));
+    template.files = template.files.filter(entry => entry.path !== relative);
+    const [directory, name] = relative.split('/');
+    if (['plugins', 'mods'].includes(directory)) {
+      template.plugins = template.plugins.filter(entry => entry.file !== name);
+    }
+
+    await template.save();
+    return formatTemplate(template);
+  } catch (error) {
+    logger.error(`Failed to remove a file from server template ${templateId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Create a server from a template. Request settings win over the
+ * template's, and the template's seed files are copied into the new server.
+ * @param {string} templateId - Template ID
+ * @param {Object} serverData - Server configuration, as for createServer
+ * @param {Object} [io] - Socket.IO instance for download progress updates
+ * @returns {Promise<Object>} Created server
+ */
+async function createServerFromTemplate(templateId, serverData, io) {
+  const template = await findTemplate(templateId);
+  if (serverData.type && serverData.type !== template.type) {
+    throw new BadRequestError(`Template ${template.name} is for ${template.type} servers`);
+  }
+
+  const settings = template.toObject();
+  return createServer({
+    ...serverData,
+    type: template.type,
+    version: serverData.version || template.version,
+    memory: { ...settings.memory, ...serverData.memory },
+    jvmFlags: serverData.jvmFlags || settings.jvmFlags
+  }, io, {
+    template: template._id,
+    properties: fromStoredProperties(template.properties),
+    seedDir: templateDir(template)
+  });
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  addTemplateFile,
+  removeTemplateFile,
+  createServerFromTemplate
+};
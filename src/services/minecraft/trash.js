@@ -0,0 +1,445 @@
+// src/services/minecraft/trash.js
+//
+// Server deletion with undelete. A deleted server's directory is moved, or
+// zipped, into the trash and its record kept with the same ID, so backups,
+// scheduled tasks and player links the caller chose to keep come back with it.
+// Entries are purged with everything still referring to the server once
+// MC_TRASH_RETENTION_DAYS have passed.
+const fs = require('fs-extra');
+const path = require('path');
+const archiver = require('archiver');
+const { logger } = require('../../utils/logger');
+const {
+  MinecraftServer,
+  TrashedServer,
+  ServerGroup,
+  ServerCrash,
+  ServerMetric,
+  User
+} = require('../../models');
+const { AppError, ConflictError, NotFoundError } = require('../../utils/errors');
+const { extractZip } = require('../../utils/zip');
+const {
+  isServerRunning,
+  stopServer,
+  allocateServerPorts,
+  releaseServerPorts,
+  updateServerProperties
+} = require('./minecraft');
+const { serverEvents } = require('./events');
+const { isRecordedProcessAlive, runtimeDirFor } = require('./console');
+const { removeServerPlayers } = require('./players');
+const { fromStoredProperties } = require('./properties');
+const { deleteServerBackups } = require('../backup/snapshots');
+const { unscheduleServerTasks, scheduleServerTasks } = require('../scheduler');
+const config = require('../../config').getConfig();
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 7;
+
+const TRASH_DIR = config.minecraft.trashDir
+  || path.join(config.minecraft.serversDir, '.trash');
+
+// How often expired entries are purged
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Records that can be removed when a server is deleted instead of kept for undelete
+const CLEANUP_TARGETS = ['backups', 'schedules', 'players'];
+
+let purgeTimer = null;
+
+/**
+ * Days a deleted server stays in the trash; 0 keeps it until purged by hand
+ * @returns {number} Retention in days
+ */
+function retentionDays() {
+  return config.minecraft.trashRetentionDays !== undefined
+    ? Number(config.minecraft.trashRetentionDays)
+    : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Format a trash entry for API responses
+ * @param {Object} entry - TrashedServer document
+ * @returns {Object} Trashed server
+ */
+function formatTrashed(entry) {
+  return {
+    id: entry._id,
+    name: entry.name,
+    version: entry.server.version,
+    type: entry.server.type,
+    port: entry.server.port,
+    format: entry.format,
+    path: entry.path || null,
+    groups: entry.groups,
+    removed: {
+      backups: entry.removed.backups === true,
+      schedules: entry.removed.schedules === true,
+      players: entry.removed.players === true
+    },
+    deletedBy: entry.deletedBy || null,
+    deletedAt: entry.createdAt,
+    expiresAt: entry.expiresAt || null
+  };
+}
+
+/**
+ * Find a trash entry
+ * @param {string} serverId - ID of the deleted server
+ * @returns {Promise<Object>} TrashedServer document
+ */
+async function findTrashed(serverId) {
+  const entry = await TrashedServer.findById(serverId);
+  if (!entry) {
+    throw new NotFoundError('Server not found in the trash');
+  }
+  return entry;
+}
+
+/**
+ * Zip a directory into a file
+ * @param {string} source - Directory
+ * @param {string} target - Zip file to write
+ */
+function archiveDirectory(source, target) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(target);
+    const archive = archiver('zip');
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.on('warning', warning => logger.warn(`Archiving ${source}: ${warning.message}`));
+
+    archive.pipe(output);
+    archive.directory(source, false);
+    archive.finalize().catch(reject);
+  });
+}
+
+/**
+ * Stop a server and wait until the manager has recorded the exit, so the
+ * record is not saved again after it is deleted. Also drops a pending
+ * automatic restart or queued start.
+ * @param {string} serverId - Server ID
+ */
+async function stopForDeletion(serverId) {
+  if (!isServerRunning(serverId)) {
+    await stopServer(serverId);
+    return;
+  }
+
+  let onStopped;
+  const stopped = new Promise((resolve) => {
+    onStopped = (id) => {
+      if (id === serverId) resolve();
+    };
+    serverEvents.on('stopped', onStopped);
+  });
+
+  try {
+    const result = await stopServer(serverId);
+    if (result.status === 'error') {
+      throw new AppError(result.message, result.statusCode || 500, 'OPERATION_FAILED');
+    }
+    await stopped;
+  } finally {
+    serverEvents.off('stopped', onStopped);
+  }
+}
+
+/**
+ * Delete a server: stop it, move or zip its directory into the trash and
+ * remove its record. Backups, schedules and player links not named in
+ * cleanup are kept until the entry is purged; schedules are paused meanwhile.
+ * @param {string} serverId - Server ID
+ * @param {Object} [options] - Delete options
+ * @param {boolean} [options.archive=false] - Zip the directory instead of moving it
+ * @param {Array<string>} [options.cleanup] - Any of backups, schedules and players to remove now
+ * @param {string} [options.deletedBy] - User ID
+ * @returns {Promise<Object>} Trash entry and what was removed
+ */
+async function deleteServer(serverId, options = {}) {
+  const cleanup = new Set(options.cleanup || []);
+  let server = null;
+  let moved = null;
+  let entry = null;
+  let groups = [];
+  let committed = false;
+
+  try {
+    server = await MinecraftServer.findById(serverId);
+    if (!server) {
+      throw new NotFoundError('Server not found');
+    }
+
+    await stopForDeletion(serverId);
+    if (server.runtime && await isRecordedProcessAlive(server.runtime.pid, server.runtime.startedAt)) {
+      throw new ConflictError(`Server process ${server.runtime.pid} is still running outside the manager`);
+    }
+
+    const format = options.archive ? 'archive' : 'directory';
+    let trashPath = null;
+    if (await fs.pathExists(server.path)) {
+      await fs.ensureDir(TRASH_DIR);
+      trashPath = path.join(TRASH_DIR, format === 'archive' ? `${serverId}.zip` : serverId);
+      // Left behind by an earlier attempt that failed
+      await fs.remove(trashPath);
+      if (format === 'archive') {
+        await archiveDirectory(server.path, trashPath);
+      } else {
+        await fs.move(server.path, trashPath);
+      }
+      moved = { format, from: server.path, to: trashPath };
+    } else {
+      logger.warn(`Directory ${server.path} of server ${server.name} is missing; deleting the record only`);
+    }
+
+    const snapshot = server.toObject({ flattenMaps: true });
+    delete snapshot.runtime;
+    const days = retentionDays();
+    groups = (await ServerGroup.find({ servers: server._id }).select('_id')).map(group => group._id);
+
+    entry = await TrashedServer.create({
+      _id: server._id,
+      name: server.name,
+      server: snapshot,
+      path: trashPath,
+      format,
+      groups,
+      removed: Object.fromEntries(CLEANUP_TARGETS.map(target => [target, cleanup.has(target)])),
+      deletedBy: options.deletedBy,
+      expiresAt: days ? new Date(Date.now() + days * DAY) : undefined
+    });
+    await ServerGroup.updateMany({ _id: { $in: groups } }, { $pull: { servers: server._id } });
+    await server.deleteOne();
+    committed = true;
+
+    if (moved && format === 'archive') {
+      await fs.remove(moved.from);
+    }
+
+    // The server is gone at this point; a failed cleanup is reported, not undone
+    const removed = {};
+    const errors = [];
+    const steps = {
+      schedules: () => unscheduleServerTasks(serverId, { remove: cleanup.has('schedules') }),
+      backups: () => cleanup.has('backups') && deleteServerBackups(serverId),
+      players: () => cleanup.has('players') && removeServerPlayers(serverId)
+    };
+    for (const [target, step] of Object.entries(steps)) {
+      try {
+        const result = await step();
+        if (cleanup.has(target)) removed[target] = result;
+      } catch (error) {
+        logger.error(`Failed to clean up ${target} of deleted server ${server.name}:`, error);
+        errors.push(`${target}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Deleted server ${server.name}; ${trashPath ? `files in ${trashPath}` : 'no files'}, purged ${entry.expiresAt ? `after ${entry.expiresAt.toISOString()}` : 'by hand'}`);
+    return { ...formatTrashed(entry), cleanup: removed, errors };
+  } catch (error) {
+    logger.error(`Failed to delete server ${serverId}:`, error);
+    if (!committed) {
+      if (entry) {
+        await ServerGroup.updateMany({ _id: { $in: groups } }, { $addToSet: { servers: entry._id } }).catch(() => {});
+        await entry.deleteOne().catch(() => {});
+      }
+      if (moved && moved.format === 'directory') {
+        await fs.move(moved.to, moved.from).catch(() => {});
+      } else if (moved) {
+        await fs.remove(moved.to).catch(() => {});
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * List deleted servers that can still be undeleted, most recent first
+ * @returns {Promise<Array>} Trashed servers
+ */
+async function listTrash() {
+  const entries = await TrashedServer.find({}).sort({ createdAt: -1 });
+  return entries.map(formatTrashed);
+}
+
+/**
+ * Bring a deleted server back with its ID, settings and files. The server
+ * gets new ports if another server took its game port meanwhile.
+ * @param {string} serverId - ID of the deleted server
+ * @param {Object} [options] - Undelete options
+ * @param {string} [options.name] - New name, if another server took the old one
+ * @returns {Promise<Object>} Restored server and whether its ports changed
+ */
+async function undeleteServer(serverId, options = {}) {
+  let restoredPath = null;
+  let server = null;
+  let allocation = null;
+
+  try {
+    const entry = await findTrashed(serverId);
+    const name = options.name || entry.name;
+
+    if (await MinecraftServer.exists({ name })) {
+      throw new ConflictError(`A server named ${name} already exists; undelete it under another name`);
+    }
+    const targetPath = path.join(config.minecraft.serversDir, name);
+    if (await fs.pathExists(targetPath)) {
+      throw new ConflictError(`Directory ${targetPath} already exists`);
+    }
+    if (entry.path && !(await fs.pathExists(entry.path))) {
+      throw new NotFoundError(`Trashed files of ${entry.name} are missing from ${entry.path}`);
+    }
+
+    // Keep the old ports unless another server or process has the game port now
+    const snapshot = entry.server;
+    const host = fromStoredProperties(snapshot.properties)['server-ip'];
+    let portsChanged = false;
+    try {
+      allocation = await allocateServerPorts({ port: snapshot.port, host });
+    } catch (error) {
+      if (!(error instanceof ConflictError)) throw error;
+      allocation = await allocateServerPorts({ host });
+      portsChanged = true;
+    }
+
+    if (entry.format === 'archive' && entry.path) {
+      restoredPath = targetPath;
+      await extractZip(entry.path, targetPath);
+    } else if (entry.path) {
+      await fs.move(entry.path, targetPath);
+      restoredPath = targetPath;
+    }
+
+    server = new MinecraftServer({
+      ...snapshot,
+      _id: entry._id,
+      name,
+      path: targetPath,
+      port: portsChanged ? Number(allocation.properties['server-port']) : snapshot.port
+    });
+    await server.save();
+
+    if (portsChanged) {
+      await updateServerProperties(serverId, allocation.properties);
+    }
+    await ServerGroup.updateMany({ _id: { $in: entry.groups } }, { $addToSet: { servers: entry._id } });
+    await entry.deleteOne();
+    // Restored; nothing below is rolled back
+    server = null;
+    restoredPath = null;
+
+    if (entry.format === 'archive' && entry.path) {
+      await fs.remove(entry.path);
+    }
+
+    // Schedules are back in effect once the server exists again
+    await scheduleServerTasks(serverId).catch((error) => {
+      logger.error(`Failed to reschedule tasks of undeleted server ${name}:`, error);
+    });
+
+    logger.info(`Undeleted server ${name}${portsChanged ? ` on new port ${allocation.properties['server-port']}` : ''}`);
+    return { server: await MinecraftServer.findById(serverId), portsChanged };
+  } catch (error) {
+    logger.error(`Failed to undelete server ${serverId}:`, error);
+    if (server) await MinecraftServer.deleteOne({ _id: server._id }).catch(() => {});
+    if (restoredPath) {
+      const entry = await TrashedServer.findById(serverId).catch(() => null);
+      if (entry && entry.format === 'directory') {
+        await fs.move(restoredPath, entry.path).catch(() => {});
+      } else {
+        await fs.remove(restoredPath).catch(() => {});
+      }
+    }
+    throw error;
+  } finally {
+    releaseServerPorts(allocation);
+  }
+}
+
+/**
+ * Remove a trash entry with its files and everything still referring to the server
+ * @param {Object} entry - TrashedServer document
+ * @returns {Promise<Object>} What was removed
+ */
+async function purgeEntry(entry) {
+  const serverId = entry._id.toString();
+  const snapshotDir = entry.server.restoreSnapshot && entry.server.restoreSnapshot.path;
+
+  if (entry.path) await fs.remove(entry.path);
+  if (snapshotDir) await fs.remove(snapshotDir);
+  await fs.remove(runtimeDirFor(serverId));
+
+  const schedules = await unscheduleServerTasks(serverId, { remove: true });
+  const backups = await deleteServerBackups(serverId);
+  const players = await removeServerPlayers(serverId);
+  await ServerCrash.deleteMany({ server: entry._id });
+  await ServerMetric.deleteMany({ server: entry._id });
+  const permission = `permissions.servers.${serverId}`;
+  await User.updateMany({ [permission]: { $exists: true } }, { $unset: { [permission]: '' } });
+
+  await entry.deleteOne();
+  logger.info(`Purged deleted server ${entry.name} (${serverId})`);
+  return { id: entry._id, purged: true, schedules, backups, players };
+}
+
+/**
+ * Permanently remove a deleted server before its retention ends
+ * @param {string} serverId - ID of the deleted server
+ * @returns {Promise<Object>} What was removed
+ */
+async function purgeServer(serverId) {
+  try {
+    return await purgeEntry(await findTrashed(serverId));
+  } catch (error) {
+    logger.error(`Failed to purge deleted server ${serverId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Purge every entry whose retention has ended
+ * @returns {Promise<number>} Entries purged
+ */
+async function purgeExpired() {
+  const entries = await TrashedServer.find({ expiresAt: { $lte: new Date() } });
+  let purged = 0;
+  for (const entry of entries) {
+    try {
+      await purgeEntry(entry);
+      purged += 1;
+    } catch (error) {
+      logger.error(`Failed to purge deleted server ${entry.name} (${entry._id}):`, error);
+    }
+  }
+  return purged;
+}
+
+/**
+ * Purge expired trash entries now and every hour
+ */
+function startTrashRetention() {
+  const purge = () => purgeExpired().catch(error => logger.error('Failed to purge the server trash:', error));
+  purge();
+  purgeTimer = setInterval(purge, PURGE_INTERVAL);
+}
+
+/**
+ * Stop purging the server trash
+ */
+function stopTrashRetention() {
+  clearInterval(purgeTimer);
+  purgeTimer = null;
+}
+
+module.exports = {
+  CLEANUP_TARGETS,
+  deleteServer,
+  listTrash,
+  undeleteServer,
+  purgeServer,
+  startTrashRetention,
+  stopTrashRetention
+};
@@ -0,0 +1,444 @@
+// src/services/minecraft/worlds.js
+//
+// Worlds in a server directory. Vanilla, Fabric and Forge keep the nether
+// and the end inside the world as DIM-1 and DIM1; Bukkit, Spigot and Paper
+// keep them in sibling <world>_nether and <world>_the_end directories.
+const fs = require('fs-extra');
+const path = require('path');
+const archiver = require('archiver');
+const { logger } = require('../../utils/logger');
+const { MinecraftServer } = require('../../models');
+const { BadRequestError, ConflictError, NotFoundError } = require('../../utils/errors');
+const { openArchive, readZipEntries, extractZipEntries } = require('../../utils/zip');
+const {
+  isServerRunning,
+  createBackup,
+  updateServerProperties,
+  pauseSaving,
+  resumeSaving
+} = require('./minecraft');
+const { readLevelData } = require('./nbt');
+const { readLevelName } = require('../backup/restore');
+const config = require('../../config').getConfig();
+
+const DIMENSIONS = [
+  { dimension: 'nether', suffix: '_nether', folder: 'DIM-1' },
+  { dimension: 'end', suffix: '_the_end', folder: 'DIM1' }
+];
+
+const GAME_MODES = ['survival', 'creative', 'adventure', 'spectator'];
+
+// Directory names a world may use; no separators or leading dots
+const WORLD_NAME_PATTERN = /^(?!\.)[\w .-]{1,64}$/;
+
+// Uploads are checked against these before anything is extracted
+const MAX_EXTRACTED_SIZE = config.minecraft.worldMaxExtractedSize || 8 * 1024 * 1024 * 1024;
+const MAX_ENTRIES = config.minecraft.worldMaxEntries || 100000;
+
+/**
+ * Load a server
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Object>} MinecraftServer document
+ */
+async function findServer(serverId) {
+  const server = await MinecraftServer.findById(serverId);
+  if (!server) {
+    throw new NotFoundError('Server not found');
+  }
+  return server;
+}
+
+/**
+ * Check a world name before it is used as a directory
+ * @param {string} name - World name
+ * @returns {string} The name
+ */
+function checkWorldName(name) {
+  if (!WORLD_NAME_PATTERN.test(name || '')) {
+    throw new BadRequestError(`Invalid world name: ${name}`);
+  }
+  return name;
+}
+
+/**
+ * Total size and latest modification of the files in a directory
+ * @param {string} dir - Directory
+ * @param {Array<string>} [skip=[]] - Names of subdirectories to leave out
+ * @returns {Promise<Object>} { size, lastModified }
+ */
+async function measureDirectory(dir, skip = []) {
+  const result = { size: 0, lastModified: null };
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (skip.includes(entry.name)) continue;
+      const nested = await measureDirectory(entryPath);
+      result.size += nested.size;
+      if (nested.lastModified > result.lastModified) result.lastModified = nested.lastModified;
+    } else if (entry.isFile()) {
+      // Files come and go while the server runs
+      const stats = await fs.stat(entryPath).catch(() => null);
+      if (!stats) continue;
+      result.size += stats.size;
+      if (stats.mtime > result.lastModified) result.lastModified = stats.mtime;
+    }
+  }
+  return result;
+}
+
+/**
+ * Find where a world's dimensions are stored
+ * @param {string} root - Server directory
+ * @param {string} name - World name
+ * @returns {Promise<Array<Object>>} { dimension, path } for dimensions on disk, path relative to root
+ */
+async function locateDimensions(root, name) {
+  const dimensions = [{ dimension: 'overworld', path: name }];
+
+  for (const { dimension, suffix, folder } of DIMENSIONS) {
+    if (await fs.pathExists(path.join(root, `${name}${suffix}`, folder))) {
+      dimensions.push({ dimension, path: `${name}${suffix}` });
+    } else if (await fs.pathExists(path.join(root, name, folder))) {
+      dimensions.push({ dimension, path: `${name}/${folder}` });
+    }
+  }
+  return dimensions;
+}
+
+/**
+ * Top-level directories that make up a world
+ * @param {string} root - Server directory
+ * @param {string} name - World name
+ * @returns {Promise<Array<string>>} Directory names that exist
+ */
+async function worldDirectories(root, name) {
+  const candidates = [name, ...DIMENSIONS.map(({ suffix }) => `${name}${suffix}`)];
+  const existing = [];
+  for (const candidate of candidates) {
+    if (await fs.pathExists(path.join(root, candidate))) existing.push(candidate);
+  }
+  return existing;
+}
+
+/**
+ * Describe one world
+ * @param {string} root - Server directory
+ * @param {string} name - World name
+ * @param {string} activeLevel - level-name of the server
+ * @returns {Promise<Object>} World
+ */
+async function describeWorld(root, name, activeLevel) {
+  let level = {};
+  let error = null;
+  try {
+    level = await readLevelData(path.join(root, name, 'level.dat'));
+  } catch (readError) {
+    error = `level.dat could not be read: ${readError.message}`;
+  }
+
+  const dimensions = [];
+  for (const dimension of await locateDimensions(root, name)) {
+    // The overworld directory also holds the vanilla DIM-1 and DIM1
+    const skip = dimension.dimension === 'overworld' ? DIMENSIONS.map(({ folder }) => folder) : [];
+    dimensions.push({ ...dimension, ...(await measureDirectory(path.join(root, dimension.path), skip)) });
+  }
+
+  return {
+    name,
+    active: name === activeLevel,
+    seed: level.seed || null,
+    version: level.version || null,
+    dataVersion: level.dataVersion !== undefined ? level.dataVersion : null,
+    gameMode: level.gameType !== undefined && level.gameType !== null ? GAME_MODES[level.gameType] || null : null,
+    hardcore: level.hardcore || false,
+    lastPlayed: level.lastPlayed || null,
+    size: dimensions.reduce((total, dimension) => total + dimension.size, 0),
+    lastModified: dimensions.reduce((latest, dimension) => (
+      dimension.lastModified > latest ? dimension.lastModified : latest), null),
+    dimensions,
+    error
+  };
+}
+
+/**
+ * List the worlds in a server directory: every directory holding a
+ * level.dat, except the nether and end directories of another world
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Object>} Active level name and worlds
+ */
+async function listWorlds(serverId) {
+  try {
+    const server = await findServer(serverId);
+    const activeLevel = await readLevelName(server.path);
+
+    const entries = await fs.readdir(server.path, { withFileTypes: true }).catch(() => []);
+    const names = [];
+    for (const entry of entries) {
+      if (entry.isDirectory() && await fs.pathExists(path.join(server.path, entry.name, 'level.dat'))) {
+        names.push(entry.name);
+      }
+    }
+
+    const worlds = [];
+    for (const name of names.sort()) {
+      const dimensionOf = DIMENSIONS.find(({ suffix }) => name.endsWith(suffix)
+        && names.includes(name.slice(0, -suffix.length)));
+      if (!dimensionOf) {
+        worlds.push(await describeWorld(server.path, name, activeLevel));
+      }
+    }
+
+    return { activeLevel, worlds };
+  } catch (error) {
+    logger.error(`Failed to list worlds of server ${serverId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Prepare a zip download of a world and its dimension directories
+ * @param {string} serverId - Server ID
+ * @param {string} name - World name
+ * @returns {Promise<Object>} { filename, write(output) } where write streams the zip and resolves once done
+ */
+async function openWorldArchive(serverId, name) {
+  const server = await findServer(serverId);
+  const directories = await worldDirectories(server.path, checkWorldName(name));
+  if (!(await fs.pathExists(path.join(server.path, name, 'level.dat')))) {
+    throw new NotFoundError(`World ${name} not found`);
+  }
+
+  const write = async (output) => {
+    // A running server keeps writing region files unless saving is paused
+    const savingPaused = isServerRunning(serverId);
+    if (savingPaused) await pauseSaving(serverId);
+
+    try {
+      await new Promise((resolve) => {
+        const archive = archiver('zip');
+        archive.on('warning', warning => logger.warn(`Archiving world ${name} of ${server.name}: ${warning.message}`));
+        // The response has started, so a failure can only cut the download short
+        archive.on('error', (error) => {
+          logger.error(`Failed to archive world ${name} of server ${server.name}:`, error);
+          output.destroy(error);
+        });
+        // Covers both a finished download and a client that went away
+        output.on('close', () => {
+          if (!output.writableFinished) archive.abort();
+          resolve();
+        });
+
+        archive.pipe(output);
+        for (const directory of directories) {
+          archive.directory(path.join(server.path, directory), directory,
+            entry => (entry.name.endsWith('session.lock') ? false : entry));
+        }
+        archive.finalize().catch(() => {});
+      });
+    } finally {
+      if (savingPaused) await resumeSaving(serverId);
+    }
+  };
+
+  return { filename: `${server.name}-${name}.zip`, write };
+}
+
+/**
+ * Back up a server before one of its worlds is replaced or deleted
+ * @param {string} serverId - Server ID
+ * @param {string} name - Backup name
+ * @returns {Promise<Object>} Backup
+ */
+async function backupBeforeChange(serverId, name) {
+  const result = await createBackup(serverId, name);
+  if (result.status === 'error') {
+    throw new Error(`Backup before changing the world failed: ${result.message}`);
+  }
+  return result.backup;
+}
+
+/**
+ * Find the world in an uploaded archive: the shallowest level.dat
+ * @param {Array<Object>} entries - yauzl entries
+ * @returns {string} Directory of the world inside the archive, '' for the root
+ * @throws {BadRequestError} If the archive holds no Java Edition world
+ */
+function findUploadedWorld(entries) {
+  const names = entries.map(entry => entry.fileName.replace(/\\/g, '/'));
+  if (names.length === 0) {
+    throw new BadRequestError('The archive is empty');
+  }
+
+  const levels = names
+    .filter(name => path.posix.basename(name) === 'level.dat')
+    .sort((a, b) => a.split('/').length - b.split('/').length);
+  if (levels.length === 0) {
+    throw new BadRequestError('The archive does not contain a level.dat');
+  }
+
+  const root = path.posix.dirname(levels[0]);
+  const prefix = root === '.' ? '' : `${root}/`;
+  if (names.some(name => name.startsWith(`${prefix}db/`))) {
+    throw new BadRequestError('Bedrock Edition worlds are not supported');
+  }
+  return root === '.' ? '' : root;
+}
+
+/**
+ * Add an uploaded world (a zip of the world directory, optionally with its
+ * _nether and _the_end siblings) to a server
+ * @param {string} serverId - Server ID
+ * @param {Object} upload - Uploaded file with path and originalname
+ * @param {Object} [options] - Import options
+ * @param {string} [options.name] - World name; defaults to the directory name in the archive
+ * @param {boolean} [options.replace=false] - Replace an existing world of that name, backing it up first
+ * @param {boolean} [options.activate=false] - Make it the server's level-name
+ * @returns {Promise<Object>} Imported world, backup of a replaced world and property update
+ */
+async function importWorld(serverId, upload, options = {}) {
+  let stagingDir = null;
+
+  try {
+    const server = await findServer(serverId);
+
+    const zipFile = await openArchive(upload.path);
+    let root;
+    try {
+      const entries = await readZipEntries(zipFile, { maxEntries: MAX_ENTRIES, maxSize: MAX_EXTRACTED_SIZE });
+      root = findUploadedWorld(entries);
+
+      stagingDir = `${server.path}.world-upload-${Date.now()}`;
+      await fs.ensureDir(stagingDir);
+      await extractZipEntries(zipFile, entries, stagingDir);
+    } finally {
+      zipFile.close();
+    }
+
+    const stagedWorld = path.join(stagingDir, ...(root ? root.split('/') : []));
+    let level;
+    try {
+      level = await readLevelData(path.join(stagedWorld, 'level.dat'));
+    } catch (error) {
+      throw new BadRequestError(`Not a Java Edition world: ${error.message}`);
+    }
+
+    const baseName = root ? path.posix.basename(root) : null;
+    const name = checkWorldName(options.name || baseName || level.levelName || 'world');
+
+    // Bukkit layouts put the nether and end next to the world
+    const sources = [{ from: stagedWorld, to: name }];
+    if (baseName) {
+      for (const { suffix } of DIMENSIONS) {
+        const sibling = path.join(path.dirname(stagedWorld), `${baseName}${suffix}`);
+        if (await fs.pathExists(sibling)) sources.push({ from: sibling, to: `${name}${suffix}` });
+      }
+    }
+
+    const existing = await worldDirectories(server.path, name);
+    let backup = null;
+    if (existing.length > 0) {
+      if (!options.replace) {
+        throw new ConflictError(`World ${name} already exists; set replace to overwrite it`);
+      }
+      if (isServerRunning(serverId)) {
+        throw new ConflictError('Stop the server before replacing one of its worlds');
+      }
+      backup = await backupBeforeChange(serverId, `pre-upload-${name}`);
+      for (const directory of existing) {
+        await fs.remove(path.join(server.path, directory));
+      }
+    }
+
+    for (const { from, to } of sources) {
+      await fs.remove(path.join(from, 'session.lock'));
+      await fs.move(from, path.join(server.path, to));
+    }
+
+    const properties = options.activate
+      ? await updateServerProperties(serverId, { 'level-name': name })
+      : null;
+
+    logger.info(`Imported world ${name} into server ${server.name}${backup ? ` (previous world backed up as ${backup.name})` : ''}`);
+    return {
+      world: await describeWorld(server.path, name, await readLevelName(server.path)),
+      backup,
+      restartRequired: properties ? properties.restartRequired : false
+    };
+  } catch (error) {
+    logger.error(`Failed to import a world into server ${serverId}:`, error);
+    throw error;
+  } finally {
+    if (stagingDir) await fs.remove(stagingDir);
+    await fs.remove(upload.path);
+  }
+}
+
+/**
+ * Delete a world so the server generates a new one on its next start. The
+ * server is backed up first. A new seed can only be set for the active world.
+ * @param {string} serverId - Server ID
+ * @param {string} name - World name
+ * @param {Object} [options] - Reset options
+ * @param {string} [options.seed] - New level-seed; an empty string picks a random seed
+ * @param {boolean} [options.keepDatapacks=true] - Keep the world's datapacks directory
+ * @returns {Promise<Object>} Reset result with the backup taken
+ */
+async function resetWorld(serverId, name, options = {}) {
+  try {
+    const server = await findServer(serverId);
+    checkWorldName(name);
+
+    const directories = await worldDirectories(server.path, name);
+    if (directories.length === 0) {
+      throw new NotFoundError(`World ${name} not found`);
+    }
+    if (isServerRunning(serverId)) {
+      throw new ConflictError('Stop the server before resetting one of its worlds');
+    }
+
+    const activeLevel = await readLevelName(server.path);
+    if (options.seed !== undefined && name !== activeLevel) {
+      throw new BadRequestError(`level-seed only applies to the active world ${activeLevel}`);
+    }
+
+    const backup = await backupBeforeChange(serverId, `pre-reset-${name}`);
+
+    const datapacks = path.join(server.path, name, 'datapacks');
+    const keptDatapacks = `${server.path}.datapacks-${Date.now()}`;
+    const keepDatapacks = options.keepDatapacks !== false && await fs.pathExists(datapacks);
+    if (keepDatapacks) await fs.move(datapacks, keptDatapacks);
+
+    try {
+      for (const directory of directories) {
+        await fs.remove(path.join(server.path, directory));
+      }
+    } finally {
+      if (keepDatapacks) await fs.move(keptDatapacks, datapacks);
+    }
+
+    if (options.seed !== undefined) {
+      await updateServerProperties(serverId, { 'level-seed': options.seed });
+    }
+
+    logger.info(`Reset world ${name} of server ${server.name}; backed up as ${backup.name}`);
+    return {
+      world: name,
+      deleted: directories,
+      seed: options.seed !== undefined ? options.seed : null,
+      keptDatapacks: keepDatapacks,
+      backup
+    };
+  } catch (error) {
+    logger.error(`Failed to reset world ${name} of server ${serverId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  listWorlds,
+  openWorldArchive,
+  importWorld,
+  resetWorld
+};
@@ -0,0 +1,118 @@
+// src/services/monitor/alerts.js
+
+// Metrics a rule can watch, as named in samples
+const ALERT_METRICS = ['cpu', 'memory', 'memoryPercent', 'threads', 'disk', 'tps', 'mspt'];
+
+/**
+ * Check one rule against a sample
+ * @param {Object} rule - Alert rule
+ * @param {Object} sample - Resource sample
+ * @returns {boolean|null} Whether the condition holds, or null if the metric was not sampled
+ */
+function breaches(rule, sample) {
+  const value = sample[rule.metric];
+  if (value === null || value === undefined) return null;
+  return rule.operator === 'above' ? value > rule.threshold : value < rule.threshold;
+}
+
+/**
+ * Describe a rule for events and responses
+ * @param {Object} rule - Alert rule
+ * @returns {Object} Rule
+ */
+function formatRule(rule) {
+  return {
+    id: rule._id ? rule._id.toString() : rule.id,
+    metric: rule.metric,
+    operator: rule.operator,
+    threshold: rule.threshold,
+    duration: rule.duration || 0
+  };
+}
+
+/**
+ * Update alert state with a new sample. A rule fires once its condition has
+ * held for its duration and resolves on the first sample where it does not.
+ * Samples missing the metric leave the rule as it was.
+ * @param {Map} state - Rule ID -> { rule, since, firing, value }, updated in place
+ * @param {Array<Object>} rules - Alert rules
+ * @param {Object} sample - Resource sample
+ * @param {number} [now=Date.now()] - Sample time
+ * @returns {Array<Object>} Alerts that fired or resolved
+ */
+function evaluateAlerts(state, rules, sample, now = Date.now()) {
+  const changes = [];
+  const active = new Set();
+
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+
+    const ruleId = formatRule(rule).id;
+    active.add(ruleId);
+
+    const breached = breaches(rule, sample);
+    if (breached === null) continue;
+
+    const current = state.get(ruleId);
+    if (breached) {
+      const entry = current || { since: now, firing: false };
+      entry.rule = formatRule(rule);
+      entry.value = sample[rule.metric];
+      state.set(ruleId, entry);
+
+      if (!entry.firing && now - entry.since >= (rule.duration || 0)) {
+        entry.firing = true;
+        changes.push({ rule: entry.rule, state: 'firing', value: entry.value, since: new Date(entry.since), at: new Date(now) });
+      }
+    } else if (current) {
+      state.delete(ruleId);
+      if (current.firing) {
+        changes.push({ rule: formatRule(rule), state: 'resolved', value: sample[rule.metric], since: new Date(current.since), at: new Date(now) });
+      }
+    }
+  }
+
+  // Alerts of rules that were removed or disabled resolve
+  for (const [ruleId, entry] of state) {
+    if (active.has(ruleId)) continue;
+    state.delete(ruleId);
+    if (entry.firing) {
+      changes.push({ rule: entry.rule, state: 'resolved', value: null, since: new Date(entry.since), at: new Date(now) });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Resolve every firing alert, e.g. when the server stops
+ * @param {Map} state - Alert state, cleared
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {Array<Object>} Alerts that resolved
+ */
+function resolveAlerts(state, now = Date.now()) {
+  const changes = [...state.values()]
+    .filter(entry => entry.firing)
+    .map(entry => ({ rule: entry.rule, state: 'resolved', value: null, since: new Date(entry.since), at: new Date(now) }));
+  state.clear();
+  return changes;
+}
+
+/**
+ * List firing alerts
+ * @param {Map} state - Alert state
+ * @returns {Array<Object>} Firing alerts with their rule, latest value and start
+ */
+function firingAlerts(state) {
+  return [...state.values()]
+    .filter(entry => entry.firing)
+    .map(entry => ({ rule: entry.rule, state: 'firing', value: entry.value, since: new Date(entry.since) }));
+}
+
+module.exports = {
+  ALERT_METRICS,
+  formatRule,
+  evaluateAlerts,
+  resolveAlerts,
+  firingAlerts
+};
@@ -0,0 +1,165 @@
+// src/services/monitor/history.js
+//
+// Metric history. The latest hour of samples is kept in memory; longer
+// ranges come from per-minute, per-quarter-hour and per-hour buckets in
+// MongoDB, each expiring after its retention period.
+const { ServerMetric } = require('../../models');
+const { BadRequestError } = require('../../utils/errors');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Metrics recorded per sample
+const METRICS = ['cpu', 'memory', 'memoryPercent', 'threads', 'disk', 'tps', 'mspt'];
+
+const RAW_RETENTION = HOUR;
+
+// Bucket sizes (seconds) and how long buckets are kept, finest first
+const RESOLUTIONS = [
+  { seconds: 60, retention: 2 * DAY },
+  { seconds: 900, retention: 14 * DAY },
+  { seconds: 3600, retention: 90 * DAY }
+];
+
+// Recent samples per server: serverId -> [sample]
+const recentSamples = new Map();
+
+/**
+ * Record samples in memory and in the history buckets
+ * @param {Array<Object>} entries - { serverId, sample } per server
+ * @returns {Promise<void>}
+ */
+async function recordSamples(entries) {
+  const operations = [];
+
+  for (const { serverId, sample } of entries) {
+    const at = sample.at.getTime();
+    const samples = recentSamples.get(serverId) || [];
+    samples.push(sample);
+    while (samples.length > 0 && at - samples[0].at.getTime() > RAW_RETENTION) samples.shift();
+    recentSamples.set(serverId, samples);
+
+    // Running totals let every sample update its buckets in place
+    const update = { $inc: { samples: 1 }, $min: {}, $max: {} };
+    for (const metric of METRICS) {
+      const value = sample[metric];
+      if (value === null || value === undefined) continue;
+      update.$inc[`${metric}.sum`] = value;
+      update.$inc[`${metric}.count`] = 1;
+      update.$min[`${metric}.min`] = value;
+      update.$max[`${metric}.max`] = value;
+    }
+    if (Object.keys(update.$min).length === 0) {
+      delete update.$min;
+      delete update.$max;
+    }
+
+    for (const resolution of RESOLUTIONS) {
+      const size = resolution.seconds * 1000;
+      const start = new Date(Math.floor(at / size) * size);
+      operations.push({
+        updateOne: {
+          filter: { server: serverId, resolution: resolution.seconds, start },
+          update: { ...update, $setOnInsert: { expiresAt: new Date(start.getTime() + size + resolution.retention) } },
+          upsert: true
+        }
+      });
+    }
+  }
+
+  if (operations.length > 0) {
+    await ServerMetric.bulkWrite(operations, { ordered: false });
+  }
+}
+
+/**
+ * Get the most recent in-memory sample of a server
+ * @param {string} serverId - Server ID
+ * @returns {Object|null} Sample
+ */
+function latestSample(serverId) {
+  const samples = recentSamples.get(serverId);
+  return samples && samples.length > 0 ? samples[samples.length - 1] : null;
+}
+
+/**
+ * Pick the finest resolution that still covers the start of a range
+ * @param {number} from - Range start (ms)
+ * @param {number} now - Current time (ms)
+ * @returns {string|number} 'raw' or bucket size in seconds
+ */
+function pickResolution(from, now) {
+  if (now - from <= RAW_RETENTION) return 'raw';
+  const resolution = RESOLUTIONS.find(candidate => now - from <= candidate.retention);
+  return (resolution || RESOLUTIONS[RESOLUTIONS.length - 1]).seconds;
+}
+
+/**
+ * Convert a bucket's running totals to averages
+ * @param {Object} bucket - ServerMetric document
+ * @returns {Object} Point with avg, min and max per metric
+ */
+function formatBucket(bucket) {
+  const point = { at: bucket.start, samples: bucket.samples };
+  for (const metric of METRICS) {
+    const totals = bucket[metric];
+    point[metric] = totals && totals.count > 0
+      ? { avg: totals.sum / totals.count, min: totals.min, max: totals.max }
+      : null;
+  }
+  return point;
+}
+
+/**
+ * Get a server's metric history
+ * @param {string} serverId - Server ID
+ * @param {Object} [options] - Query options
+ * @param {number} [options.from] - Range start (ms), defaults to an hour ago
+ * @param {number} [options.to] - Range end (ms), defaults to now
+ * @param {string|number} [options.resolution] - 'raw', 60, 900 or 3600; picked from the range by default
+ * @returns {Promise<Object>} { resolution, from, to, points }
+ */
+async function queryHistory(serverId, options = {}) {
+  const now = Date.now();
+  const to = options.to !== undefined ? options.to : now;
+  const from = options.from !== undefined ? options.from : to - HOUR;
+  if (from >= to) {
+    throw new BadRequestError('from must be before to');
+  }
+
+  const resolution = options.resolution !== undefined
+    ? (options.resolution === 'raw' ? 'raw' : Number(options.resolution))
+    : pickResolution(from, now);
+
+  if (resolution === 'raw') {
+    const points = (recentSamples.get(serverId) || [])
+      .filter(sample => sample.at.getTime() >= from && sample.at.getTime() <= to);
+    return { resolution, from: new Date(from), to: new Date(to), points };
+  }
+
+  if (!RESOLUTIONS.some(candidate => candidate.seconds === resolution)) {
+    throw new BadRequestError(`Unknown resolution ${options.resolution}`);
+  }
+
+  const buckets = await ServerMetric.find({
+    server: serverId,
+    resolution,
+    start: { $gte: new Date(from - resolution * 1000), $lte: new Date(to) }
+  }).sort({ start: 1 }).lean();
+
+  return {
+    resolution,
+    from: new Date(from),
+    to: new Date(to),
+    points: buckets
+      .filter(bucket => bucket.start.getTime() + resolution * 1000 > from)
+      .map(formatBucket)
+  };
+}
+
+module.exports = {
+  RESOLUTIONS,
+  recordSamples,
+  latestSample,
+  queryHistory
+};
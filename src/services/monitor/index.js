@@ -0,0 +1,401 @@
+// src/services/monitor/index.js
+//
+// Samples running servers on MONITORING_INTERVAL: CPU, RSS and thread count
+// of the server process, disk usage of its directory and, from console
+// polling, TPS and MSPT. Samples feed the metric history, the serverStats
+// stream and the alert rules stored on each server.
+const fs = require('fs-extra');
+const path = require('path');
+const si = require('systeminformation');
+const { logger } = require('../../utils/logger');
+const { MinecraftServer } = require('../../models');
+const { NotFoundError } = require('../../utils/errors');
+const { parseMemory } = require('../../utils/memory');
+const { serverEvents } = require('../minecraft/events');
+const { recordSamples, latestSample, queryHistory } = require('./history');
+const { formatRule, evaluateAlerts, resolveAlerts, firingAlerts } = require('./alerts');
+const { tickQueriesFor, parseTickReply, completeTickValues } = require('./ticks');
+const config = require('../../config').getConfig();
+
+const DEFAULT_INTERVAL = 30000;
+const DEFAULT_DISK_INTERVAL = 300000;
+
+// How long to wait for a tick query's reply in the console
+const TICK_REPLY_TIMEOUT = 5000;
+
+// Servers that leave this many tick queries in a row unanswered are not asked again until they restart
+const MAX_TICK_MISSES = 3;
+
+// Per-server state: serverId -> { name, alerts, disk, tickMisses }
+const serverStates = new Map();
+
+// Process list being read, shared by concurrent callers
+let pendingProcesses = null;
+
+let socketServer = null;
+let monitoring = false;
+let timer = null;
+
+/**
+ * Load the minecraft service. It requires this module, so it is loaded on first use.
+ * @returns {Object} Minecraft service
+ */
+function minecraft() {
+  return require('../minecraft');
+}
+
+/**
+ * Get or create a server's monitoring state
+ * @param {string} serverId - Server ID
+ * @returns {Object} State
+ */
+function stateFor(serverId) {
+  if (!serverStates.has(serverId)) {
+    serverStates.set(serverId, { name: serverId, alerts: new Map(), disk: null, tickMisses: 0 });
+  }
+  return serverStates.get(serverId);
+}
+
+/**
+ * Read the process list
+ * @returns {Promise<Map>} PID -> process entry from systeminformation
+ */
+function loadProcesses() {
+  if (!pendingProcesses) {
+    pendingProcesses = si.processes()
+      .then(result => new Map(result.list.map(entry => [entry.pid, entry])))
+      .finally(() => {
+        pendingProcesses = null;
+      });
+  }
+  return pendingProcesses;
+}
+
+/**
+ * Count a process's threads
+ * @param {number} pid - Process ID
+ * @returns {Promise<number|null>} Thread count, or null where /proc is not available
+ */
+async function readThreadCount(pid) {
+  try {
+    const status = await fs.readFile(`/proc/${pid}/status`, 'utf8');
+    const match = /^Threads:\s+(\d+)/m.exec(status);
+    return match ? Number(match[1]) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Add up the size of the files under a directory
+ * @param {string} dir - Directory
+ * @returns {Promise<number>} Size in bytes
+ */
+async function directorySize(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let size = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      size += await directorySize(entryPath);
+    } else if (entry.isFile()) {
+      // Files come and go while the server runs
+      size += await fs.stat(entryPath).then(stats => stats.size, () => 0);
+    }
+  }
+  return size;
+}
+
+/**
+ * Get a server directory's disk usage, measured at most once per MONITORING_DISK_INTERVAL
+ * @param {Object} state - Server state
+ * @param {string} dir - Server directory
+ * @param {boolean} refresh - Whether a stale value may be measured again
+ * @returns {Promise<number|null>} Size in bytes
+ */
+async function diskUsage(state, dir, refresh) {
+  const interval = config.monitoring.diskInterval || DEFAULT_DISK_INTERVAL;
+  if (refresh && (!state.disk || Date.now() - state.disk.at >= interval)) {
+    try {
+      state.disk = { size: await directorySize(dir), at: Date.now() };
+    } catch (error) {
+      logger.warn(`Failed to measure disk usage of ${dir}: ${error.message}`);
+    }
+  }
+  return state.disk ? state.disk.size : null;
+}
+
+/**
+ * Ask a server for its tick rate
+ * @param {string} serverId - Server ID
+ * @param {string} type - Server type
+ * @param {Object} state - Server state
+ * @returns {Promise<Object>} { tps, mspt }, null where unknown
+ */
+async function sampleTicks(serverId, type, state) {
+  const queries = tickQueriesFor(type);
+  if (queries.length === 0 || state.tickMisses >= MAX_TICK_MISSES) {
+    return { tps: null, mspt: null };
+  }
+
+  const { sendCommand, watchConsole } = minecraft();
+  const values = {};
+  let answered = false;
+
+  for (const query of queries) {
+    // Watch before sending so a fast console reply is not missed
+    const reply = watchConsole(serverId, query.pattern, TICK_REPLY_TIMEOUT);
+    try {
+      const result = await sendCommand(serverId, query.command, { quiet: true });
+      if (result.status === 'error') continue;
+
+      const parsed = result.via === 'rcon'
+        ? parseTickReply(query, result.output)
+        : parseTickReply(query, (await reply.promise).message);
+      if (parsed) {
+        Object.assign(values, parsed);
+        answered = true;
+      }
+    } catch (error) {
+      // The console did not answer in time
+    } finally {
+      reply.cancel();
+    }
+  }
+
+  state.tickMisses = answered ? 0 : state.tickMisses + 1;
+  if (state.tickMisses === MAX_TICK_MISSES) {
+    logger.info(`Server ${serverId} does not answer ${queries.map(query => query.command).join(', ')}; tick rate polling stopped until restart`);
+  }
+
+  return completeTickValues(values);
+}
+
+/**
+ * Take a resource sample of a running server
+ * @param {Object} entry - Running process from listRunningProcesses
+ * @param {Map} processes - Process list
+ * @param {Object} [options] - Sample options
+ * @param {boolean} [options.full=false] - Poll the tick rate and refresh disk usage
+ * @returns {Promise<Object>} Sample
+ */
+async function sampleServer(entry, processes, options = {}) {
+  const state = stateFor(entry.serverId);
+  const usage = processes.get(entry.pid);
+  const memory = usage ? usage.memRss * 1024 : null;
+  const memoryMax = parseMemory(entry.server.memory && entry.server.memory.max);
+
+  const pollTicks = options.full && entry.ready && config.monitoring.tickPolling !== false;
+  const [threads, disk, ticks] = await Promise.all([
+    readThreadCount(entry.pid),
+    diskUsage(state, entry.server.path, options.full === true),
+    pollTicks ? sampleTicks(entry.serverId, entry.server.type, state) : { tps: null, mspt: null }
+  ]);
+
+  return {
+    at: new Date(),
+    pid: entry.pid,
+    uptime: Date.now() - entry.startTime,
+    cpu: usage ? usage.cpu : null,
+    memory,
+    memoryMax,
+    // RSS includes memory outside the heap, so it can pass 100% of memory.max
+    memoryPercent: memory !== null && memoryMax ? Math.round((memory / memoryMax) * 1000) / 10 : null,
+    threads,
+    disk,
+    ...ticks
+  };
+}
+
+/**
+ * Stream a sample and apply the server's alert rules
+ * @param {string} serverId - Server ID
+ * @param {Object} server - MinecraftServer document with current alert rules
+ * @param {Object} sample - Resource sample
+ */
+function publishSample(serverId, server, sample) {
+  if (socketServer) {
+    socketServer.to(`server:${serverId}:stats`).emit('serverStats', { serverId, ...sample });
+  }
+
+  const state = stateFor(serverId);
+  state.name = server.name;
+  const changes = evaluateAlerts(state.alerts, server.alerts || [], sample, sample.at.getTime());
+  changes.forEach(alert => announceAlert(serverId, server.name, alert));
+}
+
+/**
+ * Log and emit an alert that fired or resolved
+ * @param {string} serverId - Server ID
+ * @param {string} name - Server name
+ * @param {Object} alert - Alert change
+ */
+function announceAlert(serverId, name, alert) {
+  const { metric, operator, threshold } = alert.rule;
+  if (alert.state === 'firing') {
+    logger.warn(`[${name}] Alert: ${metric} ${operator} ${threshold} (${alert.value})`);
+  } else {
+    logger.info(`[${name}] Alert resolved: ${metric} ${operator} ${threshold}`);
+  }
+
+  serverEvents.emit('alert', serverId, alert);
+  if (socketServer) {
+    socketServer.to(`server:${serverId}`).emit('serverAlert', { serverId, ...alert });
+  }
+}
+
+/**
+ * Sample every running server and record the samples
+ * @returns {Promise<void>}
+ */
+async function collectSamples() {
+  const running = minecraft().listRunningProcesses();
+  if (running.length === 0) return;
+
+  const [processes, servers] = await Promise.all([
+    loadProcesses(),
+    MinecraftServer.find({ _id: { $in: running.map(entry => entry.serverId) } }).select('name alerts')
+  ]);
+  const serversById = new Map(servers.map(server => [server._id.toString(), server]));
+
+  const entries = await Promise.all(running.map(async (entry) => {
+    const server = serversById.get(entry.serverId);
+    if (!server) return null;
+
+    try {
+      const sample = await sampleServer(entry, processes, { full: true });
+      publishSample(entry.serverId, server, sample);
+      return { serverId: entry.serverId, sample };
+    } catch (error) {
+      logger.error(`Failed to sample server ${server.name}:`, error);
+      return null;
+    }
+  }));
+
+  await recordSamples(entries.filter(Boolean));
+}
+
+/**
+ * Schedule the next collection; collections never overlap
+ * @param {number} interval - Delay in ms
+ */
+function scheduleCollection(interval) {
+  timer = setTimeout(async () => {
+    try {
+      await collectSamples();
+    } catch (error) {
+      logger.error('Failed to collect server metrics:', error);
+    }
+    if (monitoring) scheduleCollection(interval);
+  }, interval);
+}
+
+/**
+ * Resolve a stopped server's alerts and reset its state
+ * @param {string} serverId - Server ID
+ */
+function handleServerStopped(serverId) {
+  const state = serverStates.get(serverId);
+  if (!state) return;
+
+  serverStates.delete(serverId);
+  resolveAlerts(state.alerts).forEach(alert => announceAlert(serverId, state.name, alert));
+}
+
+/**
+ * Start sampling running servers
+ * @param {Object} io - Socket.IO instance for serverStats and serverAlert events
+ */
+function setupServerMonitoring(io) {
+  if (monitoring) return;
+
+  socketServer = io;
+  monitoring = true;
+  serverEvents.on('stopped', handleServerStopped);
+
+  const interval = config.monitoring.interval || DEFAULT_INTERVAL;
+  scheduleCollection(interval);
+  logger.info(`Server monitoring started (every ${interval}ms)`);
+}
+
+/**
+ * Stop sampling
+ */
+function stopServerMonitoring() {
+  monitoring = false;
+  clearTimeout(timer);
+  timer = null;
+  serverEvents.removeListener('stopped', handleServerStopped);
+}
+
+/**
+ * Get a running server's current resource usage: the latest sample while it
+ * is recent, otherwise a quick sample without tick rate
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Object|null>} Sample, or null if the server is not running
+ */
+async function getServerResourceUsage(serverId) {
+  try {
+    const entry = minecraft().listRunningProcesses().find(candidate => candidate.serverId === serverId);
+    if (!entry) return null;
+
+    const sample = latestSample(serverId);
+    const maxAge = 2 * (config.monitoring.interval || DEFAULT_INTERVAL);
+    if (sample && sample.pid === entry.pid && Date.now() - sample.at.getTime() < maxAge) {
+      return sample;
+    }
+
+    return await sampleServer(entry, await loadProcesses());
+  } catch (error) {
+    logger.error(`Failed to read resource usage of server ${serverId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Get a server's current usage, alert rules and firing alerts
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Object>} Stats
+ */
+async function getServerStats(serverId) {
+  const server = await MinecraftServer.findById(serverId).select('alerts');
+  if (!server) {
+    throw new NotFoundError('Server not found');
+  }
+
+  const state = serverStates.get(serverId);
+  return {
+    usage: await getServerResourceUsage(serverId),
+    rules: (server.alerts || []).map(rule => ({ ...formatRule(rule), enabled: rule.enabled !== false })),
+    alerts: state ? firingAlerts(state.alerts) : []
+  };
+}
+
+/**
+ * Get a server's metric history
+ * @param {string} serverId - Server ID
+ * @param {Object} [options] - from, to (ms) and resolution
+ * @returns {Promise<Object>} History
+ */
+async function getServerMetrics(serverId, options = {}) {
+  const exists = await MinecraftServer.exists({ _id: serverId });
+  if (!exists) {
+    throw new NotFoundError('Server not found');
+  }
+  return queryHistory(serverId, options);
+}
+
+module.exports = {
+  setupServerMonitoring,
+  stopServerMonitoring,
+  getServerResourceUsage,
+  getServerStats,
+  getServerMetrics
+};
@@ -0,0 +1,92 @@
+// src/services/monitor/ticks.js
+//
+// Tick rate queries per server type. Paper and Spigot have /tps (Paper also
+// /mspt), Forge has /forge tps, and vanilla and Fabric have /tick query since
+// 1.20.3. Replies are matched in RCON output or in the console log.
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+
+const TPS_COMMAND = {
+  command: 'tps',
+  pattern: new RegExp(`TPS from last 1m, 5m, 15m: \\*?${NUMBER}`),
+  read: match => ({ tps: Number(match[1]) })
+};
+
+const TICK_QUERY = {
+  command: 'tick query',
+  pattern: new RegExp(`Average time per tick: ${NUMBER} ?ms`),
+  read: match => ({ mspt: Number(match[1]) })
+};
+
+const TICK_QUERIES = {
+  paper: [
+    TPS_COMMAND,
+    {
+      command: 'mspt',
+      // avg/min/max over the last 5s, 10s and 1m; the first triple is the latest
+      pattern: new RegExp(`${NUMBER}/${NUMBER}/${NUMBER}, ${NUMBER}/`),
+      read: match => ({ mspt: Number(match[1]) })
+    }
+  ],
+  spigot: [TPS_COMMAND],
+  forge: [{
+    command: 'forge tps',
+    // "Mean tick time: 1.2 ms. Mean TPS: 20.0" before 1.20, "20.0 TPS (1.2 ms/tick)" after
+    pattern: new RegExp(`Overall: (?:Mean tick time: ${NUMBER} ms\\. Mean TPS: ${NUMBER}|${NUMBER} TPS \\(${NUMBER} ms/tick\\))`),
+    read: match => (match[1] !== undefined
+      ? { mspt: Number(match[1]), tps: Number(match[2]) }
+      : { tps: Number(match[3]), mspt: Number(match[4]) })
+  }],
+  vanilla: [TICK_QUERY],
+  fabric: [TICK_QUERY]
+};
+
+/**
+ * Remove Minecraft formatting codes from command output
+ * @param {string} text - Output
+ * @returns {string} Plain text
+ */
+function stripFormatting(text) {
+  return text.replace(/§[0-9a-fk-or]/gi, '');
+}
+
+/**
+ * Get the tick queries for a server type
+ * @param {string} type - Server type
+ * @returns {Array<Object>} Queries with command, pattern and read
+ */
+function tickQueriesFor(type) {
+  return TICK_QUERIES[type] || [];
+}
+
+/**
+ * Read a query's reply
+ * @param {Object} query - Tick query
+ * @param {string} text - RCON output or console line
+ * @returns {Object|null} Parsed values, or null if the text is not the reply
+ */
+function parseTickReply(query, text) {
+  const match = query.pattern.exec(stripFormatting(text || ''));
+  return match ? query.read(match) : null;
+}
+
+/**
+ * Fill in TPS from MSPT when only the tick time is known. Ticks shorter than
+ * 50 ms still run at the target of 20 TPS.
+ * @param {Object} values - Parsed tps and mspt
+ * @returns {Object} { tps, mspt }
+ */
+function completeTickValues(values) {
+  const mspt = values.mspt !== undefined ? values.mspt : null;
+  let tps = values.tps !== undefined ? values.tps : null;
+  if (tps === null && mspt !== null) {
+    tps = Math.round((1000 / Math.max(mspt, 50)) * 100) / 100;
+  }
+  return { tps, mspt };
+}
+
+module.exports = {
+  tickQueriesFor,
+  parseTickReply,
+  completeTickValues
+};
@@ -0,0 +1,267 @@
+// src/services/scheduler/cron.js
+//
+// Cron parsing and next-run calculation. node-cron only fires jobs, so the
+// API needs its own calculator to show when a task runs next. Matching
+// follows node-cron: every field must match, including day of month and day
+// of week together.
+
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// How far ahead to look before deciding an expression never fires (e.g. 30 February)
+const SEARCH_DAYS = 366 * 8;
+
+// Wall-clock candidates this far before the reference time are still converted,
+// so daylight saving shifts cannot hide an occurrence
+const DST_MARGIN = 3 * 60 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * Parse one value of a cron field, accepting month and weekday names
+ * @param {string} value - Raw value
+ * @param {Object} field - Field definition
+ * @returns {number} Numeric value
+ */
+function parseValue(value, field) {
+  const lower = value.toLowerCase();
+  if (field.names) {
+    const index = field.names.findIndex(name => lower === name || lower === fullName(name, field));
+    if (index >= 0) return field.min + index;
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value ${number} is outside ${field.min}-${field.max}`);
+  }
+  return number;
+}
+
+/**
+ * Expand an abbreviated name to the full English name node-cron also accepts
+ * @param {string} name - Three-letter name
+ * @param {Object} field - Field definition
+ * @returns {string} Full name in lower case
+ */
+function fullName(name, field) {
+  const full = field.name === 'month'
+    ? ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december']
+    : ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+  return full[field.names.indexOf(name)];
+}
+
+/**
+ * Expand one cron field into the set of values it matches
+ * @param {string} text - Field text, e.g. "*\/15" or "1-5,10"
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} Matching values
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step in ${field.name} "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  // Sunday can be written as 0 or 7
+  if (field.name === 'dayOfWeek' && values.delete(7)) {
+    values.add(0);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression with five fields, or six when seconds are included
+ * @param {string} expression - Cron expression
+ * @returns {Object} Sorted value lists per field
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length === 5) parts.unshift('0');
+  if (parts.length !== 6) {
+    throw new Error('Cron expressions need 5 or 6 fields');
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = [...parseField(parts[index], field)].sort((a, b) => a - b);
+  });
+  return parsed;
+}
+
+/**
+ * Check whether a timezone name is known to the runtime
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} Whether the timezone is valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock time of an instant in a timezone, encoded as UTC milliseconds
+ * @param {number} instant - Epoch milliseconds
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} Wall-clock time as if it were UTC
+ */
+function wallClock(instant, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const fields = {};
+  for (const { type, value } of formatters.get(timezone).formatToParts(new Date(instant))) {
+    fields[type] = parseInt(value, 10);
+  }
+  return Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+}
+
+/**
+ * Find the instants that show a given wall-clock time in a timezone.
+ * Returns two instants when clocks are set back and none when they skip ahead.
+ * @param {number} wall - Wall-clock time encoded as UTC milliseconds
+ * @param {string} timezone - IANA timezone name
+ * @returns {Array<number>} Matching instants in ascending order
+ */
+function instantsFor(wall, timezone) {
+  const instants = new Set();
+  const guess = wall - (wallClock(wall, timezone) - wall);
+  for (const probe of [guess - DST_MARGIN, guess + DST_MARGIN]) {
+    const offset = wallClock(probe, timezone) - probe;
+    const candidate = wall - offset;
+    if (wallClock(candidate, timezone) === wall) {
+      instants.add(candidate);
+    }
+  }
+  return [...instants].sort((a, b) => a - b);
+}
+
+/**
+ * List the wall-clock times a cron expression matches, in order
+ * @param {Object} cron - Parsed expression
+ * @param {number} from - Wall-clock time to start at, encoded as UTC milliseconds
+ * @yields {number} Matching wall-clock times encoded as UTC milliseconds
+ */
+function* wallTimes(cron, from) {
+  let day = Math.floor(from / DAY) * DAY;
+
+  for (let i = 0; i < SEARCH_DAYS; i += 1, day += DAY) {
+    const date = new Date(day);
+    if (!cron.month.includes(date.getUTCMonth() + 1)
+      || !cron.dayOfMonth.includes(date.getUTCDate())
+      || !cron.dayOfWeek.includes(date.getUTCDay())) {
+      continue;
+    }
+
+    for (const hour of cron.hour) {
+      const hourStart = day + hour * 60 * 60 * 1000;
+      if (hourStart + 60 * 60 * 1000 <= from) continue;
+
+      for (const minute of cron.minute) {
+        const minuteStart = hourStart + minute * 60 * 1000;
+        if (minuteStart + 60 * 1000 <= from) continue;
+
+        for (const second of cron.second) {
+          const wall = minuteStart + second * 1000;
+          if (wall >= from) yield wall;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Calculate the next time a cron expression fires
+ * @param {string|Object} expression - Cron expression or the result of parseCron
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} [after=new Date()] - Only consider times after this
+ * @returns {Date|null} Next run, or null if the expression never fires
+ */
+function nextRun(expression, timezone, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const afterMs = after.getTime();
+  const offsetAt = instant => wallClock(instant, timezone) - instant;
+  const steady = instant => offsetAt(instant - DST_MARGIN) === offsetAt(instant + DST_MARGIN);
+
+  const afterWall = wallClock(afterMs, timezone);
+  let best = null;
+  let limit = Infinity;
+
+  // Near a clock change a later wall-clock time can be an earlier instant,
+  // so look a little before the reference time and a little past the first hit
+  for (const wall of wallTimes(cron, steady(afterMs) ? afterWall : afterWall - DST_MARGIN)) {
+    if (wall > limit) break;
+
+    for (const instant of instantsFor(wall, timezone)) {
+      if (instant > afterMs && (best === null || instant < best)) {
+        best = instant;
+      }
+    }
+
+    if (best !== null && limit === Infinity) {
+      if (steady(best)) break;
+      limit = wallClock(best, timezone) + DST_MARGIN;
+    }
+  }
+
+  return best === null ? null : new Date(best);
+}
+
+module.exports = {
+  parseCron,
+  isValidTimezone,
+  nextRun
+};
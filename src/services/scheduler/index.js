@@ -0,0 +1,458 @@
+// src/services/scheduler/index.js
+const cron = require('node-cron');
+const { logger } = require('../../utils/logger');
+const { MinecraftServer, ScheduledTask } = require('../../models');
+const { NotFoundError, ValidationError } = require('../../utils/errors');
+const minecraft = require('../minecraft');
+const { recordAction } = require('../audit');
+const { parseCron, nextRun } = require('./cron');
+const config = require('../../config').getConfig();
+
+// Runs kept on each task
+const HISTORY_LIMIT = 20;
+
+// Cap on how many missed occurrences are counted after downtime
+const MAX_MISSED_COUNT = 1000;
+
+const TASK_FIELDS = ['name', 'schedule', 'timezone', 'payload', 'enabled', 'missedRuns'];
+
+// Audit log action for each task type, matching the API's actions
+const AUDIT_ACTIONS = {
+  backup: 'backup.create',
+  restart: 'server.restart',
+  command: 'server.command',
+  broadcast: 'server.command'
+};
+
+// node-cron jobs by task ID
+const jobs = new Map();
+
+// Tasks with a run in progress, so slow runs never overlap
+const activeRuns = new Set();
+
+// Socket.IO instance for run notifications and restarts
+let socketServer = null;
+
+/**
+ * Check that a task carries what its type needs
+ * @param {Object} task - Task data
+ * @throws {ValidationError} If the payload is incomplete
+ */
+function assertPayload(task) {
+  const payload = task.payload || {};
+  if (task.type === 'command' && !payload.command) {
+    throw new ValidationError([
+      { field: 'payload.command', location: 'body', message: 'Required for command tasks' }
+    ]);
+  }
+  if (task.type === 'broadcast' && !payload.message) {
+    throw new ValidationError([
+      { field: 'payload.message', location: 'body', message: 'Required for broadcast tasks' }
+    ]);
+  }
+}
+
+/**
+ * Format a task for API responses
+ * @param {Object} task - ScheduledTask document
+ * @returns {Object} Task with its next run time
+ */
+function formatTask(task) {
+  return {
+    id: task._id,
+    server: task.server,
+    name: task.name,
+    type: task.type,
+    schedule: task.schedule,
+    timezone: task.timezone,
+    payload: task.payload,
+    enabled: task.enabled,
+    missedRuns: task.missedRuns,
+    lastRun: task.lastRun,
+    nextRun: task.enabled ? nextRun(task.schedule, task.timezone) : null,
+    history: task.history,
+    createdAt: task.createdAt
+  };
+}
+
+/**
+ * Carry out a task's action
+ * @param {Object} task - ScheduledTask document
+ * @returns {Promise<Object>} Outcome with status and message
+ */
+async function executeTask(task) {
+  const serverId = task.server.toString();
+  const payload = task.payload || {};
+
+  if (task.type === 'backup') {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const result = await minecraft.createBackup(serverId, `${payload.name || task.name}-${stamp}`, { scheduled: true });
+    return result.status === 'success'
+      ? { status: 'success', message: `Created backup ${result.backup.name}` }
+      : { status: 'error', message: result.message };
+  }
+
+  // Everything else talks to a running server
+  if (!minecraft.isServerRunning(serverId)) {
+    return { status: 'skipped', message: 'Server is not running' };
+  }
+
+  if (task.type === 'restart') {
+    if (payload.message) {
+      await minecraft.sendCommand(serverId, `say ${payload.message}`);
+    }
+    const stopped = await minecraft.stopServer(serverId);
+    if (stopped.status !== 'success') {
+      return { status: 'error', message: stopped.message };
+    }
+    const started = await minecraft.startServer(serverId, socketServer);
+    // A queued start still runs once host memory frees up
+    return { status: started.status === 'queued' ? 'success' : started.status, message: started.message };
+  }
+
+  const command = task.type === 'broadcast' ? `say ${payload.message}` : payload.command;
+  const result = await minecraft.sendCommand(serverId, command);
+  return { status: result.status, message: result.output || result.message };
+}
+
+/**
+ * Store the outcome of a run on the task
+ * @param {Object} task - ScheduledTask document
+ * @param {Object} run - Run record
+ */
+async function recordRun(task, run) {
+  await ScheduledTask.updateOne({ _id: task._id }, {
+    $set: { lastRun: run },
+    $push: { history: { $each: [run], $position: 0, $slice: HISTORY_LIMIT } }
+  });
+
+  if (socketServer) {
+    socketServer.to(`server:${task.server}`).emit('scheduledTaskRun', {
+      taskId: task._id,
+      name: task.name,
+      type: task.type,
+      ...run
+    });
+  }
+}
+
+/**
+ * Run a task now and record the result
+ * @param {string} taskId - Task ID
+ * @param {string} trigger - schedule, catch-up or manual
+ * @returns {Promise<Object|null>} Run record, or null if the task no longer exists
+ */
+async function runTask(taskId, trigger) {
+  const task = await ScheduledTask.findById(taskId);
+  if (!task) return null;
+
+  const at = new Date();
+  let outcome;
+
+  if (activeRuns.has(task.id)) {
+    outcome = { status: 'skipped', message: 'Previous run is still in progress' };
+  } else {
+    activeRuns.add(task.id);
+    try {
+      outcome = await executeTask(task);
+    } catch (error) {
+      logger.error(`Scheduled task ${task.name} (${task.id}) failed:`, error);
+      outcome = { status: 'error', message: error.message };
+    } finally {
+      activeRuns.delete(task.id);
+    }
+  }
+
+  const run = { at, ...outcome, duration: Date.now() - at, trigger };
+  await recordRun(task, run);
+  
+  // Manual runs are audited with the request that started them
+  if (trigger !== 'manual' && run.status !== 'skipped') {
+    await recordAction({
+      action: AUDIT_ACTIONS[task.type],
+      target: `server:${task.server}`,
+      server: task.server.toString(),
+      source: 'scheduler',
+      success: run.status === 'success',
+      error: run.status === 'error' ? run.message : undefined,
+      details: { task: task.name, taskId: task.id, trigger }
+    });
+  }
+
+  logger.info(`Scheduled task ${task.name} (${task.type}) on server ${task.server}: ${run.status}${run.message ? ` - ${run.message}` : ''}`);
+  return run;
+}
+
+/**
+ * Register a task with node-cron, replacing any earlier registration
+ * @param {Object} task - ScheduledTask document
+ */
+function scheduleTask(task) {
+  unscheduleTask(task.id);
+  if (!task.enabled) return;
+
+  const taskId = task.id;
+  jobs.set(taskId, cron.schedule(task.schedule, () => {
+    runTask(taskId, 'schedule').catch((error) => {
+      logger.error(`Failed to record scheduled task ${taskId}:`, error);
+    });
+  }, { timezone: task.timezone }));
+}
+
+/**
+ * Remove a task from node-cron
+ * @param {string} taskId - Task ID
+ */
+function unscheduleTask(taskId) {
+  const job = jobs.get(taskId);
+  if (job) {
+    job.stop();
+    jobs.delete(taskId);
+  }
+}
+
+/**
+ * Deal with occurrences that fell while the manager was not running.
+ * They are recorded as missed; tasks set to 'run-once' run a single time
+ * if the most recent missed occurrence is recent enough.
+ * @param {Object} task - ScheduledTask document
+ */
+async function handleMissedRuns(task) {
+  // Runs and edits both touch updatedAt, so anything due after it never ran
+  const since = task.updatedAt || task.createdAt;
+  const now = new Date();
+  const missed = [];
+
+  let next = nextRun(task.schedule, task.timezone, since);
+  while (next && next < now && missed.length < MAX_MISSED_COUNT) {
+    missed.push(next);
+    next = nextRun(task.schedule, task.timezone, next);
+  }
+
+  if (missed.length === 0) return;
+
+  const latest = missed[missed.length - 1];
+  const count = missed.length < MAX_MISSED_COUNT ? missed.length : `${MAX_MISSED_COUNT}+`;
+  await recordRun(task, {
+    at: latest,
+    status: 'missed',
+    message: `${count} run(s) missed since ${missed[0].toISOString()}`,
+    duration: 0,
+    trigger: 'schedule'
+  });
+
+  const catchUpWindow = config.minecraft.scheduleCatchUpWindow || 6 * 60 * 60 * 1000;
+  if (task.missedRuns === 'run-once' && now - latest <= catchUpWindow) {
+    logger.info(`Catching up on scheduled task ${task.name} (${task.id})`);
+    await runTask(task.id, 'catch-up');
+  }
+}
+
+/**
+ * Load enabled tasks, handle runs missed during downtime and start their schedules
+ * @param {Object} io - Socket.IO instance for real-time updates
+ * @returns {Promise<number>} Number of tasks scheduled
+ */
+async function initializeScheduler(io) {
+  socketServer = io;
+  // Tasks of trashed servers wait for an undelete
+  const serverIds = await MinecraftServer.distinct('_id');
+  const tasks = await ScheduledTask.find({ enabled: true, server: { $in: serverIds } });
+
+  for (const task of tasks) {
+    try {
+      scheduleTask(task);
+      await handleMissedRuns(task);
+    } catch (error) {
+      logger.error(`Failed to schedule task ${task.name} (${task.id}):`, error);
+    }
+  }
+
+  logger.info(`Scheduled ${jobs.size} task(s)`);
+  return jobs.size;
+}
+
+/**
+ * Stop every scheduled job
+ */
+function stopScheduler() {
+  for (const taskId of [...jobs.keys()]) {
+    unscheduleTask(taskId);
+  }
+}
+
+/**
+ * Stop a server's tasks, e.g. when it is deleted
+ * @param {string} serverId - Server ID
+ * @param {Object} [options] - Unschedule options
+ * @param {boolean} [options.remove=false] - Delete the tasks as well
+ * @returns {Promise<number>} Number of tasks
+ */
+async function unscheduleServerTasks(serverId, options = {}) {
+  const tasks = await ScheduledTask.find({ server: serverId }).select('_id');
+  for (const task of tasks) {
+    unscheduleTask(task.id);
+  }
+  if (options.remove) {
+    await ScheduledTask.deleteMany({ server: serverId });
+  }
+  return tasks.length;
+}
+
+/**
+ * Start the schedules of a server's enabled tasks, e.g. after an undelete
+ * @param {string} serverId - Server ID
+ * @returns {Promise<number>} Number of tasks scheduled
+ */
+async function scheduleServerTasks(serverId) {
+  const tasks = await ScheduledTask.find({ server: serverId, enabled: true });
+  for (const task of tasks) {
+    scheduleTask(task);
+  }
+  return tasks.length;
+}
+
+/**
+ * Find a task belonging to a server
+ * @param {string} serverId - Server ID
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>} ScheduledTask document
+ */
+async function findTask(serverId, taskId) {
+  const task = await ScheduledTask.findOne({ _id: taskId, server: serverId });
+  if (!task) {
+    throw new NotFoundError('Scheduled task not found');
+  }
+  return task;
+}
+
+/**
+ * List a server's scheduled tasks
+ * @param {string} serverId - Server ID
+ * @returns {Promise<Array>} Tasks with next run times
+ */
+async function listTasks(serverId) {
+  const tasks = await ScheduledTask.find({ server: serverId }).sort({ createdAt: 1 });
+  return tasks.map(formatTask);
+}
+
+/**
+ * Get one scheduled task
+ * @param {string} serverId - Server ID
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>} Task with next run time
+ */
+async function getTask(serverId, taskId) {
+  return formatTask(await findTask(serverId, taskId));
+}
+
+/**
+ * Create a scheduled task
+ * @param {string} serverId - Server ID
+ * @param {Object} data - Task data
+ * @param {Object} [user] - User creating the task
+ * @returns {Promise<Object>} Created task
+ */
+async function createTask(serverId, data, user) {
+  try {
+    const server = await MinecraftServer.findById(serverId);
+    if (!server) {
+      throw new NotFoundError('Server not found');
+    }
+
+    assertPayload(data);
+    parseCron(data.schedule);
+
+    const task = await ScheduledTask.create({
+      server: serverId,
+      name: data.name,
+      type: data.type,
+      schedule: data.schedule,
+      timezone: data.timezone || config.minecraft.scheduleTimezone || 'UTC',
+      payload: data.payload,
+      enabled: data.enabled,
+      missedRuns: data.missedRuns,
+      createdBy: user && user._id
+    });
+
+    scheduleTask(task);
+    logger.info(`Created scheduled ${task.type} task ${task.name} for server ${server.name}`);
+
+    return formatTask(task);
+  } catch (error) {
+    logger.error(`Failed to create scheduled task for server ${serverId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update a scheduled task
+ * @param {string} serverId - Server ID
+ * @param {string} taskId - Task ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} Updated task
+ */
+async function updateTask(serverId, taskId, updates) {
+  try {
+    const task = await findTask(serverId, taskId);
+
+    for (const field of TASK_FIELDS) {
+      if (updates[field] !== undefined) {
+        task.set(field, updates[field]);
+      }
+    }
+
+    assertPayload(task);
+    parseCron(task.schedule);
+    await task.save();
+
+    scheduleTask(task);
+    return formatTask(task);
+  } catch (error) {
+    logger.error(`Failed to update scheduled task ${taskId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a scheduled task
+ * @param {string} serverId - Server ID
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>} Deletion result
+ */
+async function deleteTask(serverId, taskId) {
+  try {
+    const task = await findTask(serverId, taskId);
+    unscheduleTask(task.id);
+    await task.deleteOne();
+
+    return { id: task._id, deleted: true };
+  } catch (error) {
+    logger.error(`Failed to delete scheduled task ${taskId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Run a scheduled task immediately
+ * @param {string} serverId - Server ID
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>} Run record
+ */
+async function runTaskNow(serverId, taskId) {
+  const task = await findTask(serverId, taskId);
+  return runTask(task.id, 'manual');
+}
+
+module.exports = {
+  initializeScheduler,
+  stopScheduler,
+  unscheduleServerTasks,
+  scheduleServerTasks,
+  listTasks,
+  getTask,
+  createTask,
+  updateTask,
+  deleteTask,
+  runTaskNow
+};
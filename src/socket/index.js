@@ -0,0 +1,275 @@
+// src/socket/index.js
+const { logger } = require('../utils/logger');
+const { User } = require('../models');
+const { verifyAccessToken } = require('../services/auth');
+const { hasServerRole } = require('../middleware/auth');
+const { AppError, ForbiddenError, UnauthorizedError, ValidationError } = require('../utils/errors');
+const minecraft = require('../services/minecraft');
+const { getOnlinePlayers } = require('../services/minecraft/players');
+const { completeCommand } = require('../services/minecraft/completion');
+const { getServerResourceUsage } = require('../services/monitor');
+const { recordAction } = require('../services/audit');
+const config = require('../config').getConfig();
+
+// server:<id> carries status, player and alert events, server:<id>:logs the
+// console and server:<id>:stats the resource samples
+const SERVER_CHANNEL = /^server:([a-f0-9]{24})(?::(logs|stats))?$/i;
+
+// Channels that are not tied to one server, with the global roles allowed to join
+const GLOBAL_CHANNELS = {
+  downloads: ['admin', 'moderator']
+};
+
+// setTimeout cannot wait longer than this
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Read the access token from the handshake auth payload or Authorization header
+ * @param {Object} handshake - Socket.IO handshake
+ * @returns {string|null} Token
+ */
+function tokenFromHandshake(handshake) {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+
+  const header = handshake.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Socket.IO middleware that requires a valid access token
+ * @param {Object} socket - Connecting socket
+ * @param {Function} next - Continue or reject the connection
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const token = tokenFromHandshake(socket.handshake);
+    if (!token) {
+      throw new UnauthorizedError();
+    }
+
+    const payload = verifyAccessToken(token);
+    const user = await User.findById(payload.sub);
+    if (!user || user.tokenVersion !== payload.ver) {
+      throw new UnauthorizedError('Invalid or expired access token');
+    }
+
+    socket.data.userId = user._id.toString();
+    socket.data.tokenVersion = payload.ver;
+    socket.data.username = user.username;
+    socket.data.expiresAt = payload.exp * 1000;
+    next();
+  } catch (error) {
+    const rejection = new Error(error.message);
+    rejection.data = { code: error.code || 'UNAUTHORIZED' };
+    next(rejection);
+  }
+}
+
+/**
+ * Load the socket's user so permission changes and logouts apply to connected clients
+ * @param {Object} socket - Client socket
+ * @returns {Promise<Object>} User document
+ */
+async function currentUser(socket) {
+  if (Date.now() >= socket.data.expiresAt) {
+    throw new UnauthorizedError('Access token has expired');
+  }
+
+  const user = await User.findById(socket.data.userId);
+  if (!user) {
+    throw new UnauthorizedError('Account no longer exists');
+  }
+  if (user.tokenVersion !== socket.data.tokenVersion) {
+    throw new UnauthorizedError('Access token has been revoked');
+  }
+  return user;
+}
+
+/**
+ * Check that a user may join a channel
+ * @param {Object} user - User document
+ * @param {string} channel - Channel name
+ * @returns {Object} { serverId, stream } for server channels, {} otherwise
+ * @throws {ForbiddenError} If the channel is unknown or not allowed
+ */
+function authorizeChannel(user, channel) {
+  const match = SERVER_CHANNEL.exec(channel);
+  if (match) {
+    if (!hasServerRole(user, match[1], 'viewer')) {
+      throw new ForbiddenError('This channel requires the viewer role on the server');
+    }
+    return { serverId: match[1], stream: match[2] ? match[2].toLowerCase() : null };
+  }
+
+  const roles = GLOBAL_CHANNELS[channel];
+  if (!roles) {
+    throw new ForbiddenError(`Unknown channel ${channel}`);
+  }
+  if (!roles.includes(user.role)) {
+    throw new ForbiddenError();
+  }
+  return {};
+}
+
+/**
+ * Check the serverId of a console event payload
+ * @param {Object} payload - Event payload
+ * @returns {string} Server ID
+ * @throws {ValidationError} If the ID is missing or malformed
+ */
+function requireServerId(payload) {
+  const serverId = payload && payload.serverId;
+  if (typeof serverId !== 'string' || !/^[a-f0-9]{24}$/i.test(serverId)) {
+    throw new ValidationError([
+      { field: 'serverId', location: 'payload', message: 'Must be a server ID' }
+    ]);
+  }
+  return serverId;
+}
+
+/**
+ * Register an event handler that answers through the acknowledgement callback
+ * with the same envelope as the REST API
+ * @param {Object} socket - Client socket
+ * @param {string} event - Event name
+ * @param {Function} handler - Async handler receiving the payload, returns response data
+ */
+function handle(socket, event, handler) {
+  socket.on(event, async (payload, ack) => {
+    // Allow clients to omit the payload and pass only a callback
+    if (typeof payload === 'function') {
+      ack = payload;
+      payload = undefined;
+    }
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      reply({ status: 'success', data: await handler(payload) });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        logger.error(`Socket event ${event} from ${socket.id} failed:`, error);
+      }
+      reply({
+        status: 'error',
+        error: {
+          code: error instanceof AppError ? error.code : 'INTERNAL_ERROR',
+          message: error.message,
+          ...(error.details && { details: error.details })
+        }
+      });
+
+      if (error instanceof UnauthorizedError) {
+        socket.disconnect(true);
+      }
+    }
+  });
+}
+
+/**
+ * Set up handlers for an authenticated client
+ * @param {Object} socket - Client socket
+ */
+function handleConnection(socket) {
+  logger.info(`Client connected: ${socket.id} (${socket.data.username})`);
+
+  // Drop the connection when the token expires; clients reconnect with a fresh one
+  const expiresIn = socket.data.expiresAt - Date.now();
+  const expiryTimer = expiresIn < MAX_TIMER_DELAY
+    ? setTimeout(() => socket.disconnect(true), expiresIn)
+    : null;
+
+  handle(socket, 'subscribe', async (channel) => {
+    if (typeof channel !== 'string') {
+      throw new ValidationError([{ field: 'channel', location: 'payload', message: 'Must be a string' }]);
+    }
+
+    const user = await currentUser(socket);
+    const { serverId, stream } = authorizeChannel(user, channel);
+    socket.join(channel);
+    logger.info(`Client ${socket.id} subscribed to ${channel}`);
+
+    // Console subscribers start with the buffered output
+    if (stream === 'logs') {
+      socket.emit('serverLogReplay', {
+        serverId,
+        logs: await minecraft.getServerLogs(serverId, { limit: config.minecraft.consoleReplayLines || 200 })
+      });
+    }
+
+    // Stats subscribers start with the current usage
+    if (stream === 'stats') {
+      const usage = await getServerResourceUsage(serverId);
+      if (usage) socket.emit('serverStats', { serverId, ...usage });
+    }
+
+    return { channel };
+  });
+
+  handle(socket, 'unsubscribe', async (channel) => {
+    socket.leave(channel);
+    return { channel };
+  });
+
+  handle(socket, 'sendCommand', async (payload) => {
+    const serverId = requireServerId(payload);
+    const command = typeof payload.command === 'string' ? payload.command.trim() : '';
+    if (!command) {
+      throw new ValidationError([{ field: 'command', location: 'payload', message: 'Required' }]);
+    }
+
+    const user = await currentUser(socket);
+    if (!hasServerRole(user, serverId, 'moderator')) {
+      throw new ForbiddenError('This action requires the moderator role on the server');
+    }
+
+    logger.info(`${user.username} sent command to server ${serverId}: ${command}`);
+    const { status, message, statusCode, ...data } = await minecraft.sendCommand(serverId, command);
+    await recordAction({
+      user,
+      action: 'server.command',
+      target: `server:${serverId}`,
+      server: serverId,
+      source: 'socket',
+      success: status !== 'error',
+      error: status === 'error' ? message : undefined,
+      details: { body: { command } },
+      ip: socket.handshake.address
+    });
+    if (status === 'error') {
+      throw new AppError(message, statusCode || 500, statusCode === 409 ? 'CONFLICT' : 'OPERATION_FAILED');
+    }
+    return { message, ...data };
+  });
+
+  handle(socket, 'completeCommand', async (payload) => {
+    const serverId = requireServerId(payload);
+    const user = await currentUser(socket);
+    if (!hasServerRole(user, serverId, 'moderator')) {
+      throw new ForbiddenError('This action requires the moderator role on the server');
+    }
+
+    const players = getOnlinePlayers(serverId).map(player => player.username);
+    return completeCommand(payload.input, players);
+  });
+
+  socket.on('disconnect', () => {
+    clearTimeout(expiryTimer);
+    logger.info(`Client disconnected: ${socket.id}`);
+  });
+}
+
+/**
+ * Require authentication on the Socket.IO server and register event handlers
+ * @param {Object} io - Socket.IO instance
+ */
+function initializeSocket(io) {
+  io.use(authenticateSocket);
+  io.on('connection', handleConnection);
+}
+
+module.exports = {
+  initializeSocket
+};
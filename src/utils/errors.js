@@ -0,0 +1,66 @@
+// src/utils/errors.js
+
+/**
+ * Base class for errors that map to an HTTP response
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} [statusCode=500] - HTTP status code
+   * @param {string} [code='INTERNAL_ERROR'] - Machine-readable error code
+   * @param {*} [details] - Extra information for the client
+   */
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, details) {
+    super(message, 400, 'BAD_REQUEST', details);
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(details) {
+    super('Request validation failed', 422, 'VALIDATION_FAILED', details);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, 401, 'UNAUTHORIZED');
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action') {
+    super(message, 403, 'FORBIDDEN');
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found') {
+    super(message, 404, 'NOT_FOUND');
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, details) {
+    super(message, 409, 'CONFLICT', details);
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+};
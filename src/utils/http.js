@@ -0,0 +1,147 @@
+// src/utils/http.js
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { URL } = require('url');
+
+const DEFAULT_TIMEOUT = 30000;
+const MAX_REDIRECTS = 5;
+
+/**
+ * Error raised for non-2xx HTTP responses
+ */
+class HttpRequestError extends Error {
+  constructor(message, statusCode, url) {
+    super(message);
+    this.name = 'HttpRequestError';
+    this.statusCode = statusCode;
+    this.url = url;
+  }
+}
+
+/**
+ * Open a GET request, following redirects
+ * @param {string} url - Request URL
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} [options.timeout] - Socket timeout in ms
+ * @param {number} [redirects=0] - Redirects followed so far
+ * @returns {Promise<http.IncomingMessage>} Response stream
+ */
+function openRequest(url, options = {}, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const req = client.get(target, {
+      headers: {
+        'User-Agent': 'JTS-Minecraft-Server',
+        ...options.headers
+      },
+      timeout: options.timeout || DEFAULT_TIMEOUT
+    }, (res) => {
+      const { statusCode, headers } = res;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new HttpRequestError(`Too many redirects for ${url}`, statusCode, url));
+          return;
+        }
+        const next = new URL(headers.location, target).toString();
+        resolve(openRequest(next, options, redirects + 1));
+        return;
+      }
+
+      if (statusCode < 200 || statusCode >= 300) {
+        res.resume();
+        reject(new HttpRequestError(`Request to ${url} failed with status ${statusCode}`, statusCode, url));
+        return;
+      }
+
+      resolve(res);
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Request to ${url} timed out`));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Fetch a URL and return the body as a string
+ * @param {string} url - Request URL
+ * @param {Object} [options] - Request options
+ * @returns {Promise<string>} Response body
+ */
+async function getText(url, options = {}) {
+  const res = await openRequest(url, options);
+  res.setEncoding('utf8');
+
+  let body = '';
+  for await (const chunk of res) {
+    body += chunk;
+  }
+  return body;
+}
+
+/**
+ * Fetch a URL and parse the body as JSON
+ * @param {string} url - Request URL
+ * @param {Object} [options] - Request options
+ * @returns {Promise<*>} Parsed response
+ */
+async function getJson(url, options = {}) {
+  const body = await getText(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers }
+  });
+  return JSON.parse(body);
+}
+
+/**
+ * Download a URL to a file, hashing the content as it streams
+ * @param {string} url - Request URL
+ * @param {string} destination - File to write
+ * @param {Object} [options] - Download options
+ * @param {string} [options.algorithm='sha1'] - Hash algorithm to compute
+ * @param {Function} [options.onProgress] - Called with { received, total }
+ * @returns {Promise<Object>} Download result with size and hex digest
+ */
+async function downloadFile(url, destination, options = {}) {
+  const res = await openRequest(url, options);
+  const total = parseInt(res.headers['content-length'], 10) || null;
+  const hash = crypto.createHash(options.algorithm || 'sha1');
+  let received = 0;
+
+  await fs.ensureDir(path.dirname(destination));
+
+  await new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(destination);
+
+    res.on('data', (chunk) => {
+      received += chunk.length;
+      hash.update(chunk);
+      if (options.onProgress) {
+        options.onProgress({ received, total });
+      }
+    });
+
+    res.on('error', reject);
+    out.on('error', reject);
+    out.on('finish', resolve);
+    res.pipe(out);
+  });
+
+  return { size: received, digest: hash.digest('hex') };
+}
+
+module.exports = {
+  HttpRequestError,
+  getText,
+  getJson,
+  downloadFile
+};
@@ -0,0 +1,38 @@
+// src/utils/memory.js
+
+// Units accepted by the JVM's -Xms/-Xmx flags
+const UNITS = {
+  K: 1024,
+  M: 1024 ** 2,
+  G: 1024 ** 3
+};
+
+/**
+ * Convert a JVM memory size such as "2G" or "512M" to bytes
+ * @param {string} value - Memory size
+ * @returns {number|null} Size in bytes, or null if the value is not a memory size
+ */
+function parseMemory(value) {
+  const match = /^(\d+)([KMG])$/i.exec(String(value || '').trim());
+  if (!match) return null;
+  return Number(match[1]) * UNITS[match[2].toUpperCase()];
+}
+
+/**
+ * Format a size in bytes in the same units, e.g. 4G or 1.5G
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+function formatMemory(bytes) {
+  for (const unit of ['G', 'M', 'K']) {
+    if (bytes >= UNITS[unit]) {
+      return `${Number((bytes / UNITS[unit]).toFixed(1))}${unit}`;
+    }
+  }
+  return `${bytes}B`;
+}
+
+module.exports = {
+  parseMemory,
+  formatMemory
+};
@@ -0,0 +1,15 @@
+// src/utils/response.js
+
+/**
+ * Send a success envelope
+ * @param {Object} res - Express response
+ * @param {*} data - Response payload
+ * @param {number} [statusCode=200] - HTTP status code
+ */
+function send(res, data, statusCode = 200) {
+  res.status(statusCode).json({ status: 'success', data });
+}
+
+module.exports = {
+  send
+};
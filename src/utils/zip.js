@@ -0,0 +1,152 @@
+// src/utils/zip.js
+const fs = require('fs-extra');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { promisify } = require('util');
+const crc32 = require('buffer-crc32');
+const yauzl = require('yauzl');
+const { BadRequestError } = require('./errors');
+
+const openZip = promisify(yauzl.open);
+
+/**
+ * Open a zip archive for reading entries one at a time. The caller closes it.
+ * @param {string} archivePath - Archive path
+ * @returns {Promise<Object>} yauzl archive opened with lazyEntries
+ * @throws {BadRequestError} If the file is not a zip archive
+ */
+async function openArchive(archivePath) {
+  try {
+    return await openZip(archivePath, { lazyEntries: true, autoClose: false });
+  } catch (error) {
+    throw new BadRequestError(`Not a zip archive: ${error.message}`);
+  }
+}
+
+/**
+ * Check that an entry name stays inside the directory it is extracted to
+ * @param {string} name - Entry name
+ * @returns {boolean} Whether the name is unsafe
+ */
+function isUnsafePath(name) {
+  const normalized = name.replace(/\\/g, '/');
+  return path.posix.isAbsolute(normalized) || /^[A-Za-z]:/.test(normalized)
+    || normalized.split('/').includes('..');
+}
+
+/**
+ * Read the entry list of an archive, stopping as soon as it holds an unsafe
+ * path, too many entries or expands past the size limit
+ * @param {Object} zipFile - yauzl archive opened with lazyEntries
+ * @param {Object} [limits] - Extraction limits
+ * @param {number} [limits.maxEntries=Infinity] - Most entries allowed
+ * @param {number} [limits.maxSize=Infinity] - Most bytes the entries may expand to
+ * @returns {Promise<Array<Object>>} yauzl entries
+ * @throws {BadRequestError} If the archive is malformed, unsafe or too large
+ */
+function readZipEntries(zipFile, limits = {}) {
+  const { maxEntries = Infinity, maxSize = Infinity } = limits;
+
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    let totalSize = 0;
+
+    // The caller closes the archive, which stops further entry events
+    const fail = error => reject(error);
+
+    zipFile.on('entry', (entry) => {
+      entries.push(entry);
+      totalSize += entry.uncompressedSize;
+
+      if (isUnsafePath(entry.fileName)) {
+        fail(new BadRequestError(`The archive contains an unsafe path: ${entry.fileName}`));
+      } else if (entries.length > maxEntries) {
+        fail(new BadRequestError(`The archive holds more than ${maxEntries} entries`));
+      } else if (totalSize > maxSize) {
+        fail(new BadRequestError(`The archive expands to more than ${maxSize} bytes`));
+      } else {
+        zipFile.readEntry();
+      }
+    });
+    zipFile.on('end', () => resolve(entries));
+    // yauzl also rejects unsafe paths and entries larger than they claim
+    zipFile.on('error', error => fail(new BadRequestError(`Invalid zip archive: ${error.message}`)));
+
+    zipFile.readEntry();
+  });
+}
+
+/**
+ * Pass data through while computing its CRC-32, failing at the end when it
+ * does not match the checksum recorded in the archive
+ * @param {Object} entry - yauzl entry
+ * @returns {Transform} Checking stream
+ */
+function crcCheck(entry) {
+  let crc = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      crc = crc32.unsigned(chunk, crc);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      callback(crc === entry.crc32 ? null : new Error('CRC-32 mismatch'));
+    }
+  });
+}
+
+/**
+ * Extract archive entries one at a time, streaming each to disk
+ * @param {Object} zipFile - Open yauzl archive
+ * @param {Array<Object>} entries - Entries from readZipEntries
+ * @param {string} targetDir - Directory to extract into
+ * @throws {BadRequestError} If an entry cannot be read or is corrupt
+ */
+async function extractZipEntries(zipFile, entries, targetDir) {
+  const openReadStream = promisify(zipFile.openReadStream.bind(zipFile));
+
+  for (const entry of entries) {
+    const target = path.join(targetDir, ...entry.fileName.replace(/\\/g, '/').split('/'));
+
+    if (entry.fileName.endsWith('/')) {
+      await fs.ensureDir(target);
+      continue;
+    }
+
+    await fs.ensureDir(path.dirname(target));
+    try {
+      await pipeline(await openReadStream(entry), crcCheck(entry), fs.createWriteStream(target));
+    } catch (error) {
+      throw new BadRequestError(`Could not extract ${entry.fileName}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Extract a whole archive without holding it in memory
+ * @param {string} archivePath - Archive path
+ * @param {string} targetDir - Directory to extract into
+ * @param {Object} [limits] - Extraction limits, as for readZipEntries
+ * @returns {Promise<Array<Object>>} Extracted entries
+ * @throws {BadRequestError} If the archive is malformed, unsafe, corrupt or too large
+ */
+async function extractZip(archivePath, targetDir, limits) {
+  const zipFile = await openArchive(archivePath);
+  try {
+    const entries = await readZipEntries(zipFile, limits);
+    await fs.ensureDir(targetDir);
+    await extractZipEntries(zipFile, entries, targetDir);
+    return entries;
+  } finally {
+    zipFile.close();
+  }
+}
+
+module.exports = {
+  openArchive,
+  isUnsafePath,
+  readZipEntries,
+  extractZipEntries,
+  extractZip
+};
@@ -0,0 +1,142 @@
+// tests/middleware/auth.test.js
+jest.mock('../../src/config', () => ({
+  getConfig: () => ({ jwt: { secret: 'test-secret' } })
+}), { virtual: true });
+jest.mock('../../src/models', () => ({ User: {} }), { virtual: true });
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const {
+  hasServerRole,
+  requireRole,
+  requireRoleForFields,
+  requireServerRole
+} = require('../../src/middleware/auth');
+const { ForbiddenError } = require('../../src/utils/errors');
+
+const SERVER_ID = '0123456789abcdef01234567';
+const OTHER_ID = '89abcdef0123456789abcdef';
+
+const user = (role, servers = {}) => ({
+  role,
+  permissions: { servers: new Map(Object.entries(servers)) }
+});
+
+/**
+ * Run a middleware and return what it passed to next
+ * @param {Function} middleware - Express middleware
+ * @param {Object} req - Request
+ * @returns {Promise<*>} Argument given to next, undefined when allowed
+ */
+function run(middleware, req) {
+  return new Promise((resolve) => {
+    middleware(req, {}, resolve);
+  });
+}
+
+describe('hasServerRole', () => {
+  test('grants a role and every role below it', () => {
+    const moderator = user('user', { [SERVER_ID]: 'moderator' });
+
+    expect(hasServerRole(moderator, SERVER_ID, 'viewer')).toBe(true);
+    expect(hasServerRole(moderator, SERVER_ID, 'moderator')).toBe(true);
+    expect(hasServerRole(moderator, SERVER_ID, 'admin')).toBe(false);
+    expect(hasServerRole(moderator, SERVER_ID, 'owner')).toBe(false);
+  });
+
+  test('keeps roles to the server they were granted on', () => {
+    const owner = user('user', { [SERVER_ID]: 'owner' });
+
+    expect(hasServerRole(owner, OTHER_ID, 'viewer')).toBe(false);
+  });
+
+  test('gives global administrators every role on every server', () => {
+    expect(hasServerRole(user('admin'), OTHER_ID, 'owner')).toBe(true);
+  });
+
+  test('denies users without permissions and missing users', () => {
+    expect(hasServerRole({ role: 'user' }, SERVER_ID, 'viewer')).toBe(false);
+    expect(hasServerRole(null, SERVER_ID, 'viewer')).toBe(false);
+  });
+
+  test('accepts server IDs that are not strings', () => {
+    const viewer = user('user', { [SERVER_ID]: 'viewer' });
+    const objectId = { toString: () => SERVER_ID };
+
+    expect(hasServerRole(viewer, objectId, 'viewer')).toBe(true);
+  });
+});
+
+describe('requireRole', () => {
+  test('lets listed global roles through', async () => {
+    expect(await run(requireRole('admin', 'moderator'), { user: user('moderator') })).toBeUndefined();
+  });
+
+  test('rejects other roles and anonymous requests', async () => {
+    expect(await run(requireRole('admin'), { user: user('user') })).toBeInstanceOf(ForbiddenError);
+    expect(await run(requireRole('admin'), {})).toBeInstanceOf(ForbiddenError);
+  });
+});
+
+describe('requireServerRole', () => {
+  test('checks the role on the server in the route', async () => {
+    const req = { user: user('user', { [SERVER_ID]: 'admin' }), params: { id: SERVER_ID } };
+
+    expect(await run(requireServerRole('admin'), req)).toBeUndefined();
+
+    const error = await run(requireServerRole('owner'), req);
+    expect(error).toBeInstanceOf(ForbiddenError);
+    expect(error.message).toBe('This action requires the owner role on the server');
+  });
+
+  test('resolves the server through a custom resolver', async () => {
+    const resolve = jest.fn(async req => req.body.serverId);
+    const req = { user: user('user', { [SERVER_ID]: 'viewer' }), params: {}, body: { serverId: SERVER_ID } };
+
+    expect(await run(requireServerRole('viewer', resolve), req)).toBeUndefined();
+    expect(resolve).toHaveBeenCalledWith(req);
+  });
+
+  test('rejects requests that name no server', async () => {
+    const req = { user: user('admin'), params: {} };
+
+    expect(await run(requireServerRole('viewer'), req)).toBeInstanceOf(ForbiddenError);
+  });
+
+  test('passes resolver failures on', async () => {
+    const failure = new Error('lookup failed');
+    const resolve = async () => { throw failure; };
+
+    expect(await run(requireServerRole('viewer', resolve), { user: user('admin') })).toBe(failure);
+  });
+});
+
+describe('requireRoleForFields', () => {
+  const hostSettings = requireRoleForFields(['jvmFlags', 'javaPath'], 'admin');
+
+  test('rejects restricted fields from other roles, naming the field', async () => {
+    const req = { user: user('user', { [SERVER_ID]: 'owner' }), body: { memory: { max: '2G' }, javaPath: '/bin/sh' } };
+
+    const error = await run(hostSettings, req);
+    expect(error).toBeInstanceOf(ForbiddenError);
+    expect(error.message).toBe('Only global administrators can set javaPath');
+  });
+
+  test('treats an empty value as setting the field', async () => {
+    const req = { user: user('user'), body: { jvmFlags: [] } };
+
+    expect(await run(hostSettings, req)).toBeInstanceOf(ForbiddenError);
+  });
+
+  test('lets the allowed roles set them', async () => {
+    const req = { user: user('admin'), body: { jvmFlags: ['-XX:+UseG1GC'], javaPath: '/usr/bin/java' } };
+
+    expect(await run(hostSettings, req)).toBeUndefined();
+  });
+
+  test('ignores requests that do not touch them', async () => {
+    expect(await run(hostSettings, { user: user('user'), body: { motd: 'Hello' } })).toBeUndefined();
+    expect(await run(hostSettings, { user: user('user') })).toBeUndefined();
+  });
+});
@@ -0,0 +1,129 @@
+// tests/services/auth/index.test.js
+jest.mock('../../../src/config', () => ({
+  getConfig: () => ({ jwt: { secret: 'test-secret' } })
+}), { virtual: true });
+jest.mock('../../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// In-memory stand-in for the User model with its unique indexes
+jest.mock('../../../src/models', () => {
+  const UNIQUE = ['username', 'email', 'bootstrapAdmin'];
+  let nextId = 1;
+
+  class User {
+    constructor(fields) {
+      const id = String(nextId++).padStart(24, '0');
+      Object.assign(this, { _id: { toString: () => id }, role: 'user', tokenVersion: 0 }, fields);
+      this.email = this.email.toLowerCase();
+    }
+
+    async save() {
+      // Yield like a database round trip so concurrent saves interleave
+      await new Promise(resolve => setImmediate(resolve));
+      const field = UNIQUE.find(name => this[name] !== undefined
+        && User.records.some(other => other !== this && other[name] === this[name]));
+      if (field) {
+        throw Object.assign(new Error(`E11000 duplicate key ${field}`), { code: 11000, keyPattern: { [field]: 1 } });
+      }
+      if (!User.records.includes(this)) User.records.push(this);
+      return this;
+    }
+
+    async comparePassword(password) {
+      return password === this.password;
+    }
+
+    static async estimatedDocumentCount() {
+      return User.records.length;
+    }
+
+    static async findOne({ $or }) {
+      return User.records.find(user => $or.some(query => Object.entries(query)
+        .every(([key, value]) => user[key] === value))) || null;
+    }
+
+    static async findById(id) {
+      return User.records.find(user => user._id.toString() === String(id)) || null;
+    }
+  }
+  User.records = [];
+
+  return { User };
+}, { virtual: true });
+
+const auth = require('../../../src/services/auth');
+const { authenticate } = require('../../../src/middleware/auth');
+const { User } = require('../../../src/models');
+const { ConflictError, UnauthorizedError } = require('../../../src/utils/errors');
+
+const account = name => ({ username: name, email: `${name}@example.com`, password: 'correct horse' });
+
+/**
+ * Run the access token middleware against a bearer token
+ * @param {string} token - Access token
+ * @returns {Promise<*>} Argument given to next, undefined when allowed
+ */
+function authenticateWith(token) {
+  return new Promise((resolve) => {
+    authenticate({ headers: { authorization: `Bearer ${token}` } }, {}, resolve);
+  });
+}
+
+beforeEach(() => {
+  User.records.length = 0;
+});
+
+describe('register', () => {
+  test('makes the first account the administrator and later ones users', async () => {
+    const first = await auth.register(account('alice'));
+    const second = await auth.register(account('bob'));
+
+    expect(first.user.role).toBe('admin');
+    expect(second.user.role).toBe('user');
+    expect(first.accessToken).toEqual(expect.any(String));
+  });
+
+  test('gives concurrent first registrations a single administrator', async () => {
+    const results = await Promise.all(['alice', 'bob', 'carol'].map(name => auth.register(account(name))));
+
+    expect(results.map(result => result.user.role).sort()).toEqual(['admin', 'user', 'user']);
+    expect(User.records).toHaveLength(3);
+  });
+
+  test('rejects a taken username or email', async () => {
+    await auth.register(account('alice'));
+
+    await expect(auth.register(account('alice'))).rejects.toBeInstanceOf(ConflictError);
+    await expect(auth.register({ ...account('bob'), email: 'ALICE@example.com' })).rejects.toBeInstanceOf(ConflictError);
+  });
+
+  test('turns a lost race for a username into a conflict', async () => {
+    const results = await Promise.allSettled([auth.register(account('alice')), auth.register(account('alice'))]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason).toBeInstanceOf(ConflictError);
+  });
+});
+
+describe('logout', () => {
+  test('revokes access and refresh tokens issued before it', async () => {
+    const { user, accessToken, refreshToken } = await auth.register(account('alice'));
+    expect(await authenticateWith(accessToken)).toBeUndefined();
+
+    await auth.logout(user);
+
+    expect(await authenticateWith(accessToken)).toBeInstanceOf(UnauthorizedError);
+    await expect(auth.refresh(refreshToken)).rejects.toThrow('Refresh token has been revoked');
+
+    const renewed = await auth.login(user);
+    expect(await authenticateWith(renewed.accessToken)).toBeUndefined();
+  });
+
+  test('does not accept a refresh token as an access token', async () => {
+    const { refreshToken } = await auth.register(account('alice'));
+
+    expect(await authenticateWith(refreshToken)).toBeInstanceOf(UnauthorizedError);
+    expect(() => auth.verifyAccessToken(refreshToken)).toThrow(UnauthorizedError);
+  });
+});
@@ -0,0 +1,104 @@
+// tests/services/backup/retention.test.js
+const { DEFAULT_POLICY, applyRetention } = require('../../../src/services/backup/retention');
+
+const NOW = new Date('2024-01-31T12:00:00Z');
+const NONE = { keepLast: 0, hourly: 0, daily: 0, weekly: 0, monthly: 0 };
+
+const backup = (iso, extra = {}) => ({ _id: iso, createdAt: new Date(iso), ...extra });
+const ids = list => list.map(item => item._id);
+
+/**
+ * Backups at a fixed interval going back from a start time
+ * @param {string} startIso - Newest backup
+ * @param {number} count - Number of backups
+ * @param {number} stepMs - Interval
+ * @returns {Array<Object>} Backups, newest first
+ */
+function series(startIso, count, stepMs) {
+  const start = new Date(startIso).getTime();
+  return Array.from({ length: count }, (v, i) => backup(new Date(start - i * stepMs).toISOString()));
+}
+
+describe('applyRetention', () => {
+  test('keeps the newest backup of each hour inside the window', () => {
+    const backups = series('2024-01-31T11:45:00.000Z', 12, 15 * 60 * 1000);
+    const { keep, remove } = applyRetention(backups, { ...NONE, hourly: 24 }, NOW);
+
+    expect(ids(keep)).toEqual([
+      '2024-01-31T11:45:00.000Z',
+      '2024-01-31T10:45:00.000Z',
+      '2024-01-31T09:45:00.000Z'
+    ]);
+    expect(remove).toHaveLength(9);
+  });
+
+  test('measures the window back from the reference time', () => {
+    // Three hours back from 12:00 ends at 09:00, which is already outside
+    const backups = series('2024-01-31T11:00:00.000Z', 6, 60 * 60 * 1000);
+    const { keep } = applyRetention(backups, { ...NONE, hourly: 3 }, NOW);
+
+    expect(ids(keep)).toEqual(['2024-01-31T11:00:00.000Z', '2024-01-31T10:00:00.000Z']);
+  });
+
+  test('uses UTC calendar days and ISO weeks starting on Monday', () => {
+    const backups = [
+      backup('2024-01-30T23:00:00.000Z'), // Tuesday
+      backup('2024-01-30T01:00:00.000Z'),
+      backup('2024-01-29T00:30:00.000Z'), // Monday
+      backup('2024-01-28T23:30:00.000Z'), // Sunday, previous week
+      backup('2024-01-22T08:00:00.000Z'), // Monday
+      backup('2024-01-15T08:00:00.000Z')
+    ];
+
+    expect(ids(applyRetention(backups, { ...NONE, daily: 3 }, NOW).keep)).toEqual([
+      '2024-01-30T23:00:00.000Z',
+      '2024-01-29T00:30:00.000Z',
+      '2024-01-28T23:30:00.000Z'
+    ]);
+    expect(ids(applyRetention(backups, { ...NONE, weekly: 2 }, NOW).keep)).toEqual([
+      '2024-01-30T23:00:00.000Z',
+      '2024-01-28T23:30:00.000Z'
+    ]);
+  });
+
+  test('combines the grandfather, father and son periods', () => {
+    // One backup every six hours for 90 days
+    const backups = series('2024-01-31T06:00:00.000Z', 4 * 90, 6 * 60 * 60 * 1000);
+    const { keep, remove } = applyRetention(backups, { keepLast: 1, hourly: 24, daily: 7, weekly: 4, monthly: 3 }, NOW);
+
+    const keptIds = new Set(ids(keep));
+    // Hourly: the three backups of the last 24 hours
+    expect(ids(backups.slice(0, 3)).every(id => keptIds.has(id))).toBe(true);
+    // Daily: the newest backup of each of the last seven days
+    for (const day of ['2024-01-25', '2024-01-26', '2024-01-27', '2024-01-28', '2024-01-29', '2024-01-30']) {
+      expect(keptIds.has(`${day}T18:00:00.000Z`)).toBe(true);
+    }
+    // Monthly: the newest backup of December and November
+    expect(keptIds.has('2023-12-31T18:00:00.000Z')).toBe(true);
+    expect(keptIds.has('2023-11-30T18:00:00.000Z')).toBe(true);
+    expect(keptIds.has('2023-11-30T12:00:00.000Z')).toBe(false);
+
+    expect(keep.length + remove.length).toBe(backups.length);
+    expect(keep.length).toBeLessThan(30);
+  });
+
+  test('always keeps the newest backups and pinned ones', () => {
+    const backups = [
+      backup('2023-01-01T00:00:00.000Z', { pinned: true }),
+      backup('2023-06-01T00:00:00.000Z'),
+      backup('2023-07-01T00:00:00.000Z'),
+      backup('2023-08-01T00:00:00.000Z')
+    ];
+    const { keep, remove } = applyRetention(backups, { ...NONE, keepLast: 2 }, NOW);
+
+    expect(ids(keep)).toEqual(['2023-08-01T00:00:00.000Z', '2023-07-01T00:00:00.000Z', '2023-01-01T00:00:00.000Z']);
+    expect(ids(remove)).toEqual(['2023-06-01T00:00:00.000Z']);
+  });
+
+  test('falls back to the default policy', () => {
+    expect(DEFAULT_POLICY).toEqual({ keepLast: 1, hourly: 24, daily: 14, weekly: 13, monthly: 0 });
+
+    const backups = series('2024-01-31T11:00:00.000Z', 2, 30 * 60 * 1000);
+    expect(ids(applyRetention(backups, undefined, NOW).keep)).toEqual(['2024-01-31T11:00:00.000Z', '2024-01-31T10:30:00.000Z']);
+  });
+});
@@ -0,0 +1,166 @@
+// tests/services/minecraft/addons.test.js
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const archiver = require('archiver');
+
+jest.mock('../../../src/config', () => ({
+  getConfig: () => ({ jwt: { secret: 'test-secret' }, minecraft: { addonMaxSize: 4096 } })
+}), { virtual: true });
+jest.mock('../../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../../../src/models', () => ({ MinecraftServer: { findById: jest.fn() }, User: {} }), { virtual: true });
+jest.mock('../../../src/services/minecraft/minecraft', () => ({ isServerRunning: () => false }));
+jest.mock('../../../src/middleware/audit', () => ({ audit: () => (req, res, next) => next() }));
+
+const { installAddon } = require('../../../src/services/minecraft/addons');
+const addonRoutes = require('../../../src/routes/v1/addons');
+const { MinecraftServer } = require('../../../src/models');
+const { AppError, BadRequestError } = require('../../../src/utils/errors');
+
+const SERVER_ID = '0123456789abcdef01234567';
+
+let tmp;
+let server;
+
+/**
+ * Write a zip file with the given entries
+ * @param {string} file - Output path
+ * @param {Object} entries - Contents by entry name
+ * @returns {Promise<string>} The path
+ */
+function writeZip(file, entries) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(file);
+    const archive = archiver('zip');
+    output.on('close', () => resolve(file));
+    archive.on('error', reject);
+    archive.pipe(output);
+    for (const [name, content] of Object.entries(entries)) archive.append(content, { name });
+    archive.finalize();
+  });
+}
+
+/**
+ * Write a Bukkit plugin jar to stand in for a multer upload
+ * @param {string} originalname - Name the client gave the file
+ * @returns {Promise<Object>} Upload with path and originalname
+ */
+async function uploadPlugin(originalname) {
+  const file = path.join(tmp, `upload-${Date.now()}-${Math.random().toString(16).slice(2)}`);
+  await writeZip(file, { 'plugin.yml': 'name: Greeter\nversion: 1.0.0\nmain: example.Greeter\n' });
+  return { path: file, originalname };
+}
+
+/**
+ * Stand-in for a paper server document
+ * @param {string} dir - Server directory
+ * @returns {Object} Server
+ */
+function makeServer(dir) {
+  const doc = {
+    _id: SERVER_ID,
+    name: 'Test',
+    type: 'paper',
+    path: dir,
+    plugins: [],
+    set(kind, entries) {
+      this[kind] = entries.map(entry => ({ ...entry, toObject: () => ({ ...entry }) }));
+    },
+    isModified: () => true,
+    save: async () => doc
+  };
+  return doc;
+}
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'addons-test-'));
+  server = makeServer(path.join(tmp, 'server'));
+  MinecraftServer.findById.mockResolvedValue(server);
+});
+
+afterEach(async () => {
+  await fs.remove(tmp);
+});
+
+describe('installAddon', () => {
+  test('installs an upload under its own file name inside the plugins directory', async () => {
+    const upload = await uploadPlugin('../../../outside/Greeter.jar');
+
+    const result = await installAddon(SERVER_ID, 'plugins', upload);
+
+    expect(result.addon).toMatchObject({ file: 'Greeter.jar', enabled: true });
+    expect(await fs.readdir(path.join(server.path, 'plugins'))).toEqual(['Greeter.jar']);
+    expect(await fs.pathExists(path.join(tmp, 'outside'))).toBe(false);
+    expect(await fs.pathExists(upload.path)).toBe(false);
+  });
+
+  test('replaces characters outside the allowed set in the file name', async () => {
+    const result = await installAddon(SERVER_ID, 'plugins', await uploadPlugin('Greeter v1;rm -rf.jar'));
+
+    expect(result.addon.file).toBe('Greeter_v1_rm_-rf.jar');
+  });
+
+  test('rejects files that are not jars and removes the upload', async () => {
+    const upload = await uploadPlugin('Greeter.zip');
+
+    await expect(installAddon(SERVER_ID, 'plugins', upload)).rejects.toThrow('Only .jar files can be installed');
+    expect(await fs.pathExists(upload.path)).toBe(false);
+    expect(await fs.pathExists(path.join(server.path, 'plugins'))).toBe(false);
+  });
+
+  test('rejects jars without a descriptor and archives that are not zips', async () => {
+    const empty = { path: await writeZip(path.join(tmp, 'empty'), { 'README.txt': 'hi' }), originalname: 'Empty.jar' };
+    const garbage = { path: path.join(tmp, 'garbage'), originalname: 'Garbage.jar' };
+    await fs.writeFile(garbage.path, 'not a zip');
+
+    await expect(installAddon(SERVER_ID, 'plugins', empty)).rejects.toBeInstanceOf(BadRequestError);
+    await expect(installAddon(SERVER_ID, 'plugins', garbage)).rejects.toThrow('Not a valid plugin or mod jar');
+  });
+
+  test('rejects mods on a plugin server', async () => {
+    await expect(installAddon(SERVER_ID, 'mods', await uploadPlugin('Greeter.jar')))
+      .rejects.toThrow('paper servers load plugins, not mods');
+  });
+});
+
+describe('POST /servers/:id/plugins', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use((req, res, next) => {
+      req.user = { role: 'admin' };
+      next();
+    });
+    app.use('/servers/:id/:kind(plugins|mods)', addonRoutes);
+    app.use((err, req, res, next) => {
+      res.status(err instanceof AppError ? err.statusCode : 500).json({ status: 'error', message: err.message });
+    });
+  });
+
+  test('rejects uploads larger than MC_ADDON_MAX_SIZE', async () => {
+    const response = await request(app)
+      .post(`/servers/${SERVER_ID}/plugins`)
+      .attach('file', Buffer.alloc(8192), 'Big.jar');
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('File too large');
+    expect(MinecraftServer.findById).not.toHaveBeenCalled();
+  });
+
+  test('installs uploads within the limit', async () => {
+    const upload = await uploadPlugin('Greeter.jar');
+
+    const response = await request(app)
+      .post(`/servers/${SERVER_ID}/plugins`)
+      .attach('file', upload.path, 'Greeter.jar');
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.addon.file).toBe('Greeter.jar');
+  });
+});
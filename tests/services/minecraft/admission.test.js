@@ -0,0 +1,237 @@
+// tests/services/minecraft/admission.test.js
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../src/config', () => ({
+  getConfig: () => ({
+    minecraft: {
+      serversDir: require('os').tmpdir(),
+      memoryBudget: '4G',
+      memoryQueueTimeout: 200,
+      stopTimeout: 1000
+    }
+  })
+}), { virtual: true });
+jest.mock('../../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../../../src/models', () => ({
+  MinecraftServer: { findById: jest.fn(), find: jest.fn() },
+  ServerBackup: {},
+  ServerCrash: {}
+}), { virtual: true });
+jest.mock('../../../src/services/monitor', () => ({ getServerResourceUsage: jest.fn() }));
+jest.mock('../../../src/services/backup/snapshots', () => ({}));
+jest.mock('../../../src/services/minecraft/downloader', () => ({}));
+jest.mock('../../../src/services/minecraft/rcon', () => ({}));
+jest.mock('../../../src/services/minecraft/ping', () => ({ pingServer: jest.fn(async () => null) }));
+jest.mock('../../../src/services/minecraft/ports', () => ({
+  PORT_RANGE: { min: 25565, max: 25665 },
+  isPortAvailable: jest.fn(async () => true),
+  findBoundPorts: jest.fn(async () => [])
+}));
+jest.mock('../../../src/services/minecraft/java', () => ({ selectJavaRuntime: jest.fn() }));
+jest.mock('../../../src/services/minecraft/console', () => ({
+  runtimeDirFor: jest.fn(),
+  isRecordedProcessAlive: jest.fn(async () => false),
+  readRuntimeState: jest.fn(),
+  readExitStatus: jest.fn(),
+  attachConsole: jest.fn(),
+  launchSupervised: jest.fn()
+}));
+
+let minecraft;
+let servers;
+let launched;
+let tmp;
+
+/**
+ * Stand-in for a supervised server process that exits when told to stop
+ * @param {string} serverId - Server ID
+ * @returns {EventEmitter} Process
+ */
+function fakeProcess(serverId) {
+  const process = new EventEmitter();
+  process.serverId = serverId;
+  process.pid = 1000 + launched.length;
+  process.supervisorPid = 2000 + launched.length;
+  process.startedAt = Date.now();
+  process.stdout = new EventEmitter();
+  process.stderr = new EventEmitter();
+  process.stdin = {
+    write: (data) => {
+      if (data === 'stop\n') setImmediate(() => process.emit('close', 0, null));
+    }
+  };
+  process.markStopRequested = () => {};
+  process.kill = () => setImmediate(() => process.emit('close', null, 'SIGKILL'));
+  return process;
+}
+
+/**
+ * Add a server document with a jar and the given maximum memory
+ * @param {string} serverId - Server ID
+ * @param {string} max - memory.max
+ * @returns {Promise<Object>} Server
+ */
+async function addServer(serverId, max) {
+  const server = {
+    _id: serverId,
+    name: `server-${serverId.slice(-1)}`,
+    path: path.join(tmp, serverId),
+    jarFile: 'server.jar',
+    port: 25565,
+    memory: { min: '512M', max },
+    pendingProperties: {},
+    set(key, value) {
+      this[key] = value;
+    },
+    save: jest.fn(async () => server)
+  };
+  await fs.outputFile(path.join(server.path, 'server.jar'), '');
+  servers[serverId] = server;
+  return server;
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true when done
+ */
+async function waitFor(condition) {
+  const deadline = Date.now() + 2000;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const A = '00000000000000000000000a';
+const B = '00000000000000000000000b';
+const C = '00000000000000000000000c';
+
+beforeEach(async () => {
+  // Each test gets a manager with nothing running or queued
+  jest.resetModules();
+  minecraft = require('../../../src/services/minecraft/minecraft');
+  const { MinecraftServer } = require('../../../src/models');
+  const { selectJavaRuntime } = require('../../../src/services/minecraft/java');
+  const { launchSupervised } = require('../../../src/services/minecraft/console');
+
+  servers = {};
+  launched = [];
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'admission-test-'));
+
+  MinecraftServer.findById.mockImplementation(async id => servers[id] || null);
+  MinecraftServer.find.mockImplementation(() => Object.assign(Promise.resolve([]), { sort: async () => [] }));
+  selectJavaRuntime.mockResolvedValue({ runtime: { path: 'java' }, warnings: [] });
+  launchSupervised.mockImplementation(async (serverId) => {
+    await new Promise(resolve => setImmediate(resolve));
+    const process = fakeProcess(serverId);
+    launched.push(process);
+    return process;
+  });
+});
+
+afterEach(async () => {
+  await minecraft.stopAllServers();
+  await fs.remove(tmp);
+});
+
+describe('startServer', () => {
+  test('launches one process for concurrent starts of the same server', async () => {
+    await addServer(A, '1G');
+
+    const results = await Promise.all([minecraft.startServer(A), minecraft.startServer(A)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['error', 'success']);
+    expect(results.find(result => result.status === 'error')).toMatchObject({
+      message: 'Server is already running', statusCode: 409
+    });
+    expect(launched).toHaveLength(1);
+  });
+
+  test('releases the claim when a start fails before launch', async () => {
+    await addServer(A, '1G');
+    const { selectJavaRuntime } = require('../../../src/services/minecraft/java');
+    selectJavaRuntime.mockRejectedValueOnce(new Error('No Java runtime can run this version'));
+
+    expect(await minecraft.startServer(A)).toMatchObject({ status: 'error', message: 'No Java runtime can run this version' });
+    expect(await minecraft.startServer(A)).toMatchObject({ status: 'success' });
+  });
+
+  test('refuses a start that would overcommit the budget, naming what is committed', async () => {
+    await addServer(A, '3G');
+    await addServer(B, '2G');
+    await minecraft.startServer(A);
+
+    const result = await minecraft.startServer(B, null, { queue: false });
+
+    expect(result.status).toBe('error');
+    expect(result.statusCode).toBe(409);
+    expect(result.message).toBe('server-b needs 2G but only 1G of the 4G memory budget is free (committed: server-a 3G)');
+    expect(launched).toHaveLength(1);
+  });
+
+  test('refuses a server larger than the whole budget even when queueing', async () => {
+    await addServer(A, '5G');
+
+    expect(await minecraft.startServer(A, null, { queue: true })).toMatchObject({ status: 'error', statusCode: 409 });
+  });
+});
+
+describe('start queue', () => {
+  test('starts a queued server once memory is freed', async () => {
+    await addServer(A, '3G');
+    await addServer(B, '2G');
+    await minecraft.startServer(A);
+
+    expect(await minecraft.startServer(B, null, { queue: true })).toMatchObject({ status: 'queued', position: 1 });
+    expect(await minecraft.startServer(B, null, { queue: true })).toMatchObject({ status: 'queued', message: 'Start is already queued' });
+
+    await minecraft.stopServer(A);
+    await waitFor(() => minecraft.isServerRunning(B));
+
+    expect(launched.map(process => process.serverId)).toEqual([A, B]);
+  });
+
+  test('keeps later starts behind queued ones even when they fit', async () => {
+    await addServer(A, '3G');
+    await addServer(B, '2G');
+    await addServer(C, '1G');
+    await minecraft.startServer(A);
+    await minecraft.startServer(B, null, { queue: true });
+
+    expect(await minecraft.startServer(C, null, { queue: true })).toMatchObject({ status: 'queued', position: 2 });
+
+    await minecraft.stopServer(A);
+    await waitFor(() => minecraft.isServerRunning(B) && minecraft.isServerRunning(C));
+    expect(launched.map(process => process.serverId)).toEqual([A, B, C]);
+  });
+
+  test('cancels a queued start when the server is stopped', async () => {
+    await addServer(A, '3G');
+    await addServer(B, '2G');
+    await minecraft.startServer(A);
+    await minecraft.startServer(B, null, { queue: true });
+
+    expect(await minecraft.stopServer(B)).toMatchObject({ status: 'success', message: 'Queued start cancelled' });
+
+    await minecraft.stopServer(A);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(minecraft.isServerRunning(B)).toBe(false);
+  });
+
+  test('drops a queued start after MC_MEMORY_QUEUE_TIMEOUT without anything draining the queue', async () => {
+    await addServer(A, '3G');
+    await addServer(B, '2G');
+    await minecraft.startServer(A);
+    await minecraft.startServer(B, null, { queue: true });
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    expect((await minecraft.getMemoryCapacity()).queue).toEqual([]);
+    expect(await minecraft.stopServer(B)).toMatchObject({ status: 'error', message: 'Server is not running' });
+  });
+});
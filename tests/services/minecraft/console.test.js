@@ -0,0 +1,128 @@
+// tests/services/minecraft/console.test.js
+const fs = require('fs-extra');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const mockRuntimeDir = path.join(os.tmpdir(), `console-test-${process.pid}`);
+
+jest.mock('../../../src/config', () => ({
+  getConfig: () => ({ minecraft: { serversDir: mockRuntimeDir, runtimeDir: mockRuntimeDir } })
+}), { virtual: true });
+
+const {
+  attachConsole,
+  isRecordedProcessAlive,
+  launchSupervised,
+  runtimeDirFor
+} = require('../../../src/services/minecraft/console');
+const { ConflictError } = require('../../../src/utils/errors');
+
+let servers;
+
+/**
+ * Listen on a server's console socket and greet connections
+ * @param {string} serverId - Server ID
+ * @param {Function} greet - Called with each connected socket
+ * @returns {Promise<net.Server>} Listening server
+ */
+async function listen(serverId, greet) {
+  const socketPath = path.join(runtimeDirFor(serverId), 'console.sock');
+  await fs.ensureDir(path.dirname(socketPath));
+  const server = net.createServer((socket) => {
+    socket.on('error', () => {});
+    greet(socket);
+  });
+  servers.push(server);
+  await new Promise(resolve => server.listen(socketPath, resolve));
+  return server;
+}
+
+const hello = pid => `${JSON.stringify({ type: 'hello', pid, startedAt: Date.now(), replay: [] })}\n`;
+
+/**
+ * Collect a stream's data events
+ * @param {EventEmitter} stream - Stream
+ * @returns {Array<string>} Chunks, filled as they arrive
+ */
+function collect(stream) {
+  const chunks = [];
+  stream.on('data', data => chunks.push(data.toString()));
+  return chunks;
+}
+
+beforeEach(async () => {
+  servers = [];
+  await fs.remove(mockRuntimeDir);
+});
+
+afterEach(async () => {
+  for (const server of servers) server.close();
+  await fs.remove(mockRuntimeDir);
+});
+
+describe('attachConsole', () => {
+  test('connects to a supervisor and skips malformed lines', async () => {
+    await listen('ok', (socket) => {
+      socket.write(hello(4242));
+      setTimeout(() => {
+        socket.write('{not json\n');
+        socket.write(`${JSON.stringify({ type: 'stdout', data: 'Done (3.2s)!\n' })}\n`);
+      }, 20);
+    });
+
+    const connection = await attachConsole('ok', 2000);
+    const output = collect(connection.stdout);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(connection.pid).toBe(4242);
+    expect(output).toEqual(['Done (3.2s)!\n']);
+    connection.detach();
+  });
+
+  test('rejects a greeting that is not a supervisor hello', async () => {
+    await listen('garbage', socket => socket.write('HTTP/1.1 400 Bad Request\n'));
+
+    await expect(attachConsole('garbage', 500)).rejects.toThrow('Unexpected greeting from the supervisor');
+  });
+
+  test('gives up when nothing greets the connection', async () => {
+    await listen('silent', () => {});
+
+    const started = Date.now();
+    await expect(attachConsole('silent', 1000)).rejects.toThrow('Timed out waiting for the supervisor');
+    expect(Date.now() - started).toBeLessThan(5000);
+  });
+});
+
+describe('launchSupervised', () => {
+  test('refuses to clear the runtime directory of a live supervisor', async () => {
+    const runtimeDir = runtimeDirFor('live');
+    await fs.outputJson(path.join(runtimeDir, 'state.json'), {
+      supervisorPid: process.pid,
+      pid: process.pid,
+      startedAt: Date.now() - process.uptime() * 1000
+    });
+
+    await expect(launchSupervised('live', 'java', [], os.tmpdir())).rejects.toBeInstanceOf(ConflictError);
+    expect(await fs.pathExists(path.join(runtimeDir, 'state.json'))).toBe(true);
+  });
+});
+
+describe('isRecordedProcessAlive', () => {
+  const startedAt = Date.now() - process.uptime() * 1000;
+
+  test('accepts a live process started when recorded', async () => {
+    expect(await isRecordedProcessAlive(process.pid, startedAt)).toBe(true);
+    expect(await isRecordedProcessAlive(process.pid, new Date(startedAt))).toBe(true);
+  });
+
+  test('rejects a live PID that belongs to a process started at another time', async () => {
+    expect(await isRecordedProcessAlive(process.pid, startedAt - 60 * 60 * 1000)).toBe(false);
+  });
+
+  test('rejects PIDs without a process', async () => {
+    expect(await isRecordedProcessAlive(2 ** 22 + 1, startedAt)).toBe(false);
+    expect(await isRecordedProcessAlive(undefined, startedAt)).toBe(false);
+  });
+});
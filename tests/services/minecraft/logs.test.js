@@ -0,0 +1,179 @@
+// tests/services/minecraft/logs.test.js
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  parseLogLine,
+  createLineFramer,
+  toLogEntry,
+  searchLogFiles
+} = require('../../../src/services/minecraft/logs');
+
+describe('parseLogLine', () => {
+  test('reads the vanilla, Paper, Fabric and Forge header formats', () => {
+    expect(parseLogLine('[12:34:56] [Server thread/INFO]: Done (3.2s)!')).toMatchObject({
+      time: '12:34:56', thread: 'Server thread', level: 'INFO', source: null, message: 'Done (3.2s)!'
+    });
+    expect(parseLogLine('[12:34:56 WARN]: Can\'t keep up!')).toMatchObject({
+      time: '12:34:56', thread: null, level: 'WARN', message: 'Can\'t keep up!'
+    });
+    expect(parseLogLine('[12:34:56] [main/INFO] (FabricLoader) Loading 42 mods')).toMatchObject({
+      level: 'INFO', source: 'FabricLoader', message: 'Loading 42 mods'
+    });
+    expect(parseLogLine('[17Jan2024 12:34:56.789] [Server thread/ERROR] [net.minecraft.server.MinecraftServer/]: Crash')).toMatchObject({
+      date: { year: 2024, month: 0, day: 17 },
+      time: '12:34:56',
+      level: 'ERROR',
+      source: 'net.minecraft.server.MinecraftServer',
+      message: 'Crash'
+    });
+  });
+
+  test('takes the source from a plugin prefix and ignores colour codes', () => {
+    expect(parseLogLine('\u001b[33m[12:00:00 INFO]: [Essentials] Loaded\u001b[0m')).toMatchObject({
+      level: 'INFO', source: 'Essentials', message: '[Essentials] Loaded'
+    });
+  });
+
+  test('returns null for continuation lines', () => {
+    expect(parseLogLine('\tat net.minecraft.server.Main.main(Main.java:1)')).toBeNull();
+  });
+});
+
+describe('createLineFramer', () => {
+  let entries;
+  let framer;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    entries = [];
+    framer = createLineFramer(entry => entries.push(entry), { flushDelay: 100 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('joins lines split across chunks', () => {
+    framer.write('[12:00:00] [Server thread/INFO]: Star');
+    framer.write('ting server\r\n[12:00:01] [Server thread/INFO]: Done\n');
+
+    expect(entries.map(entry => entry.message)).toEqual(['[12:00:00] [Server thread/INFO]: Starting server']);
+
+    jest.advanceTimersByTime(100);
+    expect(entries.map(entry => entry.message)).toEqual([
+      '[12:00:00] [Server thread/INFO]: Starting server',
+      '[12:00:01] [Server thread/INFO]: Done'
+    ]);
+  });
+
+  test('attaches stack trace lines to the entry before them', () => {
+    framer.write('[12:00:00] [Server thread/ERROR]: Exception ticking world\n');
+    framer.write('java.lang.NullPointerException\n\tat a.b(C.java:1)\n');
+    framer.write('[12:00:01] [Server thread/INFO]: Saving\n');
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0].message).toBe([
+      '[12:00:00] [Server thread/ERROR]: Exception ticking world',
+      'java.lang.NullPointerException',
+      '\tat a.b(C.java:1)'
+    ].join('\n'));
+    expect(entries[0].parsed.level).toBe('ERROR');
+  });
+
+  test('emits a pending entry once output goes quiet', () => {
+    framer.write('[12:00:00] [Server thread/INFO]: Waiting');
+    jest.advanceTimersByTime(99);
+    expect(entries).toHaveLength(0);
+
+    jest.advanceTimersByTime(1);
+    expect(entries.map(entry => entry.message)).toEqual(['[12:00:00] [Server thread/INFO]: Waiting']);
+  });
+
+  test('flush emits the partial line and pending entry', () => {
+    framer.write('plain output without a header\nmore');
+    framer.flush();
+
+    expect(entries.map(entry => entry.message)).toEqual(['plain output without a header\nmore']);
+    expect(entries[0].parsed).toBeNull();
+  });
+
+  test('strips colour codes and skips blank lines', () => {
+    framer.write('\u001b[32m[12:00:00 INFO]: Ready\u001b[0m\n\n   \n');
+    framer.flush();
+
+    expect(toLogEntry('stdout', entries[0], 1000)).toEqual({
+      timestamp: 1000,
+      message: '[12:00:00 INFO]: Ready',
+      type: 'stdout',
+      level: 'INFO',
+      thread: null,
+      source: null
+    });
+  });
+});
+
+describe('searchLogFiles', () => {
+  let serverPath;
+
+  beforeAll(async () => {
+    serverPath = await fs.mkdtemp(path.join(os.tmpdir(), 'logs-test-'));
+    const logsDir = path.join(serverPath, 'logs');
+    await fs.ensureDir(logsDir);
+
+    await fs.writeFile(path.join(logsDir, '2024-01-16-1.log.gz'), zlib.gzipSync([
+      '[23:59:58] [Server thread/INFO]: Old entry',
+      '[00:00:01] [Server thread/WARN]: After midnight (a+)+',
+      ''
+    ].join('\n')));
+    await fs.writeFile(path.join(logsDir, 'latest.log'), [
+      '[10:00:00] [Server thread/INFO]: Player joined',
+      '[10:00:05] [Server thread/ERROR]: Something failed',
+      '\tat a.b(C.java:1)',
+      ''
+    ].join('\n'));
+  });
+
+  afterAll(async () => {
+    await fs.remove(serverPath);
+  });
+
+  test('returns entries newest first across rotated files, with midnight rollover', async () => {
+    const { entries, nextCursor } = await searchLogFiles(serverPath);
+
+    expect(entries.map(entry => [entry.file, entry.level])).toEqual([
+      ['latest.log', 'ERROR'],
+      ['latest.log', 'INFO'],
+      ['2024-01-16-1.log.gz', 'WARN'],
+      ['2024-01-16-1.log.gz', 'INFO']
+    ]);
+    expect(entries[0].message).toContain('\tat a.b(C.java:1)');
+    expect(new Date(entries[2].timestamp).getDate()).toBe(17);
+    expect(nextCursor).toBeNull();
+  });
+
+  test('pages with a cursor', async () => {
+    const first = await searchLogFiles(serverPath, { limit: 3 });
+    const second = await searchLogFiles(serverPath, { limit: 3, cursor: first.nextCursor });
+
+    expect(first.entries).toHaveLength(3);
+    expect(second.entries.map(entry => entry.message)).toEqual(['[23:59:58] [Server thread/INFO]: Old entry']);
+  });
+
+  test('matches plain text literally and filters by level', async () => {
+    const { entries } = await searchLogFiles(serverPath, { search: '(A+)+' });
+    expect(entries.map(entry => entry.level)).toEqual(['WARN']);
+
+    const errors = await searchLogFiles(serverPath, { levels: ['error'] });
+    expect(errors.entries).toHaveLength(1);
+  });
+
+  test('rejects long and catastrophic regular expressions', async () => {
+    await expect(searchLogFiles(serverPath, { regex: 'player\\s+joined' })).resolves.toMatchObject({
+      entries: [expect.objectContaining({ level: 'INFO' })]
+    });
+    await expect(searchLogFiles(serverPath, { regex: '(a+)+$' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(searchLogFiles(serverPath, { regex: 'a'.repeat(101) })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
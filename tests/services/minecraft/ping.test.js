@@ -0,0 +1,179 @@
+// tests/services/minecraft/ping.test.js
+const net = require('net');
+const { pingServer, chatToText, PingError } = require('../../../src/services/minecraft/ping');
+
+/**
+ * Encode a VarInt
+ * @param {number} value - Non-negative integer
+ * @returns {Buffer} Encoded bytes
+ */
+function varInt(value) {
+  const bytes = [];
+  let remaining = value;
+  do {
+    let byte = remaining & 0x7f;
+    remaining >>>= 7;
+    if (remaining !== 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (remaining !== 0);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Frame a modern protocol packet
+ * @param {number} packetId - Packet ID
+ * @param {Buffer} payload - Payload
+ * @returns {Buffer} Framed packet
+ */
+function frame(packetId, payload) {
+  const body = Buffer.concat([varInt(packetId), payload]);
+  return Buffer.concat([varInt(body.length), body]);
+}
+
+/**
+ * Encode a legacy kick packet: 0xFF, UTF-16BE length and text
+ * @param {string} text - Status text
+ * @returns {Buffer} Packet
+ */
+function legacyKick(text) {
+  const header = Buffer.alloc(3);
+  header.writeUInt8(0xff, 0);
+  header.writeUInt16BE(text.length, 1);
+  return Buffer.concat([header, Buffer.from(text, 'utf16le').swap16()]);
+}
+
+/**
+ * Start a fake game server
+ * @param {Object} behaviour - How to answer
+ * @param {Object} [behaviour.status] - Status document for modern pings; omit to drop them like a 1.6 server
+ * @param {string} [behaviour.legacy] - Text for legacy pings
+ * @param {string} [behaviour.raw] - Raw status JSON, sent instead of status
+ * @returns {Promise<Object>} { port, server, requests }
+ */
+function startFakeServer(behaviour) {
+  const requests = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    socket.on('error', () => {});
+
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+
+      if (buffer[0] === 0xfe) {
+        requests.push('legacy');
+        socket.end(legacyKick(behaviour.legacy));
+        return;
+      }
+
+      if (!behaviour.status && !behaviour.raw) {
+        requests.push('modern-dropped');
+        socket.destroy();
+        return;
+      }
+
+      // Handshake and status request arrive together; the ping comes once the status is sent
+      if (!requests.includes('modern')) {
+        requests.push('modern');
+        buffer = Buffer.alloc(0);
+        const json = Buffer.from(behaviour.raw || JSON.stringify(behaviour.status), 'utf8');
+        const response = frame(0x00, Buffer.concat([varInt(json.length), json]));
+        // Split the response to exercise reassembly
+        socket.write(response.subarray(0, 3));
+        setTimeout(() => socket.write(response.subarray(3)), 10);
+      } else if (buffer.length >= 10) {
+        requests.push('ping');
+        socket.end(frame(0x01, buffer.subarray(2, 10)));
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ port: server.address().port, server, requests }));
+  });
+}
+
+describe('pingServer', () => {
+  let fake;
+
+  afterEach(async () => {
+    if (fake.server.listening) await new Promise(resolve => fake.server.close(resolve));
+  });
+
+  test('reads the status of a modern server', async () => {
+    fake = await startFakeServer({
+      status: {
+        version: { name: 'Paper 1.20.4', protocol: 765 },
+        players: { online: 2, max: 20, sample: [{ name: 'Steve', id: '8667ba71-b85a-4004-af54-457a9734eed7', extra: 1 }] },
+        description: { text: '§aHello ', extra: [{ text: 'world', bold: true }] },
+        favicon: 'data:image/png;base64,AAAA'
+      }
+    });
+
+    const status = await pingServer({ port: fake.port, timeout: 1000 });
+
+    expect(status).toMatchObject({
+      protocol: 'modern',
+      version: { name: 'Paper 1.20.4', protocol: 765 },
+      motd: 'Hello world',
+      players: { online: 2, max: 20, sample: [{ name: 'Steve', id: '8667ba71-b85a-4004-af54-457a9734eed7' }] },
+      favicon: 'data:image/png;base64,AAAA'
+    });
+    expect(status.latency).toBeGreaterThanOrEqual(0);
+    expect(fake.requests).toEqual(['modern', 'ping']);
+  });
+
+  test('falls back to the legacy ping for 1.6 servers', async () => {
+    fake = await startFakeServer({ legacy: '§1\u000078\u00001.6.4\u0000A §6legacy§r server\u00003\u000010' });
+
+    const status = await pingServer({ port: fake.port, timeout: 1000 });
+
+    expect(status).toMatchObject({
+      protocol: 'legacy',
+      version: { name: '1.6.4', protocol: 78 },
+      motd: 'A legacy server',
+      players: { online: 3, max: 10, sample: [] },
+      favicon: null
+    });
+    expect(fake.requests).toEqual(['modern-dropped', 'legacy']);
+  });
+
+  test('reads the beta-era legacy format', async () => {
+    fake = await startFakeServer({ legacy: 'Old § server§5§16' });
+
+    const status = await pingServer({ port: fake.port, timeout: 1000, legacy: true });
+
+    expect(status).toMatchObject({
+      protocol: 'legacy',
+      version: { name: null, protocol: null },
+      description: 'Old § server',
+      players: { online: 5, max: 16 }
+    });
+    expect(fake.requests).toEqual(['legacy']);
+  });
+
+  test('tries the legacy ping after an invalid status document', async () => {
+    fake = await startFakeServer({ raw: '{not json', legacy: 'Fallback§0§1' });
+
+    const status = await pingServer({ port: fake.port, timeout: 1000 });
+
+    expect(status.protocol).toBe('legacy');
+    expect(fake.requests).toEqual(['modern', 'legacy']);
+  });
+
+  test('fails without fallback when nothing is listening', async () => {
+    fake = await startFakeServer({});
+    await new Promise(resolve => fake.server.close(resolve));
+
+    const error = await pingServer({ port: fake.port, timeout: 1000 }).catch(e => e);
+    expect(error).toBeInstanceOf(PingError);
+    expect(error.code).toBe('CONNECT_FAILED');
+  });
+});
+
+describe('chatToText', () => {
+  test('flattens components and strips formatting codes', () => {
+    expect(chatToText(['§lA', { text: 'b', extra: ['§kc', { translate: 'd' }] }])).toBe('Abcd');
+    expect(chatToText(null)).toBe('');
+  });
+});
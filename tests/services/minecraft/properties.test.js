@@ -0,0 +1,114 @@
+// tests/services/minecraft/properties.test.js
+const {
+  validateProperties,
+  parseProperties,
+  renderProperties,
+  diffProperties,
+  toStoredProperties,
+  fromStoredProperties
+} = require('../../../src/services/minecraft/properties');
+
+const SAMPLE = [
+  '#Minecraft server properties',
+  '#Tue Jan 16 12:00:00 UTC 2024',
+  'motd=A \\u00A7aMinecraft\\u00A7r Server',
+  'server-port=25565',
+  '! old style comment',
+  'level-name : my\\ world',
+  'plugin.setting=value with \\',
+  '    continued',
+  'spawn-protection=16',
+  ''
+].join('\n');
+
+describe('server.properties', () => {
+  test('renders an unchanged file byte for byte', () => {
+    expect(renderProperties(parseProperties(SAMPLE), {})).toBe(SAMPLE);
+  });
+
+  test('keeps CRLF line endings', () => {
+    const content = SAMPLE.replace(/\n/g, '\r\n');
+    expect(renderProperties(parseProperties(content), {})).toBe(content);
+  });
+
+  test('decodes escapes, separators and continuation lines', () => {
+    const { values } = parseProperties(SAMPLE);
+    expect(values).toEqual({
+      motd: 'A §aMinecraft§r Server',
+      'server-port': '25565',
+      'level-name': 'my world',
+      'plugin.setting': 'value with continued',
+      'spawn-protection': '16'
+    });
+  });
+
+  test('rewrites only changed keys and appends new ones', () => {
+    const document = parseProperties(SAMPLE);
+    const rendered = renderProperties(document, {
+      'server-port': '25570',
+      'spawn-protection': '16',
+      'white-list': 'true'
+    });
+    const lines = rendered.split('\n');
+
+    expect(lines[3]).toBe('server-port=25570');
+    expect(lines).toContain('! old style comment');
+    expect(lines).toContain('level-name : my\\ world');
+    expect(lines.slice(-2)).toEqual(['white-list=true', '']);
+  });
+
+  test('reads back the values it writes', () => {
+    const changes = {
+      motd: ' leading space, tab\tand = : # ! \\ characters',
+      'level-name': 'world:nether'
+    };
+    const rendered = renderProperties(parseProperties(SAMPLE), changes);
+    const { values } = parseProperties(rendered);
+
+    expect(values.motd).toBe(changes.motd);
+    expect(values['level-name']).toBe(changes['level-name']);
+    expect(values['plugin.setting']).toBe('value with continued');
+  });
+
+  test('adds a header to a new file', () => {
+    const rendered = renderProperties(parseProperties(''), { 'server-port': '25565' });
+    expect(rendered).toMatch(/^# Minecraft server properties\n# Generated by .*\nserver-port=25565\n$/);
+    expect(parseProperties(rendered).values).toEqual({ 'server-port': '25565' });
+  });
+
+  test('rewrites every occurrence of a duplicated key', () => {
+    const document = parseProperties('pvp=true\npvp=false\n');
+    expect(document.values.pvp).toBe('false');
+    expect(renderProperties(document, { pvp: 'true' })).toBe('pvp=true\npvp=true\n');
+  });
+
+  test('normalizes and rejects values against the schema', () => {
+    const { values, errors } = validateProperties({
+      pvp: 'TRUE',
+      difficulty: 'Hard',
+      'server-port': 70000,
+      motd: 'two\nlines',
+      'bad key': 'x'
+    });
+
+    expect(values).toEqual({ pvp: 'true', difficulty: 'hard' });
+    expect(errors.map(error => error.field).sort()).toEqual(['bad key', 'motd', 'server-port']);
+  });
+
+  test('stores dotted keys in Mongoose maps and reads them back', () => {
+    const values = { 'rcon.port': '25575', 'enable-rcon': 'true' };
+    const stored = toStoredProperties(values);
+
+    expect(Object.keys(stored).some(key => key.includes('.'))).toBe(false);
+    expect(fromStoredProperties(stored)).toEqual(values);
+    expect(fromStoredProperties(new Map(Object.entries(stored)))).toEqual(values);
+  });
+
+  test('reports drift between the database and the file', () => {
+    expect(diffProperties({ pvp: 'true', motd: 'a' }, { pvp: 'false', 'level-name': 'world' })).toEqual([
+      { key: 'level-name', database: null, disk: 'world' },
+      { key: 'motd', database: 'a', disk: null },
+      { key: 'pvp', database: 'true', disk: 'false' }
+    ]);
+  });
+});
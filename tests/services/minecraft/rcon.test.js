@@ -0,0 +1,189 @@
+// tests/services/minecraft/rcon.test.js
+const net = require('net');
+const { connectRcon, RconError } = require('../../../src/services/minecraft/rcon');
+
+const PASSWORD = 'secret';
+
+/**
+ * Encode a packet the way the game sends it
+ * @param {number} id - Request ID
+ * @param {number} type - Packet type
+ * @param {string} body - Packet body
+ * @returns {Buffer} Encoded packet
+ */
+function packet(id, type, body) {
+  const bodyBuffer = Buffer.from(body, 'utf8');
+  const buffer = Buffer.alloc(14 + bodyBuffer.length);
+  buffer.writeInt32LE(10 + bodyBuffer.length, 0);
+  buffer.writeInt32LE(id, 4);
+  buffer.writeInt32LE(type, 8);
+  bodyBuffer.copy(buffer, 12);
+  return buffer;
+}
+
+/**
+ * Answer an end-of-response marker the way the game answers unknown packet types
+ * @param {Object} socket - Client connection
+ * @param {Object} request - Marker packet
+ */
+function replyToMarker(socket, request) {
+  socket.write(packet(request.id, 0, `Unknown request ${request.type.toString(16)}`));
+}
+
+/**
+ * Start a fake RCON server on a free local port
+ * @param {Function} onCommand - Called with (socket, request) for each command
+ * @param {Function} [onMarker] - Called with (socket, request) for each marker
+ * @returns {Promise<Object>} { port, server, received }
+ */
+function startFakeServer(onCommand, onMarker = replyToMarker) {
+  const received = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+
+      while (buffer.length >= 4 && buffer.length >= buffer.readInt32LE(0) + 4) {
+        const length = buffer.readInt32LE(0);
+        const request = {
+          id: buffer.readInt32LE(4),
+          type: buffer.readInt32LE(8),
+          body: buffer.toString('utf8', 12, length + 2)
+        };
+        buffer = buffer.subarray(length + 4);
+        received.push(request);
+
+        if (request.type === 3) {
+          // Like the game: an empty response first, then the auth result
+          socket.write(packet(request.id, 0, ''));
+          socket.write(packet(request.body === PASSWORD ? request.id : -1, 2, ''));
+        } else if (request.type === 2) {
+          onCommand(socket, request);
+        } else {
+          onMarker(socket, request);
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ port: server.address().port, server, received }));
+  });
+}
+
+describe('rcon client', () => {
+  let fake;
+  let client;
+
+  const connect = (password = PASSWORD) => connectRcon({
+    host: '127.0.0.1',
+    port: fake.port,
+    password,
+    timeout: 1000
+  });
+
+  afterEach(async () => {
+    if (client) client.close();
+    client = null;
+    await new Promise(resolve => fake.server.close(resolve));
+  });
+
+  test('returns the response to a command', async () => {
+    fake = await startFakeServer((socket, request) => {
+      socket.write(packet(request.id, 0, `ran ${request.body}`));
+    });
+
+    client = await connect();
+    await expect(client.command('list')).resolves.toBe('ran list');
+  });
+
+  test('rejects a wrong password', async () => {
+    fake = await startFakeServer(() => {});
+
+    const error = await connect('wrong').catch(e => e);
+    expect(error).toBeInstanceOf(RconError);
+    expect(error.code).toBe('AUTH_FAILED');
+  });
+
+  test('joins a response split over several packets', async () => {
+    fake = await startFakeServer((socket, request) => {
+      const replies = Buffer.concat([
+        packet(request.id, 0, 'first '),
+        packet(request.id, 0, 'second '),
+        packet(request.id, 0, 'third')
+      ]);
+      // Deliver the packets a few bytes at a time to exercise the framing
+      for (let offset = 0; offset < replies.length; offset += 5) {
+        socket.write(replies.subarray(offset, offset + 5));
+      }
+    });
+
+    client = await connect();
+    await expect(client.command('help')).resolves.toBe('first second third');
+  });
+
+  test('waits for the end-of-response marker before resolving', async () => {
+    let finish;
+    fake = await startFakeServer((socket, request) => {
+      socket.write(packet(request.id, 0, 'part one, '));
+      finish = () => socket.write(packet(request.id, 0, 'part two'));
+    }, (socket, request) => {
+      // The rest of the response and the marker's reply come later
+      const send = finish;
+      finish = () => {
+        send();
+        replyToMarker(socket, request);
+      };
+    });
+
+    client = await connect();
+    let settled = false;
+    const response = client.command('say hi').then((text) => {
+      settled = true;
+      return text;
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(settled).toBe(false);
+
+    finish();
+    await expect(response).resolves.toBe('part one, part two');
+
+    const [command, marker] = fake.received.filter(request => request.type !== 3);
+    expect(command).toMatchObject({ type: 2, body: 'say hi' });
+    expect(marker.id).not.toBe(command.id);
+  });
+
+  test('keeps the responses of queued commands apart', async () => {
+    fake = await startFakeServer((socket, request) => {
+      socket.write(packet(request.id, 0, request.body.toUpperCase()));
+    });
+
+    client = await connect();
+    const responses = await Promise.all(['one', 'two', 'three'].map(command => client.command(command)));
+    expect(responses).toEqual(['ONE', 'TWO', 'THREE']);
+  });
+
+  test('reports a connection closed while a command runs', async () => {
+    fake = await startFakeServer(socket => socket.destroy());
+
+    client = await connect();
+    const error = await client.command('stop').catch(e => e);
+    expect(error.code).toBe('CLOSED');
+
+    // Nothing is sent once the connection is gone
+    const next = await client.command('list').catch(e => e);
+    expect(next.code).toBe('NOT_CONNECTED');
+  });
+
+  test('refuses commands the game would reject as too long', async () => {
+    fake = await startFakeServer(() => {});
+
+    client = await connect();
+    const error = await client.command('x'.repeat(1447)).catch(e => e);
+    expect(error.code).toBe('TOO_LONG');
+  });
+});
@@ -0,0 +1,259 @@
+// tests/services/minecraft/trash.test.js
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const mockRoot = path.join(os.tmpdir(), `trash-test-${process.pid}`);
+
+jest.mock('../../../src/config', () => ({
+  getConfig: () => ({
+    minecraft: {
+      serversDir: `${mockRoot}/servers`,
+      trashDir: `${mockRoot}/trash`,
+      trashRetentionDays: 7
+    }
+  })
+}), { virtual: true });
+jest.mock('../../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// In-memory stand-ins for the models trash.js uses
+jest.mock('../../../src/models', () => {
+  const clone = value => JSON.parse(JSON.stringify(value));
+
+  class MinecraftServer {
+    constructor(fields) {
+      Object.assign(this, clone(fields));
+    }
+
+    async save() {
+      if (MinecraftServer.failSave) throw new Error('save failed');
+      MinecraftServer.records.set(String(this._id), this);
+      return this;
+    }
+
+    toObject() {
+      return clone(this);
+    }
+
+    async deleteOne() {
+      if (MinecraftServer.failDelete) throw new Error('delete failed');
+      MinecraftServer.records.delete(String(this._id));
+    }
+
+    static async findById(id) {
+      return MinecraftServer.records.get(String(id)) || null;
+    }
+
+    static async exists({ name }) {
+      return [...MinecraftServer.records.values()].some(server => server.name === name);
+    }
+
+    static async deleteOne({ _id }) {
+      MinecraftServer.records.delete(String(_id));
+    }
+  }
+
+  class TrashedServer {
+    constructor(fields) {
+      Object.assign(this, fields, { createdAt: new Date() });
+    }
+
+    async deleteOne() {
+      TrashedServer.records.delete(String(this._id));
+    }
+
+    static async create(fields) {
+      const entry = new TrashedServer(fields);
+      TrashedServer.records.set(String(entry._id), entry);
+      return entry;
+    }
+
+    static async findById(id) {
+      return TrashedServer.records.get(String(id)) || null;
+    }
+  }
+
+  const ServerGroup = {
+    find: () => ({ select: async () => [] }),
+    updateMany: jest.fn(async () => {})
+  };
+
+  return { MinecraftServer, TrashedServer, ServerGroup, ServerCrash: {}, ServerMetric: {}, User: {} };
+}, { virtual: true });
+
+jest.mock('../../../src/services/minecraft/minecraft', () => ({
+  isServerRunning: () => false,
+  stopServer: jest.fn(async () => ({ status: 'error', message: 'Server is not running', statusCode: 409 })),
+  allocateServerPorts: jest.fn(async ({ port }) => ({ properties: { 'server-port': String(port || 25570) } })),
+  releaseServerPorts: jest.fn(),
+  updateServerProperties: jest.fn(async () => ({}))
+}));
+jest.mock('../../../src/services/minecraft/console', () => ({
+  isRecordedProcessAlive: jest.fn(async () => false),
+  runtimeDirFor: id => `${mockRoot}/runtime/${id}`
+}));
+jest.mock('../../../src/services/minecraft/players', () => ({ removeServerPlayers: jest.fn(async () => 0) }));
+jest.mock('../../../src/services/backup/snapshots', () => ({ deleteServerBackups: jest.fn(async () => 0) }));
+jest.mock('../../../src/services/scheduler', () => ({
+  unscheduleServerTasks: jest.fn(async () => 0),
+  scheduleServerTasks: jest.fn(async () => 0)
+}));
+
+const trash = require('../../../src/services/minecraft/trash');
+const { MinecraftServer, TrashedServer } = require('../../../src/models');
+const minecraft = require('../../../src/services/minecraft/minecraft');
+const { ConflictError } = require('../../../src/utils/errors');
+
+const SERVER_ID = '0123456789abcdef01234567';
+const serverDir = name => path.join(mockRoot, 'servers', name);
+
+/**
+ * Add a server with a world and a properties file
+ * @param {string} name - Server name
+ * @returns {Promise<Object>} Server
+ */
+async function addServer(name) {
+  const server = new MinecraftServer({
+    _id: SERVER_ID,
+    name,
+    path: serverDir(name),
+    type: 'paper',
+    version: '1.20.4',
+    port: 25565,
+    properties: {}
+  });
+  await fs.outputFile(path.join(server.path, 'server.properties'), 'motd=Hello\n');
+  await fs.outputFile(path.join(server.path, 'world', 'level.dat'), 'level');
+  return server.save();
+}
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  MinecraftServer.records = new Map();
+  MinecraftServer.failSave = false;
+  MinecraftServer.failDelete = false;
+  TrashedServer.records = new Map();
+  await fs.remove(mockRoot);
+});
+
+afterAll(async () => {
+  await fs.remove(mockRoot);
+});
+
+describe('deleteServer', () => {
+  test('moves the directory into the trash and keeps the settings for undelete', async () => {
+    await addServer('survival');
+
+    const result = await trash.deleteServer(SERVER_ID, { deletedBy: 'admin' });
+
+    expect(result).toMatchObject({ name: 'survival', format: 'directory', path: path.join(mockRoot, 'trash', SERVER_ID) });
+    expect(await MinecraftServer.findById(SERVER_ID)).toBeNull();
+    expect(await fs.pathExists(serverDir('survival'))).toBe(false);
+    expect(await fs.readFile(path.join(result.path, 'world', 'level.dat'), 'utf8')).toBe('level');
+    expect((await TrashedServer.findById(SERVER_ID)).server).toMatchObject({ type: 'paper', version: '1.20.4' });
+  });
+
+  test('zips the directory into the trash when archiving', async () => {
+    await addServer('survival');
+
+    const result = await trash.deleteServer(SERVER_ID, { archive: true });
+
+    expect(result.path).toBe(path.join(mockRoot, 'trash', `${SERVER_ID}.zip`));
+    expect(await fs.pathExists(result.path)).toBe(true);
+    expect(await fs.pathExists(serverDir('survival'))).toBe(false);
+  });
+
+  test('puts the files and record back when the delete fails', async () => {
+    await addServer('survival');
+    MinecraftServer.failDelete = true;
+
+    await expect(trash.deleteServer(SERVER_ID)).rejects.toThrow('delete failed');
+
+    expect(await fs.readFile(path.join(serverDir('survival'), 'world', 'level.dat'), 'utf8')).toBe('level');
+    expect(await fs.pathExists(path.join(mockRoot, 'trash', SERVER_ID))).toBe(false);
+    expect(await TrashedServer.findById(SERVER_ID)).toBeNull();
+    expect(await MinecraftServer.findById(SERVER_ID)).not.toBeNull();
+  });
+
+  test('removes a half-written archive when the delete fails', async () => {
+    await addServer('survival');
+    MinecraftServer.failDelete = true;
+
+    await expect(trash.deleteServer(SERVER_ID, { archive: true })).rejects.toThrow('delete failed');
+
+    expect(await fs.pathExists(path.join(mockRoot, 'trash', `${SERVER_ID}.zip`))).toBe(false);
+    expect(await fs.pathExists(path.join(serverDir('survival'), 'world', 'level.dat'))).toBe(true);
+  });
+});
+
+describe('undeleteServer', () => {
+  test('brings back a moved directory under the same ID and ports', async () => {
+    await addServer('survival');
+    await trash.deleteServer(SERVER_ID);
+
+    const result = await trash.undeleteServer(SERVER_ID);
+
+    expect(result.portsChanged).toBe(false);
+    expect(result.server).toMatchObject({ _id: SERVER_ID, name: 'survival', port: 25565, path: serverDir('survival') });
+    expect(await fs.readFile(path.join(serverDir('survival'), 'server.properties'), 'utf8')).toBe('motd=Hello\n');
+    expect(await TrashedServer.findById(SERVER_ID)).toBeNull();
+  });
+
+  test('extracts an archived directory and removes the archive', async () => {
+    await addServer('survival');
+    const { path: archivePath } = await trash.deleteServer(SERVER_ID, { archive: true });
+
+    await trash.undeleteServer(SERVER_ID, { name: 'survival-2' });
+
+    expect(await fs.readFile(path.join(serverDir('survival-2'), 'world', 'level.dat'), 'utf8')).toBe('level');
+    expect(await fs.pathExists(archivePath)).toBe(false);
+    expect((await MinecraftServer.findById(SERVER_ID)).name).toBe('survival-2');
+  });
+
+  test('moves to new ports when the old game port was taken', async () => {
+    await addServer('survival');
+    await trash.deleteServer(SERVER_ID);
+    minecraft.allocateServerPorts.mockRejectedValueOnce(new ConflictError('Port 25565 is in use'));
+
+    const result = await trash.undeleteServer(SERVER_ID);
+
+    expect(result.portsChanged).toBe(true);
+    expect(result.server.port).toBe(25570);
+    expect(minecraft.updateServerProperties).toHaveBeenCalledWith(SERVER_ID, { 'server-port': '25570' });
+  });
+
+  test('refuses a name another server has taken', async () => {
+    await addServer('survival');
+    await trash.deleteServer(SERVER_ID);
+    await new MinecraftServer({ _id: '89abcdef0123456789abcdef', name: 'survival' }).save();
+
+    await expect(trash.undeleteServer(SERVER_ID)).rejects.toBeInstanceOf(ConflictError);
+    expect(await TrashedServer.findById(SERVER_ID)).not.toBeNull();
+  });
+
+  test('returns moved files to the trash when the record cannot be saved', async () => {
+    await addServer('survival');
+    const { path: trashPath } = await trash.deleteServer(SERVER_ID);
+    MinecraftServer.failSave = true;
+
+    await expect(trash.undeleteServer(SERVER_ID)).rejects.toThrow('save failed');
+
+    expect(await fs.pathExists(serverDir('survival'))).toBe(false);
+    expect(await fs.pathExists(path.join(trashPath, 'world', 'level.dat'))).toBe(true);
+    expect(await TrashedServer.findById(SERVER_ID)).not.toBeNull();
+    expect(minecraft.releaseServerPorts).toHaveBeenCalled();
+  });
+
+  test('removes extracted files and keeps the archive when the record cannot be saved', async () => {
+    await addServer('survival');
+    const { path: archivePath } = await trash.deleteServer(SERVER_ID, { archive: true });
+    MinecraftServer.failSave = true;
+
+    await expect(trash.undeleteServer(SERVER_ID)).rejects.toThrow('save failed');
+
+    expect(await fs.pathExists(serverDir('survival'))).toBe(false);
+    expect(await fs.pathExists(archivePath)).toBe(true);
+  });
+});
@@ -0,0 +1,182 @@
+// tests/services/minecraft/worlds.test.js
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const AdmZip = require('adm-zip');
+
+jest.mock('../../../src/config', () => ({
+  getConfig: () => ({
+    jwt: { secret: 'test-secret' },
+    minecraft: { worldMaxSize: 16 * 1024, worldMaxExtractedSize: 64 * 1024, worldMaxEntries: 10 }
+  })
+}), { virtual: true });
+jest.mock('../../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../../../src/models', () => ({ MinecraftServer: { findById: jest.fn() }, User: {} }), { virtual: true });
+jest.mock('../../../src/services/minecraft/minecraft', () => ({
+  isServerRunning: () => false,
+  createBackup: jest.fn(),
+  updateServerProperties: jest.fn(),
+  pauseSaving: jest.fn(),
+  resumeSaving: jest.fn()
+}));
+// level.dat files in these tests hold their level name as plain text
+jest.mock('../../../src/services/minecraft/nbt', () => ({
+  readLevelData: async file => ({ levelName: (await require('fs-extra').readFile(file, 'utf8')).trim() })
+}));
+jest.mock('../../../src/middleware/audit', () => ({ audit: () => (req, res, next) => next() }));
+
+const { importWorld } = require('../../../src/services/minecraft/worlds');
+const worldRoutes = require('../../../src/routes/v1/worlds');
+const { MinecraftServer } = require('../../../src/models');
+const { AppError, BadRequestError } = require('../../../src/utils/errors');
+
+const SERVER_ID = '0123456789abcdef01234567';
+
+let tmp;
+let server;
+
+/**
+ * Write a zip to stand in for a multer upload
+ * @param {Object} entries - Contents by entry name
+ * @param {Object} [rename] - Entry names to rewrite in the finished archive, to
+ *   produce names zip writers refuse to store; each pair must have equal length
+ * @returns {Promise<Object>} Upload with path and originalname
+ */
+async function uploadZip(entries, rename = {}) {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(entries)) zip.addFile(name, Buffer.from(content));
+
+  let buffer = zip.toBuffer();
+  for (const [from, to] of Object.entries(rename)) {
+    buffer = Buffer.from(buffer.toString('latin1').split(from).join(to), 'latin1');
+  }
+
+  const file = path.join(tmp, `upload-${Math.random().toString(16).slice(2)}.zip`);
+  await fs.writeFile(file, buffer);
+  return { path: file, originalname: 'world.zip' };
+}
+
+/**
+ * List every file under a directory
+ * @param {string} dir - Directory
+ * @returns {Promise<Array<string>>} Relative paths
+ */
+async function listFiles(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(path.join(dir, entry.name))).map(file => `${entry.name}/${file}`));
+    } else {
+      files.push(entry.name);
+    }
+  }
+  return files.sort();
+}
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'worlds-test-'));
+  server = { _id: SERVER_ID, name: 'Test', path: path.join(tmp, 'server') };
+  await fs.ensureDir(server.path);
+  MinecraftServer.findById.mockResolvedValue(server);
+});
+
+afterEach(async () => {
+  await fs.remove(tmp);
+});
+
+describe('importWorld', () => {
+  test('adds the world and its Bukkit dimensions under the archive directory name', async () => {
+    const upload = await uploadZip({
+      'survival/level.dat': 'survival',
+      'survival/region/r.0.0.mca': 'chunks',
+      'survival_nether/DIM-1/region/r.0.0.mca': 'nether'
+    });
+
+    const result = await importWorld(SERVER_ID, upload);
+
+    expect(result.world.name).toBe('survival');
+    expect(await listFiles(server.path)).toEqual([
+      'survival/level.dat',
+      'survival/region/r.0.0.mca',
+      'survival_nether/DIM-1/region/r.0.0.mca'
+    ]);
+    expect(await fs.pathExists(upload.path)).toBe(false);
+  });
+
+  test('rejects entries that climb out of the extraction directory', async () => {
+    const upload = await uploadZip(
+      { 'world/level.dat': 'world', 'xx/escape.txt': 'gotcha' },
+      { 'xx/escape.txt': '../escape.txt' }
+    );
+
+    await expect(importWorld(SERVER_ID, upload)).rejects.toBeInstanceOf(BadRequestError);
+    expect(await fs.pathExists(path.join(tmp, 'escape.txt'))).toBe(false);
+    expect(await fs.readdir(tmp)).toEqual(['server']);
+  });
+
+  test('rejects archives that expand past MC_WORLD_MAX_EXTRACTED_SIZE before extracting', async () => {
+    // Zeros compress well, so the upload itself is small
+    const upload = await uploadZip({ 'world/level.dat': 'world', 'world/region/r.0.0.mca': '\0'.repeat(128 * 1024) });
+
+    await expect(importWorld(SERVER_ID, upload)).rejects.toThrow(`The archive expands to more than ${64 * 1024} bytes`);
+    expect(await fs.readdir(tmp)).toEqual(['server']);
+  });
+
+  test('rejects archives with more than MC_WORLD_MAX_ENTRIES entries', async () => {
+    const entries = { 'world/level.dat': 'world' };
+    for (let i = 0; i < 10; i++) entries[`world/data/map_${i}.dat`] = 'map';
+
+    await expect(importWorld(SERVER_ID, await uploadZip(entries))).rejects.toThrow('The archive holds more than 10 entries');
+  });
+
+  test('rejects files that are not zips and zips without a world', async () => {
+    const notZip = { path: path.join(tmp, 'upload.zip'), originalname: 'world.zip' };
+    await fs.writeFile(notZip.path, 'not a zip');
+
+    await expect(importWorld(SERVER_ID, notZip)).rejects.toThrow('Not a zip archive');
+    await expect(importWorld(SERVER_ID, await uploadZip({ 'notes.txt': 'hi' })))
+      .rejects.toThrow('The archive does not contain a level.dat');
+  });
+});
+
+describe('POST /servers/:id/worlds', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use((req, res, next) => {
+      req.user = { role: 'admin' };
+      next();
+    });
+    app.use('/servers/:id/worlds', worldRoutes);
+    app.use((err, req, res, next) => {
+      res.status(err instanceof AppError ? err.statusCode : 500).json({ status: 'error', message: err.message });
+    });
+  });
+
+  test('rejects uploads larger than MC_WORLD_MAX_SIZE', async () => {
+    const response = await request(app)
+      .post(`/servers/${SERVER_ID}/worlds`)
+      .attach('file', Buffer.alloc(32 * 1024), 'world.zip');
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('File too large');
+    expect(MinecraftServer.findById).not.toHaveBeenCalled();
+  });
+
+  test('imports uploads within the limit', async () => {
+    const upload = await uploadZip({ 'creative/level.dat': 'creative' });
+
+    const response = await request(app)
+      .post(`/servers/${SERVER_ID}/worlds`)
+      .attach('file', upload.path, 'world.zip');
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.world.name).toBe('creative');
+  });
+});
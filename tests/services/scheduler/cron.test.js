@@ -0,0 +1,85 @@
+// tests/services/scheduler/cron.test.js
+const { parseCron, isValidTimezone, nextRun } = require('../../../src/services/scheduler/cron');
+
+const at = iso => new Date(iso);
+const next = (expression, after, timezone = 'UTC') => {
+  const run = nextRun(expression, timezone, at(after));
+  return run && run.toISOString();
+};
+
+describe('parseCron', () => {
+  test('expands ranges, steps, lists and names', () => {
+    expect(parseCron('*/15 9-17 * jan-mar mon,fri')).toEqual({
+      second: [0],
+      minute: [0, 15, 30, 45],
+      hour: [9, 10, 11, 12, 13, 14, 15, 16, 17],
+      dayOfMonth: Array.from({ length: 31 }, (v, i) => i + 1),
+      month: [1, 2, 3],
+      dayOfWeek: [1, 5]
+    });
+  });
+
+  test('accepts a seconds field, full names and 7 for Sunday', () => {
+    const cron = parseCron('30 0 12 * December 7');
+    expect(cron.second).toEqual([30]);
+    expect(cron.month).toEqual([12]);
+    expect(cron.dayOfWeek).toEqual([0]);
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow('5 or 6 fields');
+    expect(() => parseCron('60 * * * *')).toThrow('outside 0-59');
+    expect(() => parseCron('*/0 * * * *')).toThrow('Invalid step');
+    expect(() => parseCron('* 5-1 * * *')).toThrow('Invalid hour range');
+    expect(() => parseCron('* * * foo *')).toThrow('Invalid month value');
+  });
+});
+
+describe('nextRun', () => {
+  test('finds the next matching minute', () => {
+    expect(next('*/15 * * * *', '2024-05-01T10:07:30Z')).toBe('2024-05-01T10:15:00.000Z');
+    expect(next('0 3 * * *', '2024-05-01T03:00:00Z')).toBe('2024-05-02T03:00:00.000Z');
+    expect(next('*/20 * * * * *', '2024-05-01T10:00:41Z')).toBe('2024-05-01T10:01:00.000Z');
+  });
+
+  test('rolls over months and years', () => {
+    expect(next('0 0 1 * *', '2024-12-15T00:00:00Z')).toBe('2025-01-01T00:00:00.000Z');
+    expect(next('0 12 31 * *', '2024-04-01T00:00:00Z')).toBe('2024-05-31T12:00:00.000Z');
+  });
+
+  test('requires day of month and day of week to match together', () => {
+    // Friday the 13th
+    expect(next('0 0 13 * fri', '2024-01-01T00:00:00Z')).toBe('2024-09-13T00:00:00.000Z');
+  });
+
+  test('finds leap days and gives up on dates that never occur', () => {
+    expect(next('0 0 29 2 *', '2024-03-01T00:00:00Z')).toBe('2028-02-29T00:00:00.000Z');
+    expect(nextRun('0 0 30 2 *', 'UTC', at('2024-01-01T00:00:00Z'))).toBeNull();
+  });
+
+  test('uses the wall clock of the timezone', () => {
+    expect(next('0 9 * * *', '2024-07-01T00:00:00Z', 'Europe/Berlin')).toBe('2024-07-01T07:00:00.000Z');
+    expect(next('0 9 * * *', '2024-01-01T00:00:00Z', 'Asia/Kolkata')).toBe('2024-01-01T03:30:00.000Z');
+  });
+
+  test('skips a time that does not exist when clocks go forward', () => {
+    // New York jumps from 02:00 to 03:00 on 10 March 2024
+    expect(next('30 2 * * *', '2024-03-10T05:00:00Z', 'America/New_York')).toBe('2024-03-11T06:30:00.000Z');
+    expect(next('0 * * * *', '2024-03-10T06:30:00Z', 'America/New_York')).toBe('2024-03-10T07:00:00.000Z');
+  });
+
+  test('runs a repeated time twice when clocks go back', () => {
+    // New York repeats 01:00 to 02:00 on 3 November 2024
+    const first = next('30 1 * * *', '2024-11-03T04:00:00Z', 'America/New_York');
+    expect(first).toBe('2024-11-03T05:30:00.000Z');
+    expect(next('30 1 * * *', first, 'America/New_York')).toBe('2024-11-03T06:30:00.000Z');
+  });
+});
+
+describe('isValidTimezone', () => {
+  test('accepts IANA names and rejects unknown ones', () => {
+    expect(isValidTimezone('Europe/London')).toBe(true);
+    expect(isValidTimezone('UTC')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+  });
+});
@@ -0,0 +1,266 @@
+// tests/socket/index.test.js
+const EventEmitter = require('events');
+
+jest.mock('../../src/config', () => ({
+  getConfig: () => ({ jwt: { secret: 'test-secret' }, minecraft: { consoleReplayLines: 50 } })
+}), { virtual: true });
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../../src/models', () => ({ User: { findById: jest.fn() } }), { virtual: true });
+jest.mock('../../src/services/minecraft', () => ({
+  getServerLogs: jest.fn(async () => [{ message: 'Done (3.2s)!' }]),
+  sendCommand: jest.fn(async () => ({ status: 'success', message: 'Command sent', response: 'ok' }))
+}));
+jest.mock('../../src/services/minecraft/players', () => ({ getOnlinePlayers: jest.fn(() => []) }));
+jest.mock('../../src/services/minecraft/completion', () => ({ completeCommand: jest.fn(() => []) }));
+jest.mock('../../src/services/monitor', () => ({ getServerResourceUsage: jest.fn(async () => null) }));
+jest.mock('../../src/services/audit', () => ({ recordAction: jest.fn(async () => {}) }));
+
+const { initializeSocket } = require('../../src/socket');
+const auth = require('../../src/services/auth');
+const minecraft = require('../../src/services/minecraft');
+const { recordAction } = require('../../src/services/audit');
+const { User } = require('../../src/models');
+
+const SERVER_ID = '0123456789abcdef01234567';
+const OTHER_ID = '89abcdef0123456789abcdef';
+
+let users;
+let connected;
+let authenticateSocket;
+let handleConnection;
+
+/**
+ * Build a user document
+ * @param {string} username - Username
+ * @param {string} role - Global role
+ * @param {Object} [servers] - Per-server roles
+ * @returns {Object} User
+ */
+function makeUser(username, role, servers = {}) {
+  const id = String(Object.keys(users).length + 1).padStart(24, 'a');
+  const user = {
+    _id: { toString: () => id },
+    username,
+    role,
+    tokenVersion: 0,
+    permissions: { servers: new Map(Object.entries(servers)) },
+    save: async () => user
+  };
+  users[id] = user;
+  return user;
+}
+
+/**
+ * Stand-in for a Socket.IO server-side socket
+ */
+class FakeSocket extends EventEmitter {
+  constructor(handshake) {
+    super();
+    this.id = `socket-${Math.random().toString(16).slice(2)}`;
+    this.handshake = { headers: {}, address: '127.0.0.1', ...handshake };
+    this.data = {};
+    this.rooms = new Set();
+    this.sent = [];
+    this.disconnected = false;
+  }
+
+  join(room) {
+    this.rooms.add(room);
+  }
+
+  leave(room) {
+    this.rooms.delete(room);
+  }
+
+  emit(event, ...args) {
+    // Events the server sends to the client are recorded, not dispatched
+    if (['serverLogReplay', 'serverStats'].includes(event)) {
+      this.sent.push({ event, args });
+      return true;
+    }
+    return super.emit(event, ...args);
+  }
+
+  disconnect() {
+    if (this.disconnected) return;
+    this.disconnected = true;
+    super.emit('disconnect');
+  }
+
+  /**
+   * Send a client event and wait for its acknowledgement
+   * @param {string} event - Event name
+   * @param {*} payload - Payload
+   * @returns {Promise<Object>} Acknowledgement
+   */
+  request(event, payload) {
+    return new Promise(resolve => this.emit(event, payload, resolve));
+  }
+}
+
+/**
+ * Run the authentication middleware on a handshake
+ * @param {Object} fields - Handshake fields
+ * @returns {Promise<Object>} { socket, error }
+ */
+function handshake(fields) {
+  const socket = new FakeSocket(fields);
+  return new Promise((resolve) => {
+    authenticateSocket(socket, error => resolve({ socket, error }));
+  });
+}
+
+/**
+ * Connect a user and register the event handlers
+ * @param {Object} user - User document
+ * @returns {Promise<FakeSocket>} Connected socket
+ */
+async function connectAs(user) {
+  const { accessToken } = await auth.login(user);
+  const { socket, error } = await handshake({ auth: { token: accessToken } });
+  expect(error).toBeUndefined();
+  handleConnection(socket);
+  connected.push(socket);
+  return socket;
+}
+
+beforeAll(() => {
+  initializeSocket({
+    use: (middleware) => { authenticateSocket = middleware; },
+    on: (event, listener) => { handleConnection = listener; }
+  });
+});
+
+beforeEach(() => {
+  users = {};
+  connected = [];
+  jest.clearAllMocks();
+  User.findById.mockImplementation(async id => users[id] || null);
+});
+
+// Disconnecting clears each connection's token expiry timer
+afterEach(() => {
+  for (const socket of connected) socket.disconnect();
+});
+
+describe('handshake', () => {
+  test('accepts an access token from the auth payload or the Authorization header', async () => {
+    const user = makeUser('alice', 'user');
+    const { accessToken } = await auth.login(user);
+
+    const fromAuth = await handshake({ auth: { token: accessToken } });
+    expect(fromAuth.error).toBeUndefined();
+    expect(fromAuth.socket.data.username).toBe('alice');
+
+    const fromHeader = await handshake({ headers: { authorization: `Bearer ${accessToken}` } });
+    expect(fromHeader.error).toBeUndefined();
+  });
+
+  test('rejects missing, malformed and refresh tokens', async () => {
+    const user = makeUser('alice', 'user');
+    const { refreshToken } = await auth.login(user);
+
+    for (const fields of [{}, { auth: { token: 'not-a-token' } }, { auth: { token: refreshToken } }]) {
+      const { error } = await handshake(fields);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.data).toEqual({ code: 'UNAUTHORIZED' });
+    }
+  });
+
+  test('rejects tokens of deleted and logged out accounts', async () => {
+    const deleted = makeUser('alice', 'user');
+    const { accessToken: deletedToken } = await auth.login(deleted);
+    delete users[deleted._id.toString()];
+    expect((await handshake({ auth: { token: deletedToken } })).error).toBeInstanceOf(Error);
+
+    const loggedOut = makeUser('bob', 'user');
+    const { accessToken } = await auth.login(loggedOut);
+    await auth.logout(loggedOut);
+    expect((await handshake({ auth: { token: accessToken } })).error).toBeInstanceOf(Error);
+  });
+});
+
+describe('subscribe', () => {
+  test('requires the viewer role on the server of the channel', async () => {
+    const socket = await connectAs(makeUser('alice', 'user', { [SERVER_ID]: 'viewer' }));
+
+    expect(await socket.request('subscribe', `server:${SERVER_ID}`)).toEqual({
+      status: 'success', data: { channel: `server:${SERVER_ID}` }
+    });
+    expect((await socket.request('subscribe', `server:${OTHER_ID}`)).error.code).toBe('FORBIDDEN');
+    expect([...socket.rooms]).toEqual([`server:${SERVER_ID}`]);
+  });
+
+  test('replays the console to log subscribers', async () => {
+    const socket = await connectAs(makeUser('alice', 'user', { [SERVER_ID]: 'viewer' }));
+
+    await socket.request('subscribe', `server:${SERVER_ID}:logs`);
+
+    expect(minecraft.getServerLogs).toHaveBeenCalledWith(SERVER_ID, { limit: 50 });
+    expect(socket.sent).toEqual([
+      { event: 'serverLogReplay', args: [{ serverId: SERVER_ID, logs: [{ message: 'Done (3.2s)!' }] }] }
+    ]);
+  });
+
+  test('keeps global channels to their roles and rejects unknown ones', async () => {
+    const user = await connectAs(makeUser('alice', 'user'));
+    const moderator = await connectAs(makeUser('bob', 'moderator'));
+
+    expect((await user.request('subscribe', 'downloads')).error.code).toBe('FORBIDDEN');
+    expect((await moderator.request('subscribe', 'downloads')).status).toBe('success');
+    expect((await moderator.request('subscribe', 'everything')).error.message).toBe('Unknown channel everything');
+  });
+
+  test('applies permission changes to connected clients', async () => {
+    const user = makeUser('alice', 'user', { [SERVER_ID]: 'viewer' });
+    const socket = await connectAs(user);
+
+    user.permissions.servers.delete(SERVER_ID);
+
+    expect((await socket.request('subscribe', `server:${SERVER_ID}`)).error.code).toBe('FORBIDDEN');
+  });
+});
+
+describe('sendCommand', () => {
+  test('requires the moderator role on the server', async () => {
+    const socket = await connectAs(makeUser('alice', 'user', { [SERVER_ID]: 'viewer' }));
+
+    const reply = await socket.request('sendCommand', { serverId: SERVER_ID, command: 'stop' });
+
+    expect(reply.error.code).toBe('FORBIDDEN');
+    expect(minecraft.sendCommand).not.toHaveBeenCalled();
+  });
+
+  test('sends and audits commands from moderators', async () => {
+    const socket = await connectAs(makeUser('alice', 'user', { [SERVER_ID]: 'moderator' }));
+
+    const reply = await socket.request('sendCommand', { serverId: SERVER_ID, command: ' list ' });
+
+    expect(reply).toEqual({ status: 'success', data: { message: 'Command sent', response: 'ok' } });
+    expect(minecraft.sendCommand).toHaveBeenCalledWith(SERVER_ID, 'list');
+    expect(recordAction).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'server.command', server: SERVER_ID, source: 'socket', success: true
+    }));
+  });
+
+  test('validates the payload before anything else', async () => {
+    const socket = await connectAs(makeUser('alice', 'admin'));
+
+    expect((await socket.request('sendCommand', { serverId: 'nope', command: 'list' })).error.code).toBe('VALIDATION_FAILED');
+    expect((await socket.request('sendCommand', { serverId: SERVER_ID, command: '  ' })).error.code).toBe('VALIDATION_FAILED');
+  });
+
+  test('disconnects clients whose account logged out', async () => {
+    const user = makeUser('alice', 'admin');
+    const socket = await connectAs(user);
+
+    await auth.logout(user);
+    const reply = await socket.request('sendCommand', { serverId: SERVER_ID, command: 'list' });
+
+    expect(reply.error.code).toBe('UNAUTHORIZED');
+    expect(socket.disconnected).toBe(true);
+    expect(minecraft.sendCommand).not.toHaveBeenCalled();
+  });
+});